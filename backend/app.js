@@ -0,0 +1,518 @@
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const Todo = require('./models/Todo');
+const authRoutes = require('./routes/auth');
+const subtaskRoutes = require('./routes/subtasks');
+const categoryRoutes = require('./routes/categories');
+const listRoutes = require('./routes/lists');
+const tagRoutes = require('./routes/tags');
+const eventRoutes = require('./routes/events');
+const trashRoutes = require('./routes/trash');
+const historyRoutes = require('./routes/history');
+const inviteRoutes = require('./routes/invites');
+const activityRoutes = require('./routes/activity');
+const reminderRoutes = require('./routes/reminders');
+const calendarRoutes = require('./routes/calendar');
+const transferRoutes = require('./routes/transfer');
+const statsRoutes = require('./routes/stats');
+const { requireAuth, requireStreamAuth } = require('./middleware/auth');
+const { publish } = require('./utils/events');
+const { QueryError } = require('./utils/todoQuery');
+const { AccessError, findTodo, listAudience } = require('./utils/listAccess');
+const { RecurrenceError } = require('./utils/recurrence');
+const { ReminderError } = require('./utils/reminders');
+const { TodoInputError, mergePatchUpdates } = require('./utils/todoInput');
+const {
+  CONFLICT_MESSAGE,
+  etag,
+  matchesIfMatch,
+  isNewerThan,
+  isConflict,
+  sendConflict
+} = require('./utils/revisions');
+const { validateOperation, checkResponses, invalidInput, isModelError } = require('./middleware/validate');
+const { apiVersion } = require('./middleware/apiVersion');
+const openapi = require('./openapi');
+
+// The Express app, without a server or a database connection: server.js
+// (or a test) sets app.locals.storage (see storage/index.js) and listens.
+const app = express();
+app.locals.storage = null;
+
+// Middleware
+app.use(cors());
+// /api/v1 serves the /api routes with enveloped responses (see
+// middleware/apiVersion.js), errors from the body parsers included
+app.use(apiVersion);
+// Imports carry a whole file in the body
+app.use('/api/import', express.json({ limit: process.env.IMPORT_BODY_LIMIT || '5mb' }));
+app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] }));
+
+// Serve frontend (static files)
+app.use(express.static(path.join(__dirname, '../frontend')));
+
+// Modules used by both the frontend and this server
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
+
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, '../frontend/index.html'));
+});
+
+// Routes scoped to the authenticated user. Checked before the storage is,
+// so a missing or bad token is a 401 with either storage.
+app.use([
+  '/api/todos',
+  '/api/calendar',
+  '/api/lists',
+  '/api/categories',
+  '/api/tags',
+  '/api/trash',
+  '/api/activity',
+  '/api/stats',
+  '/api/invites',
+  '/api/export',
+  '/api/import'
+], requireAuth);
+
+// Features beyond accounts and todos use the Mongoose models directly
+function requireMongo(req, res, next) {
+  if (req.app.locals.storage.name === 'mongo') return next();
+  res.status(501).json({ error: `Not available with ${req.app.locals.storage.name} storage` });
+}
+
+app.use([
+  '/api/calendar',
+  '/api/calendar.ics',
+  '/api/lists',
+  '/api/categories',
+  '/api/tags',
+  '/api/trash',
+  '/api/activity',
+  '/api/invites',
+  '/api/export',
+  '/api/import',
+  '/api/todos/reorder',
+  '/api/todos/:id/subtasks',
+  '/api/todos/:id/history',
+  '/api/todos/:id/reminders'
+], requireMongo);
+
+// Responses that don't match the API description are logged
+if (process.env.VALIDATE_RESPONSES === 'true') {
+  app.use('/api', checkResponses);
+}
+
+// The API description, and a page that shows it and can send requests
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openapi);
+});
+
+app.get('/api/docs', (req, res) => {
+  res.sendFile(path.join(__dirname, '../frontend/api-docs.html'));
+});
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'OK', message: 'Server is running' });
+});
+
+// Authentication
+app.use('/api/auth', authRoutes);
+
+// Calendar feed (authenticated by its own token) and its settings
+app.use('/api', calendarRoutes);
+
+// Live change events (Server-Sent Events)
+app.use('/api/events', requireStreamAuth, eventRoutes);
+
+// Lists (projects) that group todos, and invitations to shared ones
+app.use('/api/lists', listRoutes);
+app.use('/api/invites', inviteRoutes);
+
+// User-defined categories and tags
+app.use('/api/categories', categoryRoutes);
+app.use('/api/tags', tagRoutes);
+
+// Soft-deleted todos
+app.use('/api/trash', trashRoutes);
+
+// Change history across all todos
+app.use('/api/activity', activityRoutes);
+
+// Completions over time, lead times and breakdowns
+app.use('/api/stats', statsRoutes);
+
+// Export to and import from CSV, Markdown, todo.txt and JSON
+app.use('/api', transferRoutes);
+
+// Items a single bulk request may touch
+const BULK_LIMIT = 500;
+
+// Todo fields that passed the schema but are still wrong (an unknown
+// category, a contradictory recurrence rule, ...), reported as 422s
+function isInputError(error) {
+  return error instanceof TodoInputError || error instanceof RecurrenceError ||
+    error instanceof ReminderError || isModelError(error);
+}
+
+// Per-item error for the bulk endpoint; unexpected errors stay generic
+function bulkItemError(error, fallback) {
+  if (isInputError(error)) return invalidInput(error);
+  if (error instanceof AccessError) return { error: error.message };
+  if (isConflict(error)) return { error: CONFLICT_MESSAGE };
+  console.error(`${fallback}:`, error);
+  return { error: fallback };
+}
+
+// Get a page of todos, filtered, searched and sorted on the server
+app.get('/api/todos', validateOperation('GET /api/todos'), async (req, res) => {
+  try {
+    const { todos } = req.app.locals.storage;
+    res.json(await todos.list(req.user, req.query));
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching todos:', error);
+    res.status(500).json({ error: 'Failed to fetch todos' });
+  }
+});
+
+// Create new todo
+app.post('/api/todos', validateOperation('POST /api/todos'), async (req, res) => {
+  try {
+    const { todos } = req.app.locals.storage;
+    const { todo, audience } = await todos.create(req.user, req.body);
+    publish(req, 'todo.created', { todo }, audience);
+    res.status(201).json(todo);
+  } catch (error) {
+    if (isInputError(error)) {
+      return res.status(422).json(invalidInput(error));
+    }
+    if (error instanceof AccessError) {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('Error creating todo:', error);
+    res.status(500).json({ error: 'Failed to create todo' });
+  }
+});
+
+// Get one todo, with its revision as the ETag. A matching If-None-Match
+// answers 304.
+app.get('/api/todos/:id', validateOperation('GET /api/todos/{id}'), async (req, res) => {
+  try {
+    const { todos } = req.app.locals.storage;
+    const todo = await todos.get(req.user, req.params.id);
+
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found' });
+    }
+
+    res.set('ETag', etag(todo));
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.json(todo);
+  } catch (error) {
+    console.error('Error fetching todo:', error);
+    res.status(500).json({ error: 'Failed to fetch todo' });
+  }
+});
+
+// Update todo: PATCH with the fields to change, or as a JSON Merge Patch
+// (application/merge-patch+json), which can also reset fields with null.
+// PUT takes the same partial updates, for older clients. Send the todo's
+// ETag in If-Match to only update the version the edit was based on; a
+// stale one gets a 409 with the current todo.
+async function updateTodo(req, res) {
+  try {
+    const { todos } = req.app.locals.storage;
+    const isMergePatch = req.method === 'PATCH' && req.is('application/merge-patch+json');
+    let updates = isMergePatch ? null : await todos.parseUpdates(req.user, req.body);
+    const todo = await todos.get(req.user, req.params.id, { minRole: 'editor' });
+
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found' });
+    }
+
+    // Replayed offline edits may carry the updatedAt they were made against
+    // instead of an ETag
+    if (!matchesIfMatch(req.get('If-Match'), todo) || isNewerThan(todo, req.body.baseUpdatedAt)) {
+      return sendConflict(res, todo);
+    }
+
+    // A merge patch can only be read against the todo it applies to
+    if (isMergePatch) {
+      updates = await todos.parseUpdates(req.user, mergePatchUpdates(todo, req.body));
+    }
+
+    const {
+      todo: updatedTodo,
+      previousStatus,
+      nextTodo,
+      audience
+    } = await todos.update(req.user, todo, updates);
+    publish(req, 'todo.updated', { todo: updatedTodo, previousStatus }, audience);
+    if (nextTodo) publish(req, 'todo.created', { todo: nextTodo }, audience);
+
+    res.set('ETag', etag(updatedTodo));
+    res.json(updatedTodo);
+  } catch (error) {
+    if (isInputError(error)) {
+      return res.status(422).json(invalidInput(error));
+    }
+    if (error instanceof AccessError) {
+      return res.status(403).json({ error: error.message });
+    }
+    if (isConflict(error)) {
+      return sendConflict(res, await req.app.locals.storage.todos.get(req.user, req.params.id));
+    }
+    console.error('Error updating todo:', error);
+    res.status(500).json({ error: 'Failed to update todo' });
+  }
+}
+
+app.patch('/api/todos/:id', validateOperation('PATCH /api/todos/{id}'), updateTodo);
+app.put('/api/todos/:id', validateOperation('PUT /api/todos/{id}'), updateTodo);
+
+// Bulk create/update/delete in one request. Body (each part optional):
+//   { create: [todo, ...], update: { ids: [...], patch: {...} }, delete: [id, ...] }
+// Items succeed or fail on their own; the response has one result per item,
+// in request order. Other clients get a single todos.changed event.
+app.post('/api/todos/bulk', validateOperation('POST /api/todos/bulk'), async (req, res) => {
+  try {
+    const { todos } = req.app.locals.storage;
+    const { create = [], update = null, delete: remove = [] } = req.body || {};
+
+    const updateIds = update ? update.ids : [];
+    const itemCount = create.length + updateIds.length + remove.length;
+    if (itemCount === 0) {
+      return res.status(400).json({ error: 'Nothing to do' });
+    }
+    if (itemCount > BULK_LIMIT) {
+      return res.status(400).json({ error: `At most ${BULK_LIMIT} items per request` });
+    }
+
+    // The patch is the same for every todo, so reject a bad one up front
+    const updates = update ? await todos.parseUpdates(req.user, update.patch) : null;
+
+    const audience = [];
+
+    const created = [];
+    for (const input of create) {
+      try {
+        const result = await todos.create(req.user, input);
+        audience.push(...result.audience);
+        created.push({ ok: true, todo: result.todo });
+      } catch (error) {
+        created.push({ ok: false, ...bulkItemError(error, 'Failed to create todo') });
+      }
+    }
+
+    const updated = [];
+    for (const id of updateIds) {
+      try {
+        const todo = await todos.get(req.user, id, { minRole: 'editor' });
+        if (!todo) {
+          updated.push({ id, ok: false, error: 'Todo not found' });
+          continue;
+        }
+
+        const result = await todos.update(req.user, todo, updates);
+        audience.push(...result.audience);
+        updated.push({ id, ok: true, todo: result.todo, ...(result.nextTodo && { nextTodo: result.nextTodo }) });
+      } catch (error) {
+        updated.push({ id, ok: false, ...bulkItemError(error, 'Failed to update todo') });
+      }
+    }
+
+    // Deleted todos go to the trash, like single deletes
+    const deleted = [];
+    for (const id of remove) {
+      try {
+        const todo = await todos.get(req.user, id, { minRole: 'editor' });
+        if (!todo) {
+          deleted.push({ id, ok: false, error: 'Todo not found' });
+          continue;
+        }
+
+        const result = await todos.remove(req.user, todo);
+        audience.push(...result.audience);
+        deleted.push({ id, ok: true, todo: result.todo });
+      } catch (error) {
+        deleted.push({ id, ok: false, ...bulkItemError(error, 'Failed to delete todo') });
+      }
+    }
+
+    const results = [...created, ...updated, ...deleted];
+    if (results.some(result => result.ok)) {
+      publish(req, 'todos.changed', {}, audience);
+    }
+
+    res.json({
+      created,
+      updated,
+      deleted,
+      succeeded: results.filter(result => result.ok).length,
+      failed: results.filter(result => !result.ok).length
+    });
+  } catch (error) {
+    if (isInputError(error)) {
+      return res.status(422).json(invalidInput(error));
+    }
+    if (error instanceof AccessError) {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('Error running bulk operation:', error);
+    res.status(500).json({ error: 'Failed to run bulk operation' });
+  }
+});
+
+// Reorder todos. Body: { moves: [{ id, afterId, beforeId, status }] } where
+// afterId/beforeId name the todos the moved one should sit between (either
+// may be omitted) and status optionally moves it to another column. Moves
+// are applied in order; positions are computed here from the neighbours'
+// current values, so concurrent inserts never collide with a move.
+app.post('/api/todos/reorder', validateOperation('POST /api/todos/reorder'), async (req, res) => {
+  try {
+    const { moves } = req.body;
+
+    // Neighbours only need to be visible; the moved todo must be editable
+    const findNeighbour = id => (id ? findTodo(req.user._id, id) : null);
+    const updated = [];
+
+    for (const move of moves) {
+      const [todo, prev, next] = await Promise.all([
+        findTodo(req.user._id, move.id, { minRole: 'editor' }),
+        findNeighbour(move.afterId),
+        findNeighbour(move.beforeId)
+      ]);
+
+      if (!todo || (move.afterId && !prev) || (move.beforeId && !next)) {
+        return res.status(404).json({ error: 'Todo not found', updated });
+      }
+
+      // Positions are kept per owner, who is the same for a whole list
+      await Todo.backfillPositions(todo.owner);
+
+      const previousStatus = todo.status;
+      todo.position = await Todo.positionBetween(todo.owner, prev, next, todo._id);
+      if (move.status) todo.status = move.status;
+      todo.$locals.actor = req.user._id;
+      await todo.save();
+
+      let nextTodo = null;
+      if (previousStatus !== 'completed' && todo.status === 'completed') {
+        nextTodo = await todo.createNextOccurrence();
+      }
+
+      const audience = await listAudience([todo.list]);
+      publish(req, 'todo.updated', { todo, previousStatus }, audience);
+      if (nextTodo) publish(req, 'todo.created', { todo: nextTodo }, audience);
+
+      updated.push(todo);
+    }
+
+    res.json({ todos: updated });
+  } catch (error) {
+    if (error instanceof AccessError) {
+      return res.status(403).json({ error: error.message });
+    }
+    if (isConflict(error)) {
+      return res.status(409).json({ error: CONFLICT_MESSAGE });
+    }
+    console.error('Error reordering todos:', error);
+    res.status(500).json({ error: 'Failed to reorder todos' });
+  }
+});
+
+// Subtasks (checklist steps) of a todo
+app.use('/api/todos/:id/subtasks', subtaskRoutes);
+
+// Change history of a todo
+app.use('/api/todos/:id/history', historyRoutes);
+
+// Snoozing reminders that went off
+app.use('/api/todos/:id/reminders', reminderRoutes);
+
+// Delete todo. Takes If-Match like updates do.
+app.delete('/api/todos/:id', validateOperation('DELETE /api/todos/{id}'), async (req, res) => {
+  try {
+    const { todos } = req.app.locals.storage;
+    const todo = await todos.get(req.user, req.params.id, { minRole: 'editor' });
+
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found' });
+    }
+
+    if (!matchesIfMatch(req.get('If-Match'), todo) || isNewerThan(todo, req.query.baseUpdatedAt)) {
+      return sendConflict(res, todo);
+    }
+
+    // Soft delete: the todo stays in the trash until restored or purged
+    const { todo: deletedTodo, audience } = await todos.remove(req.user, todo);
+
+    publish(req, 'todo.deleted', { todo: deletedTodo }, audience);
+    res.json({ message: 'Todo moved to trash', todo: deletedTodo });
+  } catch (error) {
+    if (error instanceof AccessError) {
+      return res.status(403).json({ error: error.message });
+    }
+    if (isConflict(error)) {
+      return sendConflict(res, await req.app.locals.storage.todos.get(req.user, req.params.id));
+    }
+    console.error('Error deleting todo:', error);
+    res.status(500).json({ error: 'Failed to delete todo' });
+  }
+});
+
+// Clear todos into the trash: those in ?list=<id> (editors may), or without
+// it every list the user owns. They share one deletedAt, which the response
+// returns so the batch can be restored together.
+app.delete('/api/todos', validateOperation('DELETE /api/todos'), async (req, res) => {
+  try {
+    const { todos } = req.app.locals.storage;
+    const result = await todos.clear(req.user, { list: req.query.list });
+
+    if (!result) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    result.lists.forEach(({ list, audience }) => publish(req, 'todos.cleared', { list }, audience));
+    res.json({
+      message: 'All todos moved to trash',
+      deletedCount: result.deletedCount,
+      deletedAt: result.deletedAt
+    });
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof AccessError) {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('Error clearing todos:', error);
+    res.status(500).json({ error: 'Failed to clear todos' });
+  }
+});
+
+// 404 handler (API only; let frontend handle non-API routes)
+app.use('/api', (req, res) => {
+  res.status(404).json({ error: 'Route not found' });
+});
+
+// Error handler
+app.use((err, req, res, next) => {
+  // Bodies express.json() couldn't read
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large' });
+  }
+  console.error('Server error:', err);
+  res.status(500).json({ error: 'Internal server error' });
+});
+
+module.exports = app;
@@ -0,0 +1,67 @@
+const Todo = require('../models/Todo');
+const { hub } = require('../utils/events');
+const { listAudience } = require('../utils/listAccess');
+
+const REMINDER_INTERVAL_SECONDS = Number(process.env.REMINDER_INTERVAL_SECONDS || 30);
+
+// Assigned todos remind their assignee; others everyone on the list
+async function reminderAudience(todo) {
+  if (todo.assignee) return [todo.assignee];
+  const audience = await listAudience([todo.list]);
+  return audience.length ? audience : [todo.owner];
+}
+
+/**
+ * Sends a `reminder` event for every reminder that has come due. Each one
+ * is claimed by setting its firedAt before it is sent, so it goes out at
+ * most once, even across restarts or several server processes. Reminders
+ * of completed or trashed todos are claimed without being sent. Others
+ * stay pending until someone they are for is connected to this process,
+ * so a user who was offline gets them when they come back.
+ */
+async function deliverDueReminders() {
+  const now = new Date();
+  const todos = await Todo.find({
+    reminders: { $elemMatch: { firedAt: null, remindAt: { $lte: now } } }
+  });
+
+  let delivered = 0;
+  for (const todo of todos) {
+    const due = todo.reminders.filter(reminder => !reminder.firedAt && reminder.remindAt <= now);
+    const silent = Boolean(todo.deletedAt) || todo.status === 'completed';
+    const audience = silent ? [] : await reminderAudience(todo);
+    if (!silent && !audience.some(userId => hub.isConnected(userId))) continue;
+
+    for (const reminder of due) {
+      // A new revision, so a save by a client holding the old reminders
+      // conflicts rather than re-arming this one
+      const claim = await Todo.updateOne(
+        { _id: todo._id, reminders: { $elemMatch: { _id: reminder._id, firedAt: null } } },
+        { $set: { 'reminders.$.firedAt': now }, $inc: { revision: 1 } }
+      );
+      if (claim.modifiedCount === 0 || silent) continue;
+
+      audience.forEach(userId => hub.publish(userId, 'reminder', { todo, reminder }));
+      delivered++;
+    }
+  }
+  return delivered;
+}
+
+// Checks for due reminders now and then on an interval that doesn't keep
+// the process alive
+function startReminders() {
+  const run = () => deliverDueReminders().catch((error) => {
+    console.error('Error delivering reminders:', error);
+  });
+
+  run();
+  const timer = setInterval(run, REMINDER_INTERVAL_SECONDS * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  deliverDueReminders,
+  startReminders
+};
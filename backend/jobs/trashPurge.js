@@ -0,0 +1,52 @@
+const Todo = require('../models/Todo');
+const TodoChange = require('../models/TodoChange');
+
+// Trashed todos are deleted for good once they've been in the trash this
+// many days. 0 keeps them until the user empties the trash.
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+const PURGE_INTERVAL_MINUTES = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES || 60);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When a todo trashed at `deletedAt` will be purged, or null if never
+function purgeDate(deletedAt) {
+  if (!RETENTION_DAYS || !deletedAt) return null;
+  return new Date(new Date(deletedAt).getTime() + RETENTION_DAYS * DAY_MS);
+}
+
+async function purgeExpiredTrash() {
+  if (!RETENTION_DAYS) return 0;
+
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * DAY_MS);
+  const expired = await Todo.find({ deletedAt: { $ne: null, $lte: cutoff } }, { _id: 1 });
+  const ids = expired.map(todo => todo._id);
+
+  const result = await Todo.deleteMany({ _id: { $in: ids } });
+  await TodoChange.deleteMany({ todo: { $in: ids } });
+
+  if (result.deletedCount > 0) {
+    console.log(`🗑️  Purged ${result.deletedCount} todos from the trash`);
+  }
+  return result.deletedCount;
+}
+
+// Runs the purge now and then on an interval that doesn't keep the process alive
+function startTrashPurge() {
+  if (!RETENTION_DAYS) return null;
+
+  const run = () => purgeExpiredTrash().catch((error) => {
+    console.error('Error purging trash:', error);
+  });
+
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  purgeDate,
+  purgeExpiredTrash,
+  startTrashPurge
+};
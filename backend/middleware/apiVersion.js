@@ -0,0 +1,124 @@
+// /api/v1: the same routes as /api, answering in one envelope (after
+// JSON:API) whatever the route:
+//   { data, meta }                                      on success
+//   { errors: [{ status, detail, source }], meta }      on failure
+// meta is left out when there is nothing in it. /api keeps its bare
+// bodies for the clients written against it.
+
+const { errorBody } = require('./validate');
+
+const API_PREFIX = '/api';
+const VERSION_PREFIX = '/api/v1';
+
+// Which property of a route's /api body is the data in /api/v1; the rest
+// of the body is meta. null: it is all meta. Routes that aren't listed
+// answer with their whole body as the data.
+const DATA_PROPERTIES = {
+  'GET /api/auth/me': 'user',
+  'GET /api/todos': 'todos',
+  'DELETE /api/todos': null,
+  'DELETE /api/todos/{id}': 'todo',
+  'POST /api/todos/reorder': 'todos',
+  'GET /api/todos/{id}/history': 'changes',
+  'GET /api/activity': 'changes',
+  'DELETE /api/categories/{id}': 'category',
+  'DELETE /api/lists/{id}': 'list',
+  'DELETE /api/lists/{id}/invites/{inviteId}': 'invite',
+  'GET /api/trash': 'todos',
+  'POST /api/trash/restore': 'todos',
+  'DELETE /api/trash/{id}': 'todo',
+  'DELETE /api/trash': null
+};
+
+const DATA_ROUTES = Object.entries(DATA_PROPERTIES).map(([key, property]) => {
+  const [method, template] = key.split(' ');
+  return { method, pattern: new RegExp(`^${template.replace(/\{[^}]+\}/g, '[^/]+')}$`), property };
+});
+
+// Sparse fieldsets: ?fields=title,status
+const FIELDS_PATTERN = /^\w+(,\w+)*$/;
+
+function dataProperty(method, pathname) {
+  const route = DATA_ROUTES.find(({ method: routeMethod, pattern }) => routeMethod === method && pattern.test(pathname));
+  return route ? route.property : undefined;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Only the given properties of a resource (and always its _id)
+function pickFields(resource, fields) {
+  const json = typeof resource?.toJSON === 'function' ? resource.toJSON() : resource;
+  if (!isPlainObject(json)) return json;
+  return Object.fromEntries(Object.entries(json).filter(([name]) => name === '_id' || fields.includes(name)));
+}
+
+function toDocument(body, property, fields) {
+  let data = body;
+  let meta = {};
+  if (property === null) {
+    data = null;
+    meta = body;
+  } else if (property !== undefined && isPlainObject(body)) {
+    ({ [property]: data, ...meta } = body);
+  }
+
+  if (fields && data !== null) {
+    data = Array.isArray(data) ? data.map(item => pickFields(item, fields)) : pickFields(data, fields);
+  }
+  return Object.keys(meta).length ? { data, meta } : { data };
+}
+
+// Where in the request an error is: a JSON Pointer into the body, or the
+// query or path parameter. Input errors without a field point at the
+// whole body.
+function errorSource({ location, field }) {
+  if (location === 'query' || location === 'params') return { parameter: field };
+  return { pointer: field ? `/${field.split('.').join('/')}` : '' };
+}
+
+// Error bodies are { error, errors: [{ location, field, message }] } with
+// the per-field list only for invalid input. Anything else they carry
+// (the current todo of a 409, ...) becomes meta.
+function toErrorDocument(status, body) {
+  const { error, errors, ...meta } = isPlainObject(body) ? body : { error: String(body) };
+  const problems = errors?.length
+    ? errors.map(item => ({ status: String(status), detail: item.message, source: errorSource(item) }))
+    : [{ status: String(status), detail: error }];
+  return Object.keys(meta).length ? { errors: problems, meta } : { errors: problems };
+}
+
+/**
+ * Serves /api/v1/... with the /api route of the same path, wrapping what
+ * it sends in the envelope. Must run before the routes, outside any
+ * mount path: the request is rewritten to /api for the rest of the app.
+ */
+function apiVersion(req, res, next) {
+  const [pathname, search] = req.url.split(/\?(.*)/s);
+  if (pathname !== VERSION_PREFIX && !pathname.startsWith(`${VERSION_PREFIX}/`)) return next();
+
+  const query = new URLSearchParams(search);
+  const fields = query.getAll('fields');
+  query.delete('fields');
+
+  const apiPath = `${API_PREFIX}${pathname.slice(VERSION_PREFIX.length)}`;
+  req.url = fields.length ? `${apiPath}${query.size ? `?${query}` : ''}` : `${apiPath}${search ? `?${search}` : ''}`;
+
+  const property = dataProperty(req.method, apiPath.replace(/\/$/, '') || API_PREFIX);
+  const sendJson = res.json.bind(res);
+  res.json = body => sendJson(res.statusCode >= 400
+    ? toErrorDocument(res.statusCode, body)
+    : toDocument(body, property, fields.length ? fields[0].split(',') : null));
+
+  if (fields.length > 1 || (fields.length && !FIELDS_PATTERN.test(fields[0]))) {
+    return res.status(400).json(errorBody([{
+      location: 'query',
+      field: 'fields',
+      message: 'Fields must be one comma-separated list of field names'
+    }]));
+  }
+  next();
+}
+
+module.exports = { apiVersion };
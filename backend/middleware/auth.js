@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '7d';
+
+let secret = process.env.JWT_SECRET;
+if (!secret) {
+  // Tokens signed with a throwaway secret stop working after a restart
+  console.warn('⚠️  JWT_SECRET is not set; using a random secret for this process');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+function signToken(user) {
+  return jwt.sign({ sub: user._id.toString() }, secret, { expiresIn: TOKEN_TTL });
+}
+
+function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// Rejects the request with 401 unless it carries a valid token for an existing user
+async function requireAuth(req, res, next) {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, secret);
+  } catch (error) {
+    // Expired and not-yet-valid tokens are JsonWebTokenErrors too
+    if (error instanceof jwt.JsonWebTokenError) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    return next(error);
+  }
+
+  // A storage that can't be reached is a server error, not a sign-out
+  try {
+    const user = await req.app.locals.storage.users.findById(payload.sub);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// EventSource can't send headers, so the event stream may carry the token
+// as ?access_token=. Only mount this on routes that need it: query strings
+// end up in logs more easily than headers.
+function requireStreamAuth(req, res, next) {
+  if (!req.get('Authorization') && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  return requireAuth(req, res, next);
+}
+
+module.exports = { signToken, requireAuth, requireStreamAuth };
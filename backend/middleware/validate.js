@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { fullFormats } = require('ajv-formats/dist/formats');
+const openapi = require('../openapi');
+const { object } = require('../schemas/common');
+
+// Registers the formats the schemas use on an Ajv instance
+function addSchemaFormats(ajv) {
+  addFormats(ajv, ['date', 'date-time']);
+  ajv.addFormat('objectId', /^[0-9a-fA-F]{24}$/);
+  ajv.addFormat('color', /^#[0-9a-fA-F]{6}$/);
+  // Due dates are a day (YYYY-MM-DD) or an exact moment
+  ajv.addFormat('due-date', value => fullFormats.date.validate(value) || fullFormats['date-time'].validate(value));
+  return ajv;
+}
+
+const ajv = addSchemaFormats(new Ajv({ allErrors: true, allowUnionTypes: true }));
+
+// For responses, checked against the whole description so its $refs
+// resolve; not strict, as most of the document isn't JSON Schema
+const specAjv = addSchemaFormats(new Ajv({ allErrors: true, allowUnionTypes: true, strict: false }));
+specAjv.addSchema(openapi, 'openapi');
+
+// Literal paths first, so /api/todos/bulk isn't taken for /api/todos/{id}
+const PATH_TEMPLATES = Object.keys(openapi.paths)
+  .sort((a, b) => a.includes('{') - b.includes('{'))
+  .map(template => ({ template, pattern: new RegExp(`^${template.replace(/\{[^}]+\}/g, '[^/]+')}$`) }));
+
+// Where validate() finds each kind of OpenAPI parameter
+const PARAMETER_LOCATIONS = { path: 'params', query: 'query' };
+
+const FORMAT_MESSAGES = {
+  objectId: 'must be an ID',
+  color: 'must be a color like #667eea',
+  date: 'must be a date (YYYY-MM-DD)',
+  'date-time': 'must be an ISO 8601 date and time',
+  'due-date': 'must be a date (YYYY-MM-DD) or an ISO 8601 date and time'
+};
+
+// Patterns are only used for these; anything else gets a generic message
+const PATTERN_MESSAGES = {
+  '\\S': 'cannot be blank',
+  '^\\d+$': 'must be a whole number',
+  '^[a-zA-Z0-9._-]+$': 'may only contain letters, digits, ".", "_" and "-"'
+};
+
+// Errors that only say "a branch failed"; the branch's own errors say why
+const WRAPPER_KEYWORDS = ['if', 'anyOf', 'oneOf'];
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object',
+  null: 'null'
+};
+
+// "dueDate" -> "Due date", "create.0.title" -> "Title"
+function label(field) {
+  const name = field.split('.').reverse().find(part => !/^\d+$/.test(part));
+  if (!name) return 'Request body';
+  const words = name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function describeSchemaError({ keyword, params, message }) {
+  switch (keyword) {
+    case 'type':
+      return `must be ${String(params.type).split(',').map(type => TYPE_NAMES[type]).join(' or ')}`;
+    case 'enum':
+      return `must be one of: ${params.allowedValues.join(', ')}`;
+    case 'required':
+      return 'is required';
+    case 'minLength':
+      return params.limit === 1 ? 'cannot be empty' : `must be at least ${params.limit} characters`;
+    case 'maxLength':
+      return `must be at most ${params.limit} characters`;
+    case 'minimum':
+      return `must be at least ${params.limit}`;
+    case 'maximum':
+      return `must be at most ${params.limit}`;
+    case 'minItems':
+      return params.limit === 1 ? 'cannot be empty' : `must have at least ${params.limit} items`;
+    case 'maxItems':
+      return `must have at most ${params.limit} items`;
+    case 'format':
+      return FORMAT_MESSAGES[params.format] || message;
+    case 'pattern':
+      return PATTERN_MESSAGES[params.pattern] || 'is not in the expected format';
+    default:
+      return message;
+  }
+}
+
+// One entry per field, keeping the first problem found with it
+function toFieldErrors(ajvErrors, location) {
+  const byField = new Map();
+
+  for (const error of ajvErrors) {
+    if (WRAPPER_KEYWORDS.includes(error.keyword)) continue;
+
+    const path = error.instancePath.split('/').slice(1);
+    if (error.keyword === 'required') path.push(error.params.missingProperty);
+    if (error.keyword === 'additionalProperties') path.push(error.params.additionalProperty);
+
+    const field = path.join('.');
+    if (byField.has(field)) continue;
+    const message = error.keyword === 'additionalProperties'
+      ? `Unknown field "${field}"`
+      : `${label(field)} ${describeSchemaError(error)}`;
+    byField.set(field, { location, field, message });
+  }
+
+  return [...byField.values()];
+}
+
+// The body every 400/422 carries: a readable summary plus the per-field list
+function errorBody(errors) {
+  return { error: errors.map(error => error.message).join('; '), errors };
+}
+
+/**
+ * Checks `req.params`, `req.query` and/or `req.body` against the given
+ * JSON Schemas and answers 400 with every problem, per field, instead of
+ * calling the route:
+ *   { error: 'Title cannot be blank', errors: [{ location, field, message }] }
+ */
+function validate(schemas) {
+  const checks = Object.entries(schemas).map(([location, schema]) => [location, ajv.compile(schema)]);
+
+  return (req, res, next) => {
+    const errors = checks.flatMap(([location, check]) =>
+      check(req[location] ?? {}) ? [] : toFieldErrors(check.errors, location)
+    );
+
+    if (errors.length) {
+      return res.status(400).json(errorBody(errors));
+    }
+    next();
+  };
+}
+
+/**
+ * validate() for an operation in openapi.js, given as "METHOD /path":
+ *   router.put('/:id', validateOperation('PUT /api/todos/{id}'), ...)
+ * Checks its path and query parameters, allowing no others, and its
+ * request body against the schema for the body's media type (the first
+ * one described when it has none of them).
+ */
+function validateOperation(key) {
+  const [method, template] = key.split(' ');
+  const operation = openapi.paths[template]?.[method.toLowerCase()];
+  if (!operation) {
+    throw new Error(`${key} is not described in openapi.js`);
+  }
+
+  const schemas = {};
+  for (const [location, reqProperty] of Object.entries(PARAMETER_LOCATIONS)) {
+    const params = (operation.parameters || []).filter(param => param.in === location);
+    if (!params.length) continue;
+
+    schemas[reqProperty] = object(
+      Object.fromEntries(params.map(param => [param.name, param.schema])),
+      params.filter(param => param.required).map(param => param.name)
+    );
+  }
+  const checks = Object.entries(operation.requestBody?.content || {})
+    .map(([mediaType, { schema }]) => [mediaType, validate({ ...schemas, body: schema })]);
+  if (!checks.length) return validate(schemas);
+
+  return (req, res, next) => {
+    const [, check] = checks.find(([mediaType]) => req.is(mediaType)) || checks[0];
+    check(req, res, next);
+  };
+}
+
+// JSON Pointer into the description, escaped for use in a URI fragment
+function specPointer(...segments) {
+  return segments.map(segment => encodeURIComponent(String(segment).replace(/~/g, '~0').replace(/\//g, '~1'))).join('/');
+}
+
+/**
+ * Why a response doesn't match openapi.js, or null when it does: the
+ * status must be described for the operation and a JSON body must match
+ * that response's schema. Paths the description leaves out always match.
+ */
+function responseProblem(method, pathname, status, body) {
+  const match = PATH_TEMPLATES.find(({ pattern }) => pattern.test(pathname));
+  if (!match) return null;
+
+  const key = `${method.toUpperCase()} ${match.template}`;
+  const operation = openapi.paths[match.template][method.toLowerCase()];
+  if (!operation) return `${key} is not described`;
+
+  const response = operation.responses[status];
+  if (!response) return `${key} has no ${status} response`;
+  if (!response.content || body === undefined) return null;
+
+  const check = specAjv.getSchema(`openapi#/${specPointer('paths', match.template, method.toLowerCase(), 'responses', status, 'content', 'application/json', 'schema')}`);
+  return check(body) ? null : `${key} ${status}: ${specAjv.errorsText(check.errors)}`;
+}
+
+// Logs JSON responses that don't match openapi.js, to catch drift during
+// development. Serializes every body once more, so it is off by default.
+// /api/v1 responses are checked as the route sent them, before they get
+// their envelope.
+function checkResponses(req, res, next) {
+  const sendJson = res.json.bind(res);
+  const pathname = req.baseUrl + req.path;
+
+  res.json = (body) => {
+    const problem = responseProblem(req.method, pathname, res.statusCode, JSON.parse(JSON.stringify(body)));
+    if (problem) {
+      console.error('⚠️  Response does not match openapi.js:', problem);
+    }
+    return sendJson(body);
+  };
+  next();
+}
+
+function describeModelError(error) {
+  const name = label(error.path);
+  const { properties = {} } = error;
+
+  if (error instanceof mongoose.Error.CastError) return `${name} is not valid`;
+  switch (error.kind) {
+    case 'required':
+      return `${name} is required`;
+    case 'enum':
+      return `${name} must be one of: ${properties.enumValues.join(', ')}`;
+    case 'minlength':
+      return `${name} must be at least ${properties.minlength} characters`;
+    case 'maxlength':
+      return `${name} must be at most ${properties.maxlength} characters`;
+    case 'min':
+      return `${name} must be at least ${properties.min}`;
+    case 'max':
+      return `${name} must be at most ${properties.max}`;
+    case 'regexp':
+      return `${name} is not in the expected format`;
+    default:
+      return error.message;
+  }
+}
+
+/**
+ * The 422 body for input that passed the schema but not the model or a
+ * route's own rules: a Mongoose ValidationError or CastError, or an error
+ * with a `field` (TodoInputError, RecurrenceError, ...).
+ */
+function invalidInput(error) {
+  if (error instanceof mongoose.Error.ValidationError) {
+    return errorBody(Object.values(error.errors).map(err => ({ field: err.path, message: describeModelError(err) })));
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    return errorBody([{ field: error.path, message: describeModelError(error) }]);
+  }
+  return errorBody([{ field: error.field || null, message: error.message }]);
+}
+
+function isModelError(error) {
+  return error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError;
+}
+
+module.exports = {
+  addSchemaFormats,
+  validate,
+  validateOperation,
+  responseProblem,
+  checkResponses,
+  errorBody,
+  invalidInput,
+  isModelError
+};
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Seeded for every user; mirrors the categories that used to be hard-coded
+const DEFAULT_CATEGORIES = [
+  { name: 'General', icon: '📋', color: '#667eea' },
+  { name: 'Work', icon: '💼', color: '#3b82f6' },
+  { name: 'Personal', icon: '👤', color: '#8b5cf6' },
+  { name: 'Shopping', icon: '🛒', color: '#f59e0b' },
+  { name: 'Health', icon: '💪', color: '#10b981' },
+  { name: 'Study', icon: '📚', color: '#ef4444' }
+];
+
+const categorySchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 40
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: 8,
+    default: '📋'
+  },
+  color: {
+    type: String,
+    match: /^#[0-9a-fA-F]{6}$/,
+    default: '#667eea'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+categorySchema.index({ owner: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+/**
+ * Gives a user the default categories the first time they need them, and
+ * moves any of their todos still carrying a legacy category name (e.g.
+ * "work") onto the matching seeded category. Only ever seeds once: a user
+ * who deleted every category keeps none.
+ */
+categorySchema.statics.ensureDefaults = async function (ownerId) {
+  // Claimed on the user, so of two requests at once only one seeds
+  const claim = await mongoose.model('User').updateOne(
+    { _id: ownerId, categoriesSeeded: { $ne: true } },
+    { $set: { categoriesSeeded: true } }
+  );
+  // Users from before the flag may have categories already
+  if (claim.modifiedCount === 0 || await this.exists({ owner: ownerId })) return;
+
+  const created = await this.insertMany(
+    DEFAULT_CATEGORIES.map(category => ({ ...category, owner: ownerId }))
+  );
+
+  // Raw driver update: legacy string values would fail the ObjectId cast
+  const todos = mongoose.model('Todo').collection;
+  await Promise.all(created.map(category =>
+    todos.updateMany(
+      { owner: ownerId, category: category.name.toLowerCase() },
+      { $set: { category: category._id } }
+    )
+  ));
+};
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// Every user has at least this list; todos from before lists existed end up here
+const DEFAULT_LIST = { name: 'Inbox', icon: '📥', color: '#667eea' };
+
+// Roles from least to most access. The owner isn't stored as a member.
+const ROLES = ['viewer', 'editor', 'owner'];
+
+// A collaborator the owner shared the list with
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['editor', 'viewer'],
+    default: 'editor'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const listSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: 8,
+    default: '📋'
+  },
+  color: {
+    type: String,
+    match: /^#[0-9a-fA-F]{6}$/,
+    default: '#667eea'
+  },
+  members: {
+    type: [memberSchema],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+listSchema.index({ owner: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+listSchema.index({ 'members.user': 1 });
+
+listSchema.statics.ROLES = ROLES;
+
+// Query filter for the lists a user owns or was added to
+listSchema.statics.visibleTo = function (userId) {
+  return { $or: [{ owner: userId }, { 'members.user': userId }] };
+};
+
+// The user's role on this list, or null when they have no access
+listSchema.methods.roleOf = function (userId) {
+  const id = userId._id || userId;
+  if ((this.owner._id || this.owner).equals(id)) return 'owner';
+  const member = this.members.find(m => (m.user._id || m.user).equals(id));
+  return member ? member.role : null;
+};
+
+// Everyone who should hear about changes to the list's todos
+listSchema.methods.audience = function () {
+  return [this.owner._id || this.owner, ...this.members.map(m => m.user._id || m.user)];
+};
+
+/**
+ * Returns the owner's default list (their oldest), creating an Inbox the
+ * first time. Todos without a list, e.g. from before lists existed, are
+ * moved into it when it is created.
+ */
+listSchema.statics.ensureDefault = async function (ownerId) {
+  const list = await this.findOne({ owner: ownerId }).sort({ createdAt: 1, _id: 1 });
+  if (list) return list;
+
+  let created;
+  try {
+    created = await this.create({ ...DEFAULT_LIST, owner: ownerId });
+  } catch (error) {
+    // Another request created it first, and moves the todos
+    if (error.code !== 11000) throw error;
+    return this.findOne({ owner: ownerId }).sort({ createdAt: 1, _id: 1 });
+  }
+
+  // Raw driver update: this is a one-off backfill, not a user change
+  await mongoose.model('Todo').collection.updateMany(
+    { owner: ownerId, list: null },
+    { $set: { list: created._id } }
+  );
+  return created;
+};
+
+module.exports = mongoose.model('List', listSchema);
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Invite links stop working after this many days
+const INVITE_TTL_DAYS = 7;
+
+// A one-time link that adds whoever opens it to a list with the given role.
+// There's no email involved: the owner copies the link and passes it on.
+const listInviteSchema = new mongoose.Schema({
+  list: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    required: true,
+    index: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('base64url')
+  },
+  role: {
+    type: String,
+    enum: ['editor', 'viewer'],
+    default: 'editor'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000)
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Mongo drops expired invites by itself
+listInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+listInviteSchema.methods.isExpired = function () {
+  return this.expiresAt <= new Date();
+};
+
+module.exports = mongoose.model('ListInvite', listInviteSchema);
@@ -1,6 +1,125 @@
 const mongoose = require('mongoose');
+const TodoChange = require('./TodoChange');
+const { FREQUENCIES, WEEKDAYS, anchorRecurrence, nextOccurrence } = require('../utils/recurrence');
+const { MAX_MINUTES_BEFORE, reminderTime } = require('../utils/reminders');
+
+const recurrenceSchema = new mongoose.Schema({
+  freq: {
+    type: String,
+    enum: FREQUENCIES,
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  byWeekday: [{
+    type: String,
+    enum: WEEKDAYS
+  }],
+  // Day of the month monthly and yearly series repeat on
+  byMonthDay: {
+    type: Number,
+    min: 1,
+    max: 31,
+    default: null
+  },
+  until: {
+    type: Date,
+    default: null
+  },
+  count: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // Whose wall clock timed todos repeat on (see utils/recurrence.js)
+  timeZone: {
+    type: String,
+    default: null
+  },
+  utcOffset: {
+    type: Number,
+    min: -840,
+    max: 840,
+    default: null
+  },
+  // 1-based position of this instance within the series
+  occurrence: {
+    type: Number,
+    min: 1,
+    default: 1
+  }
+}, { _id: false });
+
+// Spacing used when positions are (re)assigned in bulk
+const POSITION_STEP = 1024;
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+// Tags are stored lowercase, de-duplicated, as single words of letters,
+// digits, "-" and "_" (a leading "#" is dropped, inner spaces become "-")
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+
+  const normalized = tags
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag
+      .trim()
+      .toLowerCase()
+      .replace(/\s+/g, '-')
+      .replace(/[^\p{L}\p{N}_-]/gu, '')
+      .slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+
+  return [...new Set(normalized)].slice(0, MAX_TAGS);
+}
+
+const subtaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A reminder fires once, at remindAt; firedAt is set when the scheduler
+// delivers it, so restarts never repeat one. Reminders with an offset
+// follow the due date; snoozes (minutesBefore null) have a fixed remindAt.
+const reminderSchema = new mongoose.Schema({
+  minutesBefore: {
+    type: Number,
+    min: 0,
+    max: MAX_MINUTES_BEFORE,
+    default: null
+  },
+  remindAt: {
+    type: Date,
+    default: null
+  },
+  firedAt: {
+    type: Date,
+    default: null
+  }
+});
 
 const todoSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
   title: {
     type: String,
     required: true,
@@ -11,24 +130,357 @@ const todoSchema = new mongoose.Schema({
     enum: ['todo', 'progress', 'completed'],
     default: 'todo'
   },
+  // Set on status changes (see the pre-validate hook), for the stats: when
+  // work on the todo began and when it was completed
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high'],
     default: 'medium'
   },
+  // The list (project) the todo belongs to; set for every todo, legacy
+  // ones are moved to the owner's default list by List.ensureDefault.
+  // `owner` follows the list's owner, so shared todos stay with their list.
+  list: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    default: null
+  },
+  // Someone on the list (owner or member) responsible for the todo
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // null means uncategorized
   category: {
-    type: String,
-    enum: ['general', 'work', 'personal', 'shopping', 'health', 'study'],
-    default: 'general'
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  tags: {
+    type: [String],
+    default: [],
+    set: normalizeTags
   },
   dueDate: {
     type: Date,
     default: null
   },
+  // False for date-only due dates, which count as due for the whole day
+  hasDueTime: {
+    type: Boolean,
+    default: false
+  },
+  reminders: {
+    type: [reminderSchema],
+    default: []
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  subtasks: {
+    type: [subtaskSchema],
+    default: []
+  },
+  // When true, finishing the last open subtask completes the todo itself
+  autoCompleteWithSubtasks: {
+    type: Boolean,
+    default: false
+  },
+  // Set once the follow-up instance of a recurring todo has been created
+  nextOccurrence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    default: null
+  },
+  // Manual order within a status column; lower sorts first. New todos
+  // get -createdAt so they land on top without reading their neighbours.
+  position: {
+    type: Number,
+    default: null
+  },
+  // Set when the todo is moved to the trash; null for live todos. Every
+  // query for live todos filters on `deletedAt: null`.
+  deletedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
+}, {
+  // updatedAt doubles as the version offline clients check conflicts against
+  timestamps: { createdAt: false, updatedAt: 'updatedAt' },
+  // Every saved change bumps `revision` (0 for a new todo), and a save only
+  // applies if the todo is still at the revision it was loaded at; otherwise
+  // it throws a VersionError instead of overwriting someone else's change.
+  // Routes that change todos with updateMany bump it themselves.
+  versionKey: 'revision',
+  optimisticConcurrency: true
 });
 
+// History: every save is compared with the version loaded from the database
+// and the differences are written to TodoChange. Routes may set
+// `todo.$locals.actor` (who made the change) and `todo.$locals.action`
+// / `revertOf` for reverts; bulk updateMany paths record their own entries.
+todoSchema.post('init', function () {
+  this.$locals.tracked = TodoChange.snapshot(this);
+});
+
+todoSchema.pre('save', function () {
+  const before = this.isNew ? {} : this.$locals.tracked || {};
+  const after = TodoChange.snapshot(this);
+  // A new todo's empty defaults aren't worth listing as changes
+  const changes = TodoChange.diff(before, after).filter(change => !this.isNew || (
+    change.after !== false && !(Array.isArray(change.after) && change.after.length === 0)
+  ));
+
+  let action = this.$locals.action || (this.isNew ? 'created' : 'updated');
+  if (before.deletedAt === null && after.deletedAt !== null) action = 'deleted';
+  if (before.deletedAt && after.deletedAt === null) action = 'restored';
+
+  this.$locals.tracked = after;
+  this.$locals.pendingChange = changes.length
+    ? {
+      owner: this.owner,
+      todo: this._id,
+      list: this.list,
+      actor: this.$locals.actor || this.owner,
+      action,
+      title: this.title,
+      changes,
+      revertOf: this.$locals.revertOf || null
+    }
+    : null;
+});
+
+// A failed history write is logged rather than failing the change itself
+todoSchema.post('save', async function () {
+  const entry = this.$locals.pendingChange;
+  this.$locals.pendingChange = null;
+  this.$locals.action = null;
+  this.$locals.revertOf = null;
+  if (!entry) return;
+
+  try {
+    await TodoChange.create(entry);
+  } catch (error) {
+    console.error('Error recording todo history:', error);
+  }
+});
+
+// Also backfills todos saved before manual ordering existed, the first
+// time they are saved again
+todoSchema.pre('validate', function () {
+  if (this.position === null) {
+    this.position = -this.createdAt.getTime();
+  }
+});
+
+// The assignee has to be on the todo's list. Moving the todo to a list
+// they aren't on unassigns it instead of failing the move.
+todoSchema.pre('validate', async function () {
+  if (!this.assignee || !this.list) return;
+  if (!this.isModified('assignee') && !this.isModified('list')) return;
+
+  const list = await mongoose.model('List').findById(this.list, { owner: 1, members: 1 });
+  if (list && list.roleOf(this.assignee)) return;
+
+  if (this.isModified('assignee')) {
+    this.invalidate('assignee', 'Assignee must be a member of the list');
+  } else {
+    this.assignee = null;
+  }
+});
+
+// Timestamps status changes. Reopening a todo clears completedAt, and
+// moving it back to "todo" clears startedAt too; a todo completed without
+// being started has no startedAt.
+todoSchema.pre('validate', function () {
+  if (!this.isNew && !this.isModified('status')) return;
+
+  const now = this.isNew ? this.createdAt : new Date();
+  if (this.status === 'todo') {
+    this.startedAt = null;
+    this.completedAt = null;
+  } else if (this.status === 'progress') {
+    this.startedAt = this.startedAt || now;
+    this.completedAt = null;
+  } else {
+    this.completedAt = this.completedAt || now;
+  }
+});
+
+// Keeps reminder times in step with the due date. A reminder whose time
+// has already passed when it is scheduled counts as fired rather than
+// going off late; snoozes are dropped once the due date moves.
+todoSchema.pre('validate', function () {
+  if (!this.isModified('dueDate') && !this.isModified('hasDueTime') && !this.isModified('reminders')) return;
+
+  if (!this.dueDate) {
+    this.reminders = [];
+    return;
+  }
+  if (this.isModified('dueDate') || this.isModified('hasDueTime')) {
+    this.reminders = this.reminders.filter(reminder => reminder.minutesBefore !== null);
+  }
+
+  const now = new Date();
+  this.reminders.forEach(reminder => {
+    if (reminder.minutesBefore === null) return;
+
+    const remindAt = reminderTime(this.dueDate, this.hasDueTime, reminder.minutesBefore);
+    if (reminder.remindAt && reminder.remindAt.getTime() === remindAt.getTime()) return;
+
+    reminder.remindAt = remindAt;
+    reminder.firedAt = remindAt <= now ? now : null;
+  });
+});
+
+/**
+ * Fields of the next instance of a recurring todo, or null if the todo
+ * doesn't repeat, already has its next instance, or its series has ended.
+ */
+todoSchema.methods.nextOccurrenceFields = function () {
+  if (!this.recurrence || this.nextOccurrence) return null;
+
+  const from = this.dueDate || new Date();
+  const timed = Boolean(this.dueDate && this.hasDueTime);
+  const rule = anchorRecurrence(this.recurrence.toObject(), from, { timed });
+  const dueDate = nextOccurrence(rule, from, rule.occurrence, { timed });
+  if (!dueDate) return null;
+
+  return {
+    owner: this.owner,
+    list: this.list,
+    assignee: this.assignee,
+    title: this.title,
+    priority: this.priority,
+    category: this.category,
+    tags: this.tags,
+    dueDate,
+    hasDueTime: this.hasDueTime,
+    reminders: this.reminders
+      .filter(reminder => reminder.minutesBefore !== null)
+      .map(({ minutesBefore }) => ({ minutesBefore })),
+    recurrence: { ...rule, occurrence: rule.occurrence + 1 },
+    subtasks: this.subtasks.map(({ title }) => ({ title })),
+    autoCompleteWithSubtasks: this.autoCompleteWithSubtasks
+  };
+};
+
+/**
+ * Creates the next instance of a recurring todo, at most once per todo.
+ * Returns the new todo, or null if there is none (see nextOccurrenceFields()).
+ */
+todoSchema.methods.createNextOccurrence = async function () {
+  const fields = this.nextOccurrenceFields();
+  if (!fields) return null;
+
+  const next = await this.constructor.create(fields);
+  this.nextOccurrence = next._id;
+  await this.save();
+  return next;
+};
+
+/**
+ * Marks the todo completed if auto-completion is enabled and every subtask
+ * is done. Returns true when the status changed; the caller saves.
+ */
+todoSchema.methods.applySubtaskAutoComplete = function () {
+  const allDone = this.subtasks.length > 0 && this.subtasks.every(subtask => subtask.done);
+
+  if (this.autoCompleteWithSubtasks && allDone && this.status !== 'completed') {
+    this.status = 'completed';
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Gives legacy todos without a position the same -createdAt value new
+ * todos get, so every todo of the owner can be compared by position.
+ */
+todoSchema.statics.backfillPositions = function (ownerId) {
+  return this.updateMany(
+    { owner: ownerId, position: null },
+    [{ $set: { position: { $multiply: [{ $toLong: '$createdAt' }, -1] } } }]
+  );
+};
+
+// Respaces all of an owner's todos evenly, keeping their order. Only
+// needed once repeated midpoint moves have exhausted float precision.
+todoSchema.statics.rebalancePositions = async function (ownerId) {
+  const todos = await this.find({ owner: ownerId }, { _id: 1 }).sort({ position: 1, _id: 1 });
+
+  await this.bulkWrite(todos.map((todo, index) => ({
+    updateOne: {
+      filter: { _id: todo._id },
+      update: { $set: { position: (index + 1) * POSITION_STEP } }
+    }
+  })));
+};
+
+/**
+ * Computes a position that places a todo directly after `prev` and before
+ * `next` (todo documents, either may be null). A missing side is looked up
+ * from the current order, so with neither given the todo goes to the top.
+ * Only the moved todo needs rewriting; when the gap between neighbours is
+ * too small to split, the owner's positions are rebalanced first.
+ */
+todoSchema.statics.positionBetween = async function (ownerId, prev, next, movingId) {
+  const others = { owner: ownerId, deletedAt: null, _id: { $ne: movingId } };
+
+  // A stale client may send neighbours that are no longer in order; trust
+  // `prev` and use whatever follows it now.
+  if (prev && next && prev.position >= next.position) next = null;
+
+  if (prev && !next) {
+    next = await this.findOne({ ...others, position: { $gt: prev.position } }).sort({ position: 1 });
+  } else if (next && !prev) {
+    prev = await this.findOne({ ...others, position: { $lt: next.position } }).sort({ position: -1 });
+  } else if (!prev && !next) {
+    next = await this.findOne(others).sort({ position: 1 });
+  }
+
+  if (!prev && !next) return 0;
+  if (!next) return prev.position + POSITION_STEP;
+  if (!prev) return next.position - POSITION_STEP;
+
+  const mid = (prev.position + next.position) / 2;
+  if (mid > prev.position && mid < next.position) return mid;
+
+  await this.rebalancePositions(ownerId);
+  const [freshPrev, freshNext] = await Promise.all([
+    this.findById(prev._id),
+    this.findById(next._id)
+  ]);
+  return (freshPrev.position + freshNext.position) / 2;
+};
+
+// Supports GET /api/todos: per-user listing, tag filter and text search
+todoSchema.index({ owner: 1, createdAt: -1 });
+todoSchema.index({ owner: 1, tags: 1 });
+todoSchema.index({ owner: 1, status: 1, position: 1 });
+todoSchema.index({ owner: 1, deletedAt: -1 });
+todoSchema.index({ owner: 1, list: 1, createdAt: -1 });
+todoSchema.index({ list: 1, deletedAt: 1, createdAt: -1 });
+todoSchema.index({ assignee: 1, deletedAt: 1 });
+// Due reminders, for the reminder scheduler
+todoSchema.index({ 'reminders.firedAt': 1, 'reminders.remindAt': 1 });
+todoSchema.index(
+  { title: 'text', tags: 'text' },
+  { name: 'todo_text_search', weights: { title: 10, tags: 5 } }
+);
+
 module.exports = mongoose.model('Todo', todoSchema);
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+// Todo fields whose changes are recorded. Ordering fields (position) and
+// bookkeeping (nextOccurrence, timestamps) are left out as noise.
+const TRACKED_FIELDS = [
+  'title',
+  'list',
+  'assignee',
+  'status',
+  'priority',
+  'category',
+  'tags',
+  'dueDate',
+  'recurrence',
+  'subtasks',
+  'autoCompleteWithSubtasks',
+  'deletedAt'
+];
+
+const ACTIONS = ['created', 'updated', 'deleted', 'restored', 'reverted'];
+
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: TRACKED_FIELDS,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+/**
+ * One entry in a todo's history: what happened, who did it, and the
+ * before/after value of every tracked field that changed. Values are stored
+ * as plain JSON (IDs and dates as strings) so any version can be rebuilt by
+ * undoing later entries.
+ */
+const todoChangeSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  todo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: true
+  },
+  // The todo's list at the time, so members of shared lists see the change
+  list: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    default: null
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  // The todo's title after the change, so feeds can show it without a join
+  title: {
+    type: String,
+    default: ''
+  },
+  changes: [fieldChangeSchema],
+  // For 'reverted': the entry whose version the todo went back to
+  revertOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TodoChange',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Plain-JSON copy of a todo's tracked fields
+todoChangeSchema.statics.snapshot = function (todo) {
+  const values = {};
+  TRACKED_FIELDS.forEach(field => {
+    const value = typeof todo.get === 'function' ? todo.get(field) : todo[field];
+    values[field] = value === undefined ? null : JSON.parse(JSON.stringify(value));
+  });
+  return values;
+};
+
+// Field-level differences between two snapshots
+todoChangeSchema.statics.diff = function (before, after) {
+  return TRACKED_FIELDS
+    .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+};
+
+/**
+ * The todo's tracked fields as they were right after `change`, rebuilt
+ * from its current state by undoing every later change (newest first).
+ */
+todoChangeSchema.statics.versionAt = async function (todo, change) {
+  const values = this.snapshot(todo);
+  // ObjectIds sort in creation order, which also breaks same-millisecond ties
+  const later = await this.find({ todo: todo._id, _id: { $gt: change._id } }).sort({ _id: -1 });
+
+  later.forEach(entry => {
+    entry.changes.forEach(({ field, before }) => {
+      values[field] = before;
+    });
+  });
+
+  return values;
+};
+
+/**
+ * Records the same change for many todos at once, for routes that update
+ * with updateMany and so bypass the Todo save hooks. `todos` need _id,
+ * owner, list and title.
+ */
+todoChangeSchema.statics.recordBulk = function (todos, { actor, action, changes }) {
+  const plainChanges = JSON.parse(JSON.stringify(changes));
+  return this.insertMany(todos.map(todo => ({
+    owner: todo.owner,
+    todo: todo._id,
+    list: todo.list || null,
+    actor,
+    action,
+    title: todo.title,
+    changes: plainChanges
+  })));
+};
+
+todoChangeSchema.index({ todo: 1, _id: -1 });
+todoChangeSchema.index({ owner: 1, _id: -1 });
+todoChangeSchema.index({ list: 1, _id: -1 });
+
+module.exports = mongoose.model('TodoChange', todoChangeSchema);
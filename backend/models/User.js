@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const SALT_ROUNDS = 10;
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    minlength: 3,
+    maxlength: 32,
+    match: /^[a-z0-9._-]+$/
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  // Secret for the calendar feed URL (calendar apps can't log in); null
+  // until the user turns the feed on
+  calendarToken: {
+    type: String,
+    default: null,
+    index: { unique: true, partialFilterExpression: { calendarToken: { $type: 'string' } } }
+  },
+  // Set once the default categories were handed out (see
+  // Category.ensureDefaults), so deleting them all doesn't bring them back
+  categoriesSeeded: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+userSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+userSchema.methods.verifyPassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Issues a new feed token; subscriptions using the old one stop working
+userSchema.methods.rotateCalendarToken = function () {
+  this.calendarToken = crypto.randomBytes(24).toString('base64url');
+  return this.save();
+};
+
+// Never leak the password hash in API responses
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.calendarToken;
+    delete ret.categoriesSeeded;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('User', userSchema);
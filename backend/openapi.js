@@ -0,0 +1,624 @@
+// OpenAPI 3.1 description of the accounts and todos API, served at
+// /api/openapi.json and shown at /api/docs. The routes validate requests
+// against it (validateOperation() in middleware/validate.js), and responses
+// are checked against it in tests and with VALIDATE_RESPONSES=true. Its
+// parameters and request bodies are the schemas in schemas/*.js.
+
+const todoSchemas = require('./schemas/todos');
+const authSchemas = require('./schemas/auth');
+const statsSchemas = require('./schemas/stats');
+const { STATUSES, PRIORITIES } = require('./utils/todoQuery');
+const { FREQUENCIES, WEEKDAYS } = require('./utils/recurrence');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const id = { type: 'string', format: 'objectId' };
+const nullableId = { type: ['string', 'null'], format: 'objectId' };
+const dateTime = { type: 'string', format: 'date-time' };
+const nullableDateTime = { type: ['string', 'null'], format: 'date-time' };
+const day = { type: 'string', format: 'date' };
+const count = { type: 'integer', minimum: 0 };
+
+// JSON response with the given schema
+function json(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request, per field where possible',
+  401: 'Not signed in',
+  403: 'Not allowed on this list',
+  404: 'Not found',
+  409: 'Conflict',
+  422: 'Valid request that the data rejects',
+  500: 'Server error',
+  501: 'Not available with the configured storage (see STORAGE)'
+};
+
+// Error responses by status code, e.g. errors(400, 404)
+function errors(...codes) {
+  return Object.fromEntries(codes.map(code => [code, json(ERROR_DESCRIPTIONS[code], ref('Error'))]));
+}
+
+// One parameter per property of an object schema. validateOperation()
+// rebuilds the object, rejecting parameters that aren't listed.
+function parameters(location, schema) {
+  return Object.entries(schema.properties).map(([name, property]) => ({
+    name,
+    in: location,
+    required: schema.required.includes(name),
+    schema: property
+  }));
+}
+
+function body(schema) {
+  return { required: true, content: { 'application/json': { schema } } };
+}
+
+const etagHeader = { ETag: { description: 'The todo\'s revision, for If-Match', schema: { type: 'string' } } };
+
+const ifMatch = {
+  name: 'If-Match',
+  in: 'header',
+  required: false,
+  description: 'Only change the todo if it is still at this ETag; otherwise answers 409',
+  schema: { type: 'string' }
+};
+
+// Responses of routes that answer with the whole changed todo, or with
+// the current one when it changed in the meantime
+function todoResponses(description, status = 200) {
+  return {
+    [status]: { ...json(description, ref('Todo')), headers: etagHeader },
+    409: { ...json('Changed by someone else meanwhile; the current todo', ref('Conflict')), headers: etagHeader }
+  };
+}
+
+const counts = {
+  type: 'object',
+  properties: Object.fromEntries(['all', ...STATUSES].map(status => [status, { type: 'integer', minimum: 0 }])),
+  required: ['all', ...STATUSES]
+};
+
+// Per-field problems, as middleware/validate.js reports them
+const fieldErrors = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      location: { type: 'string', enum: ['params', 'query', 'body'] },
+      field: { type: ['string', 'null'] },
+      message: { type: 'string' }
+    },
+    required: ['field', 'message']
+  }
+};
+
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      properties: {
+        error: { type: 'string', description: 'Summary for display' },
+        errors: fieldErrors
+      },
+      required: ['error']
+    },
+    User: {
+      type: 'object',
+      properties: { _id: id, username: { type: 'string' }, createdAt: dateTime },
+      required: ['_id', 'username'],
+      additionalProperties: false
+    },
+    Session: {
+      type: 'object',
+      properties: { token: { type: 'string', description: 'Send as a Bearer token' }, user: ref('User') },
+      required: ['token', 'user']
+    },
+    Todo: {
+      type: 'object',
+      description: 'Defaults are what a new todo gets for fields it was created without',
+      properties: {
+        _id: id,
+        owner: { ...id, description: 'Owner of the todo\'s list' },
+        title: { type: 'string' },
+        status: { type: 'string', enum: STATUSES, default: 'todo' },
+        startedAt: { ...nullableDateTime, default: null, description: 'When the todo last moved on from "todo"' },
+        completedAt: { ...nullableDateTime, default: null, description: 'When the todo was completed; null while open' },
+        priority: { type: 'string', enum: PRIORITIES, default: 'medium' },
+        list: { ...nullableId, default: null },
+        assignee: { ...nullableId, default: null, description: 'Someone on the list responsible for the todo' },
+        category: { ...nullableId, default: null, description: 'null when uncategorized' },
+        tags: { type: 'array', items: { type: 'string' }, default: [], description: 'Lowercase, without "#"' },
+        dueDate: { ...nullableDateTime, default: null },
+        hasDueTime: { type: 'boolean', default: false, description: 'False when due any time on the day of dueDate' },
+        reminders: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            properties: {
+              _id: id,
+              minutesBefore: { type: ['integer', 'null'], minimum: 0, description: 'null for snoozes' },
+              remindAt: nullableDateTime,
+              firedAt: { ...nullableDateTime, description: 'When the reminder went off' }
+            },
+            required: ['_id', 'minutesBefore', 'remindAt', 'firedAt']
+          }
+        },
+        recurrence: {
+          type: ['object', 'null'],
+          default: null,
+          properties: {
+            freq: { type: 'string', enum: FREQUENCIES },
+            interval: { type: 'integer', minimum: 1, default: 1 },
+            byWeekday: { type: 'array', items: { type: 'string', enum: WEEKDAYS }, default: [] },
+            byMonthDay: {
+              type: ['integer', 'null'],
+              minimum: 1,
+              maximum: 31,
+              default: null,
+              description: 'Day of the month monthly and yearly rules repeat on; the first due date\'s day when not given'
+            },
+            until: { ...nullableDateTime, default: null },
+            count: { type: ['integer', 'null'], minimum: 1, default: null },
+            timeZone: {
+              type: ['string', 'null'],
+              default: null,
+              description: 'IANA time zone whose wall clock todos due at a time repeat on'
+            },
+            utcOffset: {
+              type: ['integer', 'null'],
+              minimum: -840,
+              maximum: 840,
+              default: null,
+              description: 'Fixed offset used without a timeZone, in minutes as Date#getTimezoneOffset() returns it'
+            },
+            occurrence: { type: 'integer', minimum: 1, default: 1, description: 'Position of this instance in the series' }
+          },
+          required: ['freq']
+        },
+        subtasks: {
+          type: 'array',
+          default: [],
+          items: {
+            type: 'object',
+            properties: { _id: id, title: { type: 'string' }, done: { type: 'boolean', default: false }, createdAt: dateTime },
+            required: ['_id', 'title', 'done']
+          }
+        },
+        autoCompleteWithSubtasks: { type: 'boolean', default: false },
+        nextOccurrence: { ...nullableId, default: null, description: 'The next instance, once a recurring todo is completed' },
+        position: { type: ['number', 'null'], description: 'Manual order; lower sorts first' },
+        deletedAt: { ...nullableDateTime, default: null, description: 'Set while the todo is in the trash' },
+        revision: { type: 'integer', minimum: 0, default: 0, description: 'Bumped by every change; the ETag' },
+        createdAt: dateTime,
+        updatedAt: dateTime
+      },
+      required: ['_id', 'owner', 'title', 'status', 'priority', 'tags', 'dueDate', 'createdAt']
+    },
+    TodoPage: {
+      type: 'object',
+      properties: {
+        todos: { type: 'array', items: ref('Todo') },
+        nextCursor: { type: ['string', 'null'], description: 'Pass as ?cursor= for the next page' },
+        total: { type: 'integer', minimum: 0, description: 'Todos matching the filters' },
+        counts: { ...counts, description: 'Todos per status in the list, ignoring the other filters' }
+      },
+      required: ['todos', 'nextCursor', 'total', 'counts'],
+      additionalProperties: false
+    },
+    Conflict: {
+      type: 'object',
+      properties: { error: { type: 'string' }, todo: ref('Todo') },
+      required: ['error', 'todo']
+    },
+    // One result per item of a bulk request
+    BulkResult: {
+      type: 'object',
+      properties: {
+        id,
+        ok: { type: 'boolean' },
+        todo: ref('Todo'),
+        nextTodo: ref('Todo'),
+        error: { type: 'string' },
+        errors: fieldErrors
+      },
+      required: ['ok']
+    },
+    TodoChange: {
+      type: 'object',
+      description: 'One entry in a todo\'s history',
+      properties: {
+        _id: id,
+        todo: id,
+        actor: {
+          type: ['object', 'null'],
+          properties: { _id: id, username: { type: 'string' } }
+        },
+        action: { type: 'string', enum: ['created', 'updated', 'deleted', 'restored', 'reverted'] },
+        title: { type: 'string' },
+        changes: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { field: { type: 'string' }, before: {}, after: {} },
+            required: ['field']
+          }
+        },
+        revertOf: nullableId,
+        createdAt: dateTime
+      },
+      required: ['_id', 'action', 'changes']
+    },
+    Stats: {
+      type: 'object',
+      description: 'Days are YYYY-MM-DD in timeZone; from and to are the first and last day of the range',
+      properties: {
+        from: day,
+        to: day,
+        timeZone: { type: 'string' },
+        totals: {
+          type: 'object',
+          properties: {
+            ...counts.properties,
+            overdue: { ...count, description: 'Open todos past their due date' }
+          },
+          required: [...counts.required, 'overdue']
+        },
+        completedInRange: count,
+        completedPerDay: {
+          type: 'array',
+          items: { type: 'object', properties: { date: day, count }, required: ['date', 'count'] }
+        },
+        completedPerWeek: {
+          type: 'array',
+          description: 'Weeks of the range by their Monday, counting only days in the range',
+          items: { type: 'object', properties: { week: day, count }, required: ['week', 'count'] }
+        },
+        averageLeadTimeHours: {
+          type: ['number', 'null'],
+          description: 'From creation to completion, over the range\'s completions; null without any'
+        },
+        averageCycleTimeHours: {
+          type: ['number', 'null'],
+          description: 'From start to completion, over the range\'s completions that were started'
+        },
+        streaks: {
+          type: 'object',
+          description: 'Days in a row with a completion: the run up to today (or yesterday) and the longest ever',
+          properties: { current: count, longest: count },
+          required: ['current', 'longest']
+        },
+        byCategory: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { category: { ...nullableId, description: 'null for uncategorized' }, total: count, completed: count },
+            required: ['category', 'total', 'completed']
+          }
+        },
+        byPriority: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { priority: { type: 'string', enum: PRIORITIES }, total: count, completed: count },
+            required: ['priority', 'total', 'completed']
+          }
+        }
+      },
+      required: [
+        'from', 'to', 'timeZone', 'totals', 'completedInRange', 'completedPerDay', 'completedPerWeek',
+        'averageLeadTimeHours', 'averageCycleTimeHours', 'streaks', 'byCategory', 'byPriority'
+      ],
+      additionalProperties: false
+    }
+  }
+};
+
+const todoParameters = parameters('path', todoSchemas.todoParams);
+
+const paths = {
+  '/api/health': {
+    get: {
+      operationId: 'health',
+      summary: 'Check that the server is up',
+      security: [],
+      responses: {
+        200: json('Running', {
+          type: 'object',
+          properties: { status: { type: 'string' }, message: { type: 'string' } },
+          required: ['status']
+        })
+      }
+    }
+  },
+  '/api/auth/register': {
+    post: {
+      operationId: 'register',
+      summary: 'Create an account',
+      security: [],
+      requestBody: body(authSchemas.register),
+      responses: {
+        201: json('Signed up and in', ref('Session')),
+        ...errors(400, 409, 422, 500)
+      }
+    }
+  },
+  '/api/auth/login': {
+    post: {
+      operationId: 'login',
+      summary: 'Sign in',
+      security: [],
+      requestBody: body(authSchemas.login),
+      responses: {
+        200: json('Signed in', ref('Session')),
+        ...errors(400, 401, 500)
+      }
+    }
+  },
+  '/api/auth/me': {
+    get: {
+      operationId: 'currentUser',
+      summary: 'The signed-in user',
+      responses: {
+        200: json('Signed in', { type: 'object', properties: { user: ref('User') }, required: ['user'] }),
+        ...errors(401)
+      }
+    }
+  },
+  '/api/todos': {
+    get: {
+      operationId: 'listTodos',
+      summary: 'A page of todos, filtered, searched and sorted',
+      parameters: parameters('query', todoSchemas.listQuery),
+      responses: {
+        200: json('The page, with totals for the filter and counts per status', ref('TodoPage')),
+        ...errors(400, 401, 500)
+      }
+    },
+    post: {
+      operationId: 'createTodo',
+      summary: 'Create a todo, from fields or quick-add text',
+      requestBody: body(todoSchemas.createTodo),
+      responses: {
+        201: json('Created', ref('Todo')),
+        ...errors(400, 401, 403, 422, 500)
+      }
+    },
+    delete: {
+      operationId: 'clearTodos',
+      summary: 'Move every todo in a list, or in all owned lists, to the trash',
+      parameters: parameters('query', todoSchemas.clearQuery),
+      responses: {
+        200: json('Cleared; deletedAt identifies the batch for restoring', {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            deletedCount: { type: 'integer', minimum: 0 },
+            deletedAt: dateTime
+          },
+          required: ['deletedCount', 'deletedAt']
+        }),
+        ...errors(400, 401, 403, 404, 500)
+      }
+    }
+  },
+  '/api/todos/bulk': {
+    post: {
+      operationId: 'bulkTodos',
+      summary: 'Create, update and delete many todos in one request',
+      description: 'Items succeed or fail on their own. At most 500 items per request.',
+      requestBody: body(todoSchemas.bulk),
+      responses: {
+        200: json('One result per item, in request order', {
+          type: 'object',
+          properties: {
+            created: { type: 'array', items: ref('BulkResult') },
+            updated: { type: 'array', items: ref('BulkResult') },
+            deleted: { type: 'array', items: ref('BulkResult') },
+            succeeded: { type: 'integer', minimum: 0 },
+            failed: { type: 'integer', minimum: 0 }
+          },
+          required: ['created', 'updated', 'deleted', 'succeeded', 'failed']
+        }),
+        ...errors(400, 401, 403, 422, 500)
+      }
+    }
+  },
+  '/api/todos/reorder': {
+    post: {
+      operationId: 'reorderTodos',
+      summary: 'Move todos between neighbours, and optionally to another status',
+      requestBody: body(todoSchemas.reorder),
+      responses: {
+        200: json('The moved todos', {
+          type: 'object',
+          properties: { todos: { type: 'array', items: ref('Todo') } },
+          required: ['todos']
+        }),
+        ...errors(400, 401, 403, 404, 409, 500, 501)
+      }
+    }
+  },
+  '/api/todos/{id}': {
+    get: {
+      operationId: 'getTodo',
+      summary: 'One todo',
+      parameters: [
+        ...todoParameters,
+        { name: 'If-None-Match', in: 'header', required: false, schema: { type: 'string' } }
+      ],
+      responses: {
+        200: { ...json('The todo', ref('Todo')), headers: etagHeader },
+        304: { description: 'Unchanged since the given ETag', headers: etagHeader },
+        ...errors(400, 401, 404, 500)
+      }
+    },
+    patch: {
+      operationId: 'patchTodo',
+      summary: 'Change some of a todo\'s fields',
+      description: [
+        'Fields left out stay as they are. Sent as application/merge-patch+json, the body is a JSON Merge Patch',
+        '(RFC 7386): null resets a field to its default, and objects are merged, so { "recurrence": { "interval": 2 } }',
+        'only changes the interval. Completing a recurring todo creates its next instance (see nextOccurrence).'
+      ].join(' '),
+      parameters: [...todoParameters, ifMatch],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': { schema: todoSchemas.updateTodo },
+          'application/merge-patch+json': { schema: todoSchemas.mergePatchTodo }
+        }
+      },
+      responses: {
+        ...todoResponses('Updated'),
+        ...errors(400, 401, 403, 404, 422, 500)
+      }
+    },
+    put: {
+      operationId: 'updateTodo',
+      summary: 'Update a todo',
+      description: 'The same partial update as PATCH with a JSON body, kept for older clients.',
+      deprecated: true,
+      parameters: [...todoParameters, ifMatch],
+      requestBody: body(todoSchemas.updateTodo),
+      responses: {
+        ...todoResponses('Updated'),
+        ...errors(400, 401, 403, 404, 422, 500)
+      }
+    },
+    delete: {
+      operationId: 'deleteTodo',
+      summary: 'Move a todo to the trash',
+      parameters: [...todoParameters, ...parameters('query', todoSchemas.deleteQuery), ifMatch],
+      responses: {
+        200: json('Moved to the trash', {
+          type: 'object',
+          properties: { message: { type: 'string' }, todo: ref('Todo') },
+          required: ['todo']
+        }),
+        409: { ...json('Changed since the given ETag; the current todo', ref('Conflict')), headers: etagHeader },
+        ...errors(400, 401, 403, 404, 500)
+      }
+    }
+  },
+  '/api/todos/{id}/subtasks': {
+    post: {
+      operationId: 'addSubtask',
+      summary: 'Add a subtask',
+      parameters: todoParameters,
+      requestBody: body(todoSchemas.createSubtask),
+      responses: {
+        ...todoResponses('The todo with the new subtask', 201),
+        ...errors(400, 401, 403, 404, 500, 501)
+      }
+    },
+    put: {
+      operationId: 'reorderSubtasks',
+      summary: 'Reorder the subtasks, listing every one',
+      parameters: todoParameters,
+      requestBody: body(todoSchemas.reorderSubtasks),
+      responses: {
+        ...todoResponses('The todo, with its subtasks in the new order'),
+        ...errors(400, 401, 403, 404, 422, 500, 501)
+      }
+    }
+  },
+  '/api/todos/{id}/subtasks/{subtaskId}': {
+    put: {
+      operationId: 'updateSubtask',
+      summary: 'Rename or tick off a subtask',
+      description: 'Ticking off the last open subtask completes the todo when autoCompleteWithSubtasks is set.',
+      parameters: parameters('path', todoSchemas.subtaskParams),
+      requestBody: body(todoSchemas.updateSubtask),
+      responses: {
+        ...todoResponses('The todo'),
+        ...errors(400, 401, 403, 404, 500, 501)
+      }
+    },
+    delete: {
+      operationId: 'deleteSubtask',
+      summary: 'Delete a subtask',
+      parameters: parameters('path', todoSchemas.subtaskParams),
+      responses: {
+        ...todoResponses('The todo'),
+        ...errors(400, 401, 403, 404, 500, 501)
+      }
+    }
+  },
+  '/api/todos/{id}/history': {
+    get: {
+      operationId: 'todoHistory',
+      summary: 'Changes to a todo, newest first',
+      parameters: todoParameters,
+      responses: {
+        200: json('The latest 200 changes', {
+          type: 'object',
+          properties: { changes: { type: 'array', items: ref('TodoChange') } },
+          required: ['changes']
+        }),
+        ...errors(400, 401, 404, 500, 501)
+      }
+    }
+  },
+  '/api/todos/{id}/history/{changeId}/revert': {
+    post: {
+      operationId: 'revertTodo',
+      summary: 'Put a todo back the way it was right after a change',
+      parameters: parameters('path', todoSchemas.historyParams),
+      responses: {
+        ...todoResponses('The reverted todo'),
+        ...errors(400, 401, 403, 404, 422, 500, 501)
+      }
+    }
+  },
+  '/api/todos/{id}/reminders/{reminderId}/snooze': {
+    post: {
+      operationId: 'snoozeReminder',
+      summary: 'Remind again later about a reminder that went off',
+      parameters: parameters('path', todoSchemas.snoozeParams),
+      requestBody: { ...body(todoSchemas.snooze), required: false },
+      responses: {
+        ...todoResponses('The todo with the snoozed reminder'),
+        ...errors(400, 401, 404, 422, 500, 501)
+      }
+    }
+  },
+  '/api/stats': {
+    get: {
+      operationId: 'todoStats',
+      summary: 'Completions over the last days (30 by default), lead times, overdue todos and breakdowns',
+      parameters: parameters('query', statsSchemas.statsQuery),
+      responses: {
+        200: json('Stats over every list, or the one asked for', ref('Stats')),
+        ...errors(400, 401, 500)
+      }
+    }
+  }
+};
+
+module.exports = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Todo Manager Pro API',
+    version: '1.0.0',
+    description: [
+      'Accounts and todos. Sign in with /api/auth/login and send the token as a Bearer token.',
+      'Requests with fields or query parameters that aren\'t described here are rejected with 400.',
+      [
+        'Every path is also served under /api/v1, which answers in an envelope: { data, meta } on success, where data',
+        'is the todo, the page\'s todos, ... and meta the rest of the response described here, and',
+        '{ errors: [{ status, detail, source: { pointer | parameter } }], meta } on failure, with a conflict\'s',
+        'current todo in meta. There, ?fields=title,status keeps only those fields (and _id) of what data holds.'
+      ].join(' ')
+    ].join('\n\n')
+  },
+  servers: [{ url: '/' }],
+  security: [{ bearerAuth: [] }],
+  paths,
+  components
+};
@@ -0,0 +1,44 @@
+const express = require('express');
+const TodoChange = require('../models/TodoChange');
+const { listIdsFor } = require('../utils/listAccess');
+const { validate } = require('../middleware/validate');
+const { activityQuery } = require('../schemas/feeds');
+
+// Mounted at /api/activity behind requireAuth
+const router = express.Router();
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// Changes across all of the user's todos and the lists shared with them,
+// newest first. Pages with ?before=<id of the last entry seen>; nextCursor
+// is null on the last page.
+router.get('/', validate({ query: activityQuery }), async (req, res) => {
+  try {
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const listIds = await listIdsFor(req.user._id);
+    const filter = { $or: [{ owner: req.user._id }, { list: { $in: listIds } }] };
+
+    if (req.query.before) {
+      filter._id = { $lt: req.query.before };
+    }
+
+    const changes = await TodoChange.find(filter)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .populate('actor', 'username');
+
+    const hasMore = changes.length > limit;
+    const page = changes.slice(0, limit);
+
+    res.json({
+      changes: page,
+      nextCursor: hasMore ? page[page.length - 1]._id : null
+    });
+  } catch (error) {
+    console.error('Error fetching activity:', error);
+    res.status(500).json({ error: 'Failed to fetch activity' });
+  }
+});
+
+module.exports = router;
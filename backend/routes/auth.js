@@ -0,0 +1,54 @@
+const express = require('express');
+const { signToken, requireAuth } = require('../middleware/auth');
+const { validateOperation, errorBody, invalidInput, isModelError } = require('../middleware/validate');
+
+const router = express.Router();
+
+// Register a new account
+router.post('/register', validateOperation('POST /api/auth/register'), async (req, res) => {
+  try {
+    const { users } = req.app.locals.storage;
+    const { username, password } = req.body;
+
+    const existing = await users.findByUsername(username);
+    if (existing) {
+      return res.status(409).json(errorBody([{ field: 'username', message: 'Username is already taken' }]));
+    }
+
+    const user = await users.create({ username, password });
+
+    res.status(201).json({ token: signToken(user), user });
+  } catch (error) {
+    if (isModelError(error)) {
+      return res.status(422).json(invalidInput(error));
+    }
+    console.error('Error registering user:', error);
+    res.status(500).json({ error: 'Failed to register' });
+  }
+});
+
+// Log in with username and password
+router.post('/login', validateOperation('POST /api/auth/login'), async (req, res) => {
+  try {
+    const { users } = req.app.locals.storage;
+    const { username, password } = req.body;
+
+    const user = await users.findByUsername(username);
+
+    if (!user || !(await user.verifyPassword(password))) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    res.json({ token: signToken(user), user });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// Current user
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const Todo = require('../models/Todo');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const { listIdsFor } = require('../utils/listAccess');
+const { parseListScope, QueryError } = require('../utils/todoQuery');
+const { buildCalendar } = require('../utils/ical');
+const { validate } = require('../middleware/validate');
+const { calendarQuery } = require('../schemas/feeds');
+
+// Mounted at /api. Calendar apps subscribe to /api/calendar.ics with the
+// user's secret feed token in the query string, since they can't log in;
+// the token itself is managed through /api/calendar/feed.
+const router = express.Router();
+
+// Dated todos further in the past than this are left out of the feed
+const FEED_DAYS_BACK = Number(process.env.CALENDAR_FEED_DAYS_BACK || 90);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function feedPath(user) {
+  return `/api/calendar.ics?token=${encodeURIComponent(user.calendarToken)}`;
+}
+
+function describeFeed(user) {
+  return user.calendarToken
+    ? { enabled: true, path: feedPath(user) }
+    : { enabled: false, path: null };
+}
+
+// Dated todos from every list shared with the user, or only ?list=<id>.
+// ?type=events (default), todos or all picks VEVENT and/or VTODO entries.
+router.get('/calendar.ics', validate({ query: calendarQuery }), async (req, res) => {
+  try {
+    const { token, type = 'events' } = req.query;
+    const user = token ? await User.findOne({ calendarToken: token }) : null;
+
+    if (!user) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const listIds = await listIdsFor(user._id);
+    const [todos, categories] = await Promise.all([
+      Todo.find({
+        list: parseListScope(req.query.list, listIds),
+        deletedAt: null,
+        dueDate: { $ne: null, $gte: new Date(Date.now() - FEED_DAYS_BACK * DAY_MS) }
+      }).sort({ dueDate: 1 }),
+      Category.find({ owner: user._id }, { name: 1 })
+    ]);
+
+    const calendar = buildCalendar({
+      name: 'Todo Manager Pro',
+      todos,
+      type,
+      categoryNames: new Map(categories.map(category => [String(category._id), category.name]))
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="todos.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(calendar);
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+// Whether the feed is on, and its path (the app adds its own origin)
+router.get('/calendar/feed', (req, res) => {
+  res.json(describeFeed(req.user));
+});
+
+// Turns the feed on, or replaces the token so old subscriptions stop working
+router.post('/calendar/feed', async (req, res) => {
+  try {
+    await req.user.rotateCalendarToken();
+    res.json(describeFeed(req.user));
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+});
+
+router.delete('/calendar/feed', async (req, res) => {
+  try {
+    req.user.calendarToken = null;
+    await req.user.save();
+    res.json(describeFeed(req.user));
+  } catch (error) {
+    console.error('Error turning off calendar feed:', error);
+    res.status(500).json({ error: 'Failed to turn off calendar feed' });
+  }
+});
+
+module.exports = router;
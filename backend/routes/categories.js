@@ -0,0 +1,139 @@
+const express = require('express');
+const Category = require('../models/Category');
+const Todo = require('../models/Todo');
+const TodoChange = require('../models/TodoChange');
+const { publish } = require('../utils/events');
+const { listAudience } = require('../utils/listAccess');
+const { validate, errorBody, invalidInput, isModelError } = require('../middleware/validate');
+const schemas = require('../schemas/categories');
+
+// Mounted at /api/categories behind requireAuth
+const router = express.Router();
+
+function pickCategoryFields(body) {
+  const fields = {};
+  if (body.name !== undefined) fields.name = body.name.trim();
+  if (body.icon !== undefined) fields.icon = body.icon;
+  if (body.color !== undefined) fields.color = body.color;
+  return fields;
+}
+
+function handleCategoryError(error, res, fallback) {
+  if (isModelError(error)) {
+    return res.status(422).json(invalidInput(error));
+  }
+  if (error.code === 11000) {
+    return res.status(409).json(errorBody([{ field: 'name', message: 'A category with that name already exists' }]));
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+// List categories with the number of todos in each
+router.get('/', async (req, res) => {
+  try {
+    await Category.ensureDefaults(req.user._id);
+
+    const categories = await Category.find({ owner: req.user._id }).sort({ createdAt: 1 });
+    // Counted by category rather than owner: the user's categories can also
+    // be on their todos in lists others shared with them
+    const counts = await Todo.aggregate([
+      { $match: { category: { $in: categories.map(category => category._id) }, deletedAt: null } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+
+    const countById = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+    res.json(categories.map(category => ({
+      ...category.toJSON(),
+      todoCount: countById.get(category._id.toString()) || 0
+    })));
+  } catch (error) {
+    handleCategoryError(error, res, 'Failed to fetch categories');
+  }
+});
+
+// Create category
+router.post('/', validate({ body: schemas.createCategory }), async (req, res) => {
+  try {
+    const fields = pickCategoryFields(req.body);
+    const category = await Category.create({ ...fields, owner: req.user._id });
+    res.status(201).json(category);
+  } catch (error) {
+    handleCategoryError(error, res, 'Failed to create category');
+  }
+});
+
+// Update category
+router.put('/:id', validate({ params: schemas.categoryParams, body: schemas.updateCategory }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const fields = pickCategoryFields(req.body);
+    const category = await Category.findOneAndUpdate(
+      { _id: id, owner: req.user._id },
+      fields,
+      { new: true, runValidators: true }
+    );
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    res.json(category);
+  } catch (error) {
+    handleCategoryError(error, res, 'Failed to update category');
+  }
+});
+
+// Delete category. Its todos move to ?reassignTo=<categoryId>, or become
+// uncategorized when no target is given.
+router.delete('/:id', validate({ params: schemas.categoryParams, query: schemas.deleteQuery }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reassignTo } = req.query;
+
+    let target = null;
+    if (reassignTo) {
+      if (reassignTo === id) {
+        return res.status(400).json({ error: 'Invalid reassignment category' });
+      }
+      target = await Category.findOne({ _id: reassignTo, owner: req.user._id });
+      if (!target) {
+        return res.status(404).json({ error: 'Reassignment category not found' });
+      }
+    }
+
+    const category = await Category.findOne({ _id: id, owner: req.user._id });
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    // Move the todos first so none is ever left pointing at a missing category
+    const moved = await Todo.find({ category: category._id }, { owner: 1, list: 1, title: 1 });
+    const result = await Todo.updateMany(
+      { _id: { $in: moved.map(todo => todo._id) }, category: category._id },
+      { $set: { category: target ? target._id : null }, $inc: { revision: 1 } }
+    );
+    await TodoChange.recordBulk(moved, {
+      actor: req.user._id,
+      action: 'updated',
+      changes: [{ field: 'category', before: category._id, after: target ? target._id : null }]
+    });
+    await category.deleteOne();
+
+    // Bulk change: tell other clients to reload rather than diff
+    if (result.modifiedCount > 0) {
+      publish(req, 'todos.changed', {}, await listAudience(moved.map(todo => todo.list)));
+    }
+
+    res.json({
+      message: 'Category deleted successfully',
+      category,
+      reassignedTo: target ? target._id : null,
+      reassignedCount: result.modifiedCount
+    });
+  } catch (error) {
+    handleCategoryError(error, res, 'Failed to delete category');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const { hub } = require('../utils/events');
+const { validate } = require('../middleware/validate');
+const { eventsQuery } = require('../schemas/feeds');
+
+// Mounted at /api/events behind requireStreamAuth
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL = 25000;
+const RETRY_MS = 3000;
+
+function writeEvent(res, event) {
+  const { id, type, data, origin } = event;
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ ...data, origin })}\n\n`);
+}
+
+// Server-Sent Events stream of the user's todo changes. Reconnecting
+// clients send Last-Event-ID (or ?lastEventId=) and get what they missed,
+// or a `resync` event when that can't be replayed.
+router.get('/', validate({ query: eventsQuery }), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const userId = req.user._id;
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  if (lastEventId) {
+    const missed = hub.since(userId, lastEventId);
+    if (missed === null) {
+      writeEvent(res, { id: hub.lastId, type: 'resync', data: {} });
+    } else {
+      missed.forEach(event => writeEvent(res, event));
+    }
+  }
+
+  // Gives fresh connections an ID to resume from even if nothing happens
+  writeEvent(res, { id: hub.lastId, type: 'ready', data: {} });
+
+  const unsubscribe = hub.subscribe(userId, event => writeEvent(res, event));
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
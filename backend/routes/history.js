@@ -0,0 +1,105 @@
+const express = require('express');
+const Category = require('../models/Category');
+const TodoChange = require('../models/TodoChange');
+const { publish } = require('../utils/events');
+const { AccessError, findList, findTodo, listAudience } = require('../utils/listAccess');
+const { isConflict, sendCurrentConflict } = require('../utils/revisions');
+const { TodoInputError } = require('../utils/todoInput');
+const { validateOperation, invalidInput, isModelError } = require('../middleware/validate');
+
+// Mounted at /api/todos/:id/history behind requireAuth
+const router = express.Router({ mergeParams: true });
+
+const HISTORY_LIMIT = 200;
+
+// Changes to one todo, newest first. Trashed todos keep their history.
+router.get('/', validateOperation('GET /api/todos/{id}/history'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const todo = await findTodo(req.user._id, id, { trashed: null });
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found' });
+    }
+
+    const changes = await TodoChange.find({ todo: id })
+      .sort({ _id: -1 })
+      .limit(HISTORY_LIMIT)
+      .populate('actor', 'username');
+
+    res.json({ changes });
+  } catch (error) {
+    console.error('Error fetching todo history:', error);
+    res.status(500).json({ error: 'Failed to fetch history' });
+  }
+});
+
+// Put the todo back the way it was right after the given change. The
+// revert is itself recorded, so it can be reverted too.
+router.post('/:changeId/revert', validateOperation('POST /api/todos/{id}/history/{changeId}/revert'), async (req, res) => {
+  try {
+    const { id, changeId } = req.params;
+    const todo = await findTodo(req.user._id, id, { minRole: 'editor' });
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found' });
+    }
+
+    const change = await TodoChange.findOne({ _id: changeId, todo: todo._id });
+    if (!change) {
+      return res.status(404).json({ error: 'History entry not found' });
+    }
+
+    // Trash state is changed through /api/trash, not by reverting
+    const { deletedAt, ...version } = await TodoChange.versionAt(todo, change);
+
+    // The old category may have been deleted since
+    if (version.category && !(await Category.exists({ _id: version.category }))) {
+      version.category = null;
+    }
+
+    // Moving back to another list takes the same editor role there as a
+    // move does, and the todo goes to that list's owner
+    if (!version.list) {
+      delete version.list;
+    } else if (String(version.list) !== String(todo.list)) {
+      const list = await findList(req.user._id, version.list, 'editor');
+      if (!list) {
+        return res.status(422).json(invalidInput(new TodoInputError('The list of that version is no longer available', 'list')));
+      }
+      version.owner = list.owner;
+    }
+
+    const previousStatus = todo.status;
+    const previousList = todo.list;
+    todo.set(version);
+    todo.$locals.actor = req.user._id;
+    todo.$locals.action = 'reverted';
+    todo.$locals.revertOf = change._id;
+    const revertedTodo = await todo.save();
+
+    let nextTodo = null;
+    if (previousStatus !== 'completed' && revertedTodo.status === 'completed') {
+      nextTodo = await revertedTodo.createNextOccurrence();
+    }
+
+    // Members of the list it left need the event too, to drop it
+    const audience = await listAudience([previousList, revertedTodo.list]);
+    publish(req, 'todo.updated', { todo: revertedTodo, previousStatus }, audience);
+    if (nextTodo) publish(req, 'todo.created', { todo: nextTodo }, audience);
+
+    res.json(revertedTodo);
+  } catch (error) {
+    if (isModelError(error)) {
+      return res.status(422).json({ ...invalidInput(error), error: 'That version is no longer valid' });
+    }
+    if (error instanceof AccessError) {
+      return res.status(403).json({ error: error.message });
+    }
+    if (isConflict(error)) {
+      return sendCurrentConflict(res, req.params.id);
+    }
+    console.error('Error reverting todo:', error);
+    res.status(500).json({ error: 'Failed to revert todo' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const List = require('../models/List');
+const ListInvite = require('../models/ListInvite');
+const { publish } = require('../utils/events');
+const { validate } = require('../middleware/validate');
+const { tokenParams } = require('../schemas/lists');
+
+// Mounted at /api/invites behind requireAuth. Invitation tokens come from
+// POST /api/lists/:id/invites and reach people as links (?invite=<token>);
+// the app looks the token up here and accepts it for the signed-in user.
+const router = express.Router();
+
+// Finds a usable invite and its list, or responds 404/410 and returns null
+async function findInvite(token, res) {
+  const invite = await ListInvite.findOne({ token });
+  if (!invite) {
+    res.status(404).json({ error: 'Invite not found' });
+    return null;
+  }
+  if (invite.isExpired()) {
+    res.status(410).json({ error: 'This invite has expired' });
+    return null;
+  }
+
+  const list = await List.findById(invite.list).populate('owner', 'username');
+  if (!list) {
+    res.status(404).json({ error: 'Invite not found' });
+    return null;
+  }
+
+  return { invite, list };
+}
+
+// What accepting the invite would do, so the app can ask first
+router.get('/:token', validate({ params: tokenParams }), async (req, res) => {
+  try {
+    const found = await findInvite(req.params.token, res);
+    if (!found) return;
+
+    const { invite, list } = found;
+    res.json({
+      list: { _id: list._id, name: list.name, icon: list.icon, color: list.color },
+      owner: list.owner.username,
+      role: invite.role,
+      currentRole: list.roleOf(req.user._id),
+      expiresAt: invite.expiresAt
+    });
+  } catch (error) {
+    console.error('Error fetching invite:', error);
+    res.status(500).json({ error: 'Failed to fetch invite' });
+  }
+});
+
+// Join the list. Invites are single use; accepting one for a list the user
+// is already on only changes their role if it grants more.
+router.post('/:token/accept', validate({ params: tokenParams }), async (req, res) => {
+  try {
+    const found = await findInvite(req.params.token, res);
+    if (!found) return;
+
+    const { invite, list } = found;
+    const currentRole = list.roleOf(req.user._id);
+
+    if (currentRole === 'owner') {
+      return res.status(400).json({ error: 'You already own this list' });
+    }
+
+    // Claimed before anything changes, so of two accepts at once only one
+    // gets to use the invite
+    const claimed = await ListInvite.findOneAndDelete({ _id: invite._id });
+    if (!claimed) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    if (!currentRole) {
+      list.members.push({ user: req.user._id, role: invite.role });
+    } else if (currentRole === 'viewer' && invite.role === 'editor') {
+      list.members.find(m => m.user.equals(req.user._id)).role = 'editor';
+    }
+    await list.save();
+
+    publish(req, 'lists.changed', {}, list.audience());
+    res.json({ ...list.toJSON(), role: list.roleOf(req.user._id) });
+  } catch (error) {
+    console.error('Error accepting invite:', error);
+    res.status(500).json({ error: 'Failed to accept invite' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,339 @@
+const express = require('express');
+const List = require('../models/List');
+const ListInvite = require('../models/ListInvite');
+const Todo = require('../models/Todo');
+const TodoChange = require('../models/TodoChange');
+const { publish } = require('../utils/events');
+const { AccessError, findList } = require('../utils/listAccess');
+const { validate, errorBody, invalidInput, isModelError } = require('../middleware/validate');
+const schemas = require('../schemas/lists');
+
+// Mounted at /api/lists behind requireAuth. Lists can be shared: members
+// are editors or viewers, and only the owner changes the list itself, its
+// members and its invitations.
+const router = express.Router();
+
+function pickListFields(body) {
+  const fields = {};
+  if (body.name !== undefined) fields.name = body.name.trim();
+  if (body.icon !== undefined) fields.icon = body.icon;
+  if (body.color !== undefined) fields.color = body.color;
+  return fields;
+}
+
+// The list as its members see it: their role, who owns it and who's on it
+async function describeList(list, userId, todoCount) {
+  await list.populate([
+    { path: 'owner', select: 'username' },
+    { path: 'members.user', select: 'username' }
+  ]);
+  return { ...list.toJSON(), role: list.roleOf(userId), todoCount };
+}
+
+function handleListError(error, res, fallback) {
+  if (error instanceof AccessError) {
+    return res.status(403).json({ error: error.message });
+  }
+  if (isModelError(error)) {
+    return res.status(422).json(invalidInput(error));
+  }
+  if (error.code === 11000) {
+    return res.status(409).json(errorBody([{ field: 'name', message: 'A list with that name already exists' }]));
+  }
+  console.error(`${fallback}:`, error);
+  res.status(500).json({ error: fallback });
+}
+
+// List the user's own and shared lists (oldest first) with their role and
+// number of live todos
+router.get('/', async (req, res) => {
+  try {
+    await List.ensureDefault(req.user._id);
+
+    const lists = await List.find(List.visibleTo(req.user._id))
+      .sort({ createdAt: 1, _id: 1 })
+      .populate('owner', 'username')
+      .populate('members.user', 'username');
+    const counts = await Todo.aggregate([
+      { $match: { list: { $in: lists.map(list => list._id) }, deletedAt: null } },
+      { $group: { _id: '$list', count: { $sum: 1 } } }
+    ]);
+
+    const countById = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+    res.json(lists.map(list => ({
+      ...list.toJSON(),
+      role: list.roleOf(req.user._id),
+      todoCount: countById.get(list._id.toString()) || 0
+    })));
+  } catch (error) {
+    handleListError(error, res, 'Failed to fetch lists');
+  }
+});
+
+// Create list
+router.post('/', validate({ body: schemas.createList }), async (req, res) => {
+  try {
+    const fields = pickListFields(req.body);
+    const list = await List.create({ ...fields, owner: req.user._id });
+    publish(req, 'lists.changed', {});
+    res.status(201).json(await describeList(list, req.user._id, 0));
+  } catch (error) {
+    handleListError(error, res, 'Failed to create list');
+  }
+});
+
+// Update list
+router.put('/:id', validate({ params: schemas.listParams, body: schemas.updateList }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const fields = pickListFields(req.body);
+    const list = await findList(req.user._id, id, 'owner');
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    list.set(fields);
+    await list.save();
+
+    publish(req, 'lists.changed', {}, list.audience());
+    res.json(await describeList(list, req.user._id));
+  } catch (error) {
+    handleListError(error, res, 'Failed to update list');
+  }
+});
+
+// Delete list. A list that still has todos needs either ?moveTo=<listId>
+// (the todos, trashed ones included, move there) or ?deleteTasks=true (the
+// todos go to the trash). The last remaining list can't be deleted.
+router.delete('/:id', validate({ params: schemas.listParams, query: schemas.deleteQuery }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { moveTo } = req.query;
+    const deleteTasks = req.query.deleteTasks === 'true';
+
+    if (moveTo && deleteTasks) {
+      return res.status(400).json({ error: 'Choose either moveTo or deleteTasks' });
+    }
+
+    const list = await findList(req.user._id, id, 'owner');
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    if ((await List.countDocuments({ owner: req.user._id })) === 1) {
+      return res.status(400).json({ error: 'You need at least one list' });
+    }
+
+    let target = null;
+    if (moveTo) {
+      if (moveTo === id) {
+        return res.status(400).json({ error: 'Invalid target list' });
+      }
+      target = await findList(req.user._id, moveTo, 'editor');
+      if (!target) {
+        return res.status(404).json({ error: 'Target list not found' });
+      }
+    }
+
+    const todos = await Todo.find({ list: list._id }, { owner: 1, list: 1, assignee: 1, title: 1, deletedAt: 1 });
+    const liveTodos = todos.filter(todo => !todo.deletedAt);
+
+    if (liveTodos.length > 0 && !target && !deleteTasks) {
+      return res.status(409).json({
+        error: 'This list has tasks: move them with moveTo or delete them with deleteTasks',
+        todoCount: liveTodos.length
+      });
+    }
+
+    let affected = 0;
+    if (target) {
+      // Like a move of one todo, assignees who aren't on the target list
+      // are unassigned (the Todo hook does that on save)
+      const unassigned = todos.filter(todo => todo.assignee && !target.roleOf(todo.assignee));
+      const keepAssignee = todos.filter(todo => !unassigned.includes(todo));
+      const move = { list: target._id, owner: target.owner };
+
+      const [kept, cleared] = await Promise.all([
+        Todo.updateMany(
+          { _id: { $in: keepAssignee.map(todo => todo._id) } },
+          { $set: move, $inc: { revision: 1 } }
+        ),
+        Todo.updateMany(
+          { _id: { $in: unassigned.map(todo => todo._id) } },
+          { $set: { ...move, assignee: null }, $inc: { revision: 1 } }
+        )
+      ]);
+      await TodoChange.recordBulk(keepAssignee, {
+        actor: req.user._id,
+        action: 'updated',
+        changes: [{ field: 'list', before: list._id, after: target._id }]
+      });
+      await Promise.all(unassigned.map(todo => TodoChange.recordBulk([todo], {
+        actor: req.user._id,
+        action: 'updated',
+        changes: [
+          { field: 'list', before: list._id, after: target._id },
+          { field: 'assignee', before: todo.assignee, after: null }
+        ]
+      })));
+      affected = kept.modifiedCount + cleared.modifiedCount;
+    } else if (liveTodos.length > 0) {
+      const deletedAt = new Date();
+      const result = await Todo.updateMany(
+        { _id: { $in: liveTodos.map(todo => todo._id) }, deletedAt: null },
+        { $set: { deletedAt }, $inc: { revision: 1 } }
+      );
+      await TodoChange.recordBulk(liveTodos, {
+        actor: req.user._id,
+        action: 'deleted',
+        changes: [{ field: 'deletedAt', before: null, after: deletedAt }]
+      });
+      affected = result.modifiedCount;
+    }
+
+    const audience = list.audience();
+    await list.deleteOne();
+    await ListInvite.deleteMany({ list: list._id });
+
+    publish(req, 'lists.changed', {}, audience);
+    if (affected > 0) publish(req, 'todos.changed', {}, target ? [...audience, ...target.audience()] : audience);
+
+    res.json({
+      message: 'List deleted successfully',
+      list,
+      movedTo: target ? target._id : null,
+      movedCount: target ? affected : 0,
+      deletedCount: target ? 0 : affected
+    });
+  } catch (error) {
+    handleListError(error, res, 'Failed to delete list');
+  }
+});
+
+// Pending invitation links of a list
+router.get('/:id/invites', validate({ params: schemas.listParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const list = await findList(req.user._id, id, 'owner');
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    const invites = await ListInvite.find({ list: list._id, expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: -1 });
+    res.json(invites);
+  } catch (error) {
+    handleListError(error, res, 'Failed to fetch invites');
+  }
+});
+
+// Create an invitation link. Body: { role: 'editor' | 'viewer' }. The
+// client turns the token into a link; whoever opens it while signed in
+// joins the list (see /api/invites).
+router.post('/:id/invites', validate({ params: schemas.listParams, body: schemas.createInvite }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role = 'editor' } = req.body || {};
+    const list = await findList(req.user._id, id, 'owner');
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    const invite = await ListInvite.create({ list: list._id, role, createdBy: req.user._id });
+    res.status(201).json(invite);
+  } catch (error) {
+    handleListError(error, res, 'Failed to create invite');
+  }
+});
+
+// Revoke an invitation link
+router.delete('/:id/invites/:inviteId', validate({ params: schemas.inviteParams }), async (req, res) => {
+  try {
+    const { id, inviteId } = req.params;
+    const list = await findList(req.user._id, id, 'owner');
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    const invite = await ListInvite.findOneAndDelete({ _id: inviteId, list: list._id });
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    res.json({ message: 'Invite revoked', invite });
+  } catch (error) {
+    handleListError(error, res, 'Failed to revoke invite');
+  }
+});
+
+// Change a member's role. Body: { role: 'editor' | 'viewer' }
+router.put('/:id/members/:userId', validate({ params: schemas.memberParams, body: schemas.updateMember }), async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const { role } = req.body;
+    const list = await findList(req.user._id, id, 'owner');
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    const member = list.members.find(m => m.user.equals(userId));
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    member.role = role;
+    await list.save();
+
+    publish(req, 'lists.changed', {}, list.audience());
+    res.json(await describeList(list, req.user._id));
+  } catch (error) {
+    handleListError(error, res, 'Failed to update member');
+  }
+});
+
+// Remove a member. Members may also remove themselves to leave the list.
+// Todos assigned to them in the list become unassigned.
+router.delete('/:id/members/:userId', validate({ params: schemas.memberParams }), async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+    const leaving = req.user._id.equals(userId);
+    const list = await findList(req.user._id, id, leaving ? 'viewer' : 'owner');
+    if (!list) {
+      return res.status(404).json({ error: 'List not found' });
+    }
+
+    const member = list.members.find(m => m.user.equals(userId));
+    if (!member) {
+      return res.status(leaving ? 400 : 404).json({
+        error: leaving ? "The owner can't leave their own list" : 'Member not found'
+      });
+    }
+
+    const audience = list.audience();
+    list.members = list.members.filter(m => !m.user.equals(member.user));
+    await list.save();
+
+    const assigned = await Todo.find({ list: list._id, assignee: member.user }, { owner: 1, list: 1, title: 1 });
+    if (assigned.length > 0) {
+      await Todo.updateMany(
+        { _id: { $in: assigned.map(todo => todo._id) } },
+        { $set: { assignee: null }, $inc: { revision: 1 } }
+      );
+      await TodoChange.recordBulk(assigned, {
+        actor: req.user._id,
+        action: 'updated',
+        changes: [{ field: 'assignee', before: member.user, after: null }]
+      });
+    }
+
+    // The removed member hears about it too, so their client drops the list
+    publish(req, 'lists.changed', {}, audience);
+    if (assigned.length > 0) publish(req, 'todos.changed', {}, audience);
+
+    res.json({ message: leaving ? 'Left the list' : 'Member removed', list: list._id, user: member.user });
+  } catch (error) {
+    handleListError(error, res, 'Failed to remove member');
+  }
+});
+
+module.exports = router;
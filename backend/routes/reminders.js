@@ -0,0 +1,49 @@
+const express = require('express');
+const { publish } = require('../utils/events');
+const { findTodo, listAudience } = require('../utils/listAccess');
+const { ReminderError, parseSnoozeMinutes } = require('../utils/reminders');
+const { isConflict, sendCurrentConflict } = require('../utils/revisions');
+const { validateOperation, invalidInput } = require('../middleware/validate');
+
+// Mounted at /api/todos/:id/reminders behind requireAuth. Reminders are
+// set through the todo's `reminders` field; this only handles acting on
+// one that has gone off.
+const router = express.Router({ mergeParams: true });
+
+// Remind again in `minutes` (default 10). Anyone on the list may snooze,
+// since reminders also reach assignees with view access.
+router.post('/:reminderId/snooze', validateOperation('POST /api/todos/{id}/reminders/{reminderId}/snooze'), async (req, res) => {
+  try {
+    const { id, reminderId } = req.params;
+    const minutes = parseSnoozeMinutes(req.body?.minutes);
+    const todo = await findTodo(req.user._id, id);
+
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found' });
+    }
+
+    const reminder = todo.reminders.id(reminderId);
+    if (!reminder) {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+
+    // Snoozes that already went off have served their purpose
+    todo.reminders = todo.reminders.filter(item => item.minutesBefore !== null || !item.firedAt);
+    todo.reminders.push({ minutesBefore: null, remindAt: new Date(Date.now() + minutes * 60 * 1000) });
+    await todo.save();
+
+    publish(req, 'todo.updated', { todo, previousStatus: todo.status }, await listAudience([todo.list]));
+    res.json(todo);
+  } catch (error) {
+    if (error instanceof ReminderError) {
+      return res.status(422).json(invalidInput(error));
+    }
+    if (isConflict(error)) {
+      return sendCurrentConflict(res, req.params.id);
+    }
+    console.error('Error snoozing reminder:', error);
+    res.status(500).json({ error: 'Failed to snooze reminder' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const { QueryError } = require('../utils/todoQuery');
+const { parseStatsQuery, buildStats } = require('../utils/stats');
+const { validateOperation } = require('../middleware/validate');
+
+// Mounted at /api/stats behind requireAuth
+const router = express.Router();
+
+// Completions per day and week, lead and cycle times, overdue todos,
+// breakdowns and streaks, over the todos of every list the user can
+// reach (or of ?list=). Days are counted in ?timeZone=.
+router.get('/', validateOperation('GET /api/stats'), async (req, res) => {
+  try {
+    const range = parseStatsQuery(req.query);
+    const figures = await req.app.locals.storage.todos.stats(req.user, { list: req.query.list, ...range });
+    res.json(buildStats(figures, range));
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error computing stats:', error);
+    res.status(500).json({ error: 'Failed to compute stats' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+const express = require('express');
+const { publish } = require('../utils/events');
+const { AccessError, findTodo, listAudience } = require('../utils/listAccess');
+const { isConflict, sendCurrentConflict } = require('../utils/revisions');
+const { validateOperation, errorBody } = require('../middleware/validate');
+
+// Mounted at /api/todos/:id/subtasks behind requireAuth. Every route
+// responds with the whole parent todo, since changing a subtask can also
+// change the parent's status.
+const router = express.Router({ mergeParams: true });
+
+async function findParent(req, res) {
+  let todo;
+  try {
+    todo = await findTodo(req.user._id, req.params.id, { minRole: 'editor' });
+  } catch (error) {
+    if (!(error instanceof AccessError)) throw error;
+    res.status(403).json({ error: error.message });
+    return null;
+  }
+
+  if (!todo) {
+    res.status(404).json({ error: 'Todo not found' });
+    return null;
+  }
+
+  todo.$locals.actor = req.user._id;
+  return todo;
+}
+
+function findSubtask(todo, req, res) {
+  const subtask = todo.subtasks.id(req.params.subtaskId);
+
+  if (!subtask) {
+    res.status(404).json({ error: 'Subtask not found' });
+    return null;
+  }
+
+  return subtask;
+}
+
+// Saves the parent after a subtask change, completing it (and scheduling
+// its next occurrence) when auto-completion applies
+async function saveWithAutoComplete(req, todo) {
+  const previousStatus = todo.status;
+  const completedParent = todo.applySubtaskAutoComplete();
+  await todo.save();
+
+  const nextTodo = completedParent ? await todo.createNextOccurrence() : null;
+
+  const audience = await listAudience([todo.list]);
+  publish(req, 'todo.updated', { todo, previousStatus }, audience);
+  if (nextTodo) publish(req, 'todo.created', { todo: nextTodo }, audience);
+}
+
+// Add subtask
+router.post('/', validateOperation('POST /api/todos/{id}/subtasks'), async (req, res) => {
+  try {
+    const { title } = req.body;
+    const todo = await findParent(req, res);
+    if (!todo) return;
+
+    todo.subtasks.push({ title: title.trim() });
+    await todo.save();
+    publish(req, 'todo.updated', { todo, previousStatus: todo.status }, await listAudience([todo.list]));
+
+    res.status(201).json(todo);
+  } catch (error) {
+    if (isConflict(error)) {
+      return sendCurrentConflict(res, req.params.id);
+    }
+    console.error('Error adding subtask:', error);
+    res.status(500).json({ error: 'Failed to add subtask' });
+  }
+});
+
+// Reorder subtasks: body is { order: [subtaskId, ...] } covering every subtask
+router.put('/', validateOperation('PUT /api/todos/{id}/subtasks'), async (req, res) => {
+  try {
+    const { order } = req.body;
+    const todo = await findParent(req, res);
+    if (!todo) return;
+
+    const current = todo.subtasks.map(subtask => subtask._id.toString());
+    const isPermutation = order.length === current.length &&
+      new Set(order).size === order.length &&
+      order.every(subtaskId => current.includes(String(subtaskId)));
+
+    if (!isPermutation) {
+      return res.status(422).json(errorBody([{ field: 'order', message: 'Order must list every subtask exactly once' }]));
+    }
+
+    const byId = new Map(todo.subtasks.map(subtask => [subtask._id.toString(), subtask.toObject()]));
+    todo.subtasks = order.map(subtaskId => byId.get(String(subtaskId)));
+    await todo.save();
+    publish(req, 'todo.updated', { todo, previousStatus: todo.status }, await listAudience([todo.list]));
+
+    res.json(todo);
+  } catch (error) {
+    if (isConflict(error)) {
+      return sendCurrentConflict(res, req.params.id);
+    }
+    console.error('Error reordering subtasks:', error);
+    res.status(500).json({ error: 'Failed to reorder subtasks' });
+  }
+});
+
+// Update (rename or toggle) subtask
+router.put('/:subtaskId', validateOperation('PUT /api/todos/{id}/subtasks/{subtaskId}'), async (req, res) => {
+  try {
+    const { title, done } = req.body;
+    const todo = await findParent(req, res);
+    if (!todo) return;
+
+    const subtask = findSubtask(todo, req, res);
+    if (!subtask) return;
+
+    if (title !== undefined) subtask.title = title.trim();
+    if (done !== undefined) subtask.done = done;
+
+    await saveWithAutoComplete(req, todo);
+    res.json(todo);
+  } catch (error) {
+    if (isConflict(error)) {
+      return sendCurrentConflict(res, req.params.id);
+    }
+    console.error('Error updating subtask:', error);
+    res.status(500).json({ error: 'Failed to update subtask' });
+  }
+});
+
+// Delete subtask
+router.delete('/:subtaskId', validateOperation('DELETE /api/todos/{id}/subtasks/{subtaskId}'), async (req, res) => {
+  try {
+    const todo = await findParent(req, res);
+    if (!todo) return;
+
+    const subtask = findSubtask(todo, req, res);
+    if (!subtask) return;
+
+    subtask.deleteOne();
+
+    // Removing the last open step can finish the parent too
+    await saveWithAutoComplete(req, todo);
+    res.json(todo);
+  } catch (error) {
+    if (isConflict(error)) {
+      return sendCurrentConflict(res, req.params.id);
+    }
+    console.error('Error deleting subtask:', error);
+    res.status(500).json({ error: 'Failed to delete subtask' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const Todo = require('../models/Todo');
+const { listIdsFor } = require('../utils/listAccess');
+
+// Mounted at /api/tags behind requireAuth
+const router = express.Router();
+
+// Every tag in use across the user's lists, most used first
+router.get('/', async (req, res) => {
+  try {
+    const listIds = await listIdsFor(req.user._id);
+    const tags = await Todo.aggregate([
+      { $match: { list: { $in: listIds }, deletedAt: null } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, name: '$_id', count: 1 } }
+    ]);
+
+    res.json(tags);
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
+
+module.exports = router;
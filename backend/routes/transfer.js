@@ -0,0 +1,109 @@
+const express = require('express');
+const Todo = require('../models/Todo');
+const List = require('../models/List');
+const Category = require('../models/Category');
+const { publish } = require('../utils/events');
+const { AccessError, listIdsFor, findList, listAudience } = require('../utils/listAccess');
+const { QueryError, parseListId, parseListQuery } = require('../utils/todoQuery');
+const { FORMATS, FormatError, serialize, parse } = require('../utils/todoFormats');
+const { ImportError, importRecords } = require('../utils/todoImport');
+const { validate, invalidInput } = require('../middleware/validate');
+const schemas = require('../schemas/transfer');
+
+// Mounted at /api behind requireAuth. Moves todos in and out of the app as
+// CSV, Markdown checklists, todo.txt or JSON.
+const router = express.Router();
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Download the todos matching the usual list filters (?list=, ?status=, ...)
+// as ?format=csv|markdown|todotxt|json, oldest first
+router.get('/export', validate({ query: schemas.exportQuery }), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    const listIds = await listIdsFor(req.user._id);
+    const { filter } = parseListQuery(req.query, { userId: req.user._id, listIds });
+
+    const [todos, categories, list] = await Promise.all([
+      Todo.find(filter).sort({ createdAt: 1, _id: 1 }),
+      Category.find({ owner: req.user._id }, { name: 1 }),
+      req.query.list ? List.findById(parseListId(req.query.list), { name: 1 }) : null
+    ]);
+
+    const content = serialize(format, todos, {
+      categoryNames: new Map(categories.map(category => [String(category._id), category.name])),
+      title: list ? list.name : 'Tasks'
+    });
+
+    const { extension, contentType } = FORMATS[format];
+    res.set({
+      'Content-Type': `${contentType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="todos-${today()}.${extension}"`
+    });
+    res.send(content);
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error exporting todos:', error);
+    res.status(500).json({ error: 'Failed to export todos' });
+  }
+});
+
+// Import a file's contents into ?list (default: the user's default list).
+// Body: { format, content, mapping?, list?, dryRun = true, duplicates? }
+// where `mapping` picks the CSV column for each field and `duplicates` is
+// "skip" (default) or "import". A dry run saves nothing and reports what
+// would happen to each row, so the client can show a preview first.
+router.post('/import', validate({ body: schemas.importBody }), async (req, res) => {
+  try {
+    const { format, content, mapping, list: listId, dryRun = true, duplicates = 'skip' } = req.body;
+
+    let list;
+    if (listId) {
+      list = await findList(req.user._id, parseListId(listId), 'editor');
+      if (!list) {
+        return res.status(404).json({ error: 'List not found' });
+      }
+    } else {
+      list = await List.ensureDefault(req.user._id);
+    }
+
+    const parsed = parse(format, content, { mapping });
+    const result = await importRecords(parsed.records, {
+      user: req.user,
+      list,
+      dryRun: dryRun !== false,
+      duplicates
+    });
+
+    if (dryRun === false && result.summary.create > 0) {
+      publish(req, 'todos.changed', {}, await listAudience([list._id]));
+    }
+
+    res.json({
+      format,
+      list: list._id,
+      dryRun: dryRun !== false,
+      columns: parsed.columns,
+      mapping: parsed.mapping,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof FormatError || error instanceof ImportError) {
+      return res.status(422).json(invalidInput(error));
+    }
+    if (error instanceof QueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof AccessError) {
+      return res.status(403).json({ error: error.message });
+    }
+    console.error('Error importing todos:', error);
+    res.status(500).json({ error: 'Failed to import todos' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,151 @@
+const express = require('express');
+const Todo = require('../models/Todo');
+const TodoChange = require('../models/TodoChange');
+const List = require('../models/List');
+const { publish } = require('../utils/events');
+const { listIdsFor, listAudience } = require('../utils/listAccess');
+const { RETENTION_DAYS, purgeDate } = require('../jobs/trashPurge');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/trash');
+
+// Mounted at /api/trash behind requireAuth. Todos land here when deleted
+// through /api/todos and keep their _id, createdAt and position, so a
+// restored todo is the same todo. Deleting from here is permanent and also
+// drops the todo's history.
+//
+// On shared lists editors see and restore the list's trash too, but only
+// the owner can delete permanently.
+const router = express.Router();
+
+// Trashed todos the user may restore: their own (even from deleted lists)
+// and those of lists they can edit
+async function restorableScope(userId) {
+  const listIds = await listIdsFor(userId, 'editor');
+  return {
+    $or: [{ owner: userId }, { list: { $in: listIds } }],
+    deletedAt: { $ne: null }
+  };
+}
+
+function withPurgeDate(todo) {
+  return { ...todo.toJSON(), purgeAt: purgeDate(todo.deletedAt) };
+}
+
+// Takes a todo out of the trash. Its list may have been deleted meanwhile,
+// in which case it goes to the owner's default list.
+async function untrash(todo, actor) {
+  if (!todo.list || !(await List.exists({ _id: todo.list, owner: todo.owner }))) {
+    todo.list = (await List.ensureDefault(todo.owner))._id;
+  }
+  todo.deletedAt = null;
+  todo.$locals.actor = actor;
+  return todo.save();
+}
+
+// Trashed todos, most recently deleted first
+router.get('/', async (req, res) => {
+  try {
+    const todos = await Todo.find(await restorableScope(req.user._id))
+      .sort({ deletedAt: -1, _id: -1 });
+
+    res.json({
+      todos: todos.map(withPurgeDate),
+      retentionDays: RETENTION_DAYS || null
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+// Restore several todos at once. Body: { ids: [...] }, or { deletedAt } to
+// restore everything that was trashed together (e.g. by clear-all)
+router.post('/restore', validate({ body: schemas.restore }), async (req, res) => {
+  try {
+    const { ids, deletedAt } = req.body || {};
+    const filter = await restorableScope(req.user._id);
+
+    if (ids) {
+      filter._id = { $in: ids };
+    } else if (deletedAt) {
+      filter.deletedAt = new Date(deletedAt);
+    } else {
+      return res.status(400).json({ error: 'Provide ids or deletedAt' });
+    }
+
+    const todos = await Todo.find(filter);
+    for (const todo of todos) {
+      await untrash(todo, req.user._id);
+    }
+
+    if (todos.length > 0) {
+      publish(req, 'todos.changed', {}, await listAudience(todos.map(todo => todo.list)));
+    }
+
+    res.json({ todos });
+  } catch (error) {
+    console.error('Error restoring todos:', error);
+    res.status(500).json({ error: 'Failed to restore todos' });
+  }
+});
+
+// Restore one todo
+router.post('/:id/restore', validate({ params: schemas.trashParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const todo = await Todo.findOne({ _id: id, ...(await restorableScope(req.user._id)) });
+    if (!todo) {
+      return res.status(404).json({ error: 'Todo not found in trash' });
+    }
+
+    const restoredTodo = await untrash(todo, req.user._id);
+
+    publish(req, 'todo.created', { todo: restoredTodo }, await listAudience([restoredTodo.list]));
+    res.json(restoredTodo);
+  } catch (error) {
+    console.error('Error restoring todo:', error);
+    res.status(500).json({ error: 'Failed to restore todo' });
+  }
+});
+
+// Delete one trashed todo permanently
+router.delete('/:id', validate({ params: schemas.trashParams }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const todo = await Todo.findOneAndDelete({
+      _id: id,
+      owner: req.user._id,
+      deletedAt: { $ne: null }
+    });
+    if (!todo) {
+      if (await Todo.exists({ _id: id, ...(await restorableScope(req.user._id)) })) {
+        return res.status(403).json({ error: 'Only the list owner can delete tasks permanently' });
+      }
+      return res.status(404).json({ error: 'Todo not found in trash' });
+    }
+    await TodoChange.deleteMany({ todo: todo._id });
+
+    res.json({ message: 'Todo deleted permanently', todo });
+  } catch (error) {
+    console.error('Error deleting todo permanently:', error);
+    res.status(500).json({ error: 'Failed to delete todo' });
+  }
+});
+
+// Empty the trash. Only the user's own todos go; trash from lists others
+// shared with them is left to those lists' owners.
+router.delete('/', async (req, res) => {
+  try {
+    const trashed = await Todo.find({ owner: req.user._id, deletedAt: { $ne: null } }, { _id: 1 });
+    const ids = trashed.map(todo => todo._id);
+
+    const result = await Todo.deleteMany({ _id: { $in: ids } });
+    await TodoChange.deleteMany({ todo: { $in: ids } });
+    res.json({ message: 'Trash emptied', deletedCount: result.deletedCount });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const { object } = require('./common');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// bcrypt only looks at the first 72 bytes
+const MAX_PASSWORD_LENGTH = 72;
+
+module.exports = {
+  register: object({
+    username: { type: 'string', minLength: 3, maxLength: 32, pattern: '^[a-zA-Z0-9._-]+$' },
+    password: { type: 'string', minLength: MIN_PASSWORD_LENGTH, maxLength: MAX_PASSWORD_LENGTH }
+  }, ['username', 'password']),
+  login: object({
+    username: { type: 'string', minLength: 1, maxLength: 100 },
+    password: { type: 'string', minLength: 1, maxLength: 200 }
+  }, ['username', 'password'])
+};
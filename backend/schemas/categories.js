@@ -0,0 +1,14 @@
+const { objectId, text, object, idParams } = require('./common');
+
+const categoryFields = {
+  name: text(40),
+  icon: { type: 'string', maxLength: 8 },
+  color: { type: 'string', format: 'color' }
+};
+
+module.exports = {
+  categoryParams: idParams('id'),
+  createCategory: object(categoryFields, ['name']),
+  updateCategory: object(categoryFields),
+  deleteQuery: object({ reassignTo: objectId })
+};
@@ -0,0 +1,37 @@
+// Building blocks for the request schemas that middleware/validate.js
+// checks. Route params and query strings always arrive as strings, so
+// their schemas are patterns and string enums rather than numbers.
+
+const objectId = { type: 'string', format: 'objectId' };
+
+// Optional references that can be cleared with null (or an empty string,
+// as an unselected <select> sends)
+const optionalId = { type: ['string', 'null'], anyOf: [{ format: 'objectId' }, { maxLength: 0 }] };
+
+const queryInteger = { type: 'string', pattern: '^\\d+$' };
+const queryBoolean = { type: 'string', enum: ['true', 'false'] };
+
+// Names and titles need something besides whitespace
+function text(maxLength) {
+  return { type: 'string', maxLength, pattern: '\\S' };
+}
+
+// An object schema that rejects fields it doesn't list
+function object(properties, required = []) {
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+
+// Route params that are all IDs, e.g. idParams('id', 'subtaskId')
+function idParams(...names) {
+  return object(Object.fromEntries(names.map(name => [name, objectId])), names);
+}
+
+module.exports = {
+  objectId,
+  optionalId,
+  queryInteger,
+  queryBoolean,
+  text,
+  object,
+  idParams
+};
@@ -0,0 +1,15 @@
+const { COMPONENTS } = require('../utils/ical');
+const { objectId, queryInteger, object } = require('./common');
+
+module.exports = {
+  activityQuery: object({ limit: queryInteger, before: objectId }),
+  calendarQuery: object({
+    token: { type: 'string', maxLength: 100 },
+    type: { type: 'string', enum: Object.keys(COMPONENTS) },
+    list: objectId
+  }),
+  eventsQuery: object({
+    access_token: { type: 'string', maxLength: 2000 },
+    lastEventId: { type: 'string', maxLength: 100 }
+  })
+};
@@ -0,0 +1,21 @@
+const { objectId, queryBoolean, text, object, idParams } = require('./common');
+
+const MEMBER_ROLES = ['editor', 'viewer'];
+
+const listFields = {
+  name: text(60),
+  icon: { type: 'string', maxLength: 8 },
+  color: { type: 'string', format: 'color' }
+};
+
+module.exports = {
+  listParams: idParams('id'),
+  createList: object(listFields, ['name']),
+  updateList: object(listFields),
+  deleteQuery: object({ moveTo: objectId, deleteTasks: queryBoolean }),
+  inviteParams: idParams('id', 'inviteId'),
+  createInvite: object({ role: { type: 'string', enum: MEMBER_ROLES } }),
+  memberParams: idParams('id', 'userId'),
+  updateMember: object({ role: { type: 'string', enum: MEMBER_ROLES } }, ['role']),
+  tokenParams: object({ token: { type: 'string', maxLength: 100 } }, ['token'])
+};
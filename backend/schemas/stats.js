@@ -0,0 +1,10 @@
+const { objectId, queryInteger, object } = require('./common');
+
+module.exports = {
+  statsQuery: object({
+    list: objectId,
+    days: queryInteger,
+    // IANA name, e.g. Europe/Berlin; utils/stats.js checks it exists
+    timeZone: { type: 'string', maxLength: 100 }
+  })
+};
@@ -0,0 +1,164 @@
+const { STATUSES, PRIORITIES, SORTS } = require('../utils/todoQuery');
+const { FREQUENCIES, WEEKDAYS } = require('../utils/recurrence');
+const { MAX_REMINDERS, MAX_MINUTES_BEFORE, MAX_SNOOZE_MINUTES } = require('../utils/reminders');
+const { objectId, optionalId, queryInteger, text, object, idParams } = require('./common');
+
+// Titles are capped like the app's input
+const TITLE_MAX_LENGTH = 200;
+
+// Query strings of the list endpoints (GET /api/todos, /api/export)
+const listFilters = {
+  list: objectId,
+  assignee: { type: 'string', anyOf: [{ format: 'objectId' }, { enum: ['me', 'none'] }] },
+  status: { type: 'string', enum: STATUSES },
+  priority: { type: 'string', enum: PRIORITIES },
+  category: { type: 'string', anyOf: [{ format: 'objectId' }, { enum: ['none'] }] },
+  tag: { type: 'string', maxLength: 100 },
+  dueFrom: { type: 'string', format: 'due-date' },
+  dueTo: { type: 'string', format: 'due-date' },
+  q: { type: 'string', maxLength: 200 }
+};
+
+const listQuery = object({
+  ...listFilters,
+  sort: { type: 'string', enum: Object.keys(SORTS) },
+  limit: queryInteger,
+  cursor: { type: 'string', maxLength: 500 }
+});
+
+// An RRULE string ("FREQ=WEEKLY;BYDAY=MO") or the same rule as an object;
+// the rule's own consistency is checked by normalizeRecurrence(). The
+// instance's place in the series is the server's to keep.
+const recurrence = {
+  type: ['string', 'object', 'null'],
+  maxLength: 200,
+  properties: {
+    freq: { type: 'string', enum: FREQUENCIES },
+    interval: { type: 'integer', minimum: 1 },
+    byWeekday: { type: 'array', items: { type: 'string', enum: WEEKDAYS } },
+    byMonthDay: { type: ['integer', 'null'], minimum: 1, maximum: 31 },
+    until: { type: ['string', 'null'], format: 'due-date' },
+    count: { type: ['integer', 'null'], minimum: 1 },
+    timeZone: { type: ['string', 'null'], maxLength: 100 },
+    utcOffset: { type: ['integer', 'null'], minimum: -840, maximum: 840 }
+  },
+  required: ['freq'],
+  additionalProperties: false
+};
+
+// Fields a todo can be created or updated with
+const todoFields = {
+  title: text(TITLE_MAX_LENGTH),
+  assignee: optionalId,
+  status: { type: 'string', enum: STATUSES },
+  priority: { type: 'string', enum: PRIORITIES },
+  category: optionalId,
+  tags: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 30 } },
+  dueDate: { type: ['string', 'null'], format: 'due-date' },
+  hasDueTime: { type: 'boolean' },
+  reminders: {
+    type: ['array', 'null'],
+    maxItems: MAX_REMINDERS,
+    // Offsets in minutes before due, or { minutesBefore } objects
+    items: {
+      type: ['integer', 'object'],
+      minimum: 0,
+      maximum: MAX_MINUTES_BEFORE,
+      properties: { minutesBefore: { type: 'integer', minimum: 0, maximum: MAX_MINUTES_BEFORE } },
+      required: ['minutesBefore'],
+      additionalProperties: false
+    }
+  },
+  recurrence,
+  autoCompleteWithSubtasks: { type: 'boolean' }
+};
+
+// The title may come from `quickAdd` text instead (see expandQuickAdd()).
+// Subtasks are only given here; afterwards they have their own routes.
+const createTodo = {
+  ...object({
+    ...todoFields,
+    subtasks: {
+      type: 'array',
+      items: object({ title: text(TITLE_MAX_LENGTH), done: { type: 'boolean' } }, ['title'])
+    },
+    list: optionalId,
+    quickAdd: { type: 'string', maxLength: 500 },
+    utcOffset: { type: 'integer', minimum: -840, maximum: 840 },
+    timeZone: { type: 'string', maxLength: 100 }
+  }),
+  if: { required: ['quickAdd'] },
+  else: { required: ['title'] }
+};
+
+const updateTodo = object({
+  ...todoFields,
+  list: objectId,
+  position: { type: 'number' },
+  baseUpdatedAt: { type: 'string', format: 'date-time' }
+});
+
+// The same field, also taking null
+function nullable(schema) {
+  return {
+    ...schema,
+    type: [...new Set([].concat(schema.type, 'null'))],
+    ...(schema.enum && { enum: [...schema.enum, null] })
+  };
+}
+
+// A JSON Merge Patch of a todo (see mergePatchUpdates()): null resets any
+// field but the title, and a recurrence object may leave out the parts of
+// the rule that stay
+const mergePatchTodo = object({
+  ...updateTodo.properties,
+  ...Object.fromEntries(Object.entries(todoFields)
+    .filter(([name]) => name !== 'title')
+    .map(([name, schema]) => [name, nullable(schema)])),
+  recurrence: { ...recurrence, required: [] }
+});
+
+const bulk = object({
+  create: { type: 'array', items: createTodo },
+  update: object({ ids: { type: 'array', items: objectId }, patch: updateTodo }, ['ids', 'patch']),
+  delete: { type: 'array', items: objectId }
+});
+
+const reorder = object({
+  moves: {
+    type: 'array',
+    minItems: 1,
+    items: object({
+      id: objectId,
+      afterId: { ...objectId, type: ['string', 'null'] },
+      beforeId: { ...objectId, type: ['string', 'null'] },
+      status: { type: 'string', enum: STATUSES }
+    }, ['id'])
+  }
+}, ['moves']);
+
+const deleteQuery = object({ baseUpdatedAt: { type: 'string', format: 'date-time' } });
+
+const clearQuery = object({ list: objectId });
+
+const subtaskTitle = text(TITLE_MAX_LENGTH);
+
+module.exports = {
+  listFilters,
+  listQuery,
+  todoParams: idParams('id'),
+  createTodo,
+  updateTodo,
+  mergePatchTodo,
+  bulk,
+  reorder,
+  deleteQuery,
+  clearQuery,
+  subtaskParams: idParams('id', 'subtaskId'),
+  createSubtask: object({ title: subtaskTitle }, ['title']),
+  reorderSubtasks: object({ order: { type: 'array', items: objectId } }, ['order']),
+  updateSubtask: object({ title: subtaskTitle, done: { type: 'boolean' } }),
+  historyParams: idParams('id', 'changeId'),
+  snoozeParams: idParams('id', 'reminderId'),
+  snooze: object({ minutes: { type: 'integer', minimum: 1, maximum: MAX_SNOOZE_MINUTES } })
+};
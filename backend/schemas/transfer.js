@@ -0,0 +1,18 @@
+const { FORMATS, FIELDS } = require('../utils/todoFormats');
+const { listFilters } = require('./todos');
+const { optionalId, object } = require('./common');
+
+const format = { type: 'string', enum: Object.keys(FORMATS) };
+
+module.exports = {
+  exportQuery: object({ ...listFilters, format }),
+  // `mapping` names the file's column for each field, or null to skip it
+  importBody: object({
+    format,
+    content: { type: 'string', minLength: 1 },
+    mapping: object(Object.fromEntries(FIELDS.map(field => [field, { type: ['string', 'null'], maxLength: 200 }]))),
+    list: optionalId,
+    dryRun: { type: 'boolean' },
+    duplicates: { type: 'string', enum: ['skip', 'import'] }
+  }, ['format', 'content'])
+};
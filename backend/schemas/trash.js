@@ -0,0 +1,10 @@
+const { objectId, object, idParams } = require('./common');
+
+module.exports = {
+  trashParams: idParams('id'),
+  // One of the two; the route says so when neither is given
+  restore: object({
+    ids: { type: 'array', items: objectId },
+    deletedAt: { type: 'string', format: 'date-time' }
+  })
+};
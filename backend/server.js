@@ -1,158 +1,29 @@
 require('dotenv').config();
-const express = require('express');
-const mongoose = require('mongoose');
-const cors = require('cors');
-const path = require('path');
-const Todo = require('./models/Todo');
+const app = require('./app');
+const { createStorage } = require('./storage');
+const { startTrashPurge } = require('./jobs/trashPurge');
+const { startReminders } = require('./jobs/reminders');
 
-const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+async function start() {
+  const storage = createStorage();
+  await storage.connect();
+  app.locals.storage = storage;
 
-// Serve frontend (static files)
-app.use(express.static(path.join(__dirname, '../frontend')));
-
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, '../frontend/index.html'));
-});
-
-// Connect to MongoDB
-mongoose.connect(process.env.MONGODB_URI)
-  .then(() => {
-    console.log('✅ Connected to MongoDB');
-    console.log('📊 Database:', mongoose.connection.name);
-  })
-  .catch((error) => {
-    console.error('❌ MongoDB connection error:', error.message);
-    process.exit(1);
-  });
-
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', message: 'Server is running' });
-});
-
-// Get all todos
-app.get('/api/todos', async (req, res) => {
-  try {
-    const todos = await Todo.find().sort({ createdAt: -1 });
-    res.json(todos);
-  } catch (error) {
-    console.error('Error fetching todos:', error);
-    res.status(500).json({ error: 'Failed to fetch todos' });
-  }
-});
-
-// Create new todo
-app.post('/api/todos', async (req, res) => {
-  try {
-    const { title, status, priority, category, dueDate } = req.body;
-
-    if (!title || title.trim() === '') {
-      return res.status(400).json({ error: 'Title is required' });
-    }
-
-    const todo = new Todo({
-      title: title.trim(),
-      status: status || 'todo',
-      priority: priority || 'medium',
-      category: category || 'general',
-      dueDate: dueDate || null
-    });
-
-    const savedTodo = await todo.save();
-    res.status(201).json(savedTodo);
-  } catch (error) {
-    console.error('Error creating todo:', error);
-    res.status(500).json({ error: 'Failed to create todo' });
-  }
-});
-
-// Update todo
-app.put('/api/todos/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ error: 'Invalid todo ID' });
-    }
-
-    const updates = {};
-    if (req.body.title !== undefined) updates.title = req.body.title.trim();
-    if (req.body.status !== undefined) updates.status = req.body.status;
-    if (req.body.priority !== undefined) updates.priority = req.body.priority;
-    if (req.body.category !== undefined) updates.category = req.body.category;
-    if (req.body.dueDate !== undefined) updates.dueDate = req.body.dueDate;
-
-    const updatedTodo = await Todo.findByIdAndUpdate(
-      id,
-      updates,
-      { new: true, runValidators: true }
-    );
-
-    if (!updatedTodo) {
-      return res.status(404).json({ error: 'Todo not found' });
-    }
-
-    res.json(updatedTodo);
-  } catch (error) {
-    console.error('Error updating todo:', error);
-    res.status(500).json({ error: 'Failed to update todo' });
-  }
-});
-
-// Delete todo
-app.delete('/api/todos/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ error: 'Invalid todo ID' });
-    }
-
-    const deletedTodo = await Todo.findByIdAndDelete(id);
-
-    if (!deletedTodo) {
-      return res.status(404).json({ error: 'Todo not found' });
-    }
-
-    res.json({ message: 'Todo deleted successfully', todo: deletedTodo });
-  } catch (error) {
-    console.error('Error deleting todo:', error);
-    res.status(500).json({ error: 'Failed to delete todo' });
+  // The jobs work on the Mongoose models
+  if (storage.name === 'mongo') {
+    startTrashPurge();
+    startReminders();
   }
-});
-
-// Clear all todos
-app.delete('/api/todos', async (req, res) => {
-  try {
-    const result = await Todo.deleteMany({});
-    res.json({
-      message: 'All todos cleared successfully',
-      deletedCount: result.deletedCount
-    });
-  } catch (error) {
-    console.error('Error clearing todos:', error);
-    res.status(500).json({ error: 'Failed to clear todos' });
-  }
-});
 
-// 404 handler (API only; let frontend handle non-API routes)
-app.use('/api', (req, res) => {
-  res.status(404).json({ error: 'Route not found' });
-});
-
-// Error handler
-app.use((err, req, res, next) => {
-  console.error('Server error:', err);
-  res.status(500).json({ error: 'Internal server error' });
-});
+  app.listen(PORT, () => {
+    console.log(`🚀 Server running on http://localhost:${PORT}`);
+    console.log(`📡 API: http://localhost:${PORT}/api/todos`);
+  });
+}
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
-  console.log(`📡 API: http://localhost:${PORT}/api/todos`);
+start().catch((error) => {
+  console.error('❌ Failed to start:', error.message);
+  process.exit(1);
 });
@@ -0,0 +1,51 @@
+// Where users and todos are kept, chosen by the STORAGE setting:
+//   mongo   MongoDB through Mongoose (default), at MONGODB_URI
+//   memory  in this process only, for tests and trying out the API
+//
+// A storage is { name, users, todos, connect(), close() }. Routes reach it
+// as req.app.locals.storage. IDs may be ObjectIds or strings.
+//
+// users
+//   findById(id)                  -> user | null
+//   findByUsername(username)      -> user | null
+//   create({ username, password }) -> user
+//
+// todos (every method is scoped to what `user` can reach)
+//   list(user, query)             -> { todos, nextCursor, total, counts }
+//                                    query as GET /api/todos takes it; throws QueryError
+//   get(user, id, { minRole })    -> todo | null; throws AccessError below minRole
+//   create(user, body)            -> { todo, audience }
+//   parseUpdates(user, body)      -> updates for update(); throws input errors
+//   update(user, todo, updates)   -> { todo, previousStatus, nextTodo, audience }
+//   remove(user, todo)            -> { todo, audience }, moving it to the trash
+//   clear(user, { list })         -> { deletedCount, deletedAt, lists: [{ list, audience }] },
+//                                    or null when the list isn't found
+//   stats(user, { list, timeZone, now, startOfToday })
+//                                 -> figures for buildStats() (utils/stats.js),
+//                                    over one list or all; throws QueryError
+//
+// update() and remove() take a todo from get() and throw a conflict (see
+// isConflict()) if it was saved by someone else since. `audience` is who
+// to send the change event to. Todos and users are documents or objects
+// whose JSON is what the API returns.
+//
+// The other features (lists, categories, history, trash, ...) still use
+// the Mongoose models directly and are only served with MongoDB.
+
+const { createMongoStorage } = require('./mongo');
+const { createMemoryStorage } = require('./memory');
+
+const STORAGES = {
+  mongo: createMongoStorage,
+  memory: createMemoryStorage
+};
+
+function createStorage(name = process.env.STORAGE || 'mongo') {
+  const create = STORAGES[name];
+  if (!create) {
+    throw new Error(`Unknown STORAGE "${name}". Expected one of: ${Object.keys(STORAGES).join(', ')}`);
+  }
+  return create();
+}
+
+module.exports = { createStorage };
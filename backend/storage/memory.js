@@ -0,0 +1,273 @@
+// In-memory storage, for tests and for running the API without MongoDB.
+// Records are kept as plain objects and handed out as Mongoose documents
+// that are never saved, so defaults, setters and validation are the same
+// as with MongoDB. Everything is lost when the process exits.
+//
+// Only users and their own todos are stored: there are no shared lists,
+// categories or history, so todos can't point at a list, a category or
+// another user. See storage/index.js for the interface.
+
+const Todo = require('../models/Todo');
+const User = require('../models/User');
+const { SORTS, NO_DUE_DATE, parseListQuery, parseListScope, toPage } = require('../utils/todoQuery');
+const { TodoInputError, parseQuickAdd, newTodo, parseUpdates, applyUpdates } = require('../utils/todoInput');
+const { ConflictError } = require('../utils/revisions');
+const { dayOf } = require('../utils/stats');
+
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+
+// Computes the same sort keys as the SORTS aggregation expressions
+const SORT_KEYS = {
+  newest: todo => todo.createdAt,
+  oldest: todo => todo.createdAt,
+  priority: todo => PRIORITY_RANK[todo.priority] || 1,
+  dueDate: todo => todo.dueDate || NO_DUE_DATE,
+  position: todo => todo.position
+};
+
+// IDs may be ObjectIds or strings; null only equals null
+function sameId(a, b) {
+  return String(a ?? null) === String(b ?? null);
+}
+
+function matchesRange(value, { $gte, $lte }) {
+  if (!value) return false;
+  return (!$gte || value >= $gte) && (!$lte || value <= $lte);
+}
+
+// Like the text index, matches any of the words, in the title or a tag
+function matchesText(todo, search) {
+  const words = search.toLowerCase().split(/\s+/).filter(Boolean);
+  const text = [todo.title, ...todo.tags].join(' ').toLowerCase();
+  return words.some(word => text.includes(word));
+}
+
+// Applies the filter parseListQuery() builds; `list` is left out, as
+// todos here aren't in lists
+function matchesFilter(todo, filter) {
+  return todo.deletedAt === null &&
+    (filter.assignee === undefined || sameId(todo.assignee, filter.assignee)) &&
+    (filter.status === undefined || todo.status === filter.status) &&
+    (filter.priority === undefined || todo.priority === filter.priority) &&
+    (filter.category === undefined || sameId(todo.category, filter.category)) &&
+    (filter.tags === undefined || todo.tags.includes(filter.tags)) &&
+    (filter.dueDate === undefined || matchesRange(todo.dueDate, filter.dueDate)) &&
+    (filter.$text === undefined || matchesText(todo, filter.$text.$search));
+}
+
+// Orders by sort key then _id, like the pipeline's $sort
+function compareSortKeys(a, b) {
+  return Number(a._sortKey) - Number(b._sortKey) || String(a._id).localeCompare(String(b._id));
+}
+
+// Totals and completions of the todos grouped by a field, like the
+// Mongo storage's $group
+function breakdown(todos, field) {
+  const groups = new Map();
+  todos.forEach(todo => {
+    const key = todo[field] ?? null;
+    const group = groups.get(String(key)) || { [field]: key, total: 0, completed: 0 };
+    group.total++;
+    if (todo.status === 'completed') group.completed++;
+    groups.set(String(key), group);
+  });
+  return [...groups.values()];
+}
+
+// Relations this storage can't resolve are unknown, like missing ones
+function checkNoRelations(input) {
+  if (input.category) throw new TodoInputError('Unknown category', 'category');
+  if (input.list) throw new TodoInputError('Unknown list', 'list');
+  if (input.assignee) throw new TodoInputError('Assignee must be a member of the list', 'assignee');
+}
+
+function createUserStore() {
+  const records = new Map();
+
+  return {
+    findById(id) {
+      const record = records.get(String(id));
+      return record ? User.hydrate(record) : null;
+    },
+
+    findByUsername(username) {
+      const name = username.trim().toLowerCase();
+      const record = [...records.values()].find(user => user.username === name);
+      return record ? User.hydrate(record) : null;
+    },
+
+    async create({ username, password }) {
+      const user = new User({ username });
+      await user.setPassword(password);
+      await user.validate();
+      records.set(String(user._id), user.toObject());
+      return user;
+    }
+  };
+}
+
+function createTodoStore() {
+  const records = new Map();
+
+  const load = record => Todo.hydrate(record);
+  const ownLive = user => [...records.values()].filter(todo => sameId(todo.owner, user._id) && todo.deletedAt === null);
+
+  async function insert(todo) {
+    await todo.validate();
+    todo.revision = 0;
+    todo.updatedAt = new Date();
+    records.set(String(todo._id), todo.toObject());
+    return load(records.get(String(todo._id)));
+  }
+
+  // Optimistic concurrency like the Mongo model's: only the revision the
+  // todo was loaded at may be saved over
+  async function save(todo) {
+    const stored = records.get(String(todo._id));
+    if (!stored || stored.revision !== todo.revision) throw new ConflictError();
+
+    await todo.validate();
+    if (!todo.isModified()) return todo;
+
+    todo.revision += 1;
+    todo.updatedAt = new Date();
+    records.set(String(todo._id), todo.toObject());
+    return load(records.get(String(todo._id)));
+  }
+
+  return {
+    list(user, query) {
+      const { scope, filter, sort, limit, cursor } = parseListQuery(query, { userId: user._id, listIds: [] });
+      const sortKey = SORT_KEYS[Object.keys(SORTS).find(name => SORTS[name] === sort)];
+      const own = ownLive(user);
+
+      let matching = own
+        .filter(todo => matchesFilter(todo, filter))
+        .map(todo => ({ ...load(todo).toObject(), _sortKey: sortKey(todo) }))
+        .sort((a, b) => compareSortKeys(a, b) * sort.direction);
+      const total = matching.length;
+
+      if (cursor) {
+        const after = { _sortKey: cursor.value, _id: cursor.id };
+        matching = matching.filter(todo => compareSortKeys(todo, after) * sort.direction > 0);
+      }
+
+      const counts = { all: 0, todo: 0, progress: 0, completed: 0 };
+      own.filter(todo => matchesFilter(todo, { assignee: scope.assignee })).forEach(todo => {
+        counts[todo.status]++;
+        counts.all++;
+      });
+
+      return { ...toPage(matching.slice(0, limit + 1), limit), total, counts };
+    },
+
+    get(user, id) {
+      const record = records.get(String(id));
+      if (!record || !sameId(record.owner, user._id) || record.deletedAt !== null) return null;
+      return load(record);
+    },
+
+    async create(user, body) {
+      const input = body.quickAdd !== undefined
+        ? parseQuickAdd(body, { list: null, categories: [], people: [] })
+        : body;
+      checkNoRelations(input);
+
+      const todo = await insert(newTodo(input, { owner: user._id, list: null }));
+      return { todo, audience: [user._id] };
+    },
+
+    parseUpdates(user, body) {
+      checkNoRelations(body || {});
+      return parseUpdates(body, user._id);
+    },
+
+    async update(user, loaded, updates) {
+      const previousStatus = loaded.status;
+      let todo = await save(applyUpdates(loaded, updates));
+
+      // Completing a recurring todo schedules its next instance
+      let nextTodo = null;
+      const nextFields = previousStatus !== 'completed' && todo.status === 'completed'
+        ? todo.nextOccurrenceFields()
+        : null;
+      if (nextFields) {
+        nextTodo = await insert(new Todo(nextFields));
+        todo.nextOccurrence = nextTodo._id;
+        todo = await save(todo);
+      }
+
+      return { todo, previousStatus, nextTodo, audience: [user._id] };
+    },
+
+    async remove(user, loaded) {
+      loaded.deletedAt = new Date();
+      return { todo: await save(loaded), audience: [user._id] };
+    },
+
+    clear(user, { list } = {}) {
+      if (list) return null;
+
+      const deletedAt = new Date();
+      const cleared = ownLive(user);
+      cleared.forEach(todo => {
+        Object.assign(todo, { deletedAt, updatedAt: deletedAt, revision: todo.revision + 1 });
+      });
+
+      return { deletedCount: cleared.length, deletedAt, lists: [{ list: null, audience: [user._id] }] };
+    },
+
+    stats(user, { list, timeZone, now, startOfToday }) {
+      parseListScope(list, []);
+      const own = ownLive(user);
+
+      const counts = {};
+      own.forEach(todo => {
+        counts[todo.status] = (counts[todo.status] || 0) + 1;
+      });
+
+      const overdue = own.filter(todo => todo.status !== 'completed' && todo.dueDate &&
+        todo.dueDate < (todo.hasDueTime ? now : startOfToday)).length;
+
+      // Todos completed before completedAt was recorded count as completed
+      // when they were last saved
+      const days = new Map();
+      own.filter(todo => todo.status === 'completed').forEach(todo => {
+        const completedAt = todo.completedAt || todo.updatedAt;
+        const date = dayOf(completedAt, timeZone);
+        const day = days.get(date) || { date, count: 0, leadTime: 0, cycleTime: 0, cycleCount: 0 };
+        day.count++;
+        day.leadTime += completedAt - todo.createdAt;
+        if (todo.startedAt) {
+          day.cycleTime += completedAt - todo.startedAt;
+          day.cycleCount++;
+        }
+        days.set(date, day);
+      });
+
+      return {
+        counts,
+        overdue,
+        completionDays: [...days.values()],
+        byCategory: breakdown(own, 'category'),
+        byPriority: breakdown(own, 'priority')
+      };
+    }
+  };
+}
+
+function createMemoryStorage() {
+  return {
+    name: 'memory',
+    users: createUserStore(),
+    todos: createTodoStore(),
+
+    async connect() {
+      console.log('🧪 Using in-memory storage; data is lost on restart');
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = { createMemoryStorage };
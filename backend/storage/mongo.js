@@ -0,0 +1,209 @@
+// MongoDB storage: the Mongoose models, with shared lists, categories and
+// history. See storage/index.js for the interface.
+
+const mongoose = require('mongoose');
+const Todo = require('../models/Todo');
+const TodoChange = require('../models/TodoChange');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const { parseListQuery, parseListScope, buildPagePipeline, toPage } = require('../utils/todoQuery');
+const { listIdsFor, findList, findTodo, listAudience } = require('../utils/listAccess');
+const { buildTodo, parseUpdates, applyUpdates } = require('../utils/todoInput');
+
+// Todos completed before completedAt was recorded count as completed when
+// they were last saved
+const COMPLETED_AT = { $ifNull: ['$completedAt', '$updatedAt'] };
+
+// Totals and completions of the todos grouped by a field
+function breakdown(field) {
+  return [
+    {
+      $group: {
+        _id: `$${field}`,
+        total: { $sum: 1 },
+        completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } }
+      }
+    },
+    { $project: { _id: 0, [field]: '$_id', total: 1, completed: 1 } }
+  ];
+}
+
+const users = {
+  findById(id) {
+    return mongoose.Types.ObjectId.isValid(id) ? User.findById(id) : null;
+  },
+
+  findByUsername(username) {
+    return User.findOne({ username: username.trim().toLowerCase() });
+  },
+
+  async create({ username, password }) {
+    const user = new User({ username });
+    await user.setPassword(password);
+    await user.save();
+    await Category.ensureDefaults(user._id);
+    return user;
+  }
+};
+
+const todos = {
+  async list(user, query) {
+    const listIds = await listIdsFor(user._id);
+    const listQuery = parseListQuery(query, { userId: user._id, listIds });
+
+    const [docs, total, statusCounts] = await Promise.all([
+      Todo.aggregate(buildPagePipeline(listQuery)),
+      Todo.countDocuments(listQuery.filter),
+      Todo.aggregate([
+        { $match: listQuery.scope },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = { all: 0, todo: 0, progress: 0, completed: 0 };
+    statusCounts.forEach(({ _id, count }) => {
+      counts[_id] = count;
+      counts.all += count;
+    });
+
+    return { ...toPage(docs, listQuery.limit), total, counts };
+  },
+
+  get(user, id, options) {
+    return findTodo(user._id, id, options);
+  },
+
+  async create(user, body) {
+    const todo = await buildTodo(body, user._id);
+    todo.$locals.actor = user._id;
+    await todo.save();
+    return { todo, audience: await listAudience([todo.list]) };
+  },
+
+  parseUpdates(user, body) {
+    return parseUpdates(body, user._id);
+  },
+
+  async update(user, todo, updates) {
+    const previousStatus = todo.status;
+    const previousList = todo.list;
+    todo.$locals.actor = user._id;
+    await applyUpdates(todo, updates).save();
+
+    // Completing a recurring todo schedules its next instance
+    let nextTodo = null;
+    if (previousStatus !== 'completed' && todo.status === 'completed') {
+      nextTodo = await todo.createNextOccurrence();
+    }
+
+    // Members of the list it left need the event too, to drop it
+    const audience = await listAudience([previousList, todo.list]);
+    return { todo, previousStatus, nextTodo, audience };
+  },
+
+  // Soft delete: the todo stays in the trash until restored or purged
+  async remove(user, todo) {
+    todo.deletedAt = new Date();
+    todo.$locals.actor = user._id;
+    await todo.save();
+    return { todo, audience: await listAudience([todo.list]) };
+  },
+
+  async clear(user, { list: listId } = {}) {
+    let listIds;
+    if (listId) {
+      const list = await findList(user._id, listId, 'editor');
+      if (!list) return null;
+      listIds = [list._id];
+    } else {
+      listIds = await listIdsFor(user._id, 'owner');
+    }
+
+    const deletedAt = new Date();
+    const cleared = await Todo.find({ list: { $in: listIds }, deletedAt: null }, { owner: 1, list: 1, title: 1 });
+    const result = await Todo.updateMany(
+      { _id: { $in: cleared.map(todo => todo._id) }, deletedAt: null },
+      { $set: { deletedAt }, $inc: { revision: 1 } }
+    );
+    await TodoChange.recordBulk(cleared, {
+      actor: user._id,
+      action: 'deleted',
+      changes: [{ field: 'deletedAt', before: null, after: deletedAt }]
+    });
+
+    const lists = await Promise.all(listIds.map(async list => ({ list, audience: await listAudience([list]) })));
+    return { deletedCount: result.modifiedCount, deletedAt, lists };
+  },
+
+  async stats(user, { list, timeZone, now, startOfToday }) {
+    const listIds = await listIdsFor(user._id);
+    const scope = { list: parseListScope(list, listIds), deletedAt: null };
+
+    const [result] = await Todo.aggregate([
+      { $match: scope },
+      {
+        $facet: {
+          statuses: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+          overdue: [
+            {
+              $match: {
+                status: { $ne: 'completed' },
+                $expr: { $lt: ['$dueDate', { $cond: ['$hasDueTime', now, startOfToday] }] },
+                dueDate: { $ne: null }
+              }
+            },
+            { $count: 'count' }
+          ],
+          completionDays: [
+            { $match: { status: 'completed' } },
+            { $set: { completedAt: COMPLETED_AT } },
+            {
+              $group: {
+                _id: { $dateToString: { date: '$completedAt', format: '%Y-%m-%d', timezone: timeZone } },
+                count: { $sum: 1 },
+                leadTime: { $sum: { $subtract: ['$completedAt', '$createdAt'] } },
+                cycleTime: { $sum: { $cond: ['$startedAt', { $subtract: ['$completedAt', '$startedAt'] }, 0] } },
+                cycleCount: { $sum: { $cond: ['$startedAt', 1, 0] } }
+              }
+            },
+            { $project: { _id: 0, date: '$_id', count: 1, leadTime: 1, cycleTime: 1, cycleCount: 1 } }
+          ],
+          byCategory: breakdown('category'),
+          byPriority: breakdown('priority')
+        }
+      }
+    ]);
+
+    return {
+      counts: Object.fromEntries(result.statuses.map(({ _id, count }) => [_id, count])),
+      overdue: result.overdue[0]?.count || 0,
+      completionDays: result.completionDays,
+      byCategory: result.byCategory,
+      byPriority: result.byPriority
+    };
+  }
+};
+
+function createMongoStorage({ uri = process.env.MONGODB_URI } = {}) {
+  return {
+    name: 'mongo',
+    users,
+    todos,
+
+    async connect() {
+      await mongoose.connect(uri);
+      console.log('✅ Connected to MongoDB');
+      console.log('📊 Database:', mongoose.connection.name);
+      // Replaces indexes whose definition changed (e.g. the todo text index)
+      Todo.syncIndexes().catch((error) => {
+        console.error('⚠️  Failed to sync todo indexes:', error.message);
+      });
+    },
+
+    close() {
+      return mongoose.disconnect();
+    }
+  };
+}
+
+module.exports = { createMongoStorage };
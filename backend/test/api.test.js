@@ -0,0 +1,967 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+process.env.JWT_SECRET ||= 'test-secret';
+
+const app = require('../app');
+const Todo = require('../models/Todo');
+const { createStorage } = require('../storage');
+const { createMongoStorage } = require('../storage/mongo');
+const { responseProblem } = require('../middleware/validate');
+const { hub } = require('../utils/events');
+const { deliverDueReminders } = require('../jobs/reminders');
+
+const MISSING_ID = '507f1f77bcf86cd799439011';
+
+// The suite runs on each storage. start() resolves to { reset, stop }, where
+// reset() gives an empty storage for the next test.
+const STORAGES = [
+  {
+    name: 'memory',
+    async start() {
+      return { reset: async () => createStorage('memory'), stop: async () => {} };
+    }
+  },
+  {
+    // A throwaway mongod in this process (mongodb-memory-server). Collections
+    // are emptied rather than dropped between tests, so the indexes stay.
+    name: 'mongo',
+    async start() {
+      const mongod = await MongoMemoryServer.create();
+      const storage = createMongoStorage({ uri: mongod.getUri() });
+      await storage.connect();
+      await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+
+      return {
+        async reset() {
+          await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+          return storage;
+        },
+        async stop() {
+          await storage.close();
+          await mongod.stop();
+        }
+      };
+    }
+  }
+];
+
+STORAGES.forEach(({ name: storageName, start }) => describe(`todos API (${storageName})`, async () => {
+  let backend;
+  try {
+    backend = await start();
+  } catch (error) {
+    // e.g. no mongod binary and no network to download one
+    it('runs the suite', { skip: `${storageName} storage unavailable: ${error.message.split('\n')[0]}` });
+    return;
+  }
+
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await backend.stop();
+  });
+
+  beforeEach(async () => {
+    app.locals.storage = await backend.reset();
+  });
+
+  // Sends a request and checks the response against the OpenAPI description.
+  // Not fetch(), which marks conditional requests no-cache and so never
+  // gets a 304.
+  function request(method, path, { body, token, headers = {} } = {}) {
+    const options = {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      }
+    };
+
+    return new Promise((resolve, reject) => {
+      const req = http.request(baseUrl + path, options, res => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => {
+          try {
+            // Exports and the calendar feed come back as text
+            const isJson = /json/.test(res.headers['content-type']);
+            const json = text && isJson ? JSON.parse(text) : text || undefined;
+            const problem = responseProblem(method, new URL(path, baseUrl).pathname, res.statusCode, json);
+            assert.equal(problem, null);
+            resolve({ status: res.statusCode, headers: res.headers, body: json });
+          } catch (error) {
+            reject(error);
+          }
+        });
+      });
+      req.on('error', reject);
+      req.end(body === undefined || typeof body === 'string' ? body : JSON.stringify(body));
+    });
+  }
+
+  async function signUp(username = 'sam') {
+    const { body } = await request('POST', '/api/auth/register', { body: { username, password: 'password1' } });
+    return body.token;
+  }
+
+  async function createTodo(token, todo) {
+    const { status, body } = await request('POST', '/api/todos', { token, body: todo });
+    assert.equal(status, 201);
+    return body;
+  }
+
+  function fields(body) {
+    return body.errors.map(error => error.field);
+  }
+
+  describe('accounts', () => {
+    it('registers, logs in and returns the current user', async () => {
+      const registered = await request('POST', '/api/auth/register', { body: { username: 'Sam', password: 'password1' } });
+      assert.equal(registered.status, 201);
+      assert.equal(registered.body.user.username, 'sam');
+
+      const login = await request('POST', '/api/auth/login', { body: { username: 'SAM', password: 'password1' } });
+      assert.equal(login.status, 200);
+
+      const me = await request('GET', '/api/auth/me', { token: login.body.token });
+      assert.equal(me.body.user._id, registered.body.user._id);
+    });
+
+    it('rejects taken usernames, bad passwords and missing tokens', async () => {
+      await signUp();
+
+      const taken = await request('POST', '/api/auth/register', { body: { username: 'sam', password: 'password2' } });
+      assert.equal(taken.status, 409);
+      assert.deepEqual(fields(taken.body), ['username']);
+
+      const login = await request('POST', '/api/auth/login', { body: { username: 'sam', password: 'wrong-password' } });
+      assert.equal(login.status, 401);
+
+      assert.equal((await request('GET', '/api/todos')).status, 401);
+      assert.equal((await request('GET', '/api/todos', { token: 'not-a-token' })).status, 401);
+    });
+
+    it('answers 500 rather than 401 when the storage fails', async (t) => {
+      const token = await signUp();
+      t.mock.method(app.locals.storage.users, 'findById', async () => {
+        throw new Error('Storage unavailable');
+      });
+      t.mock.method(console, 'error', () => {});
+
+      assert.equal((await request('GET', '/api/todos', { token })).status, 500);
+    });
+
+    it('validates registrations', async () => {
+      const { status, body } = await request('POST', '/api/auth/register', { body: { username: 'a b', password: 'short' } });
+      assert.equal(status, 400);
+      assert.deepEqual(fields(body), ['username', 'password']);
+    });
+  });
+
+  describe('GET /api/todos', () => {
+    it('lists todos with totals and counts per status', async () => {
+      const token = await signUp();
+      await createTodo(token, { title: 'Buy milk' });
+      await createTodo(token, { title: 'Walk dog', status: 'completed' });
+
+      const { status, body } = await request('GET', '/api/todos', { token });
+      assert.equal(status, 200);
+      assert.equal(body.total, 2);
+      assert.deepEqual(body.counts, { all: 2, todo: 1, progress: 0, completed: 1 });
+      assert.deepEqual(body.todos.map(todo => todo.title), ['Walk dog', 'Buy milk']);
+    });
+
+    it('filters, searches and sorts', async () => {
+      const token = await signUp();
+      await createTodo(token, { title: 'Pay rent', priority: 'high', dueDate: '2026-11-01', tags: ['home'] });
+      await createTodo(token, { title: 'Buy milk', priority: 'low', tags: ['home'] });
+      await createTodo(token, { title: 'Write report', dueDate: '2026-10-20' });
+
+      const titles = async query => (await request('GET', `/api/todos?${query}`, { token })).body.todos.map(todo => todo.title);
+
+      assert.deepEqual(await titles('priority=high'), ['Pay rent']);
+      assert.deepEqual(await titles('tag=home&sort=oldest'), ['Pay rent', 'Buy milk']);
+      assert.deepEqual(await titles('q=milk'), ['Buy milk']);
+      assert.deepEqual(await titles('sort=dueDate'), ['Write report', 'Pay rent', 'Buy milk']);
+      assert.deepEqual(await titles('dueFrom=2026-10-25'), ['Pay rent']);
+    });
+
+    it('pages with a cursor', async () => {
+      const token = await signUp();
+      for (const title of ['One', 'Two', 'Three']) {
+        await createTodo(token, { title });
+      }
+
+      const first = await request('GET', '/api/todos?sort=oldest&limit=2', { token });
+      assert.deepEqual(first.body.todos.map(todo => todo.title), ['One', 'Two']);
+      assert.equal(first.body.total, 3);
+
+      const rest = await request('GET', `/api/todos?sort=oldest&limit=2&cursor=${encodeURIComponent(first.body.nextCursor)}`, { token });
+      assert.deepEqual(rest.body.todos.map(todo => todo.title), ['Three']);
+      assert.equal(rest.body.nextCursor, null);
+    });
+
+    it('rejects unknown filters, enum values and cursors', async () => {
+      const token = await signUp();
+
+      const invalid = await request('GET', '/api/todos?status=done&sort=title&limit=ten&colour=red', { token });
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(fields(invalid.body).sort(), ['colour', 'limit', 'sort', 'status']);
+
+      const cursor = await request('GET', '/api/todos?cursor=garbage', { token });
+      assert.equal(cursor.status, 400);
+      assert.equal(cursor.body.error, 'Invalid cursor');
+    });
+
+    it('only lists the user\'s own todos', async () => {
+      await createTodo(await signUp('alex'), { title: 'Not yours' });
+
+      const { body } = await request('GET', '/api/todos', { token: await signUp() });
+      assert.equal(body.total, 0);
+    });
+  });
+
+  describe('POST /api/todos', () => {
+    it('creates a todo with defaults', async () => {
+      const todo = await createTodo(await signUp(), { title: '  Buy milk  ', tags: ['#Home'], dueDate: '2026-10-20' });
+
+      assert.equal(todo.title, 'Buy milk');
+      assert.equal(todo.status, 'todo');
+      assert.equal(todo.priority, 'medium');
+      assert.deepEqual(todo.tags, ['home']);
+      assert.equal(todo.dueDate, '2026-10-20T00:00:00.000Z');
+      assert.equal(todo.revision, 0);
+    });
+
+    it('creates a todo from quick-add text', async () => {
+      const todo = await createTodo(await signUp(), { quickAdd: 'Pay rent 2026-11-01 !high #home', utcOffset: 0 });
+
+      assert.equal(todo.title, 'Pay rent');
+      assert.equal(todo.priority, 'high');
+      assert.deepEqual(todo.tags, ['home']);
+      assert.equal(todo.dueDate, '2026-11-01T00:00:00.000Z');
+    });
+
+    it('rejects blank titles, enum violations and unknown fields', async () => {
+      const { status, body } = await request('POST', '/api/todos', {
+        token: await signUp(),
+        body: { title: ' ', status: 'done', priority: 'urgent', colour: 'red' }
+      });
+
+      assert.equal(status, 400);
+      assert.deepEqual(fields(body).sort(), ['colour', 'priority', 'status', 'title']);
+    });
+
+    it('rejects invalid JSON', async () => {
+      const { status, body } = await request('POST', '/api/todos', { token: await signUp(), body: '{"title":' });
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Request body is not valid JSON');
+    });
+
+    it('answers 422 for categories that don\'t exist', async () => {
+      const { status, body } = await request('POST', '/api/todos', {
+        token: await signUp(),
+        body: { title: 'Buy milk', category: MISSING_ID }
+      });
+
+      assert.equal(status, 422);
+      assert.deepEqual(fields(body), ['category']);
+    });
+  });
+
+  describe('GET /api/todos/:id', () => {
+    it('returns the todo with its revision as the ETag', async () => {
+      const token = await signUp();
+      const todo = await createTodo(token, { title: 'Buy milk' });
+
+      const { status, headers, body } = await request('GET', `/api/todos/${todo._id}`, { token });
+      assert.equal(status, 200);
+      assert.equal(headers.etag, '"0"');
+      assert.equal(body.title, 'Buy milk');
+
+      const unchanged = await request('GET', `/api/todos/${todo._id}`, { token, headers: { 'If-None-Match': '"0"' } });
+      assert.equal(unchanged.status, 304);
+    });
+
+    it('answers 400 for invalid IDs and 404 for missing or other users\' todos', async () => {
+      const token = await signUp();
+      const theirs = await createTodo(await signUp('alex'), { title: 'Not yours' });
+
+      const invalid = await request('GET', '/api/todos/not-an-id', { token });
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(fields(invalid.body), ['id']);
+
+      assert.equal((await request('GET', `/api/todos/${MISSING_ID}`, { token })).status, 404);
+      assert.equal((await request('GET', `/api/todos/${theirs._id}`, { token })).status, 404);
+    });
+  });
+
+  describe('PUT /api/todos/:id', () => {
+    it('updates the todo and bumps its ETag', async () => {
+      const token = await signUp();
+      const todo = await createTodo(token, { title: 'Buy milk' });
+
+      const { status, headers, body } = await request('PUT', `/api/todos/${todo._id}`, {
+        token,
+        headers: { 'If-Match': '"0"' },
+        body: { status: 'progress', priority: 'high' }
+      });
+
+      assert.equal(status, 200);
+      assert.equal(headers.etag, '"1"');
+      assert.equal(body.status, 'progress');
+      assert.equal(body.priority, 'high');
+    });
+
+    it('answers 409 with the current todo for a stale If-Match', async () => {
+      const token = await signUp();
+      const todo = await createTodo(token, { title: 'Buy milk' });
+      await request('PUT', `/api/todos/${todo._id}`, { token, body: { title: 'Buy oat milk' } });
+
+      const { status, headers, body } = await request('PUT', `/api/todos/${todo._id}`, {
+        token,
+        headers: { 'If-Match': '"0"' },
+        body: { title: 'Buy soy milk' }
+      });
+
+      assert.equal(status, 409);
+      assert.equal(headers.etag, '"1"');
+      assert.equal(body.todo.title, 'Buy oat milk');
+    });
+
+    it('schedules the next occurrence when a recurring todo is completed', async () => {
+      const token = await signUp();
+      const todo = await createTodo(token, { title: 'Water plants', dueDate: '2026-10-20', recurrence: 'FREQ=WEEKLY' });
+
+      const { body } = await request('PUT', `/api/todos/${todo._id}`, { token, body: { status: 'completed' } });
+      assert.ok(body.nextOccurrence);
+
+      const next = await request('GET', `/api/todos/${body.nextOccurrence}`, { token });
+      assert.equal(next.body.status, 'todo');
+      assert.equal(next.body.dueDate, '2026-10-27T00:00:00.000Z');
+    });
+
+    it('keeps a monthly series on its day after a shorter month', async () => {
+      const token = await signUp();
+      let todo = await createTodo(token, { title: 'Send invoice', dueDate: '2027-01-31', recurrence: 'FREQ=MONTHLY' });
+      const dueDates = [];
+
+      for (let i = 0; i < 3; i++) {
+        const { body } = await request('PUT', `/api/todos/${todo._id}`, { token, body: { status: 'completed' } });
+        todo = (await request('GET', `/api/todos/${body.nextOccurrence}`, { token })).body;
+        dueDates.push(todo.dueDate.slice(0, 10));
+      }
+
+      assert.deepEqual(dueDates, ['2027-02-28', '2027-03-31', '2027-04-30']);
+      assert.equal(todo.recurrence.byMonthDay, 31);
+    });
+
+    it('rejects invalid IDs, enum violations and missing todos', async () => {
+      const token = await signUp();
+      const todo = await createTodo(token, { title: 'Buy milk' });
+
+      const invalidId = await request('PUT', '/api/todos/123', { token, body: { status: 'completed' } });
+      assert.equal(invalidId.status, 400);
+
+      const invalid = await request('PUT', `/api/todos/${todo._id}`, { token, body: { status: 'done', recurrence: 'FREQ=HOURLY' } });
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(fields(invalid.body), ['status']);
+
+      const contradictory = await request('PUT', `/api/todos/${todo._id}`, { token, body: { recurrence: 'FREQ=SOMETIMES' } });
+      assert.equal(contradictory.status, 422);
+
+      const missing = await request('PUT', `/api/todos/${MISSING_ID}`, { token, body: { status: 'completed' } });
+      assert.equal(missing.status, 404);
+    });
+  });
+
+  describe('PATCH /api/todos/:id', () => {
+    const MERGE_PATCH = { 'Content-Type': 'application/merge-patch+json' };
+
+    it('changes only the fields sent', async () => {
+      const token = await signUp();
+      const todo = await createTodo(token, { title: 'Buy milk', priority: 'high', tags: ['shopping'] });
+
+      const { status, headers, body } = await request('PATCH', `/api/todos/${todo._id}`, {
+        token,
+        headers: { 'If-Match': '"0"' },
+        body: { status: 'progress' }
+      });
+
+      assert.equal(status, 200);
+      assert.equal(headers.etag, '"1"');
+      assert.equal(body.status, 'progress');
+      assert.equal(body.priority, 'high');
+      assert.deepEqual(body.tags, ['shopping']);
+    });
+
+    it('applies a JSON Merge Patch, resetting fields sent as null', async () => {
+      const token = await signUp();
+      const todo = await createTodo(token, {
+        title: 'Water plants',
+        priority: 'high',
+        tags: ['home'],
+        dueDate: '2026-10-20',
+        recurrence: 'FREQ=WEEKLY;BYDAY=MO'
+      });
+
+      const { status, body } = await request('PATCH', `/api/todos/${todo._id}`, {
+        token,
+        headers: MERGE_PATCH,
+        body: { priority: null, tags: null, recurrence: { interval: 2 } }
+      });
+
+      assert.equal(status, 200);
+      assert.equal(body.priority, 'medium');
+      assert.deepEqual(body.tags, []);
+      assert.equal(body.dueDate, '2026-10-20T00:00:00.000Z');
+      assert.deepEqual(
+        { freq: body.recurrence.freq, interval: body.recurrence.interval, byWeekday: body.recurrence.byWeekday },
+        { freq: 'WEEKLY', interval: 2, byWeekday: ['MO'] }
+      );
+
+      const cleared = await request('PATCH', `/api/todos/${todo._id}`, { token, headers: MERGE_PATCH, body: { recurrence: null } });
+      assert.equal(cleared.body.recurrence, null);
+    });
+
+    it('records when the todo was started and completed', async () => {
+      const token = await signUp();
+      const todo = await createTodo(token, { title: 'Buy milk' });
+      assert.equal(todo.startedAt, null);
+
+      const started = await request('PATCH', `/api/todos/${todo._id}`, { token, body: { status: 'progress' } });
+      assert.ok(started.body.startedAt);
+      assert.equal(started.body.completedAt, null);
+
+      const completed = await request('PATCH', `/api/todos/${todo._id}`, { token, body: { status: 'completed' } });
+      assert.equal(completed.body.startedAt, started.body.startedAt);
+      assert.ok(completed.body.completedAt >= completed.body.startedAt);
+
+      const reopened = await request('PATCH', `/api/todos/${todo._id}`, { token, body: { status: 'todo' } });
+      assert.equal(reopened.body.startedAt, null);
+      assert.equal(reopened.body.completedAt, null);
+    });
+
+    it('only takes null for fields a merge patch can reset', async () => {
+      const token = await signUp();
+      const todo = await createTodo(token, { title: 'Buy milk' });
+
+      const title = await request('PATCH', `/api/todos/${todo._id}`, { token, headers: MERGE_PATCH, body: { title: null } });
+      assert.equal(title.status, 400);
+      assert.deepEqual(fields(title.body), ['title']);
+
+      const plainJson = await request('PATCH', `/api/todos/${todo._id}`, { token, body: { priority: null } });
+      assert.equal(plainJson.status, 400);
+    });
+
+    it('rejects fields an update doesn\'t apply', async () => {
+      const token = await signUp();
+      const todo = await createTodo(token, { title: 'Water plants', subtasks: [{ title: 'Fern' }] });
+
+      for (const headers of [{}, MERGE_PATCH]) {
+        const { status, body } = await request('PATCH', `/api/todos/${todo._id}`, {
+          token,
+          headers,
+          body: { subtasks: [{ title: 'Cactus' }], recurrence: { freq: 'WEEKLY', occurrence: 3 } }
+        });
+        assert.equal(status, 400);
+        assert.deepEqual(fields(body).sort(), ['recurrence.occurrence', 'subtasks']);
+      }
+
+      const bulk = await request('POST', '/api/todos/bulk', {
+        token,
+        body: { update: { ids: [todo._id], patch: { subtasks: [] } } }
+      });
+      assert.equal(bulk.status, 400);
+
+      const unchanged = await request('GET', `/api/todos/${todo._id}`, { token });
+      assert.deepEqual(unchanged.body.subtasks.map(({ title }) => title), ['Fern']);
+      assert.equal(unchanged.body.revision, 0);
+    });
+  });
+
+  describe('DELETE /api/todos/:id', () => {
+    it('moves the todo to the trash', async () => {
+      const token = await signUp();
+      const todo = await createTodo(token, { title: 'Buy milk' });
+
+      const { status, body } = await request('DELETE', `/api/todos/${todo._id}`, { token });
+      assert.equal(status, 200);
+      assert.ok(body.todo.deletedAt);
+
+      assert.equal((await request('GET', `/api/todos/${todo._id}`, { token })).status, 404);
+      assert.equal((await request('DELETE', `/api/todos/${todo._id}`, { token })).status, 404);
+    });
+
+    it('answers 409 for a stale If-Match and 400 for invalid IDs', async () => {
+      const token = await signUp();
+      const todo = await createTodo(token, { title: 'Buy milk' });
+      await request('PUT', `/api/todos/${todo._id}`, { token, body: { status: 'progress' } });
+
+      const stale = await request('DELETE', `/api/todos/${todo._id}`, { token, headers: { 'If-Match': '"0"' } });
+      assert.equal(stale.status, 409);
+
+      assert.equal((await request('DELETE', '/api/todos/xyz', { token })).status, 400);
+    });
+  });
+
+  describe('DELETE /api/todos', () => {
+    it('clears every todo into the trash with one deletedAt', async () => {
+      const token = await signUp();
+      await createTodo(token, { title: 'Buy milk' });
+      await createTodo(token, { title: 'Walk dog' });
+
+      const { status, body } = await request('DELETE', '/api/todos', { token });
+      assert.equal(status, 200);
+      assert.equal(body.deletedCount, 2);
+      assert.ok(body.deletedAt);
+
+      const after = await request('GET', '/api/todos', { token });
+      assert.equal(after.body.total, 0);
+      assert.equal(after.body.counts.all, 0);
+    });
+
+    it('rejects invalid list IDs and answers 404 for unknown lists', async () => {
+      const token = await signUp();
+
+      assert.equal((await request('DELETE', '/api/todos?list=abc', { token })).status, 400);
+      assert.equal((await request('DELETE', `/api/todos?list=${MISSING_ID}`, { token })).status, 404);
+    });
+  });
+
+  describe('POST /api/todos/bulk', () => {
+    it('reports a result per item', async () => {
+      const token = await signUp();
+      const todo = await createTodo(token, { title: 'Buy milk' });
+
+      const { status, body } = await request('POST', '/api/todos/bulk', {
+        token,
+        body: {
+          create: [{ title: 'Walk dog' }, { title: 'Pay rent', category: MISSING_ID }],
+          update: { ids: [todo._id, MISSING_ID], patch: { priority: 'high' } },
+          delete: [todo._id]
+        }
+      });
+
+      assert.equal(status, 200);
+      assert.deepEqual(body.created.map(result => result.ok), [true, false]);
+      assert.deepEqual(body.updated.map(result => result.ok), [true, false]);
+      assert.equal(body.updated[0].todo.priority, 'high');
+      assert.deepEqual(body.deleted.map(result => result.ok), [true]);
+      assert.equal(body.succeeded, 3);
+      assert.equal(body.failed, 2);
+    });
+
+    it('rejects empty requests', async () => {
+      const { status } = await request('POST', '/api/todos/bulk', { token: await signUp(), body: {} });
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('GET /api/stats', () => {
+    it('counts completions, overdue todos and breakdowns', async () => {
+      const token = await signUp();
+      await createTodo(token, { title: 'Pay rent', dueDate: '2020-01-01' });
+      await createTodo(token, { title: 'Done already', status: 'completed', priority: 'high' });
+      const todo = await createTodo(token, { title: 'Buy milk', status: 'progress' });
+      await request('PATCH', `/api/todos/${todo._id}`, { token, body: { status: 'completed' } });
+
+      const { status, body } = await request('GET', '/api/stats?days=7&timeZone=Europe/Berlin', { token });
+      assert.equal(status, 200);
+      assert.deepEqual(body.totals, { all: 3, todo: 1, progress: 0, completed: 2, overdue: 1 });
+      assert.equal(body.completedPerDay.length, 7);
+      assert.equal(body.completedPerDay.at(-1).count, 2);
+      assert.equal(body.completedInRange, 2);
+      assert.equal(typeof body.averageCycleTimeHours, 'number');
+      assert.deepEqual(body.streaks, { current: 1, longest: 1 });
+      assert.deepEqual(body.byPriority.find(group => group.priority === 'high'), { priority: 'high', total: 1, completed: 1 });
+      assert.deepEqual(body.byCategory, [{ category: null, total: 3, completed: 2 }]);
+    });
+
+    it('rejects bad periods, time zones and unknown lists', async () => {
+      const token = await signUp();
+      for (const query of ['days=0', 'days=week', 'timeZone=Nowhere', `list=${MISSING_ID}`]) {
+        const { status } = await request('GET', `/api/stats?${query}`, { token });
+        assert.equal(status, 400, query);
+      }
+      assert.equal((await request('GET', '/api/stats')).status, 401);
+    });
+  });
+
+  describe('/api/v1', () => {
+    it('puts the data and the rest of the response in an envelope', async () => {
+      const token = await signUp();
+      const todo = await createTodo(token, { title: 'Buy milk' });
+
+      const page = await request('GET', '/api/v1/todos', { token });
+      assert.equal(page.status, 200);
+      assert.deepEqual(page.body.data.map(item => item._id), [todo._id]);
+      assert.deepEqual(Object.keys(page.body.meta).sort(), ['counts', 'nextCursor', 'total']);
+
+      const one = await request('GET', `/api/v1/todos/${todo._id}`, { token });
+      assert.equal(one.headers.etag, '"0"');
+      assert.equal(one.body.data.title, 'Buy milk');
+      assert.equal(one.body.meta, undefined);
+
+      const deleted = await request('DELETE', `/api/v1/todos/${todo._id}`, { token });
+      assert.equal(deleted.body.data._id, todo._id);
+      assert.equal(deleted.body.meta.message, 'Todo moved to trash');
+
+      const cleared = await request('DELETE', '/api/v1/todos', { token });
+      assert.equal(cleared.body.data, null);
+      assert.equal(cleared.body.meta.deletedCount, 0);
+    });
+
+    it('reports errors with where in the request they are', async () => {
+      const token = await signUp();
+      const todo = await createTodo(token, { title: 'Buy milk' });
+
+      const invalid = await request('POST', '/api/v1/todos', { token, body: { title: ' ', priority: 'urgent' } });
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(invalid.body.errors.map(error => [error.status, error.source]), [
+        ['400', { pointer: '/title' }],
+        ['400', { pointer: '/priority' }]
+      ]);
+
+      const badQuery = await request('GET', '/api/v1/todos?status=done', { token });
+      assert.deepEqual(badQuery.body.errors[0].source, { parameter: 'status' });
+
+      await request('PATCH', `/api/v1/todos/${todo._id}`, { token, body: { title: 'Buy oat milk' } });
+      const conflict = await request('PATCH', `/api/v1/todos/${todo._id}`, {
+        token,
+        headers: { 'If-Match': '"0"' },
+        body: { title: 'Buy soy milk' }
+      });
+      assert.equal(conflict.status, 409);
+      assert.equal(conflict.body.errors[0].detail, 'Todo was changed by someone else');
+      assert.equal(conflict.body.meta.todo.title, 'Buy oat milk');
+
+      const missing = await request('GET', '/api/v1/nothing-here');
+      assert.deepEqual(missing.body, { errors: [{ status: '404', detail: 'Route not found' }] });
+    });
+
+    it('returns only the fields asked for', async () => {
+      const token = await signUp();
+      const todo = await createTodo(token, { title: 'Buy milk', priority: 'high' });
+
+      const page = await request('GET', '/api/v1/todos?fields=title,priority&limit=10', { token });
+      assert.equal(page.status, 200);
+      assert.deepEqual(page.body.data, [{ _id: todo._id, title: 'Buy milk', priority: 'high' }]);
+      assert.equal(page.body.meta.total, 1);
+
+      const invalid = await request('GET', '/api/v1/todos?fields=title,', { token });
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(invalid.body.errors[0].source, { parameter: 'fields' });
+    });
+  });
+
+  // Lists, categories, trash, history and the rest are only stored in MongoDB
+  if (storageName === 'mongo') {
+    async function userId(token) {
+      const { body } = await request('GET', '/api/auth/me', { token });
+      return body.user._id;
+    }
+
+    async function createList(token, name) {
+      const { status, body } = await request('POST', '/api/lists', { token, body: { name } });
+      assert.equal(status, 201);
+      return body;
+    }
+
+    // Adds the user behind `token` to the list through an invite link
+    async function share(list, ownerToken, token, role = 'editor') {
+      const { body: invite } = await request('POST', `/api/lists/${list._id}/invites`, { token: ownerToken, body: { role } });
+      const { status } = await request('POST', `/api/invites/${invite.token}/accept`, { token });
+      assert.equal(status, 200);
+    }
+
+    describe('/api/lists', () => {
+      it('gives every user an Inbox and counts live todos per list', async () => {
+        const token = await signUp();
+        await createTodo(token, { title: 'Buy milk' });
+        const groceries = await createList(token, 'Groceries');
+        await createTodo(token, { title: 'Bread', list: groceries._id });
+
+        const { status, body } = await request('GET', '/api/lists', { token });
+        assert.equal(status, 200);
+        assert.deepEqual(body.map(list => [list.name, list.role, list.todoCount]), [
+          ['Inbox', 'owner', 1],
+          ['Groceries', 'owner', 1]
+        ]);
+
+        const taken = await request('POST', '/api/lists', { token, body: { name: 'groceries' } });
+        assert.equal(taken.status, 409);
+      });
+
+      it('shares a list through a single-use invite', async () => {
+        const owner = await signUp('alex');
+        const token = await signUp();
+        const list = await createList(owner, 'Groceries');
+        const { body: invite } = await request('POST', `/api/lists/${list._id}/invites`, { token: owner, body: { role: 'viewer' } });
+
+        const accepted = await request('POST', `/api/invites/${invite.token}/accept`, { token });
+        assert.equal(accepted.status, 200);
+        assert.equal(accepted.body.role, 'viewer');
+        assert.equal((await request('POST', `/api/invites/${invite.token}/accept`, { token })).status, 404);
+
+        const { body: lists } = await request('GET', '/api/lists', { token });
+        assert.equal(lists.find(item => item._id === list._id).role, 'viewer');
+
+        const { status } = await request('POST', '/api/todos', { token, body: { title: 'Bread', list: list._id } });
+        assert.equal(status, 403);
+      });
+
+      it('moves the todos of a deleted list, unassigning those not on the target', async () => {
+        const owner = await signUp('alex');
+        const token = await signUp();
+        const shared = await createList(owner, 'Shared');
+        const target = await createList(owner, 'Private');
+        await share(shared, owner, token);
+        const todo = await createTodo(owner, { title: 'Bread', list: shared._id, assignee: await userId(token) });
+
+        const conflict = await request('DELETE', `/api/lists/${shared._id}`, { token: owner });
+        assert.equal(conflict.status, 409);
+
+        const { status, body } = await request('DELETE', `/api/lists/${shared._id}?moveTo=${target._id}`, { token: owner });
+        assert.equal(status, 200);
+        assert.equal(body.movedCount, 1);
+
+        const moved = await request('GET', `/api/todos/${todo._id}`, { token: owner });
+        assert.equal(moved.body.list, target._id);
+        assert.equal(moved.body.assignee, null);
+      });
+    });
+
+    describe('/api/categories', () => {
+      it('creates, renames and deletes categories', async () => {
+        const token = await signUp();
+        const created = await request('POST', '/api/categories', { token, body: { name: 'Garden', icon: '🌱' } });
+        assert.equal(created.status, 201);
+
+        const taken = await request('POST', '/api/categories', { token, body: { name: 'garden' } });
+        assert.equal(taken.status, 409);
+
+        const renamed = await request('PUT', `/api/categories/${created.body._id}`, { token, body: { name: 'Yard' } });
+        assert.equal(renamed.body.name, 'Yard');
+
+        await createTodo(token, { title: 'Mow lawn', category: created.body._id });
+        const { body: categories } = await request('GET', '/api/categories', { token });
+        assert.equal(categories.find(category => category.name === 'Yard').todoCount, 1);
+
+        const deleted = await request('DELETE', `/api/categories/${created.body._id}`, { token });
+        assert.equal(deleted.status, 200);
+      });
+
+      it('seeds the defaults only once', async () => {
+        const token = await signUp();
+        const { body: defaults } = await request('GET', '/api/categories', { token });
+        assert.equal(defaults.length, 6);
+
+        for (const category of defaults) {
+          await request('DELETE', `/api/categories/${category._id}`, { token });
+        }
+
+        const { body } = await request('GET', '/api/categories', { token });
+        assert.deepEqual(body, []);
+      });
+    });
+
+    describe('/api/trash', () => {
+      it('lists deleted todos and restores them', async () => {
+        const token = await signUp();
+        const todo = await createTodo(token, { title: 'Buy milk' });
+        await request('DELETE', `/api/todos/${todo._id}`, { token });
+
+        const trash = await request('GET', '/api/trash', { token });
+        assert.deepEqual(trash.body.todos.map(item => item._id), [todo._id]);
+        assert.ok(trash.body.todos[0].purgeAt);
+
+        const restored = await request('POST', `/api/trash/${todo._id}/restore`, { token });
+        assert.equal(restored.status, 200);
+        assert.equal(restored.body.deletedAt, null);
+        assert.equal((await request('GET', '/api/todos', { token })).body.total, 1);
+      });
+
+      it('deletes permanently only from the trash', async () => {
+        const token = await signUp();
+        const todo = await createTodo(token, { title: 'Buy milk' });
+        assert.equal((await request('DELETE', `/api/trash/${todo._id}`, { token })).status, 404);
+
+        await request('DELETE', `/api/todos/${todo._id}`, { token });
+        assert.equal((await request('DELETE', `/api/trash/${todo._id}`, { token })).status, 200);
+        assert.deepEqual((await request('GET', '/api/trash', { token })).body.todos, []);
+      });
+    });
+
+    describe('/api/todos/:id/subtasks', () => {
+      it('adds, reorders and completes subtasks, finishing the parent', async () => {
+        const token = await signUp();
+        const todo = await createTodo(token, { title: 'Pack', subtasks: [{ title: 'Socks' }], autoCompleteWithSubtasks: true });
+
+        const added = await request('POST', `/api/todos/${todo._id}/subtasks`, { token, body: { title: 'Shoes' } });
+        assert.equal(added.status, 201);
+        const [socks, shoes] = added.body.subtasks;
+
+        const reordered = await request('PUT', `/api/todos/${todo._id}/subtasks`, { token, body: { order: [shoes._id, socks._id] } });
+        assert.deepEqual(reordered.body.subtasks.map(subtask => subtask.title), ['Shoes', 'Socks']);
+
+        const partial = await request('PUT', `/api/todos/${todo._id}/subtasks/${shoes._id}`, { token, body: { done: true } });
+        assert.equal(partial.body.status, 'todo');
+
+        const done = await request('PUT', `/api/todos/${todo._id}/subtasks/${socks._id}`, { token, body: { done: true } });
+        assert.equal(done.body.status, 'completed');
+      });
+
+      it('rejects an order that doesn\'t list every subtask', async () => {
+        const token = await signUp();
+        const todo = await createTodo(token, { title: 'Pack', subtasks: [{ title: 'Socks' }, { title: 'Shoes' }] });
+
+        const { status } = await request('PUT', `/api/todos/${todo._id}/subtasks`, { token, body: { order: [todo.subtasks[0]._id] } });
+        assert.equal(status, 422);
+      });
+    });
+
+    describe('/api/todos/:id/history', () => {
+      it('records changes and reverts to an earlier version', async () => {
+        const token = await signUp();
+        const todo = await createTodo(token, { title: 'Buy milk' });
+        await request('PATCH', `/api/todos/${todo._id}`, { token, body: { title: 'Buy oat milk', priority: 'high' } });
+
+        const history = await request('GET', `/api/todos/${todo._id}/history`, { token });
+        assert.deepEqual(history.body.changes.map(change => change.action), ['updated', 'created']);
+
+        const created = history.body.changes[1];
+        const reverted = await request('POST', `/api/todos/${todo._id}/history/${created._id}/revert`, { token });
+        assert.equal(reverted.status, 200);
+        assert.equal(reverted.body.title, 'Buy milk');
+        assert.equal(reverted.body.priority, 'medium');
+
+        const activity = await request('GET', '/api/activity', { token });
+        assert.equal(activity.body.changes[0].action, 'reverted');
+      });
+    });
+
+    describe('POST /api/todos/reorder', () => {
+      it('moves todos to the top or between others', async () => {
+        const token = await signUp();
+        const one = await createTodo(token, { title: 'One' });
+        const two = await createTodo(token, { title: 'Two' });
+        await createTodo(token, { title: 'Three' });
+
+        // New todos start at the top
+        const top = await request('POST', '/api/todos/reorder', { token, body: { moves: [{ id: one._id }] } });
+        assert.equal(top.status, 200);
+        await request('POST', '/api/todos/reorder', { token, body: { moves: [{ id: two._id, afterId: one._id }] } });
+
+        const { body } = await request('GET', '/api/todos?sort=position', { token });
+        assert.deepEqual(body.todos.map(todo => todo.title), ['One', 'Two', 'Three']);
+      });
+    });
+
+    describe('/api/tags', () => {
+      it('counts the tags in use', async () => {
+        const token = await signUp();
+        await createTodo(token, { title: 'Buy milk', tags: ['home', 'errands'] });
+        await createTodo(token, { title: 'Fix sink', tags: ['home'] });
+
+        const { body } = await request('GET', '/api/tags', { token });
+        assert.deepEqual(body, [{ name: 'home', count: 2 }, { name: 'errands', count: 1 }]);
+      });
+    });
+
+    describe('/api/import and /api/export', () => {
+      it('previews, imports and exports todos', async () => {
+        const token = await signUp();
+        const content = '- [ ] Buy milk\n- [x] Walk dog\n  - [ ] Leash';
+
+        const preview = await request('POST', '/api/import', { token, body: { format: 'markdown', content } });
+        assert.equal(preview.status, 200);
+        assert.equal(preview.body.summary.create, 2);
+        assert.equal((await request('GET', '/api/todos', { token })).body.total, 0);
+
+        await request('POST', '/api/import', { token, body: { format: 'markdown', content, dryRun: false } });
+        const again = await request('POST', '/api/import', { token, body: { format: 'markdown', content } });
+        assert.equal(again.body.summary.skip, 2);
+
+        const exported = await request('GET', '/api/export?format=markdown', { token });
+        assert.equal(exported.status, 200);
+        assert.match(exported.body, /- \[ \] Buy milk/);
+        assert.match(exported.body, /- \[x\] Walk dog/);
+      });
+    });
+
+    describe('reminders', () => {
+      it('keeps a due reminder until its user is connected', async () => {
+        const token = await signUp();
+        const dueDate = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+        const todo = await createTodo(token, { title: 'Call mum', dueDate, hasDueTime: true, reminders: [30] });
+        await Todo.updateOne({ _id: todo._id }, { $set: { 'reminders.0.remindAt': new Date(Date.now() - 1000) } });
+
+        assert.equal(await deliverDueReminders(), 0);
+        assert.equal((await Todo.findById(todo._id)).reminders[0].firedAt, null);
+
+        const received = [];
+        const unsubscribe = hub.subscribe(await userId(token), event => received.push(event.type));
+        try {
+          assert.equal(await deliverDueReminders(), 1);
+          assert.equal(await deliverDueReminders(), 0);
+        } finally {
+          unsubscribe();
+        }
+        assert.deepEqual(received, ['reminder']);
+        assert.ok((await Todo.findById(todo._id)).reminders[0].firedAt);
+      });
+    });
+
+    describe('/api/calendar', () => {
+      it('serves the feed only while it is turned on', async () => {
+        const token = await signUp();
+        await createTodo(token, { title: 'Dentist', dueDate: new Date(Date.now() + 86400000).toISOString(), hasDueTime: true });
+
+        assert.equal((await request('GET', '/api/calendar/feed')).status, 401);
+
+        const { body: feed } = await request('POST', '/api/calendar/feed', { token });
+        assert.equal(feed.enabled, true);
+
+        const calendar = await request('GET', feed.path);
+        assert.equal(calendar.status, 200);
+        assert.match(calendar.body, /SUMMARY:Dentist/);
+        assert.match(calendar.body, /DURATION:PT30M/);
+
+        await request('DELETE', '/api/calendar/feed', { token });
+        assert.equal((await request('GET', feed.path)).status, 404);
+      });
+    });
+  }
+
+  if (storageName === 'memory') {
+    it('answers 501 for features the storage doesn\'t have', async () => {
+      const { status } = await request('GET', '/api/lists', { token: await signUp() });
+      assert.equal(status, 501);
+    });
+  }
+
+  it('asks for a login before saying a feature is missing', async () => {
+    const { status } = await request('GET', '/api/lists');
+    assert.equal(status, 401);
+  });
+
+  it('answers 404 for unknown API routes', async () => {
+    const { status } = await request('GET', '/api/nothing-here');
+    assert.equal(status, 404);
+  });
+}));
@@ -0,0 +1,329 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '../..');
+const PAGE = fs.readFileSync(path.join(ROOT, 'frontend/index.html'), 'utf8');
+const SCRIPTS = ['shared/quickAdd.js', 'frontend/app.js'].map(file => new vm.Script(
+  fs.readFileSync(path.join(ROOT, file), 'utf8'),
+  { filename: file }
+));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Loads the page with its scripts run as the browser would, but after the
+// load event so the app doesn't start (and sign in, open IndexedDB, ...).
+// `run` evaluates code in the page, where the app's globals live; arrays
+// from there need Array.from() before deepEqual, which checks prototypes.
+async function loadApp() {
+  const dom = new JSDOM(PAGE, {
+    url: 'http://localhost/',
+    runScripts: 'outside-only',
+    // Provides requestAnimationFrame()
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole()
+  });
+  await new Promise(resolve => dom.window.addEventListener('load', resolve));
+
+  const context = dom.getInternalVMContext();
+  SCRIPTS.forEach(script => script.runInContext(context));
+  return { window: dom.window, run: code => vm.runInContext(code, context) };
+}
+
+// Stands in for fetch(): answers each request with handler(request), which
+// returns a JSON body (an API envelope, { data, meta }) or a whole Response
+function mockFetch(window, handler) {
+  const requests = [];
+  window.fetch = async (url, options = {}) => {
+    const { pathname, search } = new URL(url, window.location.href);
+    const body = options.body ? JSON.parse(options.body) : undefined;
+    const request = { method: options.method || 'GET', path: pathname + search, headers: options.headers || {}, body };
+    requests.push(request);
+
+    const result = handler(request);
+    return result instanceof Response
+      ? result
+      : new Response(JSON.stringify(result), { headers: { 'Content-Type': 'application/json' } });
+  };
+  return requests;
+}
+
+function todo(fields) {
+  return {
+    _id: fields.title.toLowerCase().replace(/\W+/g, '-'),
+    status: 'todo',
+    priority: 'medium',
+    tags: [],
+    dueDate: null,
+    hasDueTime: false,
+    subtasks: [],
+    reminders: [],
+    createdAt: '2026-10-01T00:00:00.000Z',
+    revision: 0,
+    ...fields
+  };
+}
+
+const EMPTY_PAGE = { data: [], meta: { nextCursor: null, total: 0, counts: { all: 0, todo: 0, progress: 0, completed: 0 } } };
+
+describe('frontend', () => {
+  let window;
+  let run;
+
+  beforeEach(async () => {
+    ({ window, run } = await loadApp());
+    run('state.authToken = "token"');
+  });
+
+  afterEach(() => {
+    window.close();
+  });
+
+  describe('getFilteredTodos()', () => {
+    beforeEach(() => {
+      run('state.todos').push(
+        todo({ title: 'Old', priority: 'low', createdAt: '2026-10-01T00:00:00.000Z', dueDate: '2026-10-30T00:00:00.000Z' }),
+        todo({ title: 'New', priority: 'high', status: 'completed', createdAt: '2026-10-03T00:00:00.000Z' }),
+        todo({ title: 'Middle', createdAt: '2026-10-02T00:00:00.000Z', dueDate: '2026-10-20T00:00:00.000Z' })
+      );
+    });
+
+    function titles() {
+      return Array.from(run('getFilteredTodos()'), item => item.title);
+    }
+
+    it('sorts by the chosen order', () => {
+      assert.deepEqual(titles(), ['New', 'Middle', 'Old']);
+
+      run('state.currentSort = "oldest"');
+      assert.deepEqual(titles(), ['Old', 'Middle', 'New']);
+
+      run('state.currentSort = "priority"');
+      assert.deepEqual(titles(), ['New', 'Middle', 'Old']);
+    });
+
+    it('puts todos without a due date last', () => {
+      run('state.currentSort = "dueDate"');
+      assert.deepEqual(titles(), ['Middle', 'Old', 'New']);
+    });
+
+    it('filters by status without changing the state', () => {
+      run('state.currentFilter = "todo"');
+      assert.deepEqual(titles(), ['Middle', 'Old']);
+      assert.equal(run('state.todos.length'), 3);
+    });
+  });
+
+  describe('getDueDateInfo()', () => {
+    it('is empty without a due date', () => {
+      assert.deepEqual({ ...run('getDueDateInfo(null)') }, { html: '', class: '' });
+    });
+
+    it('marks past days overdue and today as today', () => {
+      const now = Date.now();
+
+      assert.equal(run(`getDueDateInfo(new Date(${now - 2 * DAY_MS}).toISOString())`).class, 'due-date overdue');
+      assert.equal(run(`getDueDateInfo(new Date(${now}).toISOString())`).class, 'due-date today');
+      assert.equal(run(`getDueDateInfo(new Date(${now + 3 * DAY_MS}).toISOString())`).class, 'due-date');
+    });
+
+    it('compares timed todos to the minute', () => {
+      const info = run(`getDueDateInfo(new Date(${Date.now() - 60 * 1000}).toISOString(), true)`);
+      assert.equal(info.class, 'due-date overdue');
+      assert.match(info.html, /⚠️/);
+    });
+  });
+
+  describe('export', () => {
+    it('downloads the current view in the chosen format', async () => {
+      const requests = mockFetch(window, () => new Response('title\nBuy milk\n', {
+        headers: { 'Content-Type': 'text/csv', 'Content-Disposition': 'attachment; filename="todos-2026-10-18.csv"' }
+      }));
+      const downloads = [];
+      window.URL.createObjectURL = () => 'blob:export';
+      window.URL.revokeObjectURL = () => {};
+      window.HTMLAnchorElement.prototype.click = function () {
+        downloads.push({ href: this.href, download: this.download });
+      };
+
+      run('state.currentFilter = "completed"; state.searchQuery = "milk"');
+      window.document.getElementById('exportFormat').value = 'csv';
+      await run('handleExport()');
+
+      assert.equal(requests[0].path, '/api/v1/export?sort=newest&status=completed&q=milk&format=csv');
+      assert.equal(requests[0].headers.Authorization, 'Bearer token');
+      assert.deepEqual(downloads, [{ href: 'blob:export', download: 'todos-2026-10-18.csv' }]);
+    });
+  });
+
+  describe('import', () => {
+    const preview = {
+      summary: { total: 2, create: 1, skip: 1, invalid: 0 },
+      columns: ['title'],
+      mapping: { title: 'title' },
+      rows: [
+        { row: 1, title: 'Buy milk', action: 'create', warnings: [], duplicateOf: null },
+        { row: 2, title: 'Walk dog', action: 'skip', warnings: [], duplicateOf: { title: 'Walk dog' } }
+      ]
+    };
+
+    it('previews the file, then imports it', async () => {
+      const requests = mockFetch(window, ({ path: url, body }) => {
+        if (url === '/api/v1/import') return { data: body.dryRun ? preview : { ...preview, rows: [] } };
+        if (url === '/api/v1/tags') return { data: [] };
+        return EMPTY_PAGE;
+      });
+
+      const file = new window.File(['title\nBuy milk\nWalk dog\n'], 'todos.csv');
+      await run('handleImport')({ target: { files: [file] } });
+
+      assert.deepEqual(requests[0].body, {
+        format: 'csv',
+        content: 'title\nBuy milk\nWalk dog\n',
+        list: null,
+        dryRun: true,
+        duplicates: 'skip'
+      });
+      assert.ok(window.document.getElementById('importModal').classList.contains('show'));
+      assert.equal(window.document.getElementById('importSummary').textContent, '1 of 2 tasks will be imported, 1 duplicates skipped.');
+      assert.equal(window.document.querySelectorAll('#importRows tr').length, 2);
+
+      await run('handleConfirmImport()');
+
+      assert.equal(requests[1].body.dryRun, false);
+      assert.deepEqual(requests[1].body.mapping, { title: 'title' });
+      assert.ok(!window.document.getElementById('importModal').classList.contains('show'));
+      assert.deepEqual(requests.slice(2).map(request => request.path.split('?')[0]).sort(), ['/api/v1/tags', '/api/v1/todos']);
+    });
+
+    it('refuses files it can\'t read', async () => {
+      const requests = mockFetch(window, () => ({ data: preview }));
+
+      await run('handleImport')({ target: { files: [new window.File(['{}'], 'todos.xlsx')] } });
+
+      assert.equal(requests.length, 0);
+      assert.match(window.document.getElementById('toastContainer').textContent, /Please select a CSV/);
+    });
+  });
+
+  describe('API requests', () => {
+    it('sends edits as a PATCH and resolves with the envelope', async () => {
+      const milk = todo({ title: 'Buy milk' });
+      run('state.todos').push(milk);
+      const requests = mockFetch(window, () => ({ data: { ...milk, status: 'progress', revision: 1 } }));
+
+      const updated = await run(`updateTodo("${milk._id}", { status: 'progress' })`);
+
+      assert.equal(requests[0].method, 'PATCH');
+      assert.equal(requests[0].path, `/api/v1/todos/${milk._id}`);
+      assert.equal(requests[0].headers['If-Match'], '"0"');
+      assert.equal(updated.status, 'progress');
+      assert.equal(run('state.todos[0].revision'), 1);
+    });
+
+    it('gives invalid input per field', async () => {
+      mockFetch(window, () => new Response(JSON.stringify({
+        errors: [
+          { status: '400', detail: 'Title cannot be blank', source: { pointer: '/title' } },
+          { status: '400', detail: 'Tags must be at most 30 characters', source: { pointer: '/tags/0' } }
+        ]
+      }), { status: 400, headers: { 'Content-Type': 'application/json' } }));
+
+      const error = await run('apiRequest("/todos", { method: "POST", body: "{}" })').catch(rejection => rejection);
+
+      assert.equal(error.message, 'Title cannot be blank; Tags must be at most 30 characters');
+      assert.deepEqual(Array.from(error.fieldErrors, ({ field }) => field), ['title', 'tags.0']);
+    });
+  });
+
+  describe('statistics', () => {
+    it('charts the stats of the current list for the chosen period', async () => {
+      const days = Array.from({ length: 7 }, (_, i) => ({ date: `2026-10-1${i + 2}`, count: i % 3 }));
+      const requests = mockFetch(window, () => ({
+        data: {
+          from: '2026-10-12',
+          to: '2026-10-18',
+          timeZone: 'UTC',
+          totals: { all: 12, todo: 3, progress: 2, completed: 7, overdue: 2 },
+          completedInRange: 6,
+          completedPerDay: days,
+          completedPerWeek: [{ week: '2026-10-12', count: 6 }],
+          averageLeadTimeHours: 60,
+          averageCycleTimeHours: 5.5,
+          streaks: { current: 1, longest: 3 },
+          byCategory: [{ category: null, total: 12, completed: 7 }],
+          byPriority: [{ priority: 'high', total: 4, completed: 1 }]
+        }
+      }));
+      run('state.currentList = "inbox"');
+      window.document.getElementById('statsDays').value = '7';
+
+      await run('showStatsModal()');
+
+      const query = new URLSearchParams(requests[0].path.split('?')[1]);
+      assert.equal(requests[0].path.split('?')[0], '/api/v1/stats');
+      assert.equal(query.get('days'), '7');
+      assert.equal(query.get('list'), 'inbox');
+      assert.ok(query.get('timeZone'));
+
+      const content = window.document.getElementById('statsContent');
+      assert.equal(content.querySelectorAll('.stats-column').length, 7);
+      assert.deepEqual(
+        Array.from(content.querySelectorAll('.stats-card-value'), card => card.textContent),
+        ['6', '2', '2.5 d', '5.5 h', '1 day', '3 days']
+      );
+      assert.deepEqual(
+        Array.from(content.querySelectorAll('.stats-breakdown-label'), label => label.textContent),
+        ['🔴 High', 'Uncategorized']
+      );
+    });
+  });
+
+  describe('undo', () => {
+    it('restores a deleted todo by ID', async () => {
+      const milk = todo({ title: 'Buy milk' });
+      run('state.todos').push(milk);
+      run('state.counts = { all: 1, todo: 1, progress: 0, completed: 0 }');
+      const requests = mockFetch(window, ({ method, path: url }) => {
+        if (method === 'DELETE') return { data: milk, meta: { message: 'Todo moved to trash' } };
+        if (url === '/api/v1/trash/restore') return { data: [milk] };
+        return { data: [milk], meta: { ...EMPTY_PAGE.meta, total: 1 } };
+      });
+
+      await run(`handleDeleteTodo("${milk._id}")`);
+
+      assert.equal(requests[0].path, `/api/v1/todos/${milk._id}`);
+      assert.equal(run('state.todos.length'), 0);
+      assert.ok(window.document.getElementById('undoSnackbar').classList.contains('show'));
+
+      await run('handleUndo()');
+
+      assert.deepEqual(requests[1].body, { ids: [milk._id] });
+      assert.deepEqual(Array.from(run('state.todos'), item => item.title), ['Buy milk']);
+      assert.ok(!window.document.getElementById('undoSnackbar').classList.contains('show'));
+    });
+
+    it('restores a cleared list by its deletedAt', async () => {
+      const deletedAt = '2026-10-18T12:00:00.000Z';
+      const requests = mockFetch(window, ({ method }) => (method === 'DELETE'
+        ? { data: null, meta: { message: 'All todos moved to trash', deletedCount: 2, deletedAt } }
+        : EMPTY_PAGE));
+
+      await run('clearAllTodos()');
+      assert.equal(window.document.getElementById('undoMessage').textContent, '2 tasks moved to trash 🗑️');
+
+      await run('handleUndo()');
+      assert.deepEqual(requests[1].body, { deletedAt });
+    });
+
+    it('does nothing once there is nothing to undo', async () => {
+      const requests = mockFetch(window, () => EMPTY_PAGE);
+
+      await run('handleUndo()');
+      assert.equal(requests.length, 0);
+    });
+  });
+});
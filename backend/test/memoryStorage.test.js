@@ -0,0 +1,65 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../storage');
+const { isConflict } = require('../utils/revisions');
+const { TodoInputError } = require('../utils/todoInput');
+
+describe('memory storage', () => {
+  let storage;
+  let user;
+
+  beforeEach(async () => {
+    storage = createStorage('memory');
+    user = await storage.users.create({ username: 'Sam', password: 'password1' });
+  });
+
+  it('finds users by id and by username, ignoring case', async () => {
+    assert.equal(String(storage.users.findById(user._id)._id), String(user._id));
+    assert.equal(storage.users.findByUsername(' SAM ').username, 'sam');
+    assert.equal(storage.users.findByUsername('alex'), null);
+  });
+
+  it('lists, filters and pages todos', async () => {
+    for (const [title, priority] of [['Low', 'low'], ['High', 'high'], ['Medium', 'medium']]) {
+      await storage.todos.create(user, { title, priority });
+    }
+
+    const first = storage.todos.list(user, { sort: 'priority', limit: '2' });
+    assert.deepEqual(first.todos.map(todo => todo.title), ['High', 'Medium']);
+    assert.equal(first.total, 3);
+    assert.equal(first.counts.todo, 3);
+
+    const rest = storage.todos.list(user, { sort: 'priority', limit: '2', cursor: first.nextCursor });
+    assert.deepEqual(rest.todos.map(todo => todo.title), ['Low']);
+    assert.equal(rest.nextCursor, null);
+
+    assert.deepEqual(storage.todos.list(user, { priority: 'high' }).todos.map(todo => todo.title), ['High']);
+  });
+
+  it('bumps the revision on save and rejects stale copies', async () => {
+    const { todo } = await storage.todos.create(user, { title: 'Buy milk' });
+    const stale = storage.todos.get(user, todo._id);
+
+    const { todo: updated } = await storage.todos.update(user, storage.todos.get(user, todo._id), { status: 'progress' });
+    assert.equal(updated.revision, 1);
+
+    await assert.rejects(storage.todos.update(user, stale, { status: 'completed' }), isConflict);
+  });
+
+  it('keeps todos to their owner and moves removed ones to the trash', async () => {
+    const other = await storage.users.create({ username: 'alex', password: 'password1' });
+    const { todo } = await storage.todos.create(user, { title: 'Buy milk' });
+
+    assert.equal(storage.todos.get(other, todo._id), null);
+    await storage.todos.remove(user, storage.todos.get(user, todo._id));
+    assert.equal(storage.todos.get(user, todo._id), null);
+    assert.equal(storage.todos.list(user, {}).total, 0);
+  });
+
+  it('rejects lists and categories it cannot store', async () => {
+    await assert.rejects(
+      storage.todos.create(user, { title: 'Buy milk', category: '507f1f77bcf86cd799439011' }),
+      TodoInputError
+    );
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET ||= 'test-secret';
+
+const app = require('../app');
+const openapi = require('../openapi');
+const Todo = require('../models/Todo');
+const authRoutes = require('../routes/auth');
+const subtaskRoutes = require('../routes/subtasks');
+const historyRoutes = require('../routes/history');
+const reminderRoutes = require('../routes/reminders');
+
+// Every router with routes the description covers, and where it's mounted
+const MOUNTS = [
+  [app.router, ''],
+  [authRoutes, '/api/auth'],
+  [subtaskRoutes, '/api/todos/:id/subtasks'],
+  [historyRoutes, '/api/todos/:id/history'],
+  [reminderRoutes, '/api/todos/:id/reminders']
+];
+
+// "GET /api/todos/{id}" for each route, as the description names them
+function routeKeys() {
+  return MOUNTS.flatMap(([router, mountPath]) => router.stack
+    .filter(layer => layer.route)
+    .flatMap(({ route }) => {
+      const template = `${mountPath}${route.path}`.replace(/\/$/, '').replace(/:(\w+)/g, '{$1}');
+      return Object.keys(route.methods).map(method => `${method.toUpperCase()} ${template}`);
+    }));
+}
+
+describe('API description', () => {
+  it('describes every accounts and todos route', () => {
+    const keys = routeKeys().filter(key => /^\w+ \/api\/(auth|todos)/.test(key));
+    assert.ok(keys.length > 15);
+
+    for (const key of keys) {
+      const [method, template] = key.split(' ');
+      assert.ok(openapi.paths[template]?.[method.toLowerCase()], `${key} is not described`);
+    }
+  });
+
+  it('gives the defaults a new todo gets', () => {
+    // The revision is only set by the first save, to 0
+    const todo = { revision: 0, ...new Todo({ owner: '507f1f77bcf86cd799439011', title: 'Buy milk' }).toJSON() };
+
+    const properties = Object.entries(openapi.components.schemas.Todo.properties);
+    const withDefaults = properties.filter(([, schema]) => schema.default !== undefined);
+    assert.ok(withDefaults.length > 10);
+    for (const [name, schema] of withDefaults) {
+      assert.deepEqual(todo[name] ?? null, schema.default, `default of ${name}`);
+    }
+  });
+
+  it('lists the enum values the model accepts', () => {
+    const { properties } = openapi.components.schemas.Todo;
+    assert.deepEqual(properties.status.enum, Todo.schema.path('status').enumValues);
+    assert.deepEqual(properties.priority.enum, Todo.schema.path('priority').enumValues);
+  });
+
+  it('is served with the docs page', async () => {
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const baseUrl = `http://localhost:${server.address().port}`;
+
+    try {
+      const spec = await fetch(`${baseUrl}/api/openapi.json`);
+      assert.equal(spec.status, 200);
+      assert.deepEqual(await spec.json(), JSON.parse(JSON.stringify(openapi)));
+
+      const page = await fetch(`${baseUrl}/api/docs`);
+      assert.equal(page.status, 200);
+      assert.match(await page.text(), /<script src="\/api-docs\.js"><\/script>/);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,243 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parse } = require('../../shared/quickAdd');
+const { normalizeRecurrence, nextOccurrence } = require('../utils/recurrence');
+
+// Wednesday 14 October 2026, 10:00 in UTC
+const NOW = new Date('2026-10-14T10:00:00Z');
+
+function parseAt(text, options = {}) {
+  return parse(text, { now: NOW, utcOffset: 0, ...options });
+}
+
+function iso(date) {
+  return date && date.toISOString();
+}
+
+describe('quick add parser', () => {
+  describe('title', () => {
+    it('keeps plain text as the title', () => {
+      const result = parseAt('Buy milk');
+      assert.equal(result.title, 'Buy milk');
+      assert.deepEqual(result.tokens, []);
+      assert.equal(result.dueDate, null);
+      assert.equal(result.hasDueTime, false);
+      assert.equal(result.priority, null);
+      assert.equal(result.category, null);
+      assert.deepEqual(result.tags, []);
+      assert.equal(result.assignee, null);
+      assert.equal(result.recurrence, null);
+    });
+
+    it('cuts recognised parts out and tidies the spacing', () => {
+      assert.equal(parseAt('Call  mum tomorrow   5pm !high').title, 'Call mum');
+    });
+
+    it('reports the recognised parts in order with their positions', () => {
+      const text = 'Call mum tomorrow 5pm !high #family @sam';
+      const { tokens } = parseAt(text);
+
+      assert.deepEqual(tokens.map(token => token.type), ['date', 'time', 'priority', 'tag', 'assignee']);
+      tokens.forEach(token => assert.equal(text.slice(token.start, token.end), token.text));
+    });
+
+    it('handles empty input', () => {
+      assert.equal(parseAt('').title, '');
+      assert.equal(parseAt(undefined).title, '');
+    });
+  });
+
+  describe('dates', () => {
+    it('reads today and tomorrow as date-only due dates at UTC midnight', () => {
+      assert.equal(iso(parseAt('Pay bill today').dueDate), '2026-10-14T00:00:00.000Z');
+      assert.equal(iso(parseAt('Pay bill tomorrow').dueDate), '2026-10-15T00:00:00.000Z');
+      assert.equal(parseAt('Pay bill tomorrow').hasDueTime, false);
+    });
+
+    it('reads tonight as this evening', () => {
+      const result = parseAt('Party tonight');
+      assert.equal(iso(result.dueDate), '2026-10-14T20:00:00.000Z');
+      assert.equal(result.hasDueTime, true);
+    });
+
+    it('reads a weekday as the coming one, a week ahead on that day', () => {
+      assert.equal(iso(parseAt('Pay rent friday').dueDate), '2026-10-16T00:00:00.000Z');
+      assert.equal(iso(parseAt('Pay rent wednesday').dueDate), '2026-10-21T00:00:00.000Z');
+      assert.equal(iso(parseAt('Pay rent this wednesday').dueDate), '2026-10-14T00:00:00.000Z');
+    });
+
+    it('reads next <weekday> as that day of next week', () => {
+      assert.equal(iso(parseAt('Pay rent next friday').dueDate), '2026-10-23T00:00:00.000Z');
+      assert.equal(iso(parseAt('Pay rent next monday').dueDate), '2026-10-19T00:00:00.000Z');
+      assert.equal(parseAt('Pay rent next friday').title, 'Pay rent');
+    });
+
+    it('only reads short day names after a lead-in word', () => {
+      assert.equal(parseAt('Read sat').dueDate, null);
+      assert.equal(iso(parseAt('Read on sat').dueDate), '2026-10-17T00:00:00.000Z');
+    });
+
+    it('reads next week, next month and relative offsets', () => {
+      assert.equal(iso(parseAt('Plan next week').dueDate), '2026-10-19T00:00:00.000Z');
+      assert.equal(iso(parseAt('Plan next month').dueDate), '2026-11-01T00:00:00.000Z');
+      assert.equal(iso(parseAt('Taxes in 3 days').dueDate), '2026-10-17T00:00:00.000Z');
+      assert.equal(iso(parseAt('Taxes in a week').dueDate), '2026-10-21T00:00:00.000Z');
+      assert.equal(iso(parseAt('Taxes in 2 months').dueDate), '2026-12-14T00:00:00.000Z');
+    });
+
+    it('reads calendar dates, rolling year-less ones that passed into next year', () => {
+      assert.equal(iso(parseAt('Report 2026-12-01').dueDate), '2026-12-01T00:00:00.000Z');
+      assert.equal(iso(parseAt('Report due oct 20').dueDate), '2026-10-20T00:00:00.000Z');
+      assert.equal(iso(parseAt('Report 3rd of March').dueDate), '2027-03-03T00:00:00.000Z');
+      assert.equal(iso(parseAt('Report 11/3').dueDate), '2026-11-03T00:00:00.000Z');
+      assert.equal(iso(parseAt('Report 1/5/27').dueDate), '2027-01-05T00:00:00.000Z');
+      assert.equal(parseAt('Report due oct 20').title, 'Report');
+    });
+
+    it('leaves impossible dates in the title', () => {
+      const result = parseAt('Report 2026-02-30');
+      assert.equal(result.dueDate, null);
+      assert.equal(result.title, 'Report 2026-02-30');
+    });
+
+    it('uses the first date and leaves later ones in the title', () => {
+      const result = parseAt('Move meeting from friday to monday');
+      assert.equal(iso(result.dueDate), '2026-10-16T00:00:00.000Z');
+      assert.equal(result.title, 'Move meeting from to monday');
+    });
+  });
+
+  describe('times', () => {
+    it('combines a date and a time', () => {
+      const result = parseAt('Call mum tomorrow at 5:30pm');
+      assert.equal(iso(result.dueDate), '2026-10-15T17:30:00.000Z');
+      assert.equal(result.hasDueTime, true);
+      assert.equal(result.title, 'Call mum');
+    });
+
+    it('reads 12-hour, 24-hour, noon and midnight', () => {
+      assert.equal(iso(parseAt('Lunch tomorrow 12pm').dueDate), '2026-10-15T12:00:00.000Z');
+      assert.equal(iso(parseAt('Lunch tomorrow 12am').dueDate), '2026-10-15T00:00:00.000Z');
+      assert.equal(iso(parseAt('Lunch tomorrow 17:45').dueDate), '2026-10-15T17:45:00.000Z');
+      assert.equal(iso(parseAt('Lunch tomorrow noon').dueDate), '2026-10-15T12:00:00.000Z');
+    });
+
+    it('puts a bare time today, or tomorrow once it has passed', () => {
+      assert.equal(iso(parseAt('Walk 11am').dueDate), '2026-10-14T11:00:00.000Z');
+      assert.equal(iso(parseAt('Walk 9am').dueDate), '2026-10-15T09:00:00.000Z');
+    });
+
+    it('rejects hours that do not exist', () => {
+      assert.equal(parseAt('Walk 13pm').dueDate, null);
+      assert.equal(parseAt('Walk 25:00').dueDate, null);
+    });
+
+    it('reads relative dates and times in the given time zone', () => {
+      // UTC+2: 10:00 UTC is already noon there
+      const result = parseAt('Call tomorrow 5pm', { utcOffset: -120 });
+      assert.equal(iso(result.dueDate), '2026-10-15T15:00:00.000Z');
+
+      // UTC-11: still Tuesday the 13th there
+      assert.equal(iso(parseAt('Call tomorrow', { utcOffset: 660 }).dueDate), '2026-10-14T00:00:00.000Z');
+    });
+  });
+
+  describe('priority, categories, tags and assignees', () => {
+    it('reads !high, !medium and !low and their short forms', () => {
+      assert.equal(parseAt('Fix bug !high').priority, 'high');
+      assert.equal(parseAt('Fix bug !med').priority, 'medium');
+      assert.equal(parseAt('Fix bug !l').priority, 'low');
+      assert.equal(parseAt('Fix bug !1').priority, 'high');
+    });
+
+    it('ignores unknown priorities and exclamations inside words', () => {
+      assert.equal(parseAt('Fix bug !urgent').priority, null);
+      assert.equal(parseAt('Wow!high').priority, null);
+    });
+
+    it('reads #words as tags, lowercased and without duplicates', () => {
+      const result = parseAt('Plan trip #Travel #family #travel');
+      assert.deepEqual(result.tags, ['travel', 'family']);
+      assert.equal(result.title, 'Plan trip');
+    });
+
+    it('sets the category from the first #word that names one', () => {
+      const result = parseAt('Review #Work #home #misc', { categories: ['Work', 'Home'] });
+      assert.equal(result.category, 'Work');
+      assert.deepEqual(result.tags, ['home', 'misc']);
+    });
+
+    it('reads @names as the assignee, limited to the given people', () => {
+      assert.equal(parseAt('Review PR @alice').assignee, 'alice');
+      assert.equal(parseAt('Review PR @Alice', { people: ['alice', 'bob'] }).assignee, 'alice');
+
+      const unknown = parseAt('Review PR @carol', { people: ['alice'] });
+      assert.equal(unknown.assignee, null);
+      assert.equal(unknown.title, 'Review PR @carol');
+    });
+
+    it('leaves email addresses alone', () => {
+      const result = parseAt('Email bob@example.com');
+      assert.equal(result.assignee, null);
+      assert.equal(result.title, 'Email bob@example.com');
+    });
+  });
+
+  describe('recurrence', () => {
+    it('reads every <weekday> and starts on the next one', () => {
+      const result = parseAt('Standup every monday');
+      assert.deepEqual(result.recurrence, { freq: 'WEEKLY', interval: 1, byWeekday: ['MO'] });
+      assert.equal(iso(result.dueDate), '2026-10-19T00:00:00.000Z');
+      assert.equal(result.title, 'Standup');
+    });
+
+    it('reads several weekdays in week order', () => {
+      assert.deepEqual(parseAt('Gym every fri, mon and wed').recurrence.byWeekday, ['MO', 'WE', 'FR']);
+    });
+
+    it('reads every weekday, every other week and every N units', () => {
+      assert.deepEqual(parseAt('Gym every weekday').recurrence.byWeekday, ['MO', 'TU', 'WE', 'TH', 'FR']);
+      assert.deepEqual(parseAt('Sync every other week').recurrence, { freq: 'WEEKLY', interval: 2, byWeekday: [] });
+      assert.deepEqual(parseAt('Backup every 3 days').recurrence, { freq: 'DAILY', interval: 3, byWeekday: [] });
+      assert.deepEqual(parseAt('Rent monthly').recurrence, { freq: 'MONTHLY', interval: 1, byWeekday: [] });
+    });
+
+    it('skips a first occurrence whose time has passed', () => {
+      assert.equal(iso(parseAt('Gym every weekday 7am').dueDate), '2026-10-15T07:00:00.000Z');
+      assert.equal(iso(parseAt('Gym every weekday 11am').dueDate), '2026-10-14T11:00:00.000Z');
+    });
+
+    it('keeps a typed date as the first occurrence', () => {
+      const result = parseAt('Review every month from nov 1');
+      assert.equal(result.recurrence.freq, 'MONTHLY');
+      assert.equal(iso(result.dueDate), '2026-11-01T00:00:00.000Z');
+    });
+
+    it('rejects a zero interval', () => {
+      assert.equal(parseAt('Backup every 0 days').recurrence, null);
+    });
+
+    it('repeats a timed rule on the local weekday at a UTC offset', () => {
+      // 5pm on Mondays at UTC-8 is 01:00 UTC on Tuesdays
+      const result = parseAt('Standup every monday 5pm', { utcOffset: 480 });
+      assert.equal(iso(result.dueDate), '2026-10-20T01:00:00.000Z');
+      assert.equal(result.recurrence.utcOffset, 480);
+
+      const next = nextOccurrence(normalizeRecurrence(result.recurrence), result.dueDate, 1, { timed: true });
+      assert.equal(iso(next), '2026-10-27T01:00:00.000Z');
+      const local = new Date(next.getTime() - 480 * 60 * 1000);
+      assert.equal(local.getUTCDay(), 1);
+      assert.equal(local.getUTCHours(), 17);
+    });
+
+    it('keeps the local time of a timed rule across daylight saving changes', () => {
+      const result = parseAt('Standup every day 9am', { utcOffset: 420, timeZone: 'America/Los_Angeles' });
+      assert.equal(result.recurrence.timeZone, 'America/Los_Angeles');
+
+      // Daylight saving time ends on 1 November: 9am is 16:00 UTC before, 17:00 after
+      const rule = normalizeRecurrence(result.recurrence);
+      const next = nextOccurrence(rule, new Date('2026-10-31T16:00:00.000Z'), 1, { timed: true });
+      assert.equal(iso(next), '2026-11-01T17:00:00.000Z');
+    });
+  });
+});
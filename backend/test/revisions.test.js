@@ -0,0 +1,28 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Todo = require('../models/Todo');
+const { etag, matchesIfMatch } = require('../utils/revisions');
+
+describe('todo revisions', () => {
+  const todo = Todo.hydrate({ _id: '507f1f77bcf86cd799439011', title: 'Buy milk', revision: 3 });
+
+  it('uses the revision as a strong ETag', () => {
+    assert.equal(etag(todo), '"3"');
+    assert.equal(etag(Todo.hydrate({ _id: '507f1f77bcf86cd799439012', title: 'Legacy' })), '"0"');
+  });
+
+  it('lets requests without If-Match through', () => {
+    assert.equal(matchesIfMatch(undefined, todo), true);
+  });
+
+  it('matches the current ETag, a list containing it, or *', () => {
+    assert.equal(matchesIfMatch('"3"', todo), true);
+    assert.equal(matchesIfMatch('"1", "3"', todo), true);
+    assert.equal(matchesIfMatch('*', todo), true);
+  });
+
+  it('rejects stale and weak ETags', () => {
+    assert.equal(matchesIfMatch('"2"', todo), false);
+    assert.equal(matchesIfMatch('W/"3"', todo), false);
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { QueryError } = require('../utils/todoQuery');
+const { parseStatsQuery, buildStats } = require('../utils/stats');
+
+// Late on Sunday 18 October in UTC, already Monday the 19th in Tokyo
+const NOW = new Date('2026-10-18T20:00:00.000Z');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function figures(overrides = {}) {
+  return { counts: {}, overdue: 0, completionDays: [], byCategory: [], byPriority: [], ...overrides };
+}
+
+describe('stats', () => {
+  it('counts days in the time zone, ending today', () => {
+    const utc = parseStatsQuery({ days: '7' }, NOW);
+    assert.equal(utc.from, '2026-10-12');
+    assert.equal(utc.today, '2026-10-18');
+    assert.equal(utc.startOfToday.toISOString(), '2026-10-18T00:00:00.000Z');
+
+    const tokyo = parseStatsQuery({ timeZone: 'Asia/Tokyo' }, NOW);
+    assert.equal(tokyo.days, 30);
+    assert.equal(tokyo.today, '2026-10-19');
+  });
+
+  it('rejects ranges and time zones it can\'t use', () => {
+    assert.throws(() => parseStatsQuery({ days: '0' }, NOW), QueryError);
+    assert.throws(() => parseStatsQuery({ days: '366' }, NOW), QueryError);
+    assert.throws(() => parseStatsQuery({ timeZone: 'Mars/Olympus_Mons' }, NOW), QueryError);
+  });
+
+  it('fills in every day and week, and averages over the range', () => {
+    const range = parseStatsQuery({ days: '10' }, NOW);
+    const stats = buildStats(figures({
+      counts: { todo: 2, completed: 4 },
+      completionDays: [
+        // Before the range: only counts for the streaks
+        { date: '2026-10-01', count: 1, leadTime: 100 * HOUR_MS, cycleTime: 0, cycleCount: 0 },
+        { date: '2026-10-16', count: 1, leadTime: 2 * HOUR_MS, cycleTime: HOUR_MS, cycleCount: 1 },
+        { date: '2026-10-17', count: 2, leadTime: 4 * HOUR_MS, cycleTime: 0, cycleCount: 0 }
+      ],
+      byPriority: [{ priority: 'low', total: 6, completed: 4 }]
+    }), range);
+
+    assert.deepEqual(stats.totals, { all: 6, todo: 2, progress: 0, completed: 4, overdue: 0 });
+    assert.equal(stats.completedPerDay.length, 10);
+    assert.deepEqual(stats.completedPerDay.slice(-3), [
+      { date: '2026-10-16', count: 1 },
+      { date: '2026-10-17', count: 2 },
+      { date: '2026-10-18', count: 0 }
+    ]);
+    assert.deepEqual(stats.completedPerWeek, [{ week: '2026-10-05', count: 0 }, { week: '2026-10-12', count: 3 }]);
+    assert.equal(stats.completedInRange, 3);
+    assert.equal(stats.averageLeadTimeHours, 2);
+    assert.equal(stats.averageCycleTimeHours, 1);
+    assert.deepEqual(stats.streaks, { current: 2, longest: 2 });
+    assert.deepEqual(stats.byPriority.map(group => [group.priority, group.total]), [['high', 0], ['medium', 0], ['low', 6]]);
+  });
+
+  it('breaks the current streak after a day without completions', () => {
+    const stats = buildStats(figures({
+      completionDays: [
+        { date: '2026-10-10', count: 1, leadTime: 0, cycleTime: 0, cycleCount: 0 },
+        { date: '2026-10-11', count: 1, leadTime: 0, cycleTime: 0, cycleCount: 0 },
+        { date: '2026-10-12', count: 1, leadTime: 0, cycleTime: 0, cycleCount: 0 },
+        { date: '2026-10-16', count: 1, leadTime: 0, cycleTime: 0, cycleCount: 0 }
+      ]
+    }), parseStatsQuery({}, NOW));
+
+    assert.deepEqual(stats.streaks, { current: 0, longest: 3 });
+    assert.equal(stats.averageCycleTimeHours, null);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Category = require('../models/Category');
+const { TodoInputError } = require('../utils/todoInput');
+const { validate, invalidInput } = require('../middleware/validate');
+const schemas = require('../schemas/todos');
+
+const ID = '507f1f77bcf86cd799439011';
+
+// Runs the middleware on a fake request; returns the response, or null
+// when the request was let through
+function check(schemasByLocation, req) {
+  let response = null;
+  const res = {
+    status(code) {
+      return { json: body => { response = { status: code, body }; } };
+    }
+  };
+  validate(schemasByLocation)({ params: {}, query: {}, ...req }, res, () => {});
+  return response;
+}
+
+function fields(response) {
+  return response.body.errors.map(error => error.field);
+}
+
+describe('request validation', () => {
+  it('lets valid requests through', () => {
+    assert.equal(check({ body: schemas.createTodo }, { body: { title: 'Buy milk', priority: 'high', dueDate: '2026-10-20' } }), null);
+    assert.equal(check({ body: schemas.createTodo }, { body: { quickAdd: 'Buy milk tomorrow' } }), null);
+    assert.equal(check({ body: schemas.updateTodo }, { body: { dueDate: '2026-10-20T17:30:00.000Z', category: null } }), null);
+  });
+
+  it('answers 400 with one message per field', () => {
+    const response = check({ body: schemas.createTodo }, {
+      body: { title: '   ', status: 'done', dueDate: 'soon', tags: 'work' }
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(fields(response), ['title', 'status', 'tags', 'dueDate']);
+    assert.deepEqual(response.body.errors[0], { location: 'body', field: 'title', message: 'Title cannot be blank' });
+    assert.equal(response.body.errors[1].message, 'Status must be one of: todo, progress, completed');
+    assert.match(response.body.error, /^Title cannot be blank; Status must be one of/);
+  });
+
+  it('requires a title unless quick add text is given', () => {
+    const response = check({ body: schemas.createTodo }, { body: { priority: 'low' } });
+    assert.deepEqual(response.body.errors, [{ location: 'body', field: 'title', message: 'Title is required' }]);
+  });
+
+  it('rejects unknown fields and overlong text', () => {
+    const response = check({ body: schemas.updateTodo }, { body: { title: 'x'.repeat(201), colour: 'red' } });
+    assert.deepEqual(response.body.errors.map(error => error.message).sort(), [
+      'Title must be at most 200 characters',
+      'Unknown field "colour"'
+    ]);
+  });
+
+  it('checks IDs in params and query strings', () => {
+    const response = check(
+      { params: schemas.todoParams, query: schemas.deleteQuery },
+      { params: { id: 'abc' }, query: { baseUpdatedAt: 'yesterday' } }
+    );
+    assert.deepEqual(response.body.errors.map(({ location, field }) => `${location}:${field}`), [
+      'params:id',
+      'query:baseUpdatedAt'
+    ]);
+    assert.equal(check({ params: schemas.todoParams }, { params: { id: ID } }), null);
+  });
+
+  it('names nested fields by their path', () => {
+    const response = check({ body: schemas.bulk }, { body: { create: [{ title: 'ok' }, { title: 5 }] } });
+    assert.deepEqual(response.body.errors, [{ location: 'body', field: 'create.1.title', message: 'Title must be a string' }]);
+  });
+});
+
+describe('invalid input after validation', () => {
+  it('lists model validation errors per path', () => {
+    const error = new Category({ owner: ID, name: 'Work', color: 'red' }).validateSync();
+    assert.deepEqual(invalidInput(error).errors, [{ field: 'color', message: 'Color is not in the expected format' }]);
+  });
+
+  it('keeps the field of input errors', () => {
+    assert.deepEqual(invalidInput(new TodoInputError('Unknown category', 'category')), {
+      error: 'Unknown category',
+      errors: [{ field: 'category', message: 'Unknown category' }]
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// How many recent events per user are kept for reconnect catch-up
+const BUFFER_SIZE = 500;
+
+// Event IDs look like "<bootId>:<sequence>". A client presenting an ID from
+// a previous server run (or one that fell out of the buffer) is told to
+// resync instead of silently missing events.
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+
+/**
+ * In-process pub/sub for per-user change events, backing the
+ * /api/events Server-Sent Events stream. Only reaches clients connected to
+ * this process.
+ */
+class EventHub {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.buffers = new Map();
+    this.sequence = 0;
+  }
+
+  get lastId() {
+    return `${BOOT_ID}:${this.sequence}`;
+  }
+
+  publish(userId, type, data, origin = null) {
+    const key = String(userId);
+    const event = { id: `${BOOT_ID}:${++this.sequence}`, seq: this.sequence, type, data, origin };
+
+    const buffer = this.buffers.get(key) || [];
+    buffer.push(event);
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+    this.buffers.set(key, buffer);
+
+    this.emitter.emit(key, event);
+    return event;
+  }
+
+  // Whether the user has a stream open to this process
+  isConnected(userId) {
+    return this.emitter.listenerCount(String(userId)) > 0;
+  }
+
+  subscribe(userId, listener) {
+    const key = String(userId);
+    this.emitter.on(key, listener);
+    return () => this.emitter.off(key, listener);
+  }
+
+  /**
+   * Events for the user after `lastEventId`, or null when they can't all
+   * be replayed (unknown boot, or older than the buffer).
+   */
+  since(userId, lastEventId) {
+    const [bootId, seqText] = String(lastEventId).split(':');
+    const seq = Number(seqText);
+    if (bootId !== BOOT_ID || !Number.isInteger(seq) || seq > this.sequence) return null;
+
+    const buffer = this.buffers.get(String(userId)) || [];
+    const missed = buffer.filter(event => event.seq > seq);
+
+    // Sequence numbers are global, so a gap only shows up as the oldest
+    // buffered event being newer than the next one we'd need. Events for
+    // other users don't count, so only flag it when the buffer is full.
+    if (buffer.length === BUFFER_SIZE && buffer[0].seq > seq + 1) return null;
+
+    return missed;
+  }
+}
+
+const hub = new EventHub();
+
+/**
+ * Publishes a change event for the requesting user, or for `audience` (the
+ * members of a shared list) when given. The caller's X-Client-Id header is
+ * attached so the tab that made the change can skip the echo.
+ */
+function publish(req, type, data, audience = [req.user._id]) {
+  const origin = req.get('X-Client-Id') || null;
+  const users = new Set([req.user._id, ...audience].map(String));
+  users.forEach(userId => hub.publish(userId, type, data, origin));
+}
+
+module.exports = { hub, publish };
@@ -0,0 +1,147 @@
+// iCalendar (RFC 5545) output for the calendar feed. Each dated todo can be
+// written as a VEVENT (shown by calendar apps) and/or a VTODO (shown by
+// task apps); the UIDs differ so both can live in one calendar.
+
+const PRODUCT_ID = '-//Todo Manager Pro//Calendar Feed//EN';
+const UID_DOMAIN = 'todo-manager-pro';
+
+const COMPONENTS = {
+  events: ['VEVENT'],
+  todos: ['VTODO'],
+  all: ['VEVENT', 'VTODO']
+};
+
+// iCalendar priority runs 1 (highest) to 9 (lowest)
+const PRIORITIES = { high: 1, medium: 5, low: 9 };
+
+const TODO_STATUSES = {
+  todo: 'NEEDS-ACTION',
+  progress: 'IN-PROCESS',
+  completed: 'COMPLETED'
+};
+
+// VEVENT has no notion of done, so finished tasks are marked in the title
+const COMPLETED_PREFIX = '✓ ';
+
+// How long events of todos due at a time last. Without it many calendar
+// apps show them as zero-length; date-only events already last their day.
+const TIMED_EVENT_DURATION = 'PT30M';
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines are folded at 75 octets, without splitting a UTF-8 character
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Date-only due dates are stored as midnight UTC
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// `NAME:value` or `NAME;VALUE=DATE:value` for a todo's due date
+function dueProperty(name, todo) {
+  return todo.hasDueTime
+    ? `${name}:${formatDateTime(todo.dueDate)}`
+    : `${name};VALUE=DATE:${formatDate(todo.dueDate)}`;
+}
+
+function describeTodo(todo) {
+  const lines = (todo.subtasks || []).map(subtask => `${subtask.done ? '[x]' : '[ ]'} ${subtask.title}`);
+  return lines.join('\n');
+}
+
+// Reminders become alarms; date-only todos are left without, since calendar
+// apps would count them from midnight rather than from the morning
+function alarmLines(todo) {
+  if (!todo.hasDueTime) return [];
+
+  return (todo.reminders || [])
+    .filter(reminder => reminder.minutesBefore !== null)
+    .flatMap(reminder => [
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(todo.title)}`,
+      `TRIGGER:-PT${reminder.minutesBefore}M`,
+      'END:VALARM'
+    ]);
+}
+
+function componentLines(component, todo, categoryNames) {
+  const isEvent = component === 'VEVENT';
+  const completed = todo.status === 'completed';
+  const categories = [categoryNames.get(String(todo.category)), ...(todo.tags || [])].filter(Boolean);
+  const description = describeTodo(todo);
+  const title = isEvent && completed ? `${COMPLETED_PREFIX}${todo.title}` : todo.title;
+
+  return [
+    `BEGIN:${component}`,
+    `UID:${isEvent ? 'event' : 'todo'}-${todo._id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(todo.updatedAt || todo.createdAt)}`,
+    `LAST-MODIFIED:${formatDateTime(todo.updatedAt || todo.createdAt)}`,
+    `CREATED:${formatDateTime(todo.createdAt)}`,
+    `SUMMARY:${escapeText(title)}`,
+    isEvent ? dueProperty('DTSTART', todo) : dueProperty('DUE', todo),
+    ...(isEvent && todo.hasDueTime ? [`DURATION:${TIMED_EVENT_DURATION}`] : []),
+    isEvent ? 'STATUS:CONFIRMED' : `STATUS:${TODO_STATUSES[todo.status]}`,
+    ...(!isEvent && completed ? ['PERCENT-COMPLETE:100'] : []),
+    `PRIORITY:${PRIORITIES[todo.priority]}`,
+    ...(categories.length ? [`CATEGORIES:${categories.map(escapeText).join(',')}`] : []),
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+    ...(completed ? [] : alarmLines(todo)),
+    `END:${component}`
+  ];
+}
+
+/**
+ * Builds a VCALENDAR document. `type` is a key of COMPONENTS; category
+ * names are looked up in `categoryNames` (a Map of ID to name).
+ */
+function buildCalendar({ name, todos, type = 'events', categoryNames = new Map() }) {
+  const components = COMPONENTS[type];
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...todos.flatMap(todo => components.flatMap(component => componentLines(component, todo, categoryNames))),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  COMPONENTS,
+  buildCalendar
+};
@@ -0,0 +1,81 @@
+// Role checks for shared lists. A todo is visible to everyone on its list:
+// viewers can read, editors can also change its todos, and the owner can
+// also rename, share or delete the list itself.
+
+const List = require('../models/List');
+const Todo = require('../models/Todo');
+
+class AccessError extends Error {}
+
+const ROLE_MESSAGES = {
+  editor: 'You only have view access to this list',
+  owner: 'Only the list owner can do that'
+};
+
+function hasRole(role, minRole) {
+  return List.ROLES.indexOf(role) >= List.ROLES.indexOf(minRole);
+}
+
+// IDs of the lists where the user has at least `minRole`
+async function listIdsFor(userId, minRole = 'viewer') {
+  const lists = await List.find(List.visibleTo(userId), { owner: 1, members: 1 });
+  return lists.filter(list => hasRole(list.roleOf(userId), minRole)).map(list => list._id);
+}
+
+/**
+ * Loads a list the user can see. Returns null when it doesn't exist or
+ * isn't shared with them (so IDs don't leak), and throws AccessError when
+ * their role is below `minRole`.
+ */
+async function findList(userId, listId, minRole = 'viewer') {
+  const list = await List.findOne({ _id: listId, ...List.visibleTo(userId) });
+  if (!list) return null;
+
+  if (!hasRole(list.roleOf(userId), minRole)) {
+    throw new AccessError(ROLE_MESSAGES[minRole]);
+  }
+  return list;
+}
+
+/**
+ * Loads a todo through its list's roles: live by default, from the trash
+ * with `trashed: true`, or either with `trashed: null`. Same null /
+ * AccessError contract as findList().
+ */
+async function findTodo(userId, todoId, { minRole = 'viewer', trashed = false } = {}) {
+  const filter = { _id: todoId };
+  if (trashed !== null) filter.deletedAt = trashed ? { $ne: null } : null;
+
+  const todo = await Todo.findOne(filter);
+  if (!todo) return null;
+
+  // Todos from before lists existed are only their owner's
+  const list = todo.list ? await List.findById(todo.list, { owner: 1, members: 1 }) : null;
+  const role = list ? list.roleOf(userId) : (todo.owner.equals(userId) ? 'owner' : null);
+  if (!role) return null;
+
+  if (!hasRole(role, minRole)) {
+    throw new AccessError(ROLE_MESSAGES[minRole]);
+  }
+  return todo;
+}
+
+// Users to notify about changes in the given lists, without duplicates
+async function listAudience(listIds) {
+  const ids = listIds.filter(Boolean);
+  if (ids.length === 0) return [];
+
+  const lists = await List.find({ _id: { $in: ids } }, { owner: 1, members: 1 });
+  const users = new Map();
+  lists.flatMap(list => list.audience()).forEach(id => users.set(id.toString(), id));
+  return [...users.values()];
+}
+
+module.exports = {
+  AccessError,
+  hasRole,
+  listIdsFor,
+  findList,
+  findTodo,
+  listAudience
+};
@@ -0,0 +1,287 @@
+// Recurrence rules for repeating todos, modelled on the RFC 5545 RRULE
+// subset we support: FREQ, INTERVAL, BYDAY (weekly only), BYMONTHDAY
+// (monthly and yearly, one day), UNTIL and COUNT. Monthly and yearly
+// series keep to their day of the month, so one due on the 31st is due on
+// the last day of shorter months and back on the 31st after them.
+// Todos due at a time repeat on the wall clock of the rule's `timeZone`
+// (an IANA name), or else of its fixed `utcOffset` (minutes, as
+// Date#getTimezoneOffset returns them), so "every monday 5pm" stays on
+// Monday at 5pm locally, daylight saving changes included.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const MONTH_DAY_FREQUENCIES = ['MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_UTC_OFFSET = 14 * 60;
+
+class RecurrenceError extends Error {
+  constructor(message, field = 'recurrence') {
+    super(message);
+    this.field = field;
+  }
+}
+
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Minutes the rule's wall clock is ahead of UTC at `date`
+function wallOffset(rule, date) {
+  if (!rule.timeZone) return rule.utcOffset ? -rule.utcOffset : 0;
+
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: rule.timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return Math.round((wall - date.getTime()) / MINUTE_MS);
+}
+
+// A moment as the rule's wall clock shows it, held in a Date's UTC fields
+function toWallTime(rule, date) {
+  return new Date(date.getTime() + wallOffset(rule, date) * MINUTE_MS);
+}
+
+// The moment the rule's wall clock shows `wall`. The offset is the one in
+// force then, found from a first guess with the offset at `wall` read as UTC.
+function fromWallTime(rule, wall) {
+  const guess = new Date(wall.getTime() - wallOffset(rule, wall) * MINUTE_MS);
+  return new Date(wall.getTime() - wallOffset(rule, guess) * MINUTE_MS);
+}
+
+function parseUntil(value) {
+  // RRULE form: 20261231 or 20261231T235959Z
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  const date = match
+    ? new Date(Date.UTC(match[1], match[2] - 1, match[3], match[4] || 23, match[5] || 59, match[6] || 59))
+    : new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new RecurrenceError('Invalid recurrence end date');
+  }
+  return date;
+}
+
+function formatUntil(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Parses an RRULE string ("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10",
+ * optionally prefixed with "RRULE:") into a plain rule object.
+ */
+function parseRRule(rrule) {
+  const parts = String(rrule).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  const rule = {};
+
+  for (const part of parts) {
+    const [key, value] = part.split('=');
+    if (!value) throw new RecurrenceError(`Invalid recurrence rule part "${part}"`);
+
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        rule.freq = value.toUpperCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        break;
+      case 'BYDAY':
+        rule.byWeekday = value.toUpperCase().split(',');
+        break;
+      case 'BYMONTHDAY':
+        if (value.includes(',')) throw new RecurrenceError('Only one recurrence month day is supported');
+        rule.byMonthDay = Number(value);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        break;
+      default:
+        throw new RecurrenceError(`Unsupported recurrence rule part "${key}"`);
+    }
+  }
+
+  return rule;
+}
+
+function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval && rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byWeekday && rule.byWeekday.length) parts.push(`BYDAY=${rule.byWeekday.join(',')}`);
+  // A yearly BYMONTHDAY means that day of every month in RRULE, so yearly
+  // rules leave theirs to the start date
+  if (rule.byMonthDay && rule.freq === 'MONTHLY') parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.until) parts.push(`UNTIL=${formatUntil(new Date(rule.until))}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+}
+
+/**
+ * Accepts an RRULE string, a rule object or null (no recurrence) and
+ * returns a validated rule suitable for the Todo schema.
+ */
+function normalizeRecurrence(input) {
+  if (input === null || input === undefined || input === '') return null;
+
+  const raw = typeof input === 'string' ? parseRRule(input) : { ...input };
+  const rule = {
+    freq: String(raw.freq || '').toUpperCase(),
+    interval: raw.interval === undefined ? 1 : Number(raw.interval),
+    byWeekday: Array.isArray(raw.byWeekday) ? raw.byWeekday.map(d => String(d).toUpperCase()) : [],
+    byMonthDay: raw.byMonthDay === undefined || raw.byMonthDay === null ? null : Number(raw.byMonthDay),
+    until: raw.until ? new Date(raw.until) : null,
+    count: raw.count ? Number(raw.count) : null,
+    timeZone: raw.timeZone || null,
+    utcOffset: raw.utcOffset === undefined || raw.utcOffset === null ? null : Number(raw.utcOffset)
+  };
+
+  if (!FREQUENCIES.includes(rule.freq)) {
+    throw new RecurrenceError(`Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+    throw new RecurrenceError('Recurrence interval must be a positive integer');
+  }
+  if (rule.byWeekday.some(day => !WEEKDAYS.includes(day))) {
+    throw new RecurrenceError(`Recurrence weekdays must be among: ${WEEKDAYS.join(', ')}`);
+  }
+  if (rule.byWeekday.length && rule.freq !== 'WEEKLY') {
+    throw new RecurrenceError('Recurrence weekdays are only supported for weekly rules');
+  }
+  if (rule.byMonthDay !== null && (!Number.isInteger(rule.byMonthDay) || rule.byMonthDay < 1 || rule.byMonthDay > 31)) {
+    throw new RecurrenceError('Recurrence month day must be a whole number from 1 to 31');
+  }
+  if (rule.byMonthDay !== null && !MONTH_DAY_FREQUENCIES.includes(rule.freq)) {
+    throw new RecurrenceError('Recurrence month days are only supported for monthly and yearly rules');
+  }
+  if (rule.until && Number.isNaN(rule.until.getTime())) {
+    throw new RecurrenceError('Invalid recurrence end date');
+  }
+  if (rule.count !== null && (!Number.isInteger(rule.count) || rule.count < 1)) {
+    throw new RecurrenceError('Recurrence count must be a positive integer');
+  }
+  if (rule.until && rule.count) {
+    throw new RecurrenceError('Recurrence can end on a date or after a count, not both');
+  }
+  if (rule.timeZone && !isTimeZone(rule.timeZone)) {
+    throw new RecurrenceError('Unknown recurrence time zone');
+  }
+  if (rule.utcOffset !== null && (!Number.isInteger(rule.utcOffset) || Math.abs(rule.utcOffset) > MAX_UTC_OFFSET)) {
+    throw new RecurrenceError(`Recurrence UTC offset must be a whole number of minutes up to ${MAX_UTC_OFFSET}`);
+  }
+
+  return rule;
+}
+
+// `day` is the series' day of the month, which a clamped date may have lost
+function addMonthsClamped(date, months, day = date.getUTCDate()) {
+  const result = new Date(date);
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+
+  // Clamp e.g. Jan 31 + 1 month to Feb 28/29 instead of rolling into March
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+function startOfWeek(date) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() - result.getUTCDay());
+  result.setUTCHours(0, 0, 0, 0);
+  return result;
+}
+
+function nextWeekly(from, rule) {
+  if (!rule.byWeekday.length) {
+    return new Date(from.getTime() + 7 * rule.interval * DAY_MS);
+  }
+
+  const baseWeek = startOfWeek(from).getTime();
+  const days = new Set(rule.byWeekday.map(day => WEEKDAYS.indexOf(day)));
+
+  // Scan forward day by day; every matching day lies within interval + 1 weeks
+  for (let i = 1; i <= 7 * (rule.interval + 1); i++) {
+    const candidate = new Date(from.getTime() + i * DAY_MS);
+    const weeksApart = Math.round((startOfWeek(candidate).getTime() - baseWeek) / (7 * DAY_MS));
+
+    if (weeksApart % rule.interval === 0 && days.has(candidate.getUTCDay())) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * The rule with the day of the month its series repeats on, taken from
+ * the first instance's due date `from` unless the rule names one. Copied
+ * on to the next instances, so clamping to a short month doesn't stick.
+ * Other frequencies are returned as they are.
+ */
+function anchorRecurrence(rule, from, { timed = false } = {}) {
+  if (!MONTH_DAY_FREQUENCIES.includes(rule.freq) || rule.byMonthDay) return rule;
+  const start = timed ? toWallTime(rule, from) : from;
+  return { ...rule, byMonthDay: start.getUTCDate() };
+}
+
+/**
+ * Computes the date of the occurrence after `from` (the current instance's
+ * due date, or the completion time for undated tasks). Returns null when
+ * the series has ended via UNTIL or COUNT. `occurrence` is the 1-based
+ * index of the current instance within the series. `timed` says `from` is
+ * a due time, stepped on the rule's wall clock; date-only due dates are
+ * UTC midnight of their day and are stepped as they are. Monthly and
+ * yearly rules step to their `byMonthDay` (see anchorRecurrence()).
+ */
+function nextOccurrence(rule, from, occurrence = 1, { timed = false } = {}) {
+  if (rule.count && occurrence >= rule.count) return null;
+
+  const start = timed ? toWallTime(rule, from) : from;
+  const day = rule.byMonthDay || start.getUTCDate();
+  let next;
+  switch (rule.freq) {
+    case 'DAILY':
+      next = new Date(start.getTime() + rule.interval * DAY_MS);
+      break;
+    case 'WEEKLY':
+      next = nextWeekly(start, rule);
+      break;
+    case 'MONTHLY':
+      next = addMonthsClamped(start, rule.interval, day);
+      break;
+    case 'YEARLY':
+      next = addMonthsClamped(start, 12 * rule.interval, day);
+      break;
+    default:
+      return null;
+  }
+
+  if (next && timed) next = fromWallTime(rule, next);
+  if (!next || (rule.until && next > new Date(rule.until))) return null;
+  return next;
+}
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  RecurrenceError,
+  isTimeZone,
+  parseRRule,
+  formatRRule,
+  normalizeRecurrence,
+  anchorRecurrence,
+  nextOccurrence
+};
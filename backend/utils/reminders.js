@@ -0,0 +1,64 @@
+// Reminder offsets for todos with a due date. Each reminder is "N minutes
+// before the todo is due". Date-only due dates are stored as midnight UTC,
+// so their reminders count back from ALL_DAY_REMINDER_MINUTES past that.
+
+const MAX_REMINDERS = 5;
+const MAX_MINUTES_BEFORE = 4 * 7 * 24 * 60;
+const ALL_DAY_REMINDER_MINUTES = 9 * 60;
+const MAX_SNOOZE_MINUTES = 24 * 60;
+
+const MINUTE_MS = 60 * 1000;
+
+class ReminderError extends Error {
+  constructor(message, field = 'reminders') {
+    super(message);
+    this.field = field;
+  }
+}
+
+/**
+ * Accepts reminders as offsets (minutes before due) or objects with
+ * `minutesBefore`, and returns unique offsets, earliest reminder first.
+ */
+function normalizeReminderOffsets(input) {
+  if (input === null || input === undefined) return [];
+  if (!Array.isArray(input)) {
+    throw new ReminderError('Reminders must be an array of minutes before the due time');
+  }
+
+  const offsets = input.map(item => (item && typeof item === 'object' ? item.minutesBefore : item));
+  if (!offsets.every(minutes => Number.isInteger(minutes) && minutes >= 0 && minutes <= MAX_MINUTES_BEFORE)) {
+    throw new ReminderError(`Reminder offsets must be whole minutes between 0 and ${MAX_MINUTES_BEFORE}`);
+  }
+
+  const unique = [...new Set(offsets)].sort((a, b) => b - a);
+  if (unique.length > MAX_REMINDERS) {
+    throw new ReminderError(`At most ${MAX_REMINDERS} reminders per task`);
+  }
+  return unique;
+}
+
+function parseSnoozeMinutes(value) {
+  const minutes = value === undefined ? 10 : value;
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_SNOOZE_MINUTES) {
+    throw new ReminderError(`Snooze must be between 1 and ${MAX_SNOOZE_MINUTES} minutes`, 'minutes');
+  }
+  return minutes;
+}
+
+// When a reminder `minutesBefore` a todo's due date should fire
+function reminderTime(dueDate, hasDueTime, minutesBefore) {
+  if (!dueDate) return null;
+  const dueAt = new Date(dueDate).getTime() + (hasDueTime ? 0 : ALL_DAY_REMINDER_MINUTES * MINUTE_MS);
+  return new Date(dueAt - minutesBefore * MINUTE_MS);
+}
+
+module.exports = {
+  MAX_REMINDERS,
+  MAX_MINUTES_BEFORE,
+  MAX_SNOOZE_MINUTES,
+  ReminderError,
+  normalizeReminderOffsets,
+  parseSnoozeMinutes,
+  reminderTime
+};
@@ -0,0 +1,80 @@
+// Optimistic concurrency over HTTP. Todos carry a `revision` that every
+// saved change bumps (see the Todo model); it is exposed as the todo's ETag
+// so clients can send it back in If-Match and get a 409 with the current
+// copy, rather than overwriting an edit they haven't seen.
+
+const mongoose = require('mongoose');
+const Todo = require('../models/Todo');
+
+const CONFLICT_MESSAGE = 'Todo was changed by someone else';
+
+// Thrown by storage that checks revisions itself (see storage/memory.js);
+// Mongoose throws a VersionError instead
+class ConflictError extends Error {
+  constructor() {
+    super(CONFLICT_MESSAGE);
+  }
+}
+
+// Todos created before revisions existed count as revision 0
+function etag(todo) {
+  return `"${todo.revision ?? 0}"`;
+}
+
+/**
+ * Whether an If-Match header allows changing this version of the todo:
+ * "*" or a comma-separated list of ETags that includes the todo's own.
+ * Weak ETags (W/"...") never match, as If-Match compares strongly. A
+ * missing header always does.
+ */
+function matchesIfMatch(header, todo) {
+  if (!header) return true;
+
+  const tags = header.split(',').map(tag => tag.trim());
+  return tags.includes('*') || tags.includes(etag(todo));
+}
+
+/**
+ * True when the todo changed after the version a client based its edit on
+ * (`baseUpdatedAt`, an ISO date), which offline clients send instead of an
+ * ETag. Clients that send neither never conflict.
+ */
+function isNewerThan(todo, baseUpdatedAt) {
+  if (!baseUpdatedAt || !todo.updatedAt) return false;
+
+  const base = new Date(baseUpdatedAt);
+  return !Number.isNaN(base.getTime()) && new Date(todo.updatedAt).getTime() > base.getTime();
+}
+
+// A save that lost the race against another one
+function isConflict(error) {
+  return error instanceof ConflictError || error instanceof mongoose.Error.VersionError;
+}
+
+// Answers 409 with the server's copy of the todo (and its ETag) for the
+// client to merge its edit with; 404 if it is gone by now
+function sendConflict(res, todo) {
+  if (!todo) {
+    return res.status(404).json({ error: 'Todo not found' });
+  }
+
+  res.set('ETag', etag(todo));
+  res.status(409).json({ error: CONFLICT_MESSAGE, todo });
+}
+
+// The same after a save lost the race: the copy in hand is stale, so the
+// current one is loaded first
+async function sendCurrentConflict(res, todoId) {
+  sendConflict(res, await Todo.findById(todoId));
+}
+
+module.exports = {
+  CONFLICT_MESSAGE,
+  ConflictError,
+  etag,
+  matchesIfMatch,
+  isNewerThan,
+  isConflict,
+  sendConflict,
+  sendCurrentConflict
+};
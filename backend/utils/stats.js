@@ -0,0 +1,146 @@
+// Productivity stats for GET /api/stats. Each storage counts the raw
+// figures (todos.stats(), see storage/index.js); buildStats() turns them
+// into the response, with every day and week of the range filled in.
+// Days are calendar days in the client's time zone, as YYYY-MM-DD.
+
+const { STATUSES, PRIORITIES, QueryError } = require('./todoQuery');
+const { isTimeZone } = require('./recurrence');
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// The day a moment falls on in the time zone ("en-CA" formats YYYY-MM-DD)
+function dayOf(date, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(date);
+}
+
+// Day arithmetic on YYYY-MM-DD strings, done at UTC midnight so no
+// daylight saving change gets in the way
+function addDays(day, count) {
+  const date = new Date(`${day}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + count);
+  return date.toISOString().slice(0, 10);
+}
+
+// The Monday of the day's week
+function weekOf(day) {
+  const weekday = new Date(`${day}T00:00:00.000Z`).getUTCDay();
+  return addDays(day, -((weekday + 6) % 7));
+}
+
+/**
+ * Reads the GET /api/stats query: the `days` to chart, ending today, and
+ * the IANA `timeZone` they are counted in (UTC by default). Throws
+ * QueryError. Date-only due dates are midnight UTC of their day, so
+ * `startOfToday` is what they count as overdue against.
+ */
+function parseStatsQuery(query, now = new Date()) {
+  let days = DEFAULT_DAYS;
+  if (query.days !== undefined) {
+    days = Number.parseInt(query.days, 10);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+      throw new QueryError(`Invalid days. Expected 1 to ${MAX_DAYS}`);
+    }
+  }
+
+  const timeZone = query.timeZone || 'UTC';
+  if (!isTimeZone(timeZone)) {
+    throw new QueryError('Unknown time zone');
+  }
+
+  const today = dayOf(now, timeZone);
+  return {
+    days,
+    timeZone,
+    from: addDays(today, 1 - days),
+    today,
+    now,
+    startOfToday: new Date(`${today}T00:00:00.000Z`)
+  };
+}
+
+// Days in a row with a completion: the run that ends today (or
+// yesterday, as today may still bring one) and the longest one
+function computeStreaks(completionDays, today) {
+  const days = completionDays.map(({ date }) => date).sort();
+  let longest = 0;
+  let run = 0;
+
+  days.forEach((day, i) => {
+    run = i > 0 && addDays(days[i - 1], 1) === day ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const last = days[days.length - 1];
+  const current = last === today || last === addDays(today, -1) ? run : 0;
+  return { current, longest };
+}
+
+function averageHours(totalMs, count) {
+  return count ? Math.round((totalMs / count / HOUR_MS) * 10) / 10 : null;
+}
+
+/**
+ * The GET /api/stats response from a storage's figures:
+ *   counts          todos per status
+ *   overdue         open todos past their due date
+ *   completionDays  [{ date, count, leadTime, cycleTime, cycleCount }] for
+ *                   every day with completions; leadTime sums the ms from
+ *                   creation to completion, cycleTime from start to
+ *                   completion over the cycleCount todos that were started
+ *   byCategory      [{ category, total, completed }]
+ *   byPriority      [{ priority, total, completed }]
+ */
+function buildStats(figures, { days, timeZone, from, today }) {
+  const byDay = new Map(figures.completionDays.map(day => [day.date, day]));
+  const inRange = figures.completionDays.filter(({ date }) => date >= from && date <= today);
+  const sum = (items, field) => items.reduce((total, item) => total + item[field], 0);
+
+  const completedPerDay = Array.from({ length: days }, (_, i) => {
+    const date = addDays(from, i);
+    return { date, count: byDay.get(date)?.count || 0 };
+  });
+
+  const weeks = new Map();
+  completedPerDay.forEach(({ date, count }) => {
+    const week = weekOf(date);
+    weeks.set(week, (weeks.get(week) || 0) + count);
+  });
+
+  const counts = Object.fromEntries(STATUSES.map(status => [status, figures.counts[status] || 0]));
+  const byPriority = new Map(figures.byPriority.map(group => [group.priority, group]));
+
+  return {
+    from,
+    to: today,
+    timeZone,
+    totals: {
+      all: Object.values(counts).reduce((total, count) => total + count, 0),
+      ...counts,
+      overdue: figures.overdue
+    },
+    completedInRange: sum(inRange, 'count'),
+    completedPerDay,
+    completedPerWeek: [...weeks].map(([week, count]) => ({ week, count })),
+    averageLeadTimeHours: averageHours(sum(inRange, 'leadTime'), sum(inRange, 'count')),
+    averageCycleTimeHours: averageHours(sum(inRange, 'cycleTime'), sum(inRange, 'cycleCount')),
+    streaks: computeStreaks(figures.completionDays, today),
+    byCategory: [...figures.byCategory].sort((a, b) => b.total - a.total),
+    byPriority: [...PRIORITIES].reverse().map(priority => ({
+      priority,
+      total: byPriority.get(priority)?.total || 0,
+      completed: byPriority.get(priority)?.completed || 0
+    }))
+  };
+}
+
+module.exports = {
+  DEFAULT_DAYS,
+  MAX_DAYS,
+  dayOf,
+  parseStatsQuery,
+  buildStats
+};
@@ -0,0 +1,409 @@
+// Text formats todos are exported to and imported from. Exports turn todos
+// into CSV, a Markdown checklist, todo.txt or JSON; imports parse the same
+// formats back into records of raw field values, which todoImport.js turns
+// into todos. Markdown and todo.txt can't hold every field, so they lose
+// some detail (Markdown keeps no category, neither keeps in-progress
+// status in its checkbox or "x").
+
+const { formatRRule } = require('./recurrence');
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  todotxt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+// Importable fields, in CSV column order
+const FIELDS = ['title', 'status', 'priority', 'category', 'tags', 'dueDate', 'recurrence', 'subtasks'];
+
+// Header names recognised for each field when no mapping is given,
+// compared lowercase without spaces or punctuation
+const FIELD_ALIASES = {
+  title: ['title', 'task', 'name', 'subject', 'summary'],
+  status: ['status', 'state'],
+  priority: ['priority', 'importance'],
+  category: ['category'],
+  tags: ['tags', 'labels', 'tag'],
+  dueDate: ['duedate', 'due', 'deadline', 'date'],
+  recurrence: ['recurrence', 'repeat', 'rrule'],
+  subtasks: ['subtasks', 'steps', 'checklist']
+};
+
+const TODOTXT_PRIORITIES = { high: 'A', medium: 'B', low: 'C' };
+
+// `field` is the part of the import request at fault: usually the content
+class FormatError extends Error {
+  constructor(message, field = 'content') {
+    super(message);
+    this.field = field;
+  }
+}
+
+// Date-only due dates are midnight UTC and written as YYYY-MM-DD; with a
+// time they are written in UTC to the minute, e.g. 2026-10-20T15:30Z
+function formatDue(todo) {
+  if (!todo.dueDate) return '';
+  const iso = new Date(todo.dueDate).toISOString();
+  return todo.hasDueTime ? `${iso.slice(0, 16)}Z` : iso.slice(0, 10);
+}
+
+function formatSubtasks(subtasks) {
+  return (subtasks || []).map(subtask => `${subtask.done ? '[x]' : '[ ]'} ${subtask.title}`).join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// CSV (RFC 4180)
+// ---------------------------------------------------------------------------
+
+// Cells a spreadsheet would run as a formula get a leading apostrophe,
+// which parseCsvCell() strips again
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function formatCsvCell(value) {
+  let text = String(value ?? '');
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseCsvCell(value) {
+  return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+}
+
+function parseCsvRows(content) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new FormatError('CSV has an unclosed quoted field');
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Picks a column for each field: the given mapping (field -> header) where
+// there is one, otherwise a header that looks like the field
+function resolveMapping(columns, mapping = {}) {
+  const resolved = {};
+
+  for (const field of FIELDS) {
+    if (mapping[field] !== undefined) {
+      if (mapping[field] === null || mapping[field] === '') continue;
+      if (!columns.includes(mapping[field])) {
+        throw new FormatError(`Column "${mapping[field]}" mapped to ${field} is not in the file`, `mapping.${field}`);
+      }
+      resolved[field] = mapping[field];
+      continue;
+    }
+
+    const match = columns.find(column => FIELD_ALIASES[field].includes(normalizeHeader(column)));
+    if (match) resolved[field] = match;
+  }
+
+  if (!resolved.title) throw new FormatError('No column is mapped to the task title', 'mapping.title');
+  return resolved;
+}
+
+function toCsv(records) {
+  const lines = [FIELDS.concat('createdAt').join(',')];
+  records.forEach(record => {
+    lines.push(FIELDS.concat('createdAt').map(field => formatCsvCell(record[field])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function fromCsv(content, mapping) {
+  const rows = parseCsvRows(content.replace(/^\uFEFF/, ''));
+  if (rows.length === 0) throw new FormatError('The file is empty');
+
+  const columns = rows[0].map(column => column.trim());
+  const resolved = resolveMapping(columns, mapping);
+
+  const records = rows.slice(1)
+    .map((cells, index) => ({ cells, row: index + 2 }))
+    .filter(({ cells }) => cells.some(cell => cell.trim() !== ''))
+    .map(({ cells, row }) => {
+      const fields = {};
+      Object.entries(resolved).forEach(([field, column]) => {
+        fields[field] = parseCsvCell(cells[columns.indexOf(column)] ?? '');
+      });
+      return { row, fields };
+    });
+
+  return { columns, mapping: resolved, records };
+}
+
+// ---------------------------------------------------------------------------
+// Markdown checklists: "- [ ] Title !high #tag due:2026-10-20", with
+// subtasks as indented checklist items beneath
+// ---------------------------------------------------------------------------
+
+const CHECKLIST_ITEM = /^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/;
+
+function toMarkdown(records, title) {
+  const lines = [`# ${title}`, ''];
+
+  records.forEach(record => {
+    const meta = [
+      record.priority !== 'medium' ? `!${record.priority}` : '',
+      ...record.tags.split(' ').filter(Boolean).map(tag => `#${tag}`),
+      record.dueDate ? `due:${record.dueDate}` : '',
+      record.status === 'progress' ? 'status:progress' : ''
+    ].filter(Boolean);
+
+    lines.push(`- [${record.status === 'completed' ? 'x' : ' '}] ${[record.title, ...meta].join(' ')}`);
+    record.subtasks.split('\n').filter(Boolean).forEach(subtask => lines.push(`  - ${subtask}`));
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Pulls "!priority", "#tag", "due:…" and "status:…" out of an item's text
+function parseInlineMeta(text) {
+  const fields = { tags: [] };
+  const words = text.split(/\s+/).filter(word => {
+    let match;
+    if ((match = /^!(high|medium|low)$/i.exec(word))) {
+      fields.priority = match[1].toLowerCase();
+    } else if ((match = /^#([\p{L}\p{N}_-]+)$/u.exec(word))) {
+      fields.tags.push(match[1]);
+    } else if ((match = /^due:(\S+)$/i.exec(word))) {
+      fields.dueDate = match[1];
+    } else if ((match = /^status:(\S+)$/i.exec(word))) {
+      fields.status = match[1];
+    } else {
+      return true;
+    }
+    return false;
+  });
+
+  fields.title = words.join(' ');
+  return fields;
+}
+
+function fromMarkdown(content) {
+  const records = [];
+  let parent = null;
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    const match = CHECKLIST_ITEM.exec(line);
+    if (!match) return;
+
+    const [, indent, mark, text] = match;
+    const done = mark !== ' ';
+
+    if (indent.length > 0 && parent) {
+      parent.fields.subtasks.push({ title: text.trim(), done });
+      return;
+    }
+
+    const fields = parseInlineMeta(text);
+    if (!fields.status) fields.status = done ? 'completed' : 'todo';
+    parent = { row: index + 1, fields: { ...fields, subtasks: [] } };
+    records.push(parent);
+  });
+
+  return { columns: [], mapping: {}, records };
+}
+
+// ---------------------------------------------------------------------------
+// todo.txt (https://github.com/todotxt/todo.txt): tags as +project,
+// category as @context (spaces become "_"), and key:value extras
+// ---------------------------------------------------------------------------
+
+const TODOTXT_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function toTodoTxt(records) {
+  const lines = records.map(record => {
+    const completed = record.status === 'completed';
+    const priority = TODOTXT_PRIORITIES[record.priority];
+    const parts = [
+      completed ? `x ${record.updatedAt.slice(0, 10)}` : `(${priority})`,
+      record.createdAt.slice(0, 10),
+      record.title.replace(/\s+/g, ' '),
+      ...record.tags.split(' ').filter(Boolean).map(tag => `+${tag}`),
+      record.category ? `@${record.category.replace(/\s+/g, '_')}` : '',
+      record.dueDate ? `due:${record.dueDate}` : '',
+      record.status === 'progress' ? 'status:progress' : '',
+      record.recurrence ? `rrule:${record.recurrence}` : '',
+      // Completed tasks lose the leading priority, so keep it as pri:
+      completed ? `pri:${priority}` : ''
+    ];
+    return parts.filter(Boolean).join(' ');
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+function fromTodoTxt(content) {
+  const priorities = Object.fromEntries(Object.entries(TODOTXT_PRIORITIES).map(([name, letter]) => [letter, name]));
+  const records = [];
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    const words = line.trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return;
+
+    const fields = { tags: [], status: 'todo', priority: 'medium' };
+
+    if (words[0] === 'x') {
+      fields.status = 'completed';
+      words.shift();
+      if (TODOTXT_DATE.test(words[0])) words.shift();
+    }
+    const priorityMatch = /^\(([A-Z])\)$/.exec(words[0] || '');
+    if (priorityMatch) {
+      fields.priority = priorities[priorityMatch[1]] || 'low';
+      words.shift();
+    }
+    if (TODOTXT_DATE.test(words[0])) words.shift();
+
+    const title = words.filter(word => {
+      let match;
+      if ((match = /^\+(\S+)$/.exec(word))) {
+        fields.tags.push(match[1]);
+      } else if ((match = /^@(\S+)$/.exec(word))) {
+        fields.category = match[1].replace(/_/g, ' ');
+      } else if ((match = /^(due|status|rrule|pri):(\S+)$/i.exec(word))) {
+        const [, key, value] = match;
+        if (key.toLowerCase() === 'due') fields.dueDate = value;
+        if (key.toLowerCase() === 'status') fields.status = value;
+        if (key.toLowerCase() === 'rrule') fields.recurrence = value;
+        if (key.toLowerCase() === 'pri') fields.priority = priorities[value.toUpperCase()] || 'low';
+      } else {
+        return true;
+      }
+      return false;
+    });
+
+    fields.title = title.join(' ');
+    records.push({ row: index + 1, fields });
+  });
+
+  return { columns: [], mapping: {}, records };
+}
+
+// ---------------------------------------------------------------------------
+// JSON: an array of todos, as exported (or as older backups held them)
+// ---------------------------------------------------------------------------
+
+function fromJson(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new FormatError('The file is not valid JSON');
+  }
+  if (!Array.isArray(data)) throw new FormatError('Expected a JSON array of tasks');
+
+  const records = data.map((item, index) => {
+    const todo = item && typeof item === 'object' ? item : {};
+    const fields = {};
+    FIELDS.forEach(field => {
+      if (todo[field] !== undefined && todo[field] !== null) fields[field] = todo[field];
+    });
+    if (todo.hasDueTime !== undefined) fields.hasDueTime = Boolean(todo.hasDueTime);
+    return { row: index + 1, fields };
+  });
+
+  return { columns: [], mapping: {}, records };
+}
+
+// ---------------------------------------------------------------------------
+
+// Flattens a todo into strings shared by the text formats
+function toRecord(todo, categoryNames) {
+  return {
+    title: todo.title,
+    status: todo.status,
+    priority: todo.priority,
+    category: categoryNames.get(String(todo.category)) || '',
+    tags: (todo.tags || []).join(' '),
+    dueDate: formatDue(todo),
+    recurrence: todo.recurrence ? formatRRule(todo.recurrence) : '',
+    subtasks: formatSubtasks(todo.subtasks),
+    createdAt: new Date(todo.createdAt).toISOString(),
+    updatedAt: new Date(todo.updatedAt || todo.createdAt).toISOString()
+  };
+}
+
+/**
+ * Writes todos in `format`. `categoryNames` maps category IDs to names
+ * (categories are exported by name); `title` heads Markdown exports.
+ */
+function serialize(format, todos, { categoryNames = new Map(), title = 'Tasks' } = {}) {
+  if (format === 'json') {
+    return JSON.stringify(todos.map(todo => ({
+      ...todo.toJSON(),
+      category: categoryNames.get(String(todo.category)) || null
+    })), null, 2);
+  }
+
+  const records = todos.map(todo => toRecord(todo, categoryNames));
+  if (format === 'csv') return toCsv(records);
+  if (format === 'markdown') return toMarkdown(records, title);
+  return toTodoTxt(records);
+}
+
+/**
+ * Reads `content` in `format` into { columns, mapping, records }, where each
+ * record is { row, fields } with raw values and `row` the line (or array
+ * index) to report errors against. `mapping` (field -> CSV column) only
+ * applies to CSV; `columns` lists the CSV headers so the client can offer
+ * them for mapping. Throws FormatError when the file can't be read at all.
+ */
+function parse(format, content, { mapping } = {}) {
+  if (!FORMATS[format]) {
+    throw new FormatError(`Invalid format. Expected one of: ${Object.keys(FORMATS).join(', ')}`, 'format');
+  }
+  if (typeof content !== 'string' || content.trim() === '') {
+    throw new FormatError('The file is empty');
+  }
+
+  if (format === 'csv') return fromCsv(content, mapping);
+  if (format === 'markdown') return fromMarkdown(content);
+  if (format === 'todotxt') return fromTodoTxt(content);
+  return fromJson(content);
+}
+
+module.exports = {
+  FORMATS,
+  FIELDS,
+  FormatError,
+  serialize,
+  parse
+};
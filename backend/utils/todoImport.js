@@ -0,0 +1,237 @@
+// Turns imported records (see todoFormats.js) into todos for one list.
+// Every row is converted and validated on its own and checked against the
+// list's live todos (and earlier rows) for duplicates; a dry run stops
+// there so the client can preview the outcome row by row.
+
+const mongoose = require('mongoose');
+const Todo = require('../models/Todo');
+const Category = require('../models/Category');
+const { TodoInputError, buildTodo } = require('./todoInput');
+const { RecurrenceError } = require('./recurrence');
+const { ReminderError } = require('./reminders');
+
+// Rows a single import may contain
+const IMPORT_LIMIT = 1000;
+
+// Spellings other tools use, lowercase
+const STATUS_ALIASES = {
+  todo: 'todo',
+  'to do': 'todo',
+  open: 'todo',
+  'not started': 'todo',
+  progress: 'progress',
+  'in progress': 'progress',
+  'in-progress': 'progress',
+  doing: 'progress',
+  started: 'progress',
+  completed: 'completed',
+  complete: 'completed',
+  done: 'completed',
+  x: 'completed',
+  yes: 'completed',
+  true: 'completed'
+};
+
+const PRIORITY_ALIASES = {
+  high: 'high',
+  h: 'high',
+  a: 'high',
+  1: 'high',
+  medium: 'medium',
+  med: 'medium',
+  normal: 'medium',
+  m: 'medium',
+  b: 'medium',
+  2: 'medium',
+  low: 'low',
+  l: 'low',
+  c: 'low',
+  3: 'low'
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+class ImportError extends Error {
+  constructor(message, field = 'content') {
+    super(message);
+    this.field = field;
+  }
+}
+
+function isInputError(error) {
+  return error instanceof TodoInputError || error instanceof RecurrenceError || error instanceof ReminderError;
+}
+
+function parseAlias(value, aliases, fallback, name, errors) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (text === '') return fallback;
+  if (aliases[text]) return aliases[text];
+
+  errors.push(`Unknown ${name} "${value}"`);
+  return fallback;
+}
+
+function parseTags(value) {
+  if (Array.isArray(value)) return value.map(String);
+  return String(value ?? '').split(/[\s,;]+/).map(tag => tag.replace(/^#+/, '')).filter(Boolean);
+}
+
+// "[x] Step" / "[ ] Step" / "Step" lines, or the array JSON exports hold
+function parseSubtasks(value) {
+  if (Array.isArray(value)) {
+    return value
+      .filter(subtask => subtask && typeof subtask.title === 'string')
+      .map(({ title, done }) => ({ title, done: Boolean(done) }));
+  }
+
+  return String(value ?? '').split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => {
+    const match = /^\[([ xX])\]\s*(.*)$/.exec(line);
+    return match ? { title: match[2], done: match[1] !== ' ' } : { title: line, done: false };
+  });
+}
+
+// YYYY-MM-DD stays a date-only due date; anything else needs a time
+function parseDueDate(fields, errors) {
+  const value = fields.dueDate;
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return { dueDate: null, hasDueTime: false };
+  }
+
+  const text = String(value).trim();
+  if (DATE_ONLY.test(text)) return { dueDate: text, hasDueTime: false };
+
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) {
+    errors.push(`Invalid due date "${value}"`);
+    return { dueDate: null, hasDueTime: false };
+  }
+  return { dueDate: date, hasDueTime: fields.hasDueTime ?? true };
+}
+
+// Categories are matched by name (any case), or by ID for JSON backups
+function resolveCategory(value, categories, warnings) {
+  const text = String(value ?? '').trim();
+  if (text === '') return null;
+
+  const category = categories.find(c => c._id.toString() === text || c.name.toLowerCase() === text.toLowerCase());
+  if (category) return category._id;
+
+  warnings.push(`Unknown category "${text}"; imported without one`);
+  return null;
+}
+
+// Same title (ignoring case and spacing) due on the same day
+function duplicateKey(title, dueDate) {
+  const day = dueDate ? new Date(dueDate).toISOString().slice(0, 10) : '';
+  return `${String(title).trim().replace(/\s+/g, ' ').toLowerCase()}|${day}`;
+}
+
+/**
+ * Converts, validates and (unless `dryRun`) creates todos from `records`
+ * in `list`, acting as `user`. Duplicates are skipped, or created anyway
+ * with `duplicates: 'import'`. Returns one result per record, in order,
+ * and a summary of the counts.
+ */
+async function importRecords(records, { user, list, dryRun = true, duplicates = 'skip' }) {
+  if (records.length === 0) throw new ImportError('No tasks found in the file');
+  if (records.length > IMPORT_LIMIT) {
+    throw new ImportError(`At most ${IMPORT_LIMIT} tasks per import`);
+  }
+  if (!['skip', 'import'].includes(duplicates)) {
+    throw new ImportError('Duplicates must be "skip" or "import"', 'duplicates');
+  }
+
+  const [categories, existing] = await Promise.all([
+    Category.find({ owner: user._id }, { name: 1 }),
+    Todo.find({ list: list._id, deletedAt: null }, { title: 1, dueDate: 1 })
+  ]);
+  const seen = new Map(existing.map(todo => [duplicateKey(todo.title, todo.dueDate), { todo: todo._id, title: todo.title }]));
+
+  const rows = [];
+  for (const { row, fields } of records) {
+    const errors = [];
+    const warnings = [];
+    const input = {
+      list: list._id,
+      title: String(fields.title ?? '').trim(),
+      status: parseAlias(fields.status, STATUS_ALIASES, 'todo', 'status', errors),
+      priority: parseAlias(fields.priority, PRIORITY_ALIASES, 'medium', 'priority', errors),
+      category: resolveCategory(fields.category, categories, warnings),
+      tags: parseTags(fields.tags),
+      ...parseDueDate(fields, errors),
+      recurrence: fields.recurrence || null,
+      subtasks: parseSubtasks(fields.subtasks)
+    };
+    if (!input.title) errors.push('Title is required');
+
+    let todo = null;
+    if (errors.length === 0) {
+      try {
+        todo = await buildTodo(input, user._id);
+        await todo.validate();
+      } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+          errors.push(...Object.values(error.errors).map(err => err.message));
+        } else if (isInputError(error)) {
+          errors.push(error.message);
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    const key = duplicateKey(input.title, todo?.dueDate);
+    const duplicateOf = errors.length ? null : seen.get(key) || null;
+    let action = 'create';
+    if (errors.length) action = 'invalid';
+    else if (duplicateOf && duplicates === 'skip') action = 'skip';
+    if (action === 'create') seen.set(key, { row, title: input.title });
+
+    rows.push({
+      result: {
+        row,
+        title: input.title,
+        status: input.status,
+        priority: input.priority,
+        category: input.category,
+        tags: todo ? todo.tags : input.tags,
+        dueDate: todo ? todo.dueDate : null,
+        hasDueTime: input.hasDueTime,
+        subtasks: input.subtasks.length,
+        errors,
+        warnings,
+        duplicateOf,
+        action
+      },
+      todo
+    });
+  }
+
+  if (!dryRun) {
+    for (const { result, todo } of rows) {
+      if (result.action !== 'create') continue;
+      todo.$locals.actor = user._id;
+      await todo.save();
+      result.todo = todo._id;
+    }
+  }
+
+  const results = rows.map(({ result }) => result);
+  const count = action => results.filter(result => result.action === action).length;
+  return {
+    rows: results,
+    summary: {
+      total: results.length,
+      create: count('create'),
+      skip: count('skip'),
+      invalid: count('invalid'),
+      duplicates: results.filter(result => result.duplicateOf).length
+    }
+  };
+}
+
+module.exports = {
+  IMPORT_LIMIT,
+  ImportError,
+  importRecords
+};
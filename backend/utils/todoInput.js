@@ -0,0 +1,284 @@
+// Turns request bodies into todo documents and updates. Shared by the
+// single-todo routes and the bulk endpoint so both accept the same fields.
+
+const mongoose = require('mongoose');
+const Todo = require('../models/Todo');
+const Category = require('../models/Category');
+const List = require('../models/List');
+const User = require('../models/User');
+const { normalizeRecurrence } = require('./recurrence');
+const { normalizeReminderOffsets } = require('./reminders');
+const { findList } = require('./listAccess');
+const QuickAdd = require('../../shared/quickAdd');
+
+// `field` names the input at fault, for the client to point at
+class TodoInputError extends Error {
+  constructor(message, field) {
+    super(message);
+    this.field = field;
+  }
+}
+
+// Categories are per user, even on shared lists; reject IDs that aren't
+// the caller's
+async function isOwnCategory(categoryId, ownerId) {
+  if (categoryId === null) return true;
+  if (!mongoose.Types.ObjectId.isValid(categoryId)) return false;
+  return Boolean(await Category.exists({ _id: categoryId, owner: ownerId }));
+}
+
+// A list the user may add todos to. Throws AccessError for viewers.
+async function findEditableList(listId, userId) {
+  const list = mongoose.Types.ObjectId.isValid(listId) ? await findList(userId, listId, 'editor') : null;
+  if (!list) throw new TodoInputError('Unknown list', 'list');
+  return list;
+}
+
+/**
+ * Fills a create body from its `quickAdd` text, e.g. "Call mum tomorrow
+ * 5pm !high #family @sam", with the parser the app's input uses. #words
+ * match `categories` and @names `people` (documents with a name and a
+ * username); fields sent alongside win over parsed ones. `utcOffset`
+ * (minutes, as the browser's Date#getTimezoneOffset) reads relative dates
+ * in the client's time zone; a repeating todo due at a time repeats in
+ * `timeZone` (IANA) if given, or else at that offset.
+ */
+function parseQuickAdd(input, { list, categories, people }) {
+  if (typeof input.quickAdd !== 'string') {
+    throw new TodoInputError('Quick add must be a string', 'quickAdd');
+  }
+  if (input.utcOffset !== undefined && !Number.isFinite(Number(input.utcOffset))) {
+    throw new TodoInputError('Invalid UTC offset', 'utcOffset');
+  }
+
+  const parsed = QuickAdd.parse(input.quickAdd, {
+    utcOffset: input.utcOffset,
+    timeZone: input.timeZone,
+    categories: categories.map(category => category.name),
+    people: people.map(person => person.username)
+  });
+  const byName = (items, field, name) => items.find(item => item[field] === name);
+
+  const fields = {
+    title: parsed.title,
+    list: list ? list._id : null,
+    ...(parsed.priority && { priority: parsed.priority }),
+    ...(parsed.category && { category: byName(categories, 'name', parsed.category)._id }),
+    ...(parsed.tags.length && { tags: parsed.tags }),
+    ...(parsed.dueDate && { dueDate: parsed.dueDate, hasDueTime: parsed.hasDueTime }),
+    ...(parsed.recurrence && { recurrence: parsed.recurrence }),
+    ...(parsed.assignee && { assignee: byName(people, 'username', parsed.assignee)._id })
+  };
+
+  const explicit = Object.fromEntries(
+    Object.entries(input).filter(([key, value]) => value !== undefined && !['quickAdd', 'utcOffset', 'timeZone'].includes(key))
+  );
+  return { ...fields, ...explicit };
+}
+
+// parseQuickAdd() with the target list's people and the user's categories
+async function expandQuickAdd(input, userId) {
+  const list = input.list ? await findEditableList(input.list, userId) : await List.ensureDefault(userId);
+  const [categories, people] = await Promise.all([
+    Category.find({ owner: userId }, { name: 1 }),
+    User.find({ _id: { $in: list.audience() } }, { username: 1 })
+  ]);
+
+  return parseQuickAdd(input, { list, categories, people });
+}
+
+/**
+ * Builds an unsaved Todo from create fields, for `owner` in `list` (null
+ * where lists aren't stored). Only checks the fields themselves; see
+ * buildTodo() for the category and list.
+ */
+function newTodo(input, { owner, list }) {
+  const {
+    title,
+    assignee,
+    status,
+    priority,
+    category,
+    tags,
+    dueDate,
+    hasDueTime,
+    reminders,
+    recurrence,
+    subtasks,
+    autoCompleteWithSubtasks
+  } = input || {};
+
+  if (!title || typeof title !== 'string' || title.trim() === '') {
+    throw new TodoInputError('Title is required', 'title');
+  }
+
+  return new Todo({
+    owner,
+    list,
+    assignee: assignee || null,
+    title: title.trim(),
+    status: status || 'todo',
+    priority: priority || 'medium',
+    category: category || null,
+    tags: tags || [],
+    dueDate: dueDate || null,
+    hasDueTime: Boolean(hasDueTime),
+    reminders: normalizeReminderOffsets(reminders).map(minutesBefore => ({ minutesBefore })),
+    recurrence: normalizeRecurrence(recurrence),
+    subtasks: Array.isArray(subtasks)
+      ? subtasks.map(({ title, done }) => ({ title, done: Boolean(done) }))
+      : [],
+    autoCompleteWithSubtasks: Boolean(autoCompleteWithSubtasks)
+  });
+}
+
+/**
+ * Builds an unsaved Todo for `userId` from a create body, which may give
+ * its fields as `quickAdd` text instead (see expandQuickAdd()). Throws
+ * TodoInputError (or RecurrenceError / ReminderError) for input the
+ * client must fix, and AccessError when the list is only shared with
+ * them as a viewer.
+ */
+async function buildTodo(body, userId) {
+  const input = (body && body.quickAdd !== undefined ? await expandQuickAdd(body, userId) : body) || {};
+  const todo = newTodo(input, { owner: null, list: null });
+
+  if (!(await isOwnCategory(input.category || null, userId))) {
+    throw new TodoInputError('Unknown category', 'category');
+  }
+  const list = input.list ? await findEditableList(input.list, userId) : await List.ensureDefault(userId);
+
+  todo.set({ owner: list.owner, list: list._id });
+  return todo;
+}
+
+/**
+ * Picks the updatable fields out of an update body. Fields that are absent
+ * are left out, so the result can be applied to any number of todos.
+ * Moving to another list also hands the todos to that list's owner.
+ */
+async function parseUpdates(input, userId) {
+  const body = input || {};
+  const updates = {};
+
+  if (body.title !== undefined) {
+    if (typeof body.title !== 'string' || body.title.trim() === '') {
+      throw new TodoInputError('Title is required', 'title');
+    }
+    updates.title = body.title.trim();
+  }
+  if (body.assignee !== undefined) updates.assignee = body.assignee || null;
+  if (body.status !== undefined) updates.status = body.status;
+  if (body.priority !== undefined) updates.priority = body.priority;
+  if (body.category !== undefined) updates.category = body.category || null;
+  if (body.tags !== undefined) updates.tags = body.tags;
+  if (body.dueDate !== undefined) updates.dueDate = body.dueDate;
+  if (body.hasDueTime !== undefined) updates.hasDueTime = Boolean(body.hasDueTime);
+  if (body.reminders !== undefined) updates.reminders = normalizeReminderOffsets(body.reminders);
+  if (body.position !== undefined) {
+    if (typeof body.position !== 'number' || !Number.isFinite(body.position)) {
+      throw new TodoInputError('Position must be a finite number', 'position');
+    }
+    updates.position = body.position;
+  }
+  if (body.autoCompleteWithSubtasks !== undefined) {
+    updates.autoCompleteWithSubtasks = Boolean(body.autoCompleteWithSubtasks);
+  }
+  if (body.recurrence !== undefined) {
+    updates.recurrence = normalizeRecurrence(body.recurrence);
+  }
+
+  if (updates.category !== undefined && !(await isOwnCategory(updates.category, userId))) {
+    throw new TodoInputError('Unknown category', 'category');
+  }
+  if (body.list !== undefined) {
+    const list = await findEditableList(body.list, userId);
+    updates.list = list._id;
+    updates.owner = list.owner;
+  }
+
+  return updates;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// RFC 7386: members of the patch replace the target's, null removes them,
+// and objects are merged member by member
+function mergePatch(target, patch) {
+  if (!isPlainObject(patch)) return patch;
+
+  const result = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete result[key];
+    else result[key] = mergePatch(result[key], value);
+  }
+  return result;
+}
+
+/**
+ * Turns a JSON Merge Patch of a loaded todo into an update body for
+ * parseUpdates(). null resets a field to what a new todo gets, and an
+ * object is merged into the field's current value, so
+ * { recurrence: { interval: 2 } } keeps the rest of the rule. Anything
+ * else (arrays included) replaces the field.
+ */
+function mergePatchUpdates(todo, patch) {
+  const current = todo.toJSON();
+  const defaults = new Todo().toJSON();
+
+  return Object.fromEntries(Object.entries(patch || {}).map(([field, value]) => {
+    if (value === null) return [field, defaults[field] ?? null];
+    if (isPlainObject(value) && isPlainObject(current[field])) return [field, mergePatch(current[field], value)];
+    return [field, value];
+  }));
+}
+
+// Sets parsed updates on a loaded todo (without saving it)
+function applyUpdates(todo, updates) {
+  const changes = { ...updates };
+  const current = todo.recurrence?.toObject() || null;
+
+  // Moving the due date moves a monthly series to the new day of the month
+  const dueTime = date => (date ? new Date(date).getTime() : null);
+  const dueDateMoved = changes.dueDate !== undefined && dueTime(changes.dueDate) !== dueTime(todo.dueDate);
+
+  // Editing the rule keeps this instance's place in the series, and its
+  // day of the month while the frequency stays, unless the new rule names one
+  if (changes.recurrence) {
+    const keepsDay = !dueDateMoved && changes.recurrence.freq === current?.freq;
+    changes.recurrence = {
+      ...changes.recurrence,
+      byMonthDay: changes.recurrence.byMonthDay ?? (keepsDay ? current.byMonthDay : null),
+      occurrence: current?.occurrence || 1
+    };
+  } else if (dueDateMoved && current?.byMonthDay) {
+    changes.recurrence = { ...current, byMonthDay: null };
+  }
+
+  // Offsets the todo already has keep their fired state, and pending
+  // snoozes survive an edit of the offsets
+  if (changes.reminders) {
+    const current = new Map(todo.reminders.map(reminder => [reminder.minutesBefore, reminder]));
+    changes.reminders = [
+      ...changes.reminders.map(minutesBefore => current.get(minutesBefore)?.toObject() || { minutesBefore }),
+      ...todo.reminders.filter(reminder => reminder.minutesBefore === null).map(reminder => reminder.toObject())
+    ];
+  }
+
+  todo.set(changes);
+  todo.applySubtaskAutoComplete();
+  return todo;
+}
+
+module.exports = {
+  TodoInputError,
+  isOwnCategory,
+  parseQuickAdd,
+  newTodo,
+  buildTodo,
+  parseUpdates,
+  mergePatchUpdates,
+  applyUpdates
+};
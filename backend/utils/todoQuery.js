@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['todo', 'progress', 'completed'];
+const PRIORITIES = ['low', 'medium', 'high'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Far-future stand-in so undated todos sort after every real due date
+const NO_DUE_DATE = new Date('9999-12-31T00:00:00.000Z');
+
+// Each sort option maps to a computed `_sortKey` plus a direction; `_id`
+// breaks ties so the cursor always points at a unique position.
+const SORTS = {
+  newest: { key: '$createdAt', direction: -1, type: 'date' },
+  oldest: { key: '$createdAt', direction: 1, type: 'date' },
+  priority: {
+    key: {
+      $switch: {
+        branches: [
+          { case: { $eq: ['$priority', 'high'] }, then: 3 },
+          { case: { $eq: ['$priority', 'medium'] }, then: 2 }
+        ],
+        default: 1
+      }
+    },
+    direction: -1,
+    type: 'number'
+  },
+  dueDate: { key: { $ifNull: ['$dueDate', NO_DUE_DATE] }, direction: 1, type: 'date' },
+  position: { key: '$position', direction: 1, type: 'number' }
+};
+
+// Todos saved before manual ordering existed have no position; give them
+// the same -createdAt value new todos get so they interleave sensibly.
+const EFFECTIVE_POSITION = {
+  $ifNull: ['$position', { $multiply: [{ $toLong: '$createdAt' }, -1] }]
+};
+
+class QueryError extends Error {}
+
+function encodeCursor(sortValue, id) {
+  const payload = JSON.stringify({ v: sortValue, id: id.toString() });
+  return Buffer.from(payload).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new Error('bad id');
+
+    const value = sort.type === 'date' ? new Date(v) : Number(v);
+    if (Number.isNaN(value.valueOf())) throw new Error('bad value');
+
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw new QueryError('Invalid cursor');
+  }
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new QueryError(`Invalid ${name} date`);
+  }
+  return date;
+}
+
+function parseEnum(value, allowed, name) {
+  if (!allowed.includes(value)) {
+    throw new QueryError(`Invalid ${name}. Expected one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+// Category filter: an ID, or "none" for uncategorized todos. Converted to an
+// ObjectId here because aggregation pipelines skip Mongoose casting.
+function parseCategory(value) {
+  if (value === 'none') return null;
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new QueryError('Invalid category');
+  }
+  return new mongoose.Types.ObjectId(String(value));
+}
+
+function parseListId(value) {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new QueryError('Invalid list');
+  }
+  return new mongoose.Types.ObjectId(String(value));
+}
+
+// Narrows `listIds` (the lists the user can reach) to the requested one,
+// or keeps them all when no list was asked for
+function parseListScope(value, listIds) {
+  if (!value) return { $in: listIds };
+
+  const id = parseListId(value);
+  if (!listIds.some(listId => listId.equals(id))) {
+    throw new QueryError('Unknown list');
+  }
+  return id;
+}
+
+// Assignee filter: a user ID, "me", or "none" for unassigned todos
+function parseAssignee(value, userId) {
+  if (value === 'me') return userId;
+  if (value === 'none') return null;
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new QueryError('Invalid assignee');
+  }
+  return new mongoose.Types.ObjectId(String(value));
+}
+
+/**
+ * Turns the GET /api/todos query string into a Mongo filter, sort spec,
+ * page size and decoded cursor. Throws QueryError on bad input. `scope` is
+ * the part of the filter that stats are computed over: the live todos of
+ * the lists in `listIds` (those shared with `userId`), or of the requested
+ * list if any, narrowed to an assignee if one was asked for.
+ */
+function parseListQuery(query, { userId, listIds }) {
+  const scope = { list: parseListScope(query.list, listIds), deletedAt: null };
+  if (query.assignee) scope.assignee = parseAssignee(query.assignee, userId);
+
+  const filter = { ...scope };
+
+  if (query.status) filter.status = parseEnum(query.status, STATUSES, 'status');
+  if (query.priority) filter.priority = parseEnum(query.priority, PRIORITIES, 'priority');
+  if (query.category) filter.category = parseCategory(query.category);
+  if (query.tag) filter.tags = String(query.tag).trim().replace(/^#+/, '').toLowerCase();
+
+  if (query.dueFrom || query.dueTo) {
+    filter.dueDate = {};
+    if (query.dueFrom) filter.dueDate.$gte = parseDate(query.dueFrom, 'dueFrom');
+    if (query.dueTo) filter.dueDate.$lte = parseDate(query.dueTo, 'dueTo');
+  }
+
+  if (query.q && String(query.q).trim()) {
+    filter.$text = { $search: String(query.q).trim() };
+  }
+
+  const sortName = query.sort || 'newest';
+  const sort = SORTS[sortName];
+  if (!sort) {
+    throw new QueryError(`Invalid sort. Expected one of: ${Object.keys(SORTS).join(', ')}`);
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new QueryError('Invalid limit');
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  const cursor = query.cursor ? decodeCursor(String(query.cursor), sort) : null;
+
+  return { scope, filter, sort, limit, cursor };
+}
+
+/**
+ * Builds the aggregation pipeline for one page. Fetches `limit + 1`
+ * documents so the caller can tell whether another page exists.
+ */
+function buildPagePipeline({ filter, sort, limit, cursor }) {
+  const pipeline = [
+    { $match: filter },
+    { $addFields: { position: EFFECTIVE_POSITION } },
+    { $addFields: { _sortKey: sort.key } }
+  ];
+
+  if (cursor) {
+    const op = sort.direction === -1 ? '$lt' : '$gt';
+    pipeline.push({
+      $match: {
+        $or: [
+          { _sortKey: { [op]: cursor.value } },
+          { _sortKey: cursor.value, _id: { [op]: cursor.id } }
+        ]
+      }
+    });
+  }
+
+  pipeline.push(
+    { $sort: { _sortKey: sort.direction, _id: sort.direction } },
+    { $limit: limit + 1 }
+  );
+
+  return pipeline;
+}
+
+/**
+ * Splits the raw aggregation result into the page and the cursor for the
+ * next one (null on the last page), stripping the computed sort key.
+ */
+function toPage(docs, limit) {
+  const hasMore = docs.length > limit;
+  const page = hasMore ? docs.slice(0, limit) : docs;
+  const last = page[page.length - 1];
+
+  return {
+    todos: page.map(({ _sortKey, ...todo }) => todo),
+    nextCursor: hasMore ? encodeCursor(last._sortKey, last._id) : null
+  };
+}
+
+module.exports = {
+  STATUSES,
+  PRIORITIES,
+  SORTS,
+  NO_DUE_DATE,
+  QueryError,
+  parseListId,
+  parseListScope,
+  parseListQuery,
+  buildPagePipeline,
+  toPage
+};
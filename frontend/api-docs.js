@@ -0,0 +1,330 @@
+/* ============================================================================
+   TODO MANAGER PRO - API DOCS
+   Renders /api/openapi.json and sends requests to try the API out
+   ============================================================================ */
+
+'use strict';
+
+// ============================================================================
+// CONFIGURATION & CONSTANTS
+// ============================================================================
+
+const DOCS_CONFIG = {
+  SPEC_URL: '/api/openapi.json',
+  // Shared with the app, so signing in there signs in here too
+  AUTH_TOKEN_KEY: 'todo-auth-token',
+  METHODS: ['get', 'post', 'put', 'patch', 'delete'],
+  // Stand-ins for formats when building example bodies
+  FORMAT_EXAMPLES: {
+    objectId: '507f1f77bcf86cd799439011',
+    date: new Date().toISOString().slice(0, 10),
+    'due-date': new Date().toISOString().slice(0, 10),
+    'date-time': new Date().toISOString(),
+    color: '#667eea'
+  }
+};
+
+const docs = {
+  spec: null,
+  elements: {
+    title: document.getElementById('docsTitle'),
+    description: document.getElementById('docsDescription'),
+    token: document.getElementById('docsToken'),
+    status: document.getElementById('docsStatus'),
+    operations: document.getElementById('docsOperations'),
+    schemas: document.getElementById('docsSchemas')
+  }
+};
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+  initializeDocs();
+});
+
+async function initializeDocs() {
+  const { elements } = docs;
+  elements.token.value = localStorage.getItem(DOCS_CONFIG.AUTH_TOKEN_KEY) || '';
+  elements.operations.addEventListener('submit', handleTryIt);
+
+  try {
+    const response = await fetch(DOCS_CONFIG.SPEC_URL);
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    docs.spec = await response.json();
+  } catch (error) {
+    console.error('Failed to load the API description:', error);
+    elements.status.textContent = 'Failed to load the API description.';
+    return;
+  }
+
+  elements.status.hidden = true;
+  renderDocs();
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+function renderDocs() {
+  const { spec, elements } = docs;
+
+  document.title = `${spec.info.title} - API Docs`;
+  elements.title.textContent = `${spec.info.title} ${spec.info.version}`;
+  elements.description.innerHTML = (spec.info.description || '')
+    .split('\n\n')
+    .map(paragraph => `<p>${escapeHtml(paragraph)}</p>`)
+    .join('');
+
+  const operations = Object.entries(spec.paths).flatMap(([path, item]) =>
+    DOCS_CONFIG.METHODS.filter(method => item[method]).map(method => ({ path, method, operation: item[method] }))
+  );
+  elements.operations.innerHTML = `<h2>Endpoints</h2>${operations.map(createOperationHTML).join('')}`;
+
+  const schemas = Object.entries(spec.components?.schemas || {});
+  elements.schemas.innerHTML = `
+    <h2>Schemas</h2>
+    ${schemas.map(([name, schema]) => `
+      <details class="operation" id="schema-${escapeHtml(name)}">
+        <summary><span class="path">${escapeHtml(name)}</span><span class="summary">${escapeHtml(schema.description || '')}</span></summary>
+        <div class="operation-body"><pre><code>${escapeHtml(JSON.stringify(schema, null, 2))}</code></pre></div>
+      </details>
+    `).join('')}
+  `;
+}
+
+function createOperationHTML({ path, method, operation }) {
+  const parameters = operation.parameters || [];
+  const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+  const isPublic = Array.isArray(operation.security) && operation.security.length === 0;
+
+  return `
+    <details class="operation" id="${escapeHtml(operation.operationId || `${method}-${path}`)}">
+      <summary>
+        <span class="method method-${method}">${method.toUpperCase()}</span>
+        <span class="path">${escapeHtml(path)}</span>
+        <span class="summary">${escapeHtml(operation.summary || '')}${isPublic ? ' · no sign-in needed' : ''}${operation.deprecated ? ' · deprecated' : ''}</span>
+      </summary>
+      <div class="operation-body">
+        ${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ''}
+        ${parameters.length ? createParametersHTML(parameters) : ''}
+        ${bodySchema ? `<h4>Request body</h4><pre><code>${escapeHtml(JSON.stringify(bodySchema, null, 2))}</code></pre>` : ''}
+        <h4>Responses</h4>
+        ${createResponsesHTML(operation.responses)}
+        ${createTryItHTML(path, method, parameters, bodySchema)}
+      </div>
+    </details>
+  `;
+}
+
+function createParametersHTML(parameters) {
+  return `
+    <h4>Parameters</h4>
+    <table>
+      <thead><tr><th>Name</th><th>In</th><th>Schema</th><th>Description</th></tr></thead>
+      <tbody>
+        ${parameters.map(param => `
+          <tr>
+            <td><code>${escapeHtml(param.name)}</code>${param.required ? ' *' : ''}</td>
+            <td>${escapeHtml(param.in)}</td>
+            <td>${escapeHtml(describeSchema(param.schema))}</td>
+            <td>${escapeHtml(param.description || '')}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+function createResponsesHTML(responses) {
+  return `
+    <table>
+      <tbody>
+        ${Object.entries(responses).map(([status, response]) => {
+          const schema = response.content?.['application/json']?.schema;
+          return `
+            <tr>
+              <td><code class="${status < 400 ? 'status-ok' : 'status-error'}">${escapeHtml(status)}</code></td>
+              <td>${escapeHtml(response.description || '')}</td>
+              <td>${schema ? createSchemaLinkHTML(schema) : ''}</td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// Named schemas link to their entry; inline ones are shown in place
+function createSchemaLinkHTML(schema) {
+  const name = schemaName(schema);
+  if (name) return `<a href="#schema-${escapeHtml(name)}">${escapeHtml(name)}</a>`;
+
+  return `
+    <details>
+      <summary>Schema</summary>
+      <pre><code>${escapeHtml(JSON.stringify(schema, null, 2))}</code></pre>
+    </details>
+  `;
+}
+
+function createTryItHTML(path, method, parameters, bodySchema) {
+  const inputs = parameters.map(param => `
+    <label>
+      <code>${escapeHtml(param.name)}</code> (${escapeHtml(param.in)}${param.required ? ', required' : ''})
+      <input type="text" data-in="${escapeHtml(param.in)}" data-name="${escapeHtml(param.name)}"
+        value="${param.in === 'path' ? escapeHtml(exampleFor(param.schema) ?? '') : ''}">
+    </label>
+  `).join('');
+
+  return `
+    <form class="try-it" data-path="${escapeHtml(path)}" data-method="${method}">
+      <h4>Try it</h4>
+      ${inputs}
+      ${bodySchema ? `
+        <label>
+          Body (JSON)
+          <textarea name="body">${escapeHtml(JSON.stringify(exampleFor(bodySchema), null, 2))}</textarea>
+        </label>
+      ` : ''}
+      <button type="submit">Send</button>
+      <pre class="try-it-result" hidden></pre>
+    </form>
+  `;
+}
+
+// ============================================================================
+// SCHEMAS
+// ============================================================================
+
+function schemaName(schema) {
+  const match = /^#\/components\/schemas\/(.+)$/.exec(schema?.$ref || '');
+  return match ? match[1] : null;
+}
+
+function resolveSchema(schema) {
+  const name = schemaName(schema);
+  return name ? docs.spec.components.schemas[name] : schema;
+}
+
+// One line for a parameter's schema, e.g. "string: todo | progress | completed"
+function describeSchema(schema = {}) {
+  const type = [].concat(schema.type || 'any').join(' | ');
+  const details = [];
+  if (schema.enum) details.push(schema.enum.join(' | '));
+  if (schema.format) details.push(schema.format);
+  if (schema.pattern) details.push(`matching ${schema.pattern}`);
+  if (schema.maxLength !== undefined) details.push(`max ${schema.maxLength} characters`);
+  if (schema.default !== undefined) details.push(`default ${JSON.stringify(schema.default)}`);
+  return details.length ? `${type}: ${details.join(', ')}` : type;
+}
+
+// A value that fits the schema, for prefilling the try-it forms: defaults
+// and the first enum value where there are some, and only the required
+// properties of objects
+function exampleFor(rawSchema) {
+  const schema = resolveSchema(rawSchema) || {};
+  if (schema.default !== undefined) return schema.default;
+  if (schema.enum) return schema.enum[0];
+  if (schema.format && DOCS_CONFIG.FORMAT_EXAMPLES[schema.format]) return DOCS_CONFIG.FORMAT_EXAMPLES[schema.format];
+
+  const type = [].concat(schema.type || 'object')[0];
+  switch (type) {
+    case 'object': {
+      // A body that needs one of several fields (createTodo's if/else) gets the fallback's
+      const required = schema.required?.length ? schema.required : schema.else?.required || [];
+      return Object.fromEntries(required.map(name => [name, exampleFor(schema.properties?.[name])]));
+    }
+    case 'array':
+      return [];
+    case 'integer':
+    case 'number':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    case 'string':
+      return schema.minLength ? 'x'.repeat(schema.minLength) : 'string';
+    default:
+      return null;
+  }
+}
+
+// ============================================================================
+// TRY IT
+// ============================================================================
+
+async function handleTryIt(event) {
+  const form = event.target.closest('form.try-it');
+  if (!form) return;
+  event.preventDefault();
+
+  const result = form.querySelector('.try-it-result');
+  result.hidden = false;
+
+  try {
+    const request = buildRequest(form);
+    result.textContent = `${request.method} ${request.url}…`;
+
+    const response = await fetch(request.url, request.options);
+    const text = await response.text();
+    let shown = text;
+    try {
+      shown = JSON.stringify(JSON.parse(text), null, 2);
+    } catch {
+      // Not JSON; shown as it came
+    }
+
+    result.className = `try-it-result ${response.ok ? 'status-ok' : 'status-error'}`;
+    result.textContent = `${request.method} ${request.url}\n${response.status} ${response.statusText}\n\n${shown}`;
+  } catch (error) {
+    result.className = 'try-it-result status-error';
+    result.textContent = error.message;
+  }
+}
+
+function buildRequest(form) {
+  const method = form.dataset.method.toUpperCase();
+  const query = new URLSearchParams();
+  const headers = {};
+  let path = form.dataset.path;
+
+  form.querySelectorAll('input[data-in]').forEach(input => {
+    const { in: location, name } = input.dataset;
+    const value = input.value.trim();
+    if (!value) return;
+
+    if (location === 'path') path = path.replace(`{${name}}`, encodeURIComponent(value));
+    if (location === 'query') query.set(name, value);
+    if (location === 'header') headers[name] = value;
+  });
+
+  const token = docs.elements.token.value.trim();
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const options = { method, headers };
+  const body = form.elements.body?.value.trim();
+  if (body) {
+    try {
+      JSON.parse(body);
+    } catch {
+      throw new Error('The body is not valid JSON');
+    }
+    headers['Content-Type'] = 'application/json';
+    options.body = body;
+  }
+
+  const search = query.toString();
+  return { method, url: search ? `${path}?${search}` : path, options };
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  // Quotes too, so the result is also safe inside attribute values
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
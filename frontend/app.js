@@ -10,13 +10,59 @@
 // ============================================================================
 
 const CONFIG = {
-  API_BASE_URL: '/api',
+  API_BASE_URL: '/api/v1',
   TOAST_DURATION: 3000,
   UNDO_DURATION: 5000,
   ANIMATION_DURATION: 300,
+  PAGE_SIZE: 20,
+  BOARD_COLUMN_LIMIT: 100,
+  CALENDAR_PAGE_LIMIT: 100,
+  STATUSES: ['todo', 'progress', 'completed'],
+  // As in the priority picker
+  PRIORITY_ICONS: { high: '🔴', medium: '🟡', low: '🟢' },
+  BULK_LIMIT: 500,
+  EVENT_RETRY_MIN: 1000,
+  EVENT_RETRY_MAX: 30000,
+  SEARCH_DEBOUNCE: 300,
+  // Reminder choices, in minutes before the task is due
+  REMINDER_OFFSETS: [
+    { minutes: 0, label: 'At due time' },
+    { minutes: 10, label: '10 minutes before' },
+    { minutes: 60, label: '1 hour before' },
+    { minutes: 1440, label: '1 day before' },
+    { minutes: 10080, label: '1 week before' }
+  ],
+  SNOOZE_MINUTES: 10,
+  // File extension -> format the server reads
+  IMPORT_FORMATS: {
+    csv: 'csv',
+    md: 'markdown',
+    markdown: 'markdown',
+    txt: 'todotxt',
+    json: 'json'
+  },
+  // Fields a CSV column can be mapped to
+  IMPORT_FIELDS: [
+    { field: 'title', label: 'Title' },
+    { field: 'status', label: 'Status' },
+    { field: 'priority', label: 'Priority' },
+    { field: 'category', label: 'Category' },
+    { field: 'tags', label: 'Tags' },
+    { field: 'dueDate', label: 'Due date' },
+    { field: 'recurrence', label: 'Repeat' },
+    { field: 'subtasks', label: 'Subtasks' }
+  ],
+  OFFLINE_DB_NAME: 'todo-manager-pro',
+  OUTBOX_SYNC_TAG: 'todo-outbox',
   LOCAL_STORAGE_KEYS: {
     THEME: 'todo-theme',
-    COLOR_THEME: 'todo-color-theme'
+    COLOR_THEME: 'todo-color-theme',
+    VIEW: 'todo-view',
+    CALENDAR_MODE: 'todo-calendar-mode',
+    LIST: 'todo-current-list',
+    AUTH_TOKEN: 'todo-auth-token',
+    // sessionStorage: an invite link opened before signing in
+    PENDING_INVITE: 'todo-pending-invite'
   }
 };
 
@@ -26,12 +72,60 @@ const CONFIG = {
 
 const state = {
   todos: [],
+  lists: [],
+  currentList: null,
+  assignedToMe: false,
+  shareListId: null,
+  categories: [],
+  tags: [],
+  nextCursor: null,
+  totalMatching: 0,
+  counts: { all: 0, todo: 0, progress: 0, completed: 0 },
+  listRequestId: 0,
+  searchTimeout: null,
+  listObserver: null,
+  expandedSubtasks: new Set(),
+  view: 'list',
+  boardTruncated: { todo: false, progress: false, completed: false },
+  calendarMode: 'month',
+  // Any day in the month or week on show
+  calendarDate: new Date(),
+  calendarFeed: null,
+  // File being imported: { name, format, content, mapping, preview }
+  importFile: null,
   currentFilter: 'all',
+  currentCategory: '',
+  currentTag: '',
   currentSort: 'newest',
   searchQuery: '',
-  deletedTodo: null,
+  deletedTodos: [],
+  clearedAt: null,
+  trash: [],
+  historyTodoId: null,
+  scheduleTodoId: null,
+  // Cancels the confirm modal's current prompt: { cancel }
+  confirmPrompt: null,
+  history: [],
+  activity: [],
+  activityCursor: null,
+  stats: null,
+  trashRetentionDays: null,
+  selectedIds: new Set(),
+  selectionAnchor: null,
   isLoading: false,
-  undoTimeout: null
+  undoTimeout: null,
+  authToken: null,
+  currentUser: null,
+  authMode: 'login',
+  // Identifies this tab so it can ignore the echo of its own changes
+  clientId: window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+  eventSource: null,
+  lastEventId: null,
+  eventRetryDelay: 1000,
+  eventRetryTimeout: null,
+  offlineDb: null,
+  isSyncing: false,
+  pendingChanges: 0
 };
 
 // ============================================================================
@@ -39,13 +133,39 @@ const state = {
 // ============================================================================
 
 const elements = {
+  // Authentication
+  authScreen: document.getElementById('authScreen'),
+  authForm: document.getElementById('authForm'),
+  authTitle: document.getElementById('authTitle'),
+  authUsername: document.getElementById('authUsername'),
+  authPassword: document.getElementById('authPassword'),
+  authError: document.getElementById('authError'),
+  authSubmit: document.getElementById('authSubmit'),
+  authSwitchText: document.getElementById('authSwitchText'),
+  authSwitchBtn: document.getElementById('authSwitchBtn'),
+  appContainer: document.getElementById('appContainer'),
+  appMain: document.getElementById('appMain'),
+  readOnlyNote: document.getElementById('readOnlyNote'),
+  offlineBanner: document.getElementById('offlineBanner'),
+  offlineMessage: document.getElementById('offlineMessage'),
+  
   // Input elements
   todoInput: document.getElementById('todoInput'),
+  quickAddHighlight: document.getElementById('quickAddHighlight'),
+  quickAddPreview: document.getElementById('quickAddPreview'),
   prioritySelect: document.getElementById('prioritySelect'),
   categorySelect: document.getElementById('categorySelect'),
+  assigneeGroup: document.getElementById('assigneeGroup'),
+  assigneeSelect: document.getElementById('assigneeSelect'),
+  tagsInput: document.getElementById('tagsInput'),
   dueDateInput: document.getElementById('dueDateInput'),
+  dueTimeInput: document.getElementById('dueTimeInput'),
+  reminderSelect: document.getElementById('reminderSelect'),
+  recurrenceSelect: document.getElementById('recurrenceSelect'),
   searchInput: document.getElementById('searchInput'),
   sortSelect: document.getElementById('sortSelect'),
+  categoryFilter: document.getElementById('categoryFilter'),
+  tagFilter: document.getElementById('tagFilter'),
   
   // Buttons
   addBtn: document.getElementById('addBtn'),
@@ -53,11 +173,46 @@ const elements = {
   exportBtn: document.getElementById('exportBtn'),
   importBtn: document.getElementById('importBtn'),
   clearDbBtn: document.getElementById('clearDbBtn'),
+  trashBtn: document.getElementById('trashBtn'),
+  activityBtn: document.getElementById('activityBtn'),
+  statsBtn: document.getElementById('statsBtn'),
+  logoutBtn: document.getElementById('logoutBtn'),
+  manageCategoriesBtn: document.getElementById('manageCategoriesBtn'),
   fileInput: document.getElementById('fileInput'),
   
+  // Lists sidebar
+  listNav: document.getElementById('listNav'),
+  listForm: document.getElementById('listForm'),
+  listNameInput: document.getElementById('listNameInput'),
+  
+  // Bulk actions
+  bulkBar: document.getElementById('bulkBar'),
+  bulkCount: document.getElementById('bulkCount'),
+  bulkSelectAll: document.getElementById('bulkSelectAll'),
+  bulkStatus: document.getElementById('bulkStatus'),
+  bulkPriority: document.getElementById('bulkPriority'),
+  bulkCategory: document.getElementById('bulkCategory'),
+  bulkList: document.getElementById('bulkList'),
+  bulkDueDate: document.getElementById('bulkDueDate'),
+  bulkDeleteBtn: document.getElementById('bulkDeleteBtn'),
+  bulkClearBtn: document.getElementById('bulkClearBtn'),
+  
   // Lists and containers
   todoList: document.getElementById('todoList'),
-  filterTabs: document.querySelectorAll('.filter-tab'),
+  todoBoard: document.getElementById('todoBoard'),
+  boardLists: document.querySelectorAll('.board-list'),
+  todoCalendar: document.getElementById('todoCalendar'),
+  calendarGrid: document.getElementById('calendarGrid'),
+  calendarWeekdays: document.getElementById('calendarWeekdays'),
+  calendarTitle: document.getElementById('calendarTitle'),
+  calendarPrev: document.getElementById('calendarPrev'),
+  calendarToday: document.getElementById('calendarToday'),
+  calendarNext: document.getElementById('calendarNext'),
+  calendarModeBtns: document.querySelectorAll('.calendar-mode-btn'),
+  calendarFeedBtn: document.getElementById('calendarFeedBtn'),
+  viewBtns: document.querySelectorAll('.view-btn'),
+  filterTabs: document.querySelectorAll('.filter-tab[data-filter]'),
+  assignedFilterBtn: document.getElementById('assignedFilterBtn'),
   colorThemeBtns: document.querySelectorAll('.color-theme-btn'),
   
   // Stats
@@ -81,6 +236,75 @@ const elements = {
   modalCancel: document.getElementById('modalCancel'),
   modalConfirm: document.getElementById('modalConfirm'),
   
+  // Category manager
+  categoryModal: document.getElementById('categoryModal'),
+  categoryList: document.getElementById('categoryList'),
+  categoryForm: document.getElementById('categoryForm'),
+  categoryIconInput: document.getElementById('categoryIconInput'),
+  categoryNameInput: document.getElementById('categoryNameInput'),
+  categoryColorInput: document.getElementById('categoryColorInput'),
+  categoryModalClose: document.getElementById('categoryModalClose'),
+  
+  // Activity feed
+  activityModal: document.getElementById('activityModal'),
+  activityList: document.getElementById('activityList'),
+  activityMoreBtn: document.getElementById('activityMoreBtn'),
+  activityModalClose: document.getElementById('activityModalClose'),
+  
+  // Statistics
+  statsModal: document.getElementById('statsModal'),
+  statsDays: document.getElementById('statsDays'),
+  statsContent: document.getElementById('statsContent'),
+  statsModalClose: document.getElementById('statsModalClose'),
+  
+  // List sharing
+  shareModal: document.getElementById('shareModal'),
+  shareModalTitle: document.getElementById('shareModalTitle'),
+  shareMembers: document.getElementById('shareMembers'),
+  shareInviteSection: document.getElementById('shareInviteSection'),
+  inviteRole: document.getElementById('inviteRole'),
+  createInviteBtn: document.getElementById('createInviteBtn'),
+  inviteLinkRow: document.getElementById('inviteLinkRow'),
+  inviteLink: document.getElementById('inviteLink'),
+  copyInviteBtn: document.getElementById('copyInviteBtn'),
+  inviteList: document.getElementById('inviteList'),
+  leaveListBtn: document.getElementById('leaveListBtn'),
+  shareModalClose: document.getElementById('shareModalClose'),
+  
+  // Calendar feed
+  calendarFeedModal: document.getElementById('calendarFeedModal'),
+  calendarFeedOff: document.getElementById('calendarFeedOff'),
+  calendarFeedOn: document.getElementById('calendarFeedOn'),
+  calendarFeedLink: document.getElementById('calendarFeedLink'),
+  calendarFeedType: document.getElementById('calendarFeedType'),
+  calendarFeedWebcal: document.getElementById('calendarFeedWebcal'),
+  enableCalendarFeedBtn: document.getElementById('enableCalendarFeedBtn'),
+  copyCalendarFeedBtn: document.getElementById('copyCalendarFeedBtn'),
+  resetCalendarFeedBtn: document.getElementById('resetCalendarFeedBtn'),
+  disableCalendarFeedBtn: document.getElementById('disableCalendarFeedBtn'),
+  calendarFeedModalClose: document.getElementById('calendarFeedModalClose'),
+  
+  // Export / import
+  exportModal: document.getElementById('exportModal'),
+  exportFormat: document.getElementById('exportFormat'),
+  exportDownloadBtn: document.getElementById('exportDownloadBtn'),
+  exportModalClose: document.getElementById('exportModalClose'),
+  importModal: document.getElementById('importModal'),
+  importFileName: document.getElementById('importFileName'),
+  importSummary: document.getElementById('importSummary'),
+  importMapping: document.getElementById('importMapping'),
+  importDuplicates: document.getElementById('importDuplicates'),
+  importRows: document.getElementById('importRows'),
+  importConfirmBtn: document.getElementById('importConfirmBtn'),
+  importModalClose: document.getElementById('importModalClose'),
+  
+  // Trash
+  trashModal: document.getElementById('trashModal'),
+  trashList: document.getElementById('trashList'),
+  trashRetention: document.getElementById('trashRetention'),
+  emptyTrashBtn: document.getElementById('emptyTrashBtn'),
+  trashModalClose: document.getElementById('trashModalClose'),
+  
   // Confetti
   confetti: document.getElementById('confetti')
 };
@@ -98,7 +322,21 @@ async function initializeApp() {
     loadTheme();
     loadColorTheme();
     setupEventListeners();
-    await fetchTodos();
+    setupInfiniteScroll();
+    renderReminderOptions();
+    setView(localStorage.getItem(CONFIG.LOCAL_STORAGE_KEYS.VIEW) || 'list', { fetch: false });
+    registerServiceWorker();
+    await openOfflineDb();
+    rememberInviteFromUrl();
+    
+    state.authToken = localStorage.getItem(CONFIG.LOCAL_STORAGE_KEYS.AUTH_TOKEN);
+    if (!state.authToken) {
+      showAuthScreen();
+      return;
+    }
+    
+    showApp();
+    await loadWorkspace();
     showToast('Welcome to Todo Manager Pro! 🎉', 'success');
   } catch (error) {
     console.error('Initialization error:', error);
@@ -111,20 +349,55 @@ async function initializeApp() {
 // ============================================================================
 
 function setupEventListeners() {
+  // Authentication
+  elements.authForm.addEventListener('submit', handleAuthSubmit);
+  elements.authSwitchBtn.addEventListener('click', toggleAuthMode);
+  elements.logoutBtn.addEventListener('click', handleLogout);
+  
   // Add task
   elements.addBtn.addEventListener('click', handleAddTodo);
   elements.todoInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') handleAddTodo();
   });
+  elements.todoInput.addEventListener('input', renderQuickAdd);
+  elements.todoInput.addEventListener('scroll', syncQuickAddScroll);
+  document.addEventListener('input', handleFieldEdit);
+  document.addEventListener('change', handleFieldEdit);
+  
+  // Lists
+  elements.listForm.addEventListener('submit', handleCreateList);
   
   // Search and filter
   elements.searchInput.addEventListener('input', handleSearch);
   elements.sortSelect.addEventListener('change', handleSort);
+  elements.categoryFilter.addEventListener('change', () => {
+    handleCategoryFilterChange(elements.categoryFilter.value);
+  });
+  elements.tagFilter.addEventListener('change', () => handleTagFilterChange(elements.tagFilter.value));
   
   // Filter tabs
   elements.filterTabs.forEach(tab => {
     tab.addEventListener('click', () => handleFilterChange(tab.dataset.filter));
   });
+  elements.assignedFilterBtn.addEventListener('click', toggleAssignedFilter);
+  
+  // List / board / calendar view
+  elements.viewBtns.forEach(btn => {
+    btn.addEventListener('click', () => setView(btn.dataset.view));
+  });
+  setupBoardDragAndDrop();
+  setupListDragAndDrop();
+  setupCalendar();
+  
+  // Calendar feed
+  elements.calendarFeedBtn.addEventListener('click', showCalendarFeedModal);
+  elements.calendarFeedModalClose.addEventListener('click', hideCalendarFeedModal);
+  elements.calendarFeedModal.querySelector('.modal-overlay').addEventListener('click', hideCalendarFeedModal);
+  elements.enableCalendarFeedBtn.addEventListener('click', handleEnableCalendarFeed);
+  elements.copyCalendarFeedBtn.addEventListener('click', copyCalendarFeedLink);
+  elements.calendarFeedType.addEventListener('change', renderCalendarFeed);
+  elements.resetCalendarFeedBtn.addEventListener('click', handleResetCalendarFeed);
+  elements.disableCalendarFeedBtn.addEventListener('click', handleDisableCalendarFeed);
   
   // Theme controls
   elements.themeToggle.addEventListener('click', toggleTheme);
@@ -133,14 +406,89 @@ function setupEventListeners() {
   });
   
   // Export/Import/Clear
-  elements.exportBtn.addEventListener('click', handleExport);
+  elements.exportBtn.addEventListener('click', showExportModal);
+  elements.exportDownloadBtn.addEventListener('click', handleExport);
+  elements.exportModalClose.addEventListener('click', hideExportModal);
+  elements.exportModal.querySelector('.modal-overlay').addEventListener('click', hideExportModal);
   elements.importBtn.addEventListener('click', () => elements.fileInput.click());
   elements.fileInput.addEventListener('change', handleImport);
+  elements.importMapping.addEventListener('change', handleImportMappingChange);
+  elements.importDuplicates.addEventListener('change', refreshImportPreview);
+  elements.importConfirmBtn.addEventListener('click', handleConfirmImport);
+  elements.importModalClose.addEventListener('click', hideImportModal);
+  elements.importModal.querySelector('.modal-overlay').addEventListener('click', hideImportModal);
   elements.clearDbBtn.addEventListener('click', handleClearDatabase);
   
+  // Categories
+  elements.manageCategoriesBtn.addEventListener('click', showCategoryModal);
+  elements.categoryForm.addEventListener('submit', handleCreateCategory);
+  elements.categoryModalClose.addEventListener('click', hideCategoryModal);
+  elements.categoryModal.querySelector('.modal-overlay').addEventListener('click', hideCategoryModal);
+  
+  // History
+  elements.activityBtn.addEventListener('click', showActivityModal);
+  elements.activityMoreBtn.addEventListener('click', () => fetchActivity({ append: true }));
+  elements.activityModalClose.addEventListener('click', hideActivityModal);
+  elements.activityModal.querySelector('.modal-overlay').addEventListener('click', hideActivityModal);
+  
+  // Statistics
+  elements.statsBtn.addEventListener('click', showStatsModal);
+  elements.statsDays.addEventListener('change', fetchStats);
+  elements.statsModalClose.addEventListener('click', hideStatsModal);
+  elements.statsModal.querySelector('.modal-overlay').addEventListener('click', hideStatsModal);
+  
+  // List sharing
+  elements.createInviteBtn.addEventListener('click', handleCreateInvite);
+  elements.copyInviteBtn.addEventListener('click', copyInviteLink);
+  elements.leaveListBtn.addEventListener('click', handleLeaveList);
+  elements.shareModalClose.addEventListener('click', hideShareModal);
+  elements.shareModal.querySelector('.modal-overlay').addEventListener('click', hideShareModal);
+  
+  // Trash
+  elements.trashBtn.addEventListener('click', showTrashModal);
+  elements.trashModalClose.addEventListener('click', hideTrashModal);
+  elements.trashModal.querySelector('.modal-overlay').addEventListener('click', hideTrashModal);
+  elements.emptyTrashBtn.addEventListener('click', handleEmptyTrash);
+  
+  // Bulk actions
+  elements.bulkSelectAll.addEventListener('click', selectAllVisible);
+  elements.bulkClearBtn.addEventListener('click', clearSelection);
+  elements.bulkDeleteBtn.addEventListener('click', handleBulkDelete);
+  [
+    [elements.bulkStatus, 'status'],
+    [elements.bulkPriority, 'priority'],
+    [elements.bulkCategory, 'category'],
+    [elements.bulkList, 'list']
+  ].forEach(([select, field]) => {
+    select.addEventListener('change', () => {
+      if (!select.value) return;
+      const value = select.value === 'none' ? null : select.value;
+      select.value = '';
+      handleBulkUpdate({ [field]: value });
+    });
+  });
+  // Clearing the date removes due dates from the selection
+  elements.bulkDueDate.addEventListener('change', () => {
+    const dueDate = elements.bulkDueDate.value || null;
+    elements.bulkDueDate.value = '';
+    handleBulkUpdate({ dueDate });
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && state.selectedIds.size && !e.target.closest('input, select, textarea')) {
+      clearSelection();
+    }
+  });
+  
   // Undo
   elements.undoBtn.addEventListener('click', handleUndo);
   
+  // Offline / back online
+  window.addEventListener('online', () => {
+    updateOfflineBanner();
+    syncOutbox();
+  });
+  window.addEventListener('offline', updateOfflineBanner);
+  
   // Modal
   elements.modalCancel.addEventListener('click', hideModal);
   elements.confirmModal.querySelector('.modal-overlay').addEventListener('click', hideModal);
@@ -150,90 +498,475 @@ function setupEventListeners() {
 // API FUNCTIONS
 // ============================================================================
 
+// The API answers { data, meta } (meta only when there is more than the
+// data), which is what this resolves with, or { errors: [{ status, detail,
+// source }] }. Errors reject with the server's details as the message;
+// invalid input also gets `fieldErrors`, [{ field: 'tags.0', message }].
 async function apiRequest(endpoint, options = {}) {
   try {
+    const authHeader = state.authToken ? { Authorization: `Bearer ${state.authToken}` } : {};
+    
     const response = await fetch(`${CONFIG.API_BASE_URL}${endpoint}`, {
       ...options,
       headers: {
         'Content-Type': 'application/json',
+        'X-Client-Id': state.clientId,
+        ...authHeader,
         ...options.headers
       }
     });
     
+    if (response.status === 401 && state.authToken) {
+      handleUnauthorized();
+    }
+    
     if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+      const body = await response.json().catch(() => ({}));
+      const errors = body.errors || [];
+      const error = new Error(errors.map(item => item.detail).join('; ') || `HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      error.body = body;
+      
+      const fieldErrors = errors
+        .filter(item => item.source)
+        .map(item => ({ field: getErrorField(item.source), message: item.detail }));
+      if (fieldErrors.length) error.fieldErrors = fieldErrors;
+      throw error;
     }
     
     return await response.json();
   } catch (error) {
+    // fetch() rejects with a TypeError when the request never reached the server
+    if (error instanceof TypeError) error.isNetworkError = true;
     console.error('API request failed:', error);
     throw error;
   }
 }
 
-async function fetchTodos() {
+// "tags.0" for the pointer "/tags/0" or the parameter "tags.0"; null for
+// the whole body
+function getErrorField(source) {
+  if (source.parameter) return source.parameter;
+  return source.pointer ? source.pointer.slice(1).split('/').join('.') : null;
+}
+
+function buildListQuery(cursor, overrides = {}) {
+  const params = new URLSearchParams({
+    sort: overrides.sort || state.currentSort,
+    limit: overrides.limit || CONFIG.PAGE_SIZE
+  });
+  
+  if (state.currentList) params.set('list', state.currentList);
+  if (state.assignedToMe) params.set('assignee', 'me');
+  
+  const status = overrides.status || state.currentFilter;
+  if (status !== 'all') params.set('status', status);
+  if (state.currentCategory) params.set('category', state.currentCategory);
+  if (state.currentTag) params.set('tag', state.currentTag);
+  if (state.searchQuery) params.set('q', state.searchQuery);
+  if (overrides.dueFrom) params.set('dueFrom', overrides.dueFrom);
+  if (overrides.dueTo) params.set('dueTo', overrides.dueTo);
+  if (cursor) params.set('cursor', cursor);
+  
+  return params.toString();
+}
+
+// Loads the first page for the current filter/search/sort, or the next page
+// when `append` is set. Responses from superseded requests are dropped.
+async function fetchTodos({ append = false } = {}) {
+  if (state.view === 'board') {
+    if (!append) await fetchBoard();
+    return;
+  }
+  if (state.view === 'calendar') {
+    if (!append) await fetchCalendar();
+    return;
+  }
+  if (append && (!state.nextCursor || state.isLoading)) return;
+  
+  const requestId = ++state.listRequestId;
+  
   try {
     state.isLoading = true;
-    const data = await apiRequest('/todos');
-    state.todos = Array.isArray(data) ? data : [];
+    const { data: todos, meta } = await apiRequest(`/todos?${buildListQuery(append ? state.nextCursor : null)}`);
+    if (requestId !== state.listRequestId) return;
+    
+    // Live events may already have inserted some of the next page's todos
+    const known = new Set(state.todos.map(todo => todo._id));
+    state.todos = append
+      ? [...state.todos, ...todos.filter(todo => !known.has(todo._id))]
+      : todos;
+    state.nextCursor = meta.nextCursor;
+    state.totalMatching = meta.total;
+    state.counts = meta.counts;
     renderTodos();
     updateStats();
+    cacheTodos(todos);
   } catch (error) {
+    if (requestId !== state.listRequestId) return;
+    if (error.isNetworkError && !append) {
+      await showCachedTodos();
+      return;
+    }
     showToast('Failed to load tasks', 'error');
-    state.todos = [];
+    if (!append) {
+      state.todos = [];
+      state.nextCursor = null;
+    }
+  } finally {
+    if (requestId === state.listRequestId) {
+      state.isLoading = false;
+    }
+  }
+}
+
+// The board loads each status column separately, in manual (position) order
+async function fetchBoard() {
+  const requestId = ++state.listRequestId;
+  
+  try {
+    state.isLoading = true;
+    const pages = await Promise.all(CONFIG.STATUSES.map(status =>
+      apiRequest(`/todos?${buildListQuery(null, {
+        status,
+        sort: 'position',
+        limit: CONFIG.BOARD_COLUMN_LIMIT
+      })}`)
+    ));
+    if (requestId !== state.listRequestId) return;
+    
+    state.todos = pages.flatMap(page => page.data);
+    state.nextCursor = null;
+    state.counts = pages[0].meta.counts;
+    CONFIG.STATUSES.forEach((status, i) => {
+      state.boardTruncated[status] = Boolean(pages[i].meta.nextCursor);
+    });
+    renderTodos();
+    updateStats();
+    cacheTodos(state.todos);
+  } catch (error) {
+    if (requestId !== state.listRequestId) return;
+    if (error.isNetworkError) {
+      await showCachedTodos();
+      return;
+    }
+    showToast('Failed to load board', 'error');
+  } finally {
+    if (requestId === state.listRequestId) {
+      state.isLoading = false;
+    }
+  }
+}
+
+// The calendar loads every dated task in the days on show. Date-only due
+// dates are midnight UTC, so the range is padded by a day on each side;
+// renderCalendar() places tasks by their own day.
+async function fetchCalendar() {
+  const requestId = ++state.listRequestId;
+  const days = getCalendarDays();
+  const from = new Date(days[0]);
+  from.setDate(from.getDate() - 1);
+  const to = new Date(days[days.length - 1]);
+  to.setDate(to.getDate() + 2);
+  
+  try {
+    state.isLoading = true;
+    const todos = [];
+    let cursor = null;
+    let page;
+    
+    do {
+      page = await apiRequest(`/todos?${buildListQuery(cursor, {
+        sort: 'dueDate',
+        limit: CONFIG.CALENDAR_PAGE_LIMIT,
+        dueFrom: from.toISOString(),
+        dueTo: to.toISOString()
+      })}`);
+      if (requestId !== state.listRequestId) return;
+      todos.push(...page.data);
+      cursor = page.meta.nextCursor;
+    } while (cursor);
+    
+    state.todos = todos;
+    state.nextCursor = null;
+    state.counts = page.meta.counts;
+    renderTodos();
+    updateStats();
+    cacheTodos(todos);
+  } catch (error) {
+    if (requestId !== state.listRequestId) return;
+    if (error.isNetworkError) {
+      await showCachedTodos();
+      return;
+    }
+    showToast('Failed to load calendar', 'error');
   } finally {
-    state.isLoading = false;
+    if (requestId === state.listRequestId) {
+      state.isLoading = false;
+    }
+  }
+}
+
+// Lists pick which todos to load, and categories and tags drive the selects
+// and badges, so load them before todos
+async function loadWorkspace() {
+  await Promise.all([fetchCurrentUser(), fetchLists(), fetchCategories(), fetchTags()]);
+  await fetchTodos();
+  connectEvents();
+  updateOfflineBanner();
+  
+  // Replay anything queued in an earlier offline session before re-caching
+  await syncOutbox();
+  refreshOfflineCache();
+  
+  handlePendingInvite();
+  handleReminderActionFromUrl();
+}
+
+// A reloaded session only has the token; assignees and sharing need the user
+async function fetchCurrentUser() {
+  if (state.currentUser) return;
+  
+  try {
+    const { data: user } = await apiRequest('/auth/me');
+    state.currentUser = user;
+  } catch (error) {
+    console.error('Fetch user error:', error);
+  }
+}
+
+async function fetchLists() {
+  try {
+    state.lists = (await apiRequest('/lists')).data;
+    idbRequest('meta', 'readwrite', store => store.put({ key: 'lists', value: state.lists }));
+  } catch (error) {
+    if (!error.isNetworkError) {
+      showToast('Failed to load lists', 'error');
+      return;
+    }
+    const cached = await idbRequest('meta', 'readonly', store => store.get('lists'));
+    state.lists = cached ? cached.value : [];
+  }
+  
+  const saved = state.currentList || localStorage.getItem(CONFIG.LOCAL_STORAGE_KEYS.LIST);
+  state.currentList = getList(saved) ? saved : (state.lists[0]?._id || null);
+  if (state.currentList) localStorage.setItem(CONFIG.LOCAL_STORAGE_KEYS.LIST, state.currentList);
+  renderListNav();
+  renderListOptions();
+}
+
+async function fetchCategories() {
+  try {
+    state.categories = (await apiRequest('/categories')).data;
+    renderCategoryOptions();
+    idbRequest('meta', 'readwrite', store => store.put({ key: 'categories', value: state.categories }));
+  } catch (error) {
+    if (error.isNetworkError) {
+      const cached = await idbRequest('meta', 'readonly', store => store.get('categories'));
+      state.categories = cached ? cached.value : [];
+      renderCategoryOptions();
+      return;
+    }
+    showToast('Failed to load categories', 'error');
+  }
+}
+
+async function fetchTags() {
+  try {
+    state.tags = (await apiRequest('/tags')).data;
+    renderTagOptions();
+  } catch (error) {
+    console.error('Failed to load tags:', error);
   }
 }
 
 async function createTodo(todoData) {
   try {
-    const newTodo = await apiRequest('/todos', {
+    const { data: newTodo } = await apiRequest('/todos', {
       method: 'POST',
       body: JSON.stringify(todoData)
     });
     state.todos.unshift(newTodo);
+    adjustCounts(null, newTodo.status);
     renderTodos();
     updateStats();
+    cacheTodos([newTodo]);
+    
+    if (newTodo.tags && newTodo.tags.length) fetchTags();
     showToast('Task added successfully! 🎯', 'success');
   } catch (error) {
-    showToast('Failed to add task', 'error');
+    if (error.isNetworkError) {
+      const localTodo = await createTodoOffline(todoData);
+      state.todos.unshift(localTodo);
+      adjustCounts(null, localTodo.status);
+      renderTodos();
+      updateStats();
+      showToast('Saved offline — will sync when you reconnect 📴', 'success');
+      return;
+    }
+    // Invalid fields are shown on the form instead
+    if (!error.fieldErrors) showToast('Failed to add task', 'error');
     throw error;
   }
 }
 
-async function updateTodo(id, updates) {
+// The edit is sent against the revision of our copy (`base`), so a change
+// saved elsewhere in the meantime is never silently overwritten
+async function updateTodo(id, updates, base = state.todos.find(todo => todo._id === id)) {
   try {
-    const updatedTodo = await apiRequest(`/todos/${id}`, {
-      method: 'PUT',
+    const { data: updatedTodo } = await apiRequest(`/todos/${id}`, {
+      method: 'PATCH',
+      headers: base ? { 'If-Match': `"${base.revision ?? 0}"` } : {},
       body: JSON.stringify(updates)
     });
     
-    const index = state.todos.findIndex(todo => todo._id === id);
-    if (index !== -1) {
-      state.todos[index] = updatedTodo;
-      renderTodos();
-      updateStats();
+    await applyUpdatedTodo(updatedTodo);
+    return updatedTodo;
+  } catch (error) {
+    if (error.status === 409 && error.body?.meta?.todo) {
+      return resolveUpdateConflict(id, updates, base, error.body.meta.todo);
+    }
+    if (error.isNetworkError) {
+      const localTodo = await updateTodoOffline(id, updates);
+      if (localTodo) {
+        await applyUpdatedTodo(localTodo);
+        return localTodo;
+      }
     }
+    // Rejected fields get the server's reason, e.g. "Title must be at most 200 characters"
+    showToast(error.fieldErrors ? escapeHtml(error.message) : 'Failed to update task', 'error');
+    throw error;
+  }
+}
+
+// Someone else saved the task after our copy was taken. An edit to fields
+// they left alone is simply reapplied on top of their version; otherwise
+// the user chooses which version to keep.
+async function resolveUpdateConflict(id, updates, base, serverTodo) {
+  const clashing = Object.keys(updates).filter(field =>
+    !base || JSON.stringify(base[field]) !== JSON.stringify(serverTodo[field])
+  );
+  
+  if (clashing.length && !(await chooseOwnVersion(serverTodo, clashing))) {
+    await applyUpdatedTodo(serverTodo);
+    showToast('Kept the other version', 'success');
+    return serverTodo;
+  }
+  return updateTodo(id, updates, serverTodo);
+}
+
+// Resolves true to keep the user's edit, false to take the server's version
+function chooseOwnVersion(serverTodo, fields) {
+  const labels = [...new Set(fields.map(field => HISTORY_FIELD_LABELS[field]).filter(Boolean))];
+  const changed = labels.length ? ` (${labels.join(', ').toLowerCase()})` : '';
+  
+  return new Promise(resolve => showConfirmModal(
+    'Task Changed Elsewhere',
+    `"${serverTodo.title}" was changed by someone else${changed} while you were editing it. Keep your changes, or use their version?`,
+    () => resolve(true),
+    { confirmText: 'Keep Mine', cancelText: 'Use Theirs', onCancel: () => resolve(false) }
+  ));
+}
+
+// Swaps a server copy of a todo into state and re-renders
+async function applyUpdatedTodo(updatedTodo) {
+  cacheTodos([updatedTodo]);
+  if (state.historyTodoId === updatedTodo._id) fetchHistory(updatedTodo._id);
+  
+  const index = state.todos.findIndex(todo => todo._id === updatedTodo._id);
+  if (index !== -1) {
+    adjustCounts(state.todos[index].status, updatedTodo.status);
+    state.todos[index] = updatedTodo;
+    renderTodos();
+    updateStats();
+  }
+  
+  // Completing a recurring task creates its next instance on the server
+  const nextId = updatedTodo.nextOccurrence;
+  if (nextId && !state.todos.some(todo => todo._id === nextId)) {
+    await fetchTodos();
+  }
+}
+
+async function subtaskRequest(todoId, path, options) {
+  try {
+    const { data: updatedTodo } = await apiRequest(`/todos/${todoId}/subtasks${path}`, options);
+    const wasCompleted = state.todos.find(todo => todo._id === todoId)?.status === 'completed';
+    
+    await applyUpdatedTodo(updatedTodo);
     
+    if (!wasCompleted && updatedTodo.status === 'completed') {
+      triggerConfetti();
+      showToast('All steps done — task completed! 🎉', 'success');
+    }
     return updatedTodo;
   } catch (error) {
-    showToast('Failed to update task', 'error');
+    showToast('Failed to update steps', 'error');
+    throw error;
+  }
+}
+
+function addSubtask(todoId, title) {
+  return subtaskRequest(todoId, '', {
+    method: 'POST',
+    body: JSON.stringify({ title })
+  });
+}
+
+function updateSubtask(todoId, subtaskId, updates) {
+  return subtaskRequest(todoId, `/${subtaskId}`, {
+    method: 'PUT',
+    body: JSON.stringify(updates)
+  });
+}
+
+async function reorderTodos(moves) {
+  try {
+    const { data: todos } = await apiRequest('/todos/reorder', {
+      method: 'POST',
+      body: JSON.stringify({ moves })
+    });
+    
+    for (const todo of todos) {
+      await applyUpdatedTodo(todo);
+    }
+    return todos;
+  } catch (error) {
+    showToast('Failed to reorder tasks', 'error');
     throw error;
   }
 }
 
+function deleteSubtask(todoId, subtaskId) {
+  return subtaskRequest(todoId, `/${subtaskId}`, { method: 'DELETE' });
+}
+
+function reorderSubtasks(todoId, order) {
+  return subtaskRequest(todoId, '', {
+    method: 'PUT',
+    body: JSON.stringify({ order })
+  });
+}
+
 async function deleteTodo(id) {
   try {
-    await apiRequest(`/todos/${id}`, { method: 'DELETE' });
+    try {
+      await apiRequest(`/todos/${id}`, { method: 'DELETE' });
+      idbRequest('todos', 'readwrite', store => store.delete(id));
+    } catch (error) {
+      if (!error.isNetworkError) throw error;
+      await deleteTodoOffline(id);
+    }
     
     const index = state.todos.findIndex(todo => todo._id === id);
     if (index !== -1) {
-      state.deletedTodo = { ...state.todos[index] };
+      state.deletedTodos = [{ ...state.todos[index] }];
       state.todos.splice(index, 1);
+      adjustCounts(state.deletedTodos[0].status, null);
       renderTodos();
       updateStats();
-      showUndoSnackbar('Task deleted');
+      state.clearedAt = null;
+      showUndoSnackbar('Task moved to trash');
     }
   } catch (error) {
     showToast('Failed to delete task', 'error');
@@ -243,79 +976,760 @@ async function deleteTodo(id) {
 
 async function clearAllTodos() {
   try {
-    await apiRequest('/todos', { method: 'DELETE' });
+    const query = state.currentList ? `?list=${encodeURIComponent(state.currentList)}` : '';
+    const { meta: { deletedCount, deletedAt } } = await apiRequest(`/todos${query}`, { method: 'DELETE' });
+    const clearedIds = new Set(state.todos.map(todo => todo._id));
+    idbRequest('todos', 'readwrite', store => {
+      clearedIds.forEach(id => store.delete(id));
+    });
     state.todos = [];
+    state.nextCursor = null;
+    state.counts = { all: 0, todo: 0, progress: 0, completed: 0 };
     renderTodos();
     updateStats();
-    showToast('All tasks cleared! 🗑️', 'success');
+    
+    // The whole batch shares one deletedAt, which is what undo restores by
+    state.deletedTodos = [];
+    state.clearedAt = deletedAt;
+    showUndoSnackbar(`${deletedCount} task${deletedCount === 1 ? '' : 's'} moved to trash 🗑️`);
   } catch (error) {
     showToast('Failed to clear tasks', 'error');
     throw error;
   }
 }
 
+// Brings trashed todos back (by { ids } or by { deletedAt } batch) and
+// reloads the list, since they may land anywhere in the current order.
+// Resolves with the restored todos.
+async function restoreFromTrash(body) {
+  const { data: todos } = await apiRequest('/trash/restore', {
+    method: 'POST',
+    body: JSON.stringify(body)
+  });
+  await fetchTodos();
+  return todos;
+}
+
+// POST /todos/bulk, split into chunks the server accepts. Results from every
+// chunk are concatenated in request order.
+async function bulkRequest({ create = [], update = null, delete: remove = [] }) {
+  const results = { created: [], updated: [], deleted: [] };
+  const ids = update ? update.ids : [];
+  
+  for (let i = 0; i < create.length; i += CONFIG.BULK_LIMIT) {
+    const { data: chunk } = await apiRequest('/todos/bulk', {
+      method: 'POST',
+      body: JSON.stringify({ create: create.slice(i, i + CONFIG.BULK_LIMIT) })
+    });
+    results.created.push(...chunk.created);
+  }
+  for (let i = 0; i < ids.length; i += CONFIG.BULK_LIMIT) {
+    const { data: chunk } = await apiRequest('/todos/bulk', {
+      method: 'POST',
+      body: JSON.stringify({ update: { ids: ids.slice(i, i + CONFIG.BULK_LIMIT), patch: update.patch } })
+    });
+    results.updated.push(...chunk.updated);
+  }
+  for (let i = 0; i < remove.length; i += CONFIG.BULK_LIMIT) {
+    const { data: chunk } = await apiRequest('/todos/bulk', {
+      method: 'POST',
+      body: JSON.stringify({ delete: remove.slice(i, i + CONFIG.BULK_LIMIT) })
+    });
+    results.deleted.push(...chunk.deleted);
+  }
+  
+  return results;
+}
+
 // ============================================================================
-// TASK MANAGEMENT
+// AUTHENTICATION
 // ============================================================================
 
-async function handleAddTodo() {
-  const title = elements.todoInput.value.trim();
+async function handleAuthSubmit(event) {
+  event.preventDefault();
   
-  if (!title) {
-    elements.todoInput.classList.add('shake');
-    setTimeout(() => elements.todoInput.classList.remove('shake'), 500);
-    showToast('Please enter a task title', 'error');
+  const username = elements.authUsername.value.trim();
+  const password = elements.authPassword.value;
+  
+  if (!username || !password) {
+    elements.authError.textContent = 'Please enter a username and password';
     return;
   }
   
-  const todoData = {
-    title,
-    status: 'todo',
-    priority: elements.prioritySelect.value,
-    category: elements.categorySelect.value,
-    dueDate: elements.dueDateInput.value || null
-  };
+  const endpoint = state.authMode === 'login' ? '/auth/login' : '/auth/register';
+  elements.authSubmit.disabled = true;
+  elements.authError.textContent = '';
+  clearFieldErrors([elements.authUsername, elements.authPassword]);
   
   try {
-    await createTodo(todoData);
-    resetForm();
+    const { data: { token, user } } = await apiRequest(endpoint, {
+      method: 'POST',
+      body: JSON.stringify({ username, password })
+    });
+    
+    state.authToken = token;
+    state.currentUser = user;
+    localStorage.setItem(CONFIG.LOCAL_STORAGE_KEYS.AUTH_TOKEN, token);
+    
+    elements.authForm.reset();
+    showApp();
+    await loadWorkspace();
+    showToast(`Welcome, ${escapeHtml(user.username)}! 🎉`, 'success');
   } catch (error) {
-    console.error('Add todo error:', error);
+    const unplaced = showFieldErrors(error, { username: elements.authUsername, password: elements.authPassword });
+    elements.authError.textContent = unplaced.join(' ');
+  } finally {
+    elements.authSubmit.disabled = false;
   }
 }
 
-async function handleToggleComplete(id, currentStatus) {
-  const newStatus = currentStatus === 'completed' ? 'todo' : 'completed';
+function toggleAuthMode() {
+  const isLogin = state.authMode === 'login';
+  state.authMode = isLogin ? 'register' : 'login';
   
-  try {
-    await updateTodo(id, { status: newStatus });
-    
-    if (newStatus === 'completed') {
-      triggerConfetti();
-      showToast('Task completed! 🎉', 'success');
-    }
-  } catch (error) {
-    console.error('Toggle complete error:', error);
-  }
+  elements.authTitle.textContent = isLogin ? 'Create your account' : 'Sign in to your tasks';
+  elements.authSubmit.querySelector('.btn-text').textContent = isLogin ? 'Create Account' : 'Sign In';
+  elements.authSwitchText.textContent = isLogin ? 'Already have an account?' : 'No account yet?';
+  elements.authSwitchBtn.textContent = isLogin ? 'Sign in' : 'Create one';
+  elements.authPassword.setAttribute('autocomplete', isLogin ? 'new-password' : 'current-password');
+  elements.authError.textContent = '';
+  clearFieldErrors([elements.authUsername, elements.authPassword]);
 }
 
-async function handleEditTodo(id, currentTitle) {
-  const todoItem = document.querySelector(`[data-id="${id}"]`);
-  if (!todoItem) return;
+function handleUnauthorized() {
+  clearSession();
+  showAuthScreen();
+  elements.authError.textContent = 'Your session has expired. Please sign in again.';
+}
+
+function handleLogout() {
+  clearSession();
+  showAuthScreen();
+  showToast('Signed out 👋', 'success');
+}
+
+function clearSession() {
+  disconnectEvents();
+  clearOfflineData();
+  state.lastEventId = null;
+  state.authToken = null;
+  state.currentUser = null;
+  state.todos = [];
+  state.lists = [];
+  state.currentList = null;
+  state.categories = [];
+  state.tags = [];
+  state.currentCategory = '';
+  state.currentTag = '';
+  state.nextCursor = null;
+  state.counts = { all: 0, todo: 0, progress: 0, completed: 0 };
+  state.deletedTodos = [];
+  state.clearedAt = null;
+  state.trash = [];
+  state.historyTodoId = null;
+  state.scheduleTodoId = null;
+  state.history = [];
+  state.activity = [];
+  state.stats = null;
+  state.selectedIds.clear();
+  localStorage.removeItem(CONFIG.LOCAL_STORAGE_KEYS.AUTH_TOKEN);
+  localStorage.removeItem(CONFIG.LOCAL_STORAGE_KEYS.LIST);
+  renderTodos();
+  updateStats();
+}
+
+function showAuthScreen() {
+  elements.appContainer.hidden = true;
+  elements.authScreen.hidden = false;
+  elements.authUsername.focus();
+}
+
+function showApp() {
+  elements.authScreen.hidden = true;
+  elements.appContainer.hidden = false;
+}
+
+// ============================================================================
+// REAL-TIME SYNC
+// ============================================================================
+
+const SERVER_EVENT_TYPES = [
+  'ready',
+  'resync',
+  'todo.created',
+  'todo.updated',
+  'todo.deleted',
+  'todos.cleared',
+  'todos.changed',
+  'lists.changed',
+  'reminder'
+];
+
+function connectEvents() {
+  disconnectEvents();
+  if (!state.authToken || !('EventSource' in window)) return;
   
-  const titleElement = todoItem.querySelector('.todo-title');
+  // A new EventSource doesn't remember Last-Event-ID, so pass it along
+  const params = new URLSearchParams({ access_token: state.authToken });
+  if (state.lastEventId) params.set('lastEventId', state.lastEventId);
   
-  const input = document.createElement('input');
-  input.type = 'text';
-  input.value = currentTitle;
-  input.className = 'edit-input';
+  const source = new EventSource(`${CONFIG.API_BASE_URL}/events?${params}`);
+  state.eventSource = source;
   
-  const saveBtn = document.createElement('button');
-  saveBtn.textContent = 'Save';
-  saveBtn.className = 'btn-save';
+  SERVER_EVENT_TYPES.forEach(type => {
+    source.addEventListener(type, (event) => handleServerEvent(type, event));
+  });
   
-  titleElement.innerHTML = '';
-  titleElement.appendChild(input);
+  source.addEventListener('open', () => {
+    state.eventRetryDelay = CONFIG.EVENT_RETRY_MIN;
+  });
+  
+  // The browser retries dropped connections itself; it gives up only on
+  // HTTP errors, so back off and open a fresh stream in that case
+  source.addEventListener('error', () => {
+    if (source.readyState === EventSource.CLOSED) {
+      scheduleEventReconnect();
+    }
+  });
+}
+
+function disconnectEvents() {
+  clearTimeout(state.eventRetryTimeout);
+  state.eventRetryTimeout = null;
+  
+  if (state.eventSource) {
+    state.eventSource.close();
+    state.eventSource = null;
+  }
+}
+
+function scheduleEventReconnect() {
+  disconnectEvents();
+  if (!state.authToken) return;
+  
+  state.eventRetryTimeout = setTimeout(connectEvents, state.eventRetryDelay);
+  state.eventRetryDelay = Math.min(state.eventRetryDelay * 2, CONFIG.EVENT_RETRY_MAX);
+}
+
+function handleServerEvent(type, event) {
+  if (event.lastEventId) state.lastEventId = event.lastEventId;
+  
+  const data = JSON.parse(event.data);
+  if (data.origin && data.origin === state.clientId) return;
+  
+  switch (type) {
+    case 'todo.created':
+      applyRemoteTodo(data.todo, null);
+      cacheTodos([data.todo]);
+      break;
+    case 'todo.updated':
+      applyRemoteTodo(data.todo, data.previousStatus);
+      cacheTodos([data.todo]);
+      if (state.historyTodoId === data.todo._id) fetchHistory(data.todo._id);
+      break;
+    case 'todo.deleted':
+      removeRemoteTodo(data.todo);
+      idbRequest('todos', 'readwrite', store => store.delete(data.todo._id));
+      break;
+    case 'todos.cleared':
+      // A clear scoped to another list doesn't touch what's on screen
+      if (data.list && data.list !== state.currentList) return;
+      refreshOfflineCache();
+      state.todos = [];
+      state.nextCursor = null;
+      state.counts = { all: 0, todo: 0, progress: 0, completed: 0 };
+      break;
+    case 'lists.changed': {
+      // The active list may have been deleted elsewhere, or the user
+      // removed from it; roles and members may have changed too
+      const previous = state.currentList;
+      fetchLists().then(() => {
+        if (state.shareListId) renderShareModal();
+        if (state.currentList !== previous) {
+          fetchTodos();
+        } else {
+          renderTodos();
+        }
+      });
+      return;
+    }
+    case 'reminder':
+      showReminder(data.todo, data.reminder);
+      return;
+    case 'todos.changed':
+    case 'resync':
+      fetchTodos();
+      return;
+    default:
+      return;
+  }
+  
+  renderTodos();
+  updateStats();
+}
+
+function applyRemoteTodo(todo, previousStatus) {
+  const index = state.todos.findIndex(t => t._id === todo._id);
+  const inList = isInCurrentList(todo);
+  
+  if (index !== -1) {
+    adjustCounts(state.todos[index].status, inList ? todo.status : null);
+    if (inList) {
+      state.todos[index] = todo;
+    } else {
+      state.todos.splice(index, 1);
+    }
+    return;
+  }
+  
+  // Stats only cover the active list
+  if (!inList) return;
+  adjustCounts(previousStatus, todo.status);
+  if (matchesCurrentQuery(todo)) {
+    state.todos.push(todo);
+  }
+}
+
+function removeRemoteTodo(todo) {
+  const index = state.todos.findIndex(t => t._id === todo._id);
+  const status = index !== -1 ? state.todos[index].status : todo.status;
+  
+  if (index !== -1) {
+    state.todos.splice(index, 1);
+  } else if (!isInCurrentList(todo)) {
+    return;
+  }
+  adjustCounts(status, null);
+}
+
+function isInCurrentList(todo) {
+  return !state.currentList || !todo.list || todo.list === state.currentList;
+}
+
+// Whether a todo we haven't loaded belongs in the current list. Text search
+// runs on the server, so while searching remote additions wait for a refetch;
+// offline, a plain title match is the best we can do.
+function matchesCurrentQuery(todo, { matchTitle = false, anyStatus = false } = {}) {
+  if (!isInCurrentList(todo)) return false;
+  if (state.assignedToMe && todo.assignee !== state.currentUser?._id) return false;
+  if (state.searchQuery) {
+    if (!matchTitle || !todo.title.toLowerCase().includes(state.searchQuery.toLowerCase())) {
+      return false;
+    }
+  }
+  if (!anyStatus && state.view === 'list' && state.currentFilter !== 'all' && todo.status !== state.currentFilter) {
+    return false;
+  }
+  if (state.currentCategory === 'none' && todo.category) return false;
+  if (state.currentCategory && state.currentCategory !== 'none' && todo.category !== state.currentCategory) {
+    return false;
+  }
+  if (state.currentTag && !(todo.tags || []).includes(state.currentTag)) return false;
+  return true;
+}
+
+// ============================================================================
+// OFFLINE SUPPORT
+// ============================================================================
+
+// Tasks are mirrored in IndexedDB so the app still opens without a network.
+// Changes made offline are applied locally, marked `_pending`, and queued in
+// the outbox; syncOutbox() replays them in order once the server is back.
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  
+  navigator.serviceWorker.register('/sw.js').catch(error => {
+    console.error('Service worker registration failed:', error);
+  });
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'sync-outbox') syncOutbox();
+    if (event.data && event.data.type === 'reminder-action') {
+      handleReminderAction(event.data.action, event.data.todoId, event.data.reminderId);
+    }
+  });
+}
+
+function openOfflineDb() {
+  if (!('indexedDB' in window)) return Promise.resolve(null);
+  
+  return new Promise((resolve) => {
+    const request = indexedDB.open(CONFIG.OFFLINE_DB_NAME, 1);
+    
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore('todos', { keyPath: '_id' });
+      db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+      db.createObjectStore('meta', { keyPath: 'key' });
+    };
+    request.onsuccess = () => {
+      state.offlineDb = request.result;
+      resolve(state.offlineDb);
+    };
+    // Private browsing can refuse IndexedDB; the app then just works online-only
+    request.onerror = () => {
+      console.error('Failed to open offline storage:', request.error);
+      resolve(null);
+    };
+  });
+}
+
+// Runs `operate(store)` in its own transaction and resolves with the result
+// of the request it returns (if any) once the transaction has committed
+function idbRequest(storeName, mode, operate) {
+  if (!state.offlineDb) return Promise.resolve(null);
+  
+  return new Promise((resolve, reject) => {
+    const transaction = state.offlineDb.transaction(storeName, mode);
+    const request = operate(transaction.objectStore(storeName));
+    
+    transaction.oncomplete = () => resolve(request ? request.result : null);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  }).catch(error => {
+    console.error('Offline storage error:', error);
+    return null;
+  });
+}
+
+function cacheTodos(todos) {
+  if (!todos.length) return Promise.resolve(null);
+  return idbRequest('todos', 'readwrite', store => {
+    todos.forEach(todo => store.put(todo));
+  });
+}
+
+// Replaces the cached copy with every task on the server, keeping local
+// records that are still waiting to sync
+async function refreshOfflineCache() {
+  if (!state.offlineDb || state.pendingChanges) return;
+  
+  try {
+    const all = [];
+    let cursor = null;
+    do {
+      const params = new URLSearchParams({ sort: 'newest', limit: 100 });
+      if (cursor) params.set('cursor', cursor);
+      const { data: todos, meta } = await apiRequest(`/todos?${params}`);
+      all.push(...todos);
+      cursor = meta.nextCursor;
+    } while (cursor);
+    
+    await idbRequest('todos', 'readwrite', store => {
+      store.clear();
+      all.forEach(todo => store.put(todo));
+    });
+  } catch (error) {
+    console.error('Failed to refresh offline cache:', error);
+  }
+}
+
+// Fallback for fetchTodos()/fetchBoard() when the server can't be reached
+async function showCachedTodos() {
+  const cached = await idbRequest('todos', 'readonly', store => store.getAll()) || [];
+  // Status tabs are applied while rendering, and the counts need every status
+  const inScope = cached.filter(todo => matchesCurrentQuery(todo, { matchTitle: true, anyStatus: true }));
+  
+  state.todos = inScope;
+  state.nextCursor = null;
+  state.totalMatching = inScope.length;
+  state.counts = { all: inScope.length, todo: 0, progress: 0, completed: 0 };
+  inScope.forEach(todo => { state.counts[todo.status]++; });
+  CONFIG.STATUSES.forEach(status => { state.boardTruncated[status] = false; });
+  
+  renderTodos();
+  updateStats();
+  updateOfflineBanner();
+}
+
+async function queueChange(change) {
+  await idbRequest('outbox', 'readwrite', store => store.add({ ...change, queuedAt: Date.now() }));
+  await countPendingChanges();
+  
+  // Background Sync lets the browser wake us when connectivity returns
+  if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+    navigator.serviceWorker.ready
+      .then(registration => registration.sync && registration.sync.register(CONFIG.OUTBOX_SYNC_TAG))
+      .catch(() => {});
+  }
+}
+
+async function countPendingChanges() {
+  state.pendingChanges = await idbRequest('outbox', 'readonly', store => store.count()) || 0;
+  updateOfflineBanner();
+}
+
+async function createTodoOffline(todoData) {
+  const now = new Date().toISOString();
+  const tempId = `local-${state.clientId}-${Date.now()}`;
+  const localTodo = {
+    status: 'todo',
+    priority: 'medium',
+    category: null,
+    dueDate: null,
+    recurrence: null,
+    autoCompleteWithSubtasks: false,
+    ...todoData,
+    _id: tempId,
+    tags: todoData.tags || [],
+    subtasks: (todoData.subtasks || []).map((subtask, i) => ({ ...subtask, _id: `${tempId}-${i}` })),
+    position: -Date.now(),
+    createdAt: now,
+    updatedAt: now,
+    _pending: true
+  };
+  
+  await cacheTodos([localTodo]);
+  await queueChange({ type: 'create', id: tempId, body: todoData });
+  return localTodo;
+}
+
+// Returns the locally updated todo, or null when it isn't known locally
+async function updateTodoOffline(id, updates) {
+  const current = state.todos.find(todo => todo._id === id)
+    || await idbRequest('todos', 'readonly', store => store.get(id));
+  if (!current) return null;
+  
+  const localTodo = { ...current, ...updates, _pending: true };
+  await cacheTodos([localTodo]);
+  
+  // A task that was itself created offline is still just one pending create
+  const queued = await findQueuedCreate(id);
+  if (queued) {
+    await idbRequest('outbox', 'readwrite', store => store.put({
+      ...queued,
+      body: { ...queued.body, ...updates }
+    }));
+  } else {
+    await queueChange({ type: 'update', id, body: updates, baseUpdatedAt: current.updatedAt });
+  }
+  return localTodo;
+}
+
+async function deleteTodoOffline(id) {
+  const current = state.todos.find(todo => todo._id === id)
+    || await idbRequest('todos', 'readonly', store => store.get(id));
+  await idbRequest('todos', 'readwrite', store => store.delete(id));
+  
+  const queued = await findQueuedCreate(id);
+  if (queued) {
+    await idbRequest('outbox', 'readwrite', store => store.delete(queued.seq));
+    await countPendingChanges();
+  } else {
+    await queueChange({ type: 'delete', id, baseUpdatedAt: current ? current.updatedAt : null });
+  }
+}
+
+// Takes back deletes that haven't reached the server yet. Todos that only
+// ever existed offline get their queued create back instead.
+async function cancelQueuedDeletes(todos) {
+  const outbox = await idbRequest('outbox', 'readonly', store => store.getAll()) || [];
+  
+  for (const todo of todos) {
+    const queued = outbox.find(change => change.type === 'delete' && change.id === todo._id);
+    if (queued) {
+      await idbRequest('outbox', 'readwrite', store => store.delete(queued.seq));
+    } else if (String(todo._id).startsWith('local-')) {
+      const { _id, _pending, createdAt, updatedAt, position, ...body } = todo;
+      await queueChange({ type: 'create', id: _id, body });
+    } else {
+      return false;
+    }
+    
+    await cacheTodos([todo]);
+    state.todos.unshift(todo);
+    adjustCounts(null, todo.status);
+  }
+  
+  await countPendingChanges();
+  renderTodos();
+  updateStats();
+  return true;
+}
+
+async function findQueuedCreate(id) {
+  const outbox = await idbRequest('outbox', 'readonly', store => store.getAll()) || [];
+  return outbox.find(change => change.type === 'create' && change.id === id) || null;
+}
+
+// Replays queued changes in the order they were made. The server decides
+// conflicts: if a task changed there after our copy was taken, its version
+// wins and the queued change is dropped.
+async function syncOutbox() {
+  if (!state.offlineDb || !state.authToken || state.isSyncing) return;
+  state.isSyncing = true;
+  
+  const idMap = new Map();
+  let synced = 0;
+  let conflicts = 0;
+  
+  try {
+    const outbox = await idbRequest('outbox', 'readonly', store => store.getAll()) || [];
+    
+    for (const change of outbox) {
+      const id = idMap.get(change.id) || change.id;
+      
+      try {
+        if (change.type === 'create') {
+          const { data: todo } = await apiRequest('/todos', {
+            method: 'POST',
+            body: JSON.stringify(change.body)
+          });
+          idMap.set(change.id, todo._id);
+          await idbRequest('todos', 'readwrite', store => {
+            store.delete(change.id);
+            store.put(todo);
+          });
+          replaceLocalTodo(change.id, todo);
+        } else if (change.type === 'update') {
+          const { data: todo } = await apiRequest(`/todos/${id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ ...change.body, baseUpdatedAt: change.baseUpdatedAt })
+          });
+          await cacheTodos([todo]);
+          replaceLocalTodo(id, todo);
+        } else if (change.type === 'delete') {
+          const params = change.baseUpdatedAt
+            ? `?${new URLSearchParams({ baseUpdatedAt: change.baseUpdatedAt })}`
+            : '';
+          await apiRequest(`/todos/${id}${params}`, { method: 'DELETE' });
+        }
+        synced++;
+      } catch (error) {
+        if (error.isNetworkError) break;
+        
+        if (error.status === 409 && error.body?.meta?.todo) {
+          conflicts++;
+          await cacheTodos([error.body.meta.todo]);
+          replaceLocalTodo(id, error.body.meta.todo);
+        } else if (error.status !== 404) {
+          // Anything else (e.g. a validation error) would fail forever
+          showToast('An offline change could not be saved', 'error');
+        }
+      }
+      
+      await idbRequest('outbox', 'readwrite', store => store.delete(change.seq));
+    }
+  } finally {
+    state.isSyncing = false;
+    await countPendingChanges();
+  }
+  
+  if (conflicts) {
+    showToast(`${conflicts} task${conflicts === 1 ? ' was' : 's were'} changed elsewhere — kept the newer version`, 'error');
+  }
+  if (synced || conflicts) {
+    showToast('Offline changes synced ☁️', 'success');
+    fetchTodos();
+  }
+}
+
+// Swaps a locally held copy (possibly under a temporary id) for the server's
+function replaceLocalTodo(localId, todo) {
+  const index = state.todos.findIndex(t => t._id === localId);
+  if (index === -1) return;
+  
+  adjustCounts(state.todos[index].status, todo.status);
+  state.todos[index] = todo;
+  renderTodos();
+  updateStats();
+}
+
+function updateOfflineBanner() {
+  const offline = !navigator.onLine;
+  const pending = state.pendingChanges;
+  
+  elements.offlineBanner.hidden = !offline && !pending;
+  elements.offlineBanner.classList.toggle('syncing', !offline);
+  
+  const queued = pending
+    ? `${pending} change${pending === 1 ? '' : 's'} waiting to sync.`
+    : 'Changes you make are saved on this device.';
+  elements.offlineMessage.textContent = offline
+    ? `You're offline. ${queued}`
+    : `Back online — ${pending} change${pending === 1 ? '' : 's'} waiting to sync.`;
+}
+
+async function clearOfflineData() {
+  state.pendingChanges = 0;
+  updateOfflineBanner();
+  await Promise.all(['todos', 'outbox', 'meta'].map(storeName =>
+    idbRequest(storeName, 'readwrite', store => store.clear())
+  ));
+}
+
+// ============================================================================
+// TASK MANAGEMENT
+// ============================================================================
+
+async function handleAddTodo() {
+  const fields = buildQuickAddTodo();
+  
+  if (!fields.title) {
+    elements.todoInput.classList.add('shake');
+    setTimeout(() => elements.todoInput.classList.remove('shake'), 500);
+    showToast('Please enter a task title', 'error');
+    return;
+  }
+  
+  const reminders = elements.reminderSelect.value === '' ? [] : [Number(elements.reminderSelect.value)];
+  if (reminders.length && !fields.dueDate) {
+    showToast('Set a due date to get reminders', 'error');
+    return;
+  }
+  if (reminders.length) requestNotificationPermission();
+  
+  const todoData = {
+    ...fields,
+    status: 'todo',
+    reminders,
+    list: state.currentList
+  };
+  
+  try {
+    await createTodo(todoData);
+    resetForm();
+  } catch (error) {
+    if (error.fieldErrors) {
+      const unplaced = showFieldErrors(error, getTaskFormFields());
+      showToast(escapeHtml(unplaced.join(' ') || 'Please fix the highlighted fields'), 'error');
+    }
+    console.error('Add todo error:', error);
+  }
+}
+
+async function handleToggleComplete(id, currentStatus) {
+  const newStatus = currentStatus === 'completed' ? 'todo' : 'completed';
+  
+  try {
+    await updateTodo(id, { status: newStatus });
+    
+    if (newStatus === 'completed') {
+      triggerConfetti();
+      showToast('Task completed! 🎉', 'success');
+    }
+  } catch (error) {
+    console.error('Toggle complete error:', error);
+  }
+}
+
+async function handleEditTodo(id, currentTitle) {
+  const todoItem = document.querySelector(`[data-id="${id}"]`);
+  if (!todoItem) return;
+  
+  const titleElement = todoItem.querySelector('.todo-title');
+  
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = currentTitle;
+  input.className = 'edit-input';
+  
+  const saveBtn = document.createElement('button');
+  saveBtn.textContent = 'Save';
+  saveBtn.className = 'btn-save';
+  
+  titleElement.innerHTML = '';
+  titleElement.appendChild(input);
   titleElement.appendChild(saveBtn);
   
   input.focus();
@@ -351,24 +1765,29 @@ async function handleDeleteTodo(id) {
   }
 }
 
+// Deleted tasks are in the trash, so undo restores them with their original
+// IDs. Offline, a delete that is still queued is simply taken back.
 async function handleUndo() {
-  if (!state.deletedTodo) return;
+  const deleted = state.deletedTodos;
+  const clearedAt = state.clearedAt;
+  if (!deleted.length && !clearedAt) return;
+  
+  state.deletedTodos = [];
+  state.clearedAt = null;
+  hideUndoSnackbar();
   
   try {
-    const todoData = {
-      title: state.deletedTodo.title,
-      status: state.deletedTodo.status,
-      priority: state.deletedTodo.priority,
-      category: state.deletedTodo.category,
-      dueDate: state.deletedTodo.dueDate
-    };
-    
-    await createTodo(todoData);
-    state.deletedTodo = null;
-    hideUndoSnackbar();
-    showToast('Task restored! ↩️', 'success');
+    const todos = await restoreFromTrash(clearedAt
+      ? { deletedAt: clearedAt }
+      : { ids: deleted.map(todo => todo._id) });
+    showToast(`${todos.length === 1 ? 'Task' : `${todos.length} tasks`} restored! ↩️`, 'success');
   } catch (error) {
+    if (error.isNetworkError && deleted.length && await cancelQueuedDeletes(deleted)) {
+      showToast('Task restored! ↩️', 'success');
+      return;
+    }
     console.error('Undo error:', error);
+    showToast('Failed to restore tasks', 'error');
   }
 }
 
@@ -391,123 +1810,234 @@ async function handleStatusChange(id, newStatus) {
 // EXPORT/IMPORT/CLEAR FUNCTIONALITY
 // ============================================================================
 
-function handleExport() {
+function showExportModal() {
+  elements.exportModal.classList.add('show');
+  elements.exportFormat.focus();
+}
+
+function hideExportModal() {
+  elements.exportModal.classList.remove('show');
+}
+
+// The server writes the file from the current list, filters and search;
+// fetched here rather than linked so the auth header goes along
+async function handleExport() {
+  const format = elements.exportFormat.value;
+  const params = new URLSearchParams(buildListQuery());
+  params.delete('limit');
+  params.set('format', format);
+  
+  elements.exportDownloadBtn.disabled = true;
   try {
-    if (state.todos.length === 0) {
-      showToast('No tasks to export', 'error');
-      return;
+    const authHeader = state.authToken ? { Authorization: `Bearer ${state.authToken}` } : {};
+    const response = await fetch(`${CONFIG.API_BASE_URL}/export?${params}`, { headers: authHeader });
+    
+    if (response.status === 401 && state.authToken) {
+      handleUnauthorized();
+    }
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.errors?.[0]?.detail || `HTTP error! status: ${response.status}`);
     }
     
-    const dataStr = JSON.stringify(state.todos, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
+    const blob = await response.blob();
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const fileName = /filename="([^"]+)"/.exec(disposition)?.[1] || `todos.${format}`;
     
-    const url = URL.createObjectURL(dataBlob);
+    const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
-    
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-    link.download = `todo-backup-${timestamp}.json`;
+    link.download = fileName;
     
     document.body.appendChild(link);
     link.click();
     document.body.removeChild(link);
     URL.revokeObjectURL(url);
     
-    showToast(`Exported ${state.todos.length} tasks! 💾`, 'success');
+    hideExportModal();
+    showToast(`Exported ${escapeHtml(fileName)} 💾`, 'success');
   } catch (error) {
     console.error('Export error:', error);
-    showToast('Failed to export tasks', 'error');
+    showToast(escapeHtml(error.message || 'Failed to export tasks'), 'error');
+  } finally {
+    elements.exportDownloadBtn.disabled = false;
   }
 }
 
+function getImportFormat(fileName) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  return CONFIG.IMPORT_FORMATS[extension] || null;
+}
+
+// Reads the file and asks the server for a dry run, which the preview shows
+// row by row before anything is saved
 async function handleImport(event) {
   const file = event.target.files[0];
   
   if (!file) return;
   
-  if (file.type !== 'application/json') {
-    showToast('Please select a valid JSON file', 'error');
-    return;
-  }
-  
   try {
-    const text = await file.text();
-    const importedTodos = JSON.parse(text);
-    
-    if (!Array.isArray(importedTodos)) {
-      throw new Error('Invalid data format');
-    }
-    
-    const isValidFormat = importedTodos.every(todo => 
-      todo.title && typeof todo.title === 'string'
-    );
-    
-    if (!isValidFormat) {
-      throw new Error('Invalid todo format');
+    const format = getImportFormat(file.name);
+    if (!format) {
+      showToast('Please select a CSV, Markdown, todo.txt or JSON file', 'error');
+      return;
     }
     
-    showConfirmModal(
-      'Import Tasks',
-      `Import ${importedTodos.length} tasks? This will add them to your existing tasks.`,
-      async () => {
-        await importTodos(importedTodos);
-      }
-    );
+    state.importFile = {
+      name: file.name,
+      format,
+      content: await file.text(),
+      mapping: undefined,
+      preview: null
+    };
+    elements.importDuplicates.value = 'skip';
     
+    await previewImport();
+    elements.importFileName.textContent = file.name;
+    elements.importModal.classList.add('show');
   } catch (error) {
     console.error('Import error:', error);
-    showToast('Failed to import tasks. Invalid file format.', 'error');
+    showToast(escapeHtml(error.message || 'Failed to read the file'), 'error');
+    state.importFile = null;
   } finally {
     elements.fileInput.value = '';
   }
 }
 
-async function importTodos(importedTodos) {
-  try {
-    let successCount = 0;
-    let errorCount = 0;
-    
-    for (const todo of importedTodos) {
-      try {
-        const todoData = {
-          title: todo.title,
-          status: todo.status || 'todo',
-          priority: todo.priority || 'medium',
-          category: todo.category || 'general',
-          dueDate: todo.dueDate || null
-        };
-        
-        await createTodo(todoData);
-        successCount++;
-      } catch (error) {
-        errorCount++;
-        console.error('Failed to import todo:', error);
-      }
-    }
-    
-    if (successCount > 0) {
-      showToast(`Imported ${successCount} tasks! 📂`, 'success');
-    }
-    
-    if (errorCount > 0) {
-      showToast(`Failed to import ${errorCount} tasks`, 'error');
-    }
-    
-  } catch (error) {
-    console.error('Import todos error:', error);
-    showToast('Failed to import tasks', 'error');
-  }
+function sendImport(dryRun) {
+  const { format, content, mapping } = state.importFile;
+  return apiRequest('/import', {
+    method: 'POST',
+    body: JSON.stringify({
+      format,
+      content,
+      mapping,
+      list: state.currentList,
+      dryRun,
+      duplicates: elements.importDuplicates.value
+    })
+  });
+}
+
+async function previewImport() {
+  const { data: preview } = await sendImport(true);
+  state.importFile.preview = preview;
+  state.importFile.mapping = preview.mapping;
+  renderImportPreview();
+}
+
+// Re-runs the dry run after the mapping or duplicate handling changes
+async function refreshImportPreview() {
+  try {
+    await previewImport();
+  } catch (error) {
+    showToast(escapeHtml(error.message), 'error');
+  }
+}
+
+function hideImportModal() {
+  elements.importModal.classList.remove('show');
+  state.importFile = null;
+}
+
+function renderImportPreview() {
+  const { preview } = state.importFile;
+  const { summary } = preview;
+  
+  const parts = [`${summary.create} of ${summary.total} tasks will be imported`];
+  if (summary.skip) parts.push(`${summary.skip} duplicates skipped`);
+  if (summary.invalid) parts.push(`${summary.invalid} with errors`);
+  elements.importSummary.textContent = `${parts.join(', ')}.`;
+  
+  elements.importMapping.hidden = preview.columns.length === 0;
+  elements.importMapping.innerHTML = preview.columns.length ? createImportMappingHTML(preview) : '';
+  
+  elements.importRows.innerHTML = preview.rows.map(createImportRowHTML).join('');
+  elements.importConfirmBtn.disabled = summary.create === 0;
+  elements.importConfirmBtn.textContent = summary.create ? `Import ${summary.create}` : 'Import';
+}
+
+// One column picker per field, for CSV files
+function createImportMappingHTML(preview) {
+  return CONFIG.IMPORT_FIELDS.map(({ field, label }) => {
+    const selected = preview.mapping[field] || '';
+    const options = preview.columns.map(column => `
+      <option value="${escapeHtml(column)}" ${column === selected ? 'selected' : ''}>${escapeHtml(column)}</option>
+    `).join('');
+    
+    return `
+      <label>
+        ${label}
+        <select class="sort-select" data-field="${field}">
+          ${field === 'title' ? '' : `<option value="" ${selected ? '' : 'selected'}>(not imported)</option>`}
+          ${options}
+        </select>
+      </label>
+    `;
+  }).join('');
+}
+
+function describeImportResult(row) {
+  if (row.action === 'invalid') return row.errors.map(escapeHtml).join('<br>');
+  
+  const { duplicateOf } = row;
+  const duplicate = duplicateOf
+    ? (duplicateOf.row ? `row ${duplicateOf.row}` : `"${escapeHtml(duplicateOf.title)}"`)
+    : '';
+  if (row.action === 'skip') return `Skipped: duplicate of ${duplicate}`;
+  return duplicate ? `Will import (duplicate of ${duplicate})` : 'Will import';
+}
+
+function createImportRowHTML(row) {
+  const warnings = row.warnings.map(warning => `<span class="import-warning">⚠️ ${escapeHtml(warning)}</span>`).join('');
+  
+  return `
+    <tr>
+      <td>${row.row}</td>
+      <td>${escapeHtml(row.title || '—')}</td>
+      <td>${row.dueDate ? formatDueDate(row.dueDate, row.hasDueTime) : ''}</td>
+      <td>
+        <span class="import-result-${row.action}">${describeImportResult(row)}</span>
+        ${warnings}
+      </td>
+    </tr>
+  `;
+}
+
+function handleImportMappingChange(event) {
+  const select = event.target.closest('select[data-field]');
+  if (!select || !state.importFile) return;
+  
+  state.importFile.mapping = { ...state.importFile.mapping, [select.dataset.field]: select.value };
+  refreshImportPreview();
+}
+
+async function handleConfirmImport() {
+  if (!state.importFile) return;
+  
+  elements.importConfirmBtn.disabled = true;
+  try {
+    const { data: result } = await sendImport(false);
+    hideImportModal();
+    
+    showToast(`Imported ${result.summary.create} tasks! 📂`, 'success');
+    await Promise.all([fetchTodos(), fetchTags()]);
+  } catch (error) {
+    console.error('Import todos error:', error);
+    showToast(escapeHtml(error.message || 'Failed to import tasks'), 'error');
+    elements.importConfirmBtn.disabled = false;
+  }
 }
 
 function handleClearDatabase() {
-  if (state.todos.length === 0) {
+  if (state.counts.all === 0) {
     showToast('Database is already empty', 'error');
     return;
   }
   
   showConfirmModal(
     'Clear All Tasks',
-    `Are you sure you want to delete all ${state.todos.length} tasks? This action cannot be undone.`,
+    `Move all ${state.counts.all} tasks in "${getList(state.currentList)?.name || 'this list'}" to the trash? You can restore them from the Trash.`,
     async () => {
       await clearAllTodos();
     }
@@ -518,249 +2048,2643 @@ function handleClearDatabase() {
 // MODAL SYSTEM
 // ============================================================================
 
-function showConfirmModal(title, message, onConfirm) {
+// `onCancel` runs when the prompt is dismissed instead, including when
+// another prompt replaces it
+function showConfirmModal(title, message, onConfirm, { confirmText = 'Confirm', cancelText = 'Cancel', onCancel = null } = {}) {
+  if (state.confirmPrompt) state.confirmPrompt.cancel();
+  
   elements.modalTitle.textContent = title;
   elements.modalMessage.textContent = message;
+  elements.modalConfirm.textContent = confirmText;
+  elements.modalCancel.textContent = cancelText;
   elements.confirmModal.classList.add('show');
   
+  const overlay = elements.confirmModal.querySelector('.modal-overlay');
+  const detach = () => {
+    elements.modalConfirm.removeEventListener('click', confirmHandler);
+    elements.modalCancel.removeEventListener('click', cancelHandler);
+    overlay.removeEventListener('click', cancelHandler);
+    state.confirmPrompt = null;
+  };
+  
   const confirmHandler = async () => {
+    detach();
     hideModal();
     await onConfirm();
-    elements.modalConfirm.removeEventListener('click', confirmHandler);
+  };
+  
+  const cancelHandler = () => {
+    detach();
+    if (onCancel) onCancel();
   };
   
   elements.modalConfirm.addEventListener('click', confirmHandler);
+  elements.modalCancel.addEventListener('click', cancelHandler);
+  overlay.addEventListener('click', cancelHandler);
+  state.confirmPrompt = { cancel: cancelHandler };
+}
+
+function hideModal() {
+  elements.confirmModal.classList.remove('show');
+}
+
+// ============================================================================
+// FORM ERRORS
+// ============================================================================
+
+// Puts each of an API error's fieldErrors (see apiRequest()) under the
+// input for its field (`fields` maps request field names to inputs;
+// "tags.0" counts as "tags"). Returns what couldn't be placed: messages
+// without an input, or the plain error message.
+function showFieldErrors(error, fields) {
+  clearFieldErrors(Object.values(fields));
+  
+  const errors = error.fieldErrors;
+  if (!errors) return [error.message];
+  
+  const unplaced = [];
+  errors.forEach(({ field, message }) => {
+    const input = fields[String(field).split('.')[0]];
+    if (!input || input.closest('[hidden]')) {
+      unplaced.push(message);
+      return;
+    }
+    if (input.getAttribute('aria-invalid') === 'true') return;
+    
+    const messageEl = document.createElement('p');
+    messageEl.className = 'field-error';
+    messageEl.id = `${input.id}Error`;
+    messageEl.textContent = message;
+    (input.closest('.input-group, .task-input-wrapper') || input.parentElement).appendChild(messageEl);
+    
+    input.setAttribute('aria-invalid', 'true');
+    input.setAttribute('aria-errormessage', messageEl.id);
+  });
+  
+  const firstInvalid = Object.values(fields).find(input => input.getAttribute('aria-invalid') === 'true');
+  if (firstInvalid) firstInvalid.focus();
+  return unplaced;
+}
+
+function clearFieldErrors(inputs) {
+  inputs.forEach(input => {
+    if (input.getAttribute('aria-invalid') !== 'true') return;
+    document.getElementById(input.getAttribute('aria-errormessage'))?.remove();
+    input.removeAttribute('aria-invalid');
+    input.removeAttribute('aria-errormessage');
+  });
+}
+
+// A field's error goes away once it is edited
+function handleFieldEdit(e) {
+  if (e.target.getAttribute?.('aria-invalid') === 'true') clearFieldErrors([e.target]);
+}
+
+// The add-task form's inputs by request field
+function getTaskFormFields() {
+  return {
+    title: elements.todoInput,
+    quickAdd: elements.todoInput,
+    priority: elements.prioritySelect,
+    category: elements.categorySelect,
+    assignee: elements.assigneeSelect,
+    tags: elements.tagsInput,
+    dueDate: elements.dueDateInput,
+    hasDueTime: elements.dueTimeInput,
+    reminders: elements.reminderSelect,
+    recurrence: elements.recurrenceSelect
+  };
+}
+
+// ============================================================================
+// FILTERING & SORTING
+// ============================================================================
+
+function handleFilterChange(filter) {
+  state.currentFilter = filter;
+  
+  elements.filterTabs.forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.filter === filter);
+    tab.setAttribute('aria-selected', tab.dataset.filter === filter);
+  });
+  
+  fetchTodos();
+}
+
+function toggleAssignedFilter() {
+  state.assignedToMe = !state.assignedToMe;
+  elements.assignedFilterBtn.classList.toggle('active', state.assignedToMe);
+  elements.assignedFilterBtn.setAttribute('aria-pressed', state.assignedToMe);
+  fetchTodos();
+}
+
+function handleCategoryFilterChange(categoryId) {
+  state.currentCategory = categoryId;
+  elements.categoryFilter.value = categoryId;
+  fetchTodos();
+}
+
+function handleTagFilterChange(tag) {
+  state.currentTag = tag;
+  elements.tagFilter.value = tag;
+  fetchTodos();
+}
+
+function handleSearch(e) {
+  state.searchQuery = e.target.value.trim();
+  
+  clearTimeout(state.searchTimeout);
+  state.searchTimeout = setTimeout(() => fetchTodos(), CONFIG.SEARCH_DEBOUNCE);
+}
+
+function handleSort() {
+  state.currentSort = elements.sortSelect.value;
+  fetchTodos();
+}
+
+// Filtering, search and sorting happen on the server; this keeps the loaded
+// pages consistent after local edits (e.g. a task moved out of the active tab).
+function getFilteredTodos() {
+  let filtered = [...state.todos];
+  
+  // Apply status filter
+  if (state.currentFilter !== 'all') {
+    filtered = filtered.filter(todo => todo.status === state.currentFilter);
+  }
+  
+  // Apply sorting
+  filtered.sort((a, b) => {
+    switch (state.currentSort) {
+      case 'newest':
+        return new Date(b.createdAt) - new Date(a.createdAt);
+      case 'oldest':
+        return new Date(a.createdAt) - new Date(b.createdAt);
+      case 'priority':
+        const priorityOrder = { high: 3, medium: 2, low: 1 };
+        return priorityOrder[b.priority] - priorityOrder[a.priority];
+      case 'dueDate':
+        if (!a.dueDate) return 1;
+        if (!b.dueDate) return -1;
+        return new Date(a.dueDate) - new Date(b.dueDate);
+      case 'position':
+        return compareByPosition(a, b);
+      default:
+        return 0;
+    }
+  });
+  
+  return filtered;
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+function renderTodos() {
+  if (state.view === 'board') {
+    renderBoard();
+    return;
+  }
+  if (state.view === 'calendar') {
+    renderCalendar();
+    return;
+  }
+  
+  const filtered = getFilteredTodos();
+  
+  if (filtered.length === 0) {
+    const message = state.searchQuery
+      ? 'No tasks found matching your search'
+      : state.currentFilter === 'all'
+        ? 'No tasks yet. Add one to get started!'
+        : `No ${state.currentFilter} tasks`;
+    
+    elements.todoList.innerHTML = `<li class="empty-state">${message}</li>`;
+    updateBulkBar();
+    return;
+  }
+  
+  const manual = state.currentSort === 'position';
+  elements.todoList.innerHTML = filtered.map(todo => createTodoHTML(todo, { manual })).join('');
+  
+  if (state.nextCursor) {
+    elements.todoList.insertAdjacentHTML('beforeend',
+      '<li class="list-sentinel" aria-hidden="true">Loading more tasks…</li>');
+    state.listObserver?.disconnect();
+    state.listObserver?.observe(elements.todoList.lastElementChild);
+  }
+  
+  filtered.forEach(attachTodoListeners);
+  updateBulkBar();
+}
+
+function attachTodoListeners(todo) {
+  const item = document.querySelector(`[data-id="${todo._id}"]`);
+  if (!item) return;
+  
+  const selectBox = item.querySelector('.select-checkbox');
+  if (selectBox) {
+    selectBox.addEventListener('click', (e) => {
+      handleSelectTodo(todo._id, selectBox.checked, e.shiftKey);
+    });
+  }
+  
+  const checkbox = item.querySelector('.todo-checkbox');
+  if (checkbox) {
+    checkbox.addEventListener('change', () => {
+      handleToggleComplete(todo._id, todo.status);
+    });
+  }
+  
+  const editBtn = item.querySelector('.btn-edit');
+  if (editBtn) {
+    editBtn.addEventListener('click', () => {
+      handleEditTodo(todo._id, todo.title);
+    });
+  }
+  
+  const deleteBtn = item.querySelector('.btn-delete');
+  if (deleteBtn) {
+    deleteBtn.addEventListener('click', () => {
+      handleDeleteTodo(todo._id);
+    });
+  }
+  
+  const assigneeSelect = item.querySelector('.assignee-select');
+  if (assigneeSelect) {
+    assigneeSelect.addEventListener('change', () => {
+      handleAssign(todo._id, assigneeSelect.value || null);
+    });
+  }
+  
+  const statusBadge = item.querySelector('.status-badge');
+  if (statusBadge) {
+    statusBadge.addEventListener('click', () => {
+      cycleStatus(todo._id, todo.status);
+    });
+  }
+  
+  item.querySelectorAll('.tag-chip').forEach(chip => {
+    chip.addEventListener('click', () => handleTagFilterChange(chip.dataset.tag));
+  });
+  
+  const subtaskToggle = item.querySelector('.subtask-toggle');
+  if (subtaskToggle) {
+    subtaskToggle.addEventListener('click', () => toggleSubtaskPanel(todo._id));
+  }
+  
+  const subtaskPanel = item.querySelector('.subtask-panel');
+  if (subtaskPanel) {
+    attachSubtaskListeners(subtaskPanel, todo);
+  }
+  
+  const scheduleToggle = item.querySelector('.schedule-toggle');
+  if (scheduleToggle) {
+    scheduleToggle.addEventListener('click', () => toggleSchedulePanel(todo._id));
+  }
+  
+  const schedulePanel = item.querySelector('.schedule-panel');
+  if (schedulePanel) {
+    attachScheduleListeners(schedulePanel, todo);
+  }
+  
+  const historyToggle = item.querySelector('.history-toggle');
+  if (historyToggle) {
+    historyToggle.addEventListener('click', () => toggleHistoryPanel(todo._id));
+  }
+  
+  item.querySelectorAll('.history-revert').forEach(btn => {
+    btn.addEventListener('click', () => handleRevertTodo(todo._id, btn.dataset.changeId));
+  });
+}
+
+// ============================================================================
+// BOARD VIEW
+// ============================================================================
+
+function setView(view, { fetch = true } = {}) {
+  state.view = ['board', 'calendar'].includes(view) ? view : 'list';
+  localStorage.setItem(CONFIG.LOCAL_STORAGE_KEYS.VIEW, state.view);
+  
+  const isList = state.view === 'list';
+  const isBoard = state.view === 'board';
+  const isCalendar = state.view === 'calendar';
+  elements.viewBtns.forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.view === state.view);
+    btn.setAttribute('aria-pressed', btn.dataset.view === state.view);
+  });
+  elements.appContainer.classList.toggle('board-mode', isBoard);
+  elements.appContainer.classList.toggle('calendar-mode', isCalendar);
+  elements.todoList.hidden = !isList;
+  elements.todoBoard.hidden = !isBoard;
+  elements.todoCalendar.hidden = !isCalendar;
+  elements.sortSelect.disabled = !isList;
+  
+  // Only one view holds cards at a time so [data-id] lookups stay unique
+  if (!isList) elements.todoList.innerHTML = '';
+  if (!isBoard) elements.boardLists.forEach(list => { list.innerHTML = ''; });
+  if (!isCalendar) elements.calendarGrid.innerHTML = '';
+  
+  if (fetch) fetchTodos();
+}
+
+function compareByPosition(a, b) {
+  return (a.position - b.position) || a._id.localeCompare(b._id);
+}
+
+function getColumnTodos(status, excludeId = null) {
+  return state.todos
+    .filter(todo => todo.status === status && todo._id !== excludeId)
+    .sort(compareByPosition);
+}
+
+function getBoardList(status) {
+  return elements.todoBoard.querySelector(`.board-list[data-status="${status}"]`);
+}
+
+function renderBoard() {
+  updateBulkBar();
+  CONFIG.STATUSES.forEach(status => {
+    const cards = getColumnTodos(status);
+    const list = getBoardList(status);
+    
+    list.innerHTML = cards.length
+      ? cards.map(todo => createTodoHTML(todo, { board: true })).join('')
+      : '<li class="board-empty">Drop tasks here</li>';
+    
+    const count = elements.todoBoard.querySelector(`[data-count-for="${status}"]`);
+    count.textContent = state.boardTruncated[status] ? `${cards.length}+` : cards.length;
+  });
+  
+  state.todos.forEach(attachTodoListeners);
+}
+
+// Names the todos a moved one should sit between; the server turns that
+// into a position, so concurrent edits can't produce clashing numbers.
+function getNeighbourIds(siblings, index) {
+  return {
+    afterId: siblings[index - 1]?._id,
+    beforeId: siblings[index]?._id
+  };
+}
+
+async function moveTodoOnBoard(id, status, index) {
+  const todo = state.todos.find(t => t._id === id);
+  if (!todo) return;
+  
+  const column = getColumnTodos(status, id);
+  const currentIndex = getColumnTodos(todo.status).findIndex(t => t._id === id);
+  if (todo.status === status && index === currentIndex) return;
+  
+  const wasCompleted = todo.status === 'completed';
+  
+  try {
+    await reorderTodos([{ id, status, ...getNeighbourIds(column, index) }]);
+    
+    if (status === 'completed' && !wasCompleted) {
+      triggerConfetti();
+      showToast('Task completed! 🎉', 'success');
+    } else if (status !== todo.status) {
+      showToast(`Moved to ${getStatusLabel(status)}`, 'success');
+    }
+  } catch (error) {
+    console.error('Board move error:', error);
+  }
+  
+  elements.todoBoard.querySelector(`[data-id="${id}"]`)?.focus();
+}
+
+function getDropIndex(list, clientY) {
+  const cards = [...list.querySelectorAll('.todo-item:not(.dragging)')];
+  const index = cards.findIndex(card => {
+    const rect = card.getBoundingClientRect();
+    return clientY < rect.top + rect.height / 2;
+  });
+  return index === -1 ? cards.length : index;
+}
+
+function clearDropIndicators() {
+  elements.todoBoard.querySelectorAll('.drop-before, .drop-target').forEach(el => {
+    el.classList.remove('drop-before', 'drop-target');
+  });
+}
+
+function setupBoardDragAndDrop() {
+  elements.todoBoard.addEventListener('dragstart', (e) => {
+    const card = e.target.closest('.board-card');
+    if (!card) return;
+    
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', card.dataset.id);
+    card.classList.add('dragging');
+  });
+  
+  elements.todoBoard.addEventListener('dragend', (e) => {
+    e.target.closest('.board-card')?.classList.remove('dragging');
+    clearDropIndicators();
+  });
+  
+  elements.boardLists.forEach(list => {
+    list.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      
+      clearDropIndicators();
+      list.classList.add('drop-target');
+      const cards = list.querySelectorAll('.todo-item:not(.dragging)');
+      cards[getDropIndex(list, e.clientY)]?.classList.add('drop-before');
+    });
+    
+    list.addEventListener('dragleave', (e) => {
+      if (!list.contains(e.relatedTarget)) {
+        list.classList.remove('drop-target');
+      }
+    });
+    
+    list.addEventListener('drop', (e) => {
+      e.preventDefault();
+      const id = e.dataTransfer.getData('text/plain');
+      const index = getDropIndex(list, e.clientY);
+      clearDropIndicators();
+      
+      if (id) moveTodoOnBoard(id, list.dataset.status, index);
+    });
+  });
+  
+  // Keyboard moves: Alt+←/→ changes column, Alt+↑/↓ reorders within it
+  elements.todoBoard.addEventListener('keydown', (e) => {
+    const card = e.target;
+    if (!e.altKey || !card.classList.contains('board-card')) return;
+    
+    const todo = state.todos.find(t => t._id === card.dataset.id);
+    if (!todo) return;
+    
+    const statusIndex = CONFIG.STATUSES.indexOf(todo.status);
+    const currentIndex = getColumnTodos(todo.status).findIndex(t => t._id === todo._id);
+    
+    const moves = {
+      ArrowUp: [todo.status, currentIndex - 1],
+      ArrowDown: [todo.status, currentIndex + 1],
+      ArrowLeft: [CONFIG.STATUSES[statusIndex - 1], currentIndex],
+      ArrowRight: [CONFIG.STATUSES[statusIndex + 1], currentIndex]
+    };
+    const move = moves[e.key];
+    if (!move) return;
+    
+    e.preventDefault();
+    const [status, index] = move;
+    if (!status || index < 0) return;
+    
+    const columnLength = getColumnTodos(status, todo._id).length;
+    moveTodoOnBoard(todo._id, status, Math.min(index, columnLength));
+  });
+}
+
+// ============================================================================
+// CALENDAR VIEW
+// ============================================================================
+
+function setupCalendar() {
+  state.calendarMode = localStorage.getItem(CONFIG.LOCAL_STORAGE_KEYS.CALENDAR_MODE) === 'week' ? 'week' : 'month';
+  updateCalendarModeButtons();
+  
+  elements.calendarPrev.addEventListener('click', () => shiftCalendar(-1));
+  elements.calendarNext.addEventListener('click', () => shiftCalendar(1));
+  elements.calendarToday.addEventListener('click', () => {
+    state.calendarDate = new Date();
+    fetchTodos();
+  });
+  elements.calendarModeBtns.forEach(btn => {
+    btn.addEventListener('click', () => setCalendarMode(btn.dataset.mode));
+  });
+  
+  const grid = elements.calendarGrid;
+  
+  grid.addEventListener('change', (e) => {
+    if (!e.target.classList.contains('calendar-checkbox')) return;
+    const todo = state.todos.find(t => t._id === e.target.closest('.calendar-item').dataset.id);
+    if (todo) handleToggleComplete(todo._id, todo.status);
+  });
+  
+  grid.addEventListener('dragstart', (e) => {
+    const item = e.target.closest('.calendar-item');
+    if (!item) return;
+    
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', item.dataset.id);
+    item.classList.add('dragging');
+  });
+  
+  grid.addEventListener('dragend', (e) => {
+    e.target.closest('.calendar-item')?.classList.remove('dragging');
+    clearCalendarDropTarget();
+  });
+  
+  grid.addEventListener('dragover', (e) => {
+    const day = e.target.closest('.calendar-day');
+    if (!day) return;
+    
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    if (!day.classList.contains('drop-target')) {
+      clearCalendarDropTarget();
+      day.classList.add('drop-target');
+    }
+  });
+  
+  grid.addEventListener('dragleave', (e) => {
+    const day = e.target.closest('.calendar-day');
+    if (day && !day.contains(e.relatedTarget)) day.classList.remove('drop-target');
+  });
+  
+  grid.addEventListener('drop', (e) => {
+    const day = e.target.closest('.calendar-day');
+    if (!day) return;
+    
+    e.preventDefault();
+    clearCalendarDropTarget();
+    const id = e.dataTransfer.getData('text/plain');
+    if (id) rescheduleTodo(id, day.dataset.date);
+  });
+  
+  // Keyboard moves: Alt+←/→ moves a day, Alt+↑/↓ a week
+  grid.addEventListener('keydown', (e) => {
+    const item = e.target;
+    if (!e.altKey || !item.classList.contains('calendar-item')) return;
+    
+    const shifts = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+    const shift = shifts[e.key];
+    const todo = state.todos.find(t => t._id === item.dataset.id);
+    if (!shift || !todo) return;
+    
+    e.preventDefault();
+    const day = new Date(`${getTodoDateKey(todo)}T00:00`);
+    day.setDate(day.getDate() + shift);
+    rescheduleTodo(todo._id, toDateKey(day));
+  });
+}
+
+function clearCalendarDropTarget() {
+  elements.calendarGrid.querySelectorAll('.drop-target').forEach(day => day.classList.remove('drop-target'));
+}
+
+function setCalendarMode(mode) {
+  state.calendarMode = mode === 'week' ? 'week' : 'month';
+  localStorage.setItem(CONFIG.LOCAL_STORAGE_KEYS.CALENDAR_MODE, state.calendarMode);
+  updateCalendarModeButtons();
+  fetchTodos();
+}
+
+function updateCalendarModeButtons() {
+  elements.calendarModeBtns.forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.mode === state.calendarMode);
+    btn.setAttribute('aria-pressed', btn.dataset.mode === state.calendarMode);
+  });
+}
+
+function shiftCalendar(direction) {
+  const date = new Date(state.calendarDate);
+  if (state.calendarMode === 'week') {
+    date.setDate(date.getDate() + direction * 7);
+  } else {
+    // From the 1st, so Jan 31 + 1 month doesn't land in March
+    date.setDate(1);
+    date.setMonth(date.getMonth() + direction);
+  }
+  state.calendarDate = date;
+  fetchTodos();
+}
+
+// Local YYYY-MM-DD, the format of date inputs
+function toDateKey(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function getTodoDateKey(todo) {
+  return todo.dueDate ? getDueDateInputs(todo).date : null;
+}
+
+// The days on show: the week, or whole weeks (Sunday first) around the month
+function getCalendarDays() {
+  const anchor = state.calendarDate;
+  let start;
+  let count;
+  
+  if (state.calendarMode === 'week') {
+    start = new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() - anchor.getDay());
+    count = 7;
+  } else {
+    const first = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+    const daysInMonth = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0).getDate();
+    start = new Date(first.getFullYear(), first.getMonth(), 1 - first.getDay());
+    count = Math.ceil((first.getDay() + daysInMonth) / 7) * 7;
+  }
+  
+  return Array.from({ length: count }, (_, i) =>
+    new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+}
+
+// All-day tasks first, then by time
+function compareCalendarTodos(a, b) {
+  return (Number(a.hasDueTime) - Number(b.hasDueTime)) || (new Date(a.dueDate) - new Date(b.dueDate));
+}
+
+function renderCalendar() {
+  updateBulkBar();
+  
+  const days = getCalendarDays();
+  const todayKey = toDateKey(new Date());
+  const month = state.calendarDate.getMonth();
+  const isWeek = state.calendarMode === 'week';
+  
+  const byDay = new Map();
+  state.todos.forEach(todo => {
+    const key = getTodoDateKey(todo);
+    if (!key) return;
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(todo);
+  });
+  
+  const formatDay = (day) => day.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  elements.calendarTitle.textContent = isWeek
+    ? `${formatDay(days[0])} – ${formatDay(days[6])}, ${days[6].getFullYear()}`
+    : state.calendarDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  
+  elements.calendarWeekdays.innerHTML = days.slice(0, 7)
+    .map(day => `<span>${day.toLocaleDateString('en-US', { weekday: 'short' })}</span>`)
+    .join('');
+  
+  elements.calendarGrid.classList.toggle('week', isWeek);
+  elements.calendarGrid.innerHTML = days.map(day => {
+    const key = toDateKey(day);
+    const todos = (byDay.get(key) || []).sort(compareCalendarTodos);
+    const classes = [
+      'calendar-day',
+      key === todayKey ? 'today' : '',
+      !isWeek && day.getMonth() !== month ? 'outside' : ''
+    ].filter(Boolean).join(' ');
+    
+    return `
+      <section class="${classes}" data-date="${key}" aria-label="${day.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}">
+        <header class="calendar-day-header">${day.getDate()}</header>
+        <ul class="calendar-list" role="list">
+          ${todos.map(createCalendarItemHTML).join('')}
+        </ul>
+      </section>
+    `;
+  }).join('');
+}
+
+function createCalendarItemHTML(todo) {
+  const isCompleted = todo.status === 'completed';
+  const time = todo.hasDueTime
+    ? new Date(todo.dueDate).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+    : '';
+  
+  return `
+    <li 
+      class="calendar-item priority-${todo.priority} status-${todo.status}" 
+      data-id="${todo._id}" 
+      draggable="true" 
+      tabindex="0" 
+      aria-describedby="calendarHelp"
+      title="${escapeHtml(todo.title)}"
+    >
+      <input 
+        type="checkbox" 
+        class="calendar-checkbox" 
+        ${isCompleted ? 'checked' : ''}
+        aria-label="Mark as complete"
+      >
+      ${time ? `<span class="calendar-time">${time}</span>` : ''}
+      <span class="calendar-item-title">${escapeHtml(todo.title)}</span>
+    </li>
+  `;
+}
+
+// Moves a task to another day, keeping its time of day if it has one
+async function rescheduleTodo(id, dateKey) {
+  const todo = state.todos.find(t => t._id === id);
+  if (!todo || getTodoDateKey(todo) === dateKey) return;
+  
+  const { time } = getDueDateInputs(todo);
+  
+  try {
+    await updateTodo(id, buildDueDate(dateKey, time));
+    const label = new Date(`${dateKey}T00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    showToast(`Rescheduled to ${label} 📅`, 'success');
+  } catch (error) {
+    console.error('Reschedule error:', error);
+  }
+  
+  elements.calendarGrid.querySelector(`[data-id="${id}"]`)?.focus();
+}
+
+// Calendar apps subscribe to /api/calendar.ics with a secret token; the
+// server hands out the path and the link is built on this origin
+async function showCalendarFeedModal() {
+  state.calendarFeed = null;
+  renderCalendarFeed();
+  elements.calendarFeedModal.classList.add('show');
+  
+  try {
+    state.calendarFeed = (await apiRequest('/calendar/feed')).data;
+    renderCalendarFeed();
+  } catch (error) {
+    showToast(escapeHtml(error.message), 'error');
+  }
+}
+
+function hideCalendarFeedModal() {
+  elements.calendarFeedModal.classList.remove('show');
+}
+
+function getCalendarFeedUrl() {
+  const url = new URL(state.calendarFeed.path, window.location.origin);
+  const type = elements.calendarFeedType.value;
+  if (type !== 'events') url.searchParams.set('type', type);
+  return url.toString();
+}
+
+function renderCalendarFeed() {
+  const enabled = Boolean(state.calendarFeed?.enabled);
+  
+  elements.calendarFeedOff.hidden = enabled || !state.calendarFeed;
+  elements.calendarFeedOn.hidden = !enabled;
+  elements.resetCalendarFeedBtn.hidden = !enabled;
+  elements.disableCalendarFeedBtn.hidden = !enabled;
+  if (!enabled) return;
+  
+  const url = getCalendarFeedUrl();
+  elements.calendarFeedLink.value = url;
+  elements.calendarFeedWebcal.href = url.replace(/^https?:/, 'webcal:');
+}
+
+async function handleEnableCalendarFeed() {
+  try {
+    state.calendarFeed = (await apiRequest('/calendar/feed', { method: 'POST' })).data;
+    renderCalendarFeed();
+    showToast('Subscription link created 📡', 'success');
+  } catch (error) {
+    showToast(escapeHtml(error.message), 'error');
+  }
+}
+
+async function copyCalendarFeedLink() {
+  try {
+    await navigator.clipboard.writeText(elements.calendarFeedLink.value);
+    showToast('Subscription link copied 🔗', 'success');
+  } catch (error) {
+    // Clipboard access can be refused; the link is selected for copying by hand
+    elements.calendarFeedLink.select();
+  }
+}
+
+function handleResetCalendarFeed() {
+  hideCalendarFeedModal();
+  showConfirmModal(
+    'Reset Subscription Link',
+    'Calendar apps using the current link will stop updating until you subscribe with the new one.',
+    async () => {
+      await handleEnableCalendarFeed();
+      elements.calendarFeedModal.classList.add('show');
+    }
+  );
+}
+
+function handleDisableCalendarFeed() {
+  hideCalendarFeedModal();
+  showConfirmModal(
+    'Turn Off Calendar Feed',
+    'Calendar apps subscribed to your tasks will stop updating.',
+    async () => {
+      try {
+        state.calendarFeed = (await apiRequest('/calendar/feed', { method: 'DELETE' })).data;
+        showToast('Calendar feed turned off', 'success');
+      } catch (error) {
+        showToast(escapeHtml(error.message), 'error');
+      }
+    }
+  );
+}
+
+// ============================================================================
+// MANUAL ORDERING (LIST)
+// ============================================================================
+
+async function moveTodoInList(id, index) {
+  const visible = getFilteredTodos();
+  const currentIndex = visible.findIndex(t => t._id === id);
+  if (currentIndex === -1 || index === currentIndex) return;
+  
+  const siblings = visible.filter(t => t._id !== id);
+  
+  try {
+    await reorderTodos([{ id, ...getNeighbourIds(siblings, index) }]);
+  } catch (error) {
+    console.error('List reorder error:', error);
+  }
+  
+  elements.todoList.querySelector(`[data-id="${id}"] .drag-handle`)?.focus();
+}
+
+function setupListDragAndDrop() {
+  const list = elements.todoList;
+  
+  list.addEventListener('dragstart', (e) => {
+    const item = e.target.closest('.manual-item');
+    if (!item) return;
+    
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', item.dataset.id);
+    item.classList.add('dragging');
+  });
+  
+  list.addEventListener('dragend', (e) => {
+    e.target.closest('.manual-item')?.classList.remove('dragging');
+    list.querySelectorAll('.drop-before').forEach(el => el.classList.remove('drop-before'));
+  });
+  
+  list.addEventListener('dragover', (e) => {
+    if (state.currentSort !== 'position') return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    
+    list.querySelectorAll('.drop-before').forEach(el => el.classList.remove('drop-before'));
+    const items = list.querySelectorAll('.todo-item:not(.dragging)');
+    items[getDropIndex(list, e.clientY)]?.classList.add('drop-before');
+  });
+  
+  list.addEventListener('drop', (e) => {
+    if (state.currentSort !== 'position') return;
+    e.preventDefault();
+    
+    const id = e.dataTransfer.getData('text/plain');
+    const index = getDropIndex(list, e.clientY);
+    list.querySelectorAll('.drop-before').forEach(el => el.classList.remove('drop-before'));
+    
+    if (id) moveTodoInList(id, index);
+  });
+  
+  // Keyboard: Alt+↑/↓ on a drag handle moves the task one place
+  list.addEventListener('keydown', (e) => {
+    if (!e.altKey || !e.target.classList.contains('drag-handle')) return;
+    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+    
+    e.preventDefault();
+    const id = e.target.closest('.todo-item').dataset.id;
+    const currentIndex = getFilteredTodos().findIndex(t => t._id === id);
+    const index = currentIndex + (e.key === 'ArrowUp' ? -1 : 1);
+    
+    if (index >= 0 && index < getFilteredTodos().length) {
+      moveTodoInList(id, index);
+    }
+  });
+}
+
+// ============================================================================
+// MULTI-SELECT & BULK ACTIONS
+// ============================================================================
+
+// Shift-click selects (or clears) everything between the last clicked task
+// and this one, in the order the list shows them
+function handleSelectTodo(id, selected, extendRange) {
+  const ids = getFilteredTodos().map(todo => todo._id);
+  const from = ids.indexOf(state.selectionAnchor);
+  const to = ids.indexOf(id);
+  
+  const range = extendRange && from !== -1 && to !== -1
+    ? ids.slice(Math.min(from, to), Math.max(from, to) + 1)
+    : [id];
+  
+  range.forEach(rangeId => {
+    if (selected) state.selectedIds.add(rangeId);
+    else state.selectedIds.delete(rangeId);
+  });
+  state.selectionAnchor = id;
+  renderTodos();
+}
+
+function selectAllVisible() {
+  getFilteredTodos().forEach(todo => state.selectedIds.add(todo._id));
+  renderTodos();
+}
+
+function clearSelection() {
+  state.selectedIds.clear();
+  state.selectionAnchor = null;
+  renderTodos();
+}
+
+// Drops selections that are no longer on screen and shows or hides the bar
+function updateBulkBar() {
+  const visible = new Set(state.view === 'list' ? getFilteredTodos().map(todo => todo._id) : []);
+  state.selectedIds.forEach(id => {
+    if (!visible.has(id)) state.selectedIds.delete(id);
+  });
+  
+  const count = state.selectedIds.size;
+  elements.bulkBar.hidden = count === 0;
+  elements.bulkCount.textContent = `${count} selected`;
+}
+
+async function handleBulkUpdate(patch) {
+  const ids = [...state.selectedIds];
+  if (!ids.length) return;
+  
+  try {
+    const { updated } = await bulkRequest({ update: { ids, patch } });
+    let spawnedNext = false;
+    
+    updated.filter(result => result.ok).forEach(({ todo, nextTodo }) => {
+      const index = state.todos.findIndex(t => t._id === todo._id);
+      if (index !== -1) {
+        adjustCounts(state.todos[index].status, todo.status);
+        state.todos[index] = todo;
+      }
+      if (nextTodo) spawnedNext = true;
+    });
+    cacheTodos(updated.filter(result => result.ok).map(result => result.todo));
+    
+    const failed = updated.filter(result => !result.ok).length;
+    const done = updated.length - failed;
+    
+    // Completing recurring tasks created their next instances on the server,
+    // and moved tasks leave the active list
+    if (spawnedNext || patch.list) {
+      await fetchTodos();
+    } else {
+      renderTodos();
+      updateStats();
+    }
+    
+    if (patch.status === 'completed' && done) triggerConfetti();
+    if (done) showToast(`Updated ${done} task${done === 1 ? '' : 's'} ✨`, 'success');
+    if (failed) showToast(`Failed to update ${failed} task${failed === 1 ? '' : 's'}`, 'error');
+  } catch (error) {
+    showToast(escapeHtml(error.message || 'Failed to update tasks'), 'error');
+  }
+}
+
+async function handleBulkDelete() {
+  const ids = [...state.selectedIds];
+  if (!ids.length) return;
+  
+  try {
+    const { deleted } = await bulkRequest({ delete: ids });
+    const removed = deleted.filter(result => result.ok).map(result => result.todo);
+    const removedIds = new Set(removed.map(todo => todo._id));
+    
+    removed.forEach(todo => adjustCounts(todo.status, null));
+    state.todos = state.todos.filter(todo => !removedIds.has(todo._id));
+    idbRequest('todos', 'readwrite', store => {
+      removedIds.forEach(id => store.delete(id));
+    });
+    state.selectedIds.clear();
+    renderTodos();
+    updateStats();
+    
+    if (removed.length) {
+      state.deletedTodos = removed;
+      state.clearedAt = null;
+      showUndoSnackbar(`${removed.length} task${removed.length === 1 ? '' : 's'} moved to trash`);
+    }
+    const failed = deleted.length - removed.length;
+    if (failed) showToast(`Failed to delete ${failed} task${failed === 1 ? '' : 's'}`, 'error');
+  } catch (error) {
+    showToast('Failed to delete tasks', 'error');
+  }
+}
+
+// ============================================================================
+// SUBTASKS
+// ============================================================================
+
+function toggleSubtaskPanel(todoId) {
+  if (state.expandedSubtasks.has(todoId)) {
+    state.expandedSubtasks.delete(todoId);
+  } else {
+    state.expandedSubtasks.add(todoId);
+  }
+  renderTodos();
+  
+  document.querySelector(`[data-id="${todoId}"] .subtask-input`)?.focus();
+}
+
+function attachSubtaskListeners(panel, todo) {
+  panel.querySelector('.subtask-add-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const input = panel.querySelector('.subtask-input');
+    const title = input.value.trim();
+    if (!title) return;
+    
+    try {
+      await addSubtask(todo._id, title);
+      document.querySelector(`[data-id="${todo._id}"] .subtask-input`)?.focus();
+    } catch (error) {
+      console.error('Add subtask error:', error);
+    }
+  });
+  
+  panel.querySelector('.subtask-auto-checkbox').addEventListener('change', (e) => {
+    updateTodo(todo._id, { autoCompleteWithSubtasks: e.target.checked })
+      .catch(error => console.error('Auto-complete toggle error:', error));
+  });
+  
+  panel.querySelectorAll('.subtask-item').forEach((row, index) => {
+    const subtaskId = row.dataset.subtaskId;
+    
+    row.querySelector('.subtask-checkbox').addEventListener('change', (e) => {
+      updateSubtask(todo._id, subtaskId, { done: e.target.checked })
+        .catch(error => console.error('Toggle subtask error:', error));
+    });
+    
+    row.querySelector('.subtask-delete').addEventListener('click', () => {
+      deleteSubtask(todo._id, subtaskId)
+        .catch(error => console.error('Delete subtask error:', error));
+    });
+    
+    row.querySelectorAll('.subtask-move').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const target = index + Number(btn.dataset.direction);
+        if (target < 0 || target >= todo.subtasks.length) return;
+        
+        const order = todo.subtasks.map(subtask => subtask._id);
+        [order[index], order[target]] = [order[target], order[index]];
+        reorderSubtasks(todo._id, order)
+          .catch(error => console.error('Reorder subtasks error:', error));
+      });
+    });
+  });
+}
+
+function createSubtasksHTML(todo) {
+  const subtasks = todo.subtasks || [];
+  
+  const items = subtasks.map((subtask, index) => `
+    <li class="subtask-item ${subtask.done ? 'done' : ''}" data-subtask-id="${subtask._id}">
+      <input 
+        type="checkbox" 
+        class="subtask-checkbox" 
+        ${subtask.done ? 'checked' : ''}
+        aria-label="Mark step as done"
+      >
+      <span class="subtask-title">${escapeHtml(subtask.title)}</span>
+      <button class="subtask-move" data-direction="-1" aria-label="Move step up" ${index === 0 ? 'disabled' : ''}>↑</button>
+      <button class="subtask-move" data-direction="1" aria-label="Move step down" ${index === subtasks.length - 1 ? 'disabled' : ''}>↓</button>
+      <button class="subtask-delete" aria-label="Delete step">×</button>
+    </li>
+  `).join('');
+  
+  return `
+    <div class="subtask-panel">
+      <ul class="subtask-list">${items}</ul>
+      <form class="subtask-add-form">
+        <input type="text" class="subtask-input" placeholder="Add a step…" maxlength="200" aria-label="New step">
+        <button type="submit" class="btn-save">Add</button>
+      </form>
+      <label class="subtask-auto">
+        <input type="checkbox" class="subtask-auto-checkbox" ${todo.autoCompleteWithSubtasks ? 'checked' : ''}>
+        Complete task when all steps are done
+      </label>
+    </div>
+  `;
+}
+
+function setupInfiniteScroll() {
+  if (!('IntersectionObserver' in window)) return;
+  
+  state.listObserver = new IntersectionObserver((entries) => {
+    if (entries.some(entry => entry.isIntersecting)) {
+      fetchTodos({ append: true });
+    }
+  }, { root: elements.todoList, rootMargin: '0px 0px 150px 0px' });
+}
+
+function createTodoHTML(todo, { board = false, manual = false } = {}) {
+  const isCompleted = todo.status === 'completed';
+  const isSelected = !board && state.selectedIds.has(todo._id);
+  const dueDateInfo = getDueDateInfo(todo.dueDate, todo.hasDueTime);
+  const reminderOffsets = getReminderOffsets(todo);
+  const priorityClass = `priority-${todo.priority}`;
+  const statusClass = `status-${todo.status}`;
+  const subtasks = todo.subtasks || [];
+  const doneSubtasks = subtasks.filter(subtask => subtask.done).length;
+  const isExpanded = state.expandedSubtasks.has(todo._id);
+  
+  const category = getCategory(todo.category);
+  const tags = todo.tags || [];
+  
+  return `
+    <li 
+      class="todo-item ${statusClass} ${priorityClass} ${board ? 'board-card' : ''} ${manual ? 'manual-item' : ''} ${isSelected ? 'selected' : ''}" 
+      data-id="${todo._id}"
+      ${board ? 'draggable="true" tabindex="0" aria-describedby="boardHelp"' : ''}
+      ${manual ? 'draggable="true"' : ''}
+    >
+      <div class="todo-content">
+        <div class="todo-leading">
+          ${manual ? `
+            <button class="drag-handle" aria-label="Reorder task: drag, or press Alt plus Up or Down" title="Drag to reorder">
+              ⋮⋮
+            </button>` : ''}
+          ${board ? '' : `
+            <input 
+              type="checkbox" 
+              class="select-checkbox" 
+              ${isSelected ? 'checked' : ''}
+              aria-label="Select task for bulk actions (Shift-click selects a range)"
+            >`}
+          <input 
+            type="checkbox" 
+            class="todo-checkbox" 
+            ${isCompleted ? 'checked' : ''}
+            aria-label="Mark as complete"
+          >
+        </div>
+        <div class="todo-main">
+          <div class="todo-title">${escapeHtml(todo.title)}</div>
+          <div class="todo-meta">
+            <span class="status-badge ${todo.status}" title="Click to change status">
+              ${getStatusLabel(todo.status)}
+            </span>
+            ${category ? `
+              <span class="category-badge" style="background: ${category.color}" title="${escapeHtml(category.name)}">
+                ${escapeHtml(category.icon)} ${escapeHtml(category.name)}
+              </span>` : ''}
+            ${tags.map(tag => `
+              <button class="tag-chip" data-tag="${escapeHtml(tag)}" title="Show tasks tagged #${escapeHtml(tag)}">
+                #${escapeHtml(tag)}
+              </button>`).join('')}
+            ${dueDateInfo.html}
+            <button class="schedule-toggle ${reminderOffsets.length ? 'has-reminders' : ''}" aria-expanded="${state.scheduleTodoId === todo._id}" title="Due date, time and reminders">
+              🔔 ${describeReminders(reminderOffsets)}
+            </button>
+            ${createAssigneeHTML(todo)}
+            ${todo.recurrence ? `
+              <span class="recurrence-badge" title="Repeating task">
+                🔁 ${describeRecurrence(todo.recurrence)}
+              </span>` : ''}
+            <button class="subtask-toggle ${subtasks.length && doneSubtasks === subtasks.length ? 'all-done' : ''}" aria-expanded="${isExpanded}">
+              ☑️ ${subtasks.length ? `${doneSubtasks} of ${subtasks.length}` : 'Add steps'}
+            </button>
+            ${todo._pending ? '' : `
+              <button class="history-toggle" aria-expanded="${state.historyTodoId === todo._id}" title="Show change history">
+                🕘 History
+              </button>`}
+            ${todo._pending ? `
+              <span class="sync-badge pending" title="Saved on this device, waiting to sync">⏳ Pending sync</span>` : `
+              <span class="sync-badge synced" title="Synced with the server" aria-label="Synced">☁️</span>`}
+          </div>
+          ${isExpanded ? createSubtasksHTML(todo) : ''}
+          ${state.scheduleTodoId === todo._id ? createScheduleHTML(todo) : ''}
+          ${state.historyTodoId === todo._id ? createHistoryHTML(todo) : ''}
+        </div>
+        <div class="todo-actions">
+          <button class="btn-edit" aria-label="Edit task">Edit</button>
+          <button class="btn-delete" aria-label="Delete task">Delete</button>
+        </div>
+      </div>
+    </li>
+  `;
+}
+
+function cycleStatus(id, currentStatus) {
+  const statusCycle = {
+    'todo': 'progress',
+    'progress': 'completed',
+    'completed': 'todo'
+  };
+  
+  const newStatus = statusCycle[currentStatus];
+  handleStatusChange(id, newStatus);
+}
+
+function getStatusLabel(status) {
+  const labels = {
+    todo: '📝 To Do',
+    progress: '⚙️ In Progress',
+    completed: '✅ Completed'
+  };
+  return labels[status] || status;
+}
+
+function describeRecurrence(rule) {
+  const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+  const weekdayNames = { MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat', SU: 'Sun' };
+  const interval = rule.interval || 1;
+  
+  let text = interval === 1
+    ? `Every ${units[rule.freq]}`
+    : `Every ${interval} ${units[rule.freq]}s`;
+  
+  if (rule.byWeekday && rule.byWeekday.length) {
+    text += ` on ${rule.byWeekday.map(day => weekdayNames[day]).join(', ')}`;
+  }
+  
+  if (rule.count) {
+    text += ` (${rule.occurrence || 1}/${rule.count})`;
+  } else if (rule.until) {
+    text += ` until ${new Date(rule.until).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+  }
+  
+  return text;
+}
+
+// Tasks with a due time are overdue from that minute on; date-only ones
+// once their day has passed
+function getDueDateInfo(dueDate, hasDueTime = false) {
+  if (!dueDate) return { html: '', class: '' };
+  
+  const due = new Date(dueDate);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  due.setHours(0, 0, 0, 0);
+  
+  const diffDays = Math.ceil((due - today) / (1000 * 60 * 60 * 24));
+  const isOverdue = hasDueTime ? new Date(dueDate) < new Date() : diffDays < 0;
+  
+  let className = 'due-date';
+  let prefix = '📅';
+  
+  if (isOverdue) {
+    className += ' overdue';
+    prefix = '⚠️';
+  } else if (diffDays === 0) {
+    className += ' today';
+    prefix = '⏰';
+  }
+  
+  return {
+    html: `<span class="${className}">${prefix} ${formatDueDate(dueDate, hasDueTime)}</span>`,
+    class: className
+  };
+}
+
+function formatDueDate(dueDate, hasDueTime = false) {
+  const due = new Date(dueDate);
+  const formatted = due.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+  
+  if (!hasDueTime) return formatted;
+  return `${formatted}, ${due.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}`;
+}
+
+// ============================================================================
+// QUICK ADD
+// ============================================================================
+
+// Reads inline fields out of the task input with the parser the server
+// also uses (shared/quickAdd.js). #words match category names and @names
+// the people on the current list.
+function parseQuickAdd(text) {
+  return QuickAdd.parse(text, {
+    timeZone: getTimeZone(),
+    categories: state.categories.map(category => category.name),
+    people: getListPeople(getList(state.currentList)).map(person => person.username)
+  });
+}
+
+// Redraws the highlight under the typed text and the preview of the fields
+function renderQuickAdd() {
+  const text = elements.todoInput.value;
+  const parsed = parseQuickAdd(text);
+  
+  let html = '';
+  let cursor = 0;
+  parsed.tokens.forEach(token => {
+    html += escapeHtml(text.slice(cursor, token.start));
+    html += `<mark class="quick-add-token quick-add-${token.type}">${escapeHtml(token.text)}</mark>`;
+    cursor = token.end;
+  });
+  elements.quickAddHighlight.innerHTML = html + escapeHtml(text.slice(cursor));
+  syncQuickAddScroll();
+  
+  const chips = createQuickAddChips(parsed);
+  elements.quickAddPreview.hidden = chips.length === 0;
+  elements.quickAddPreview.innerHTML = chips.length
+    ? `<span class="quick-add-title">${escapeHtml(parsed.title || 'Untitled')}</span>${chips.join('')}`
+    : '';
+}
+
+function syncQuickAddScroll() {
+  elements.quickAddHighlight.scrollLeft = elements.todoInput.scrollLeft;
+}
+
+function createQuickAddChips(parsed) {
+  const chips = [];
+  const chip = (type, content) => chips.push(`<span class="quick-add-chip quick-add-${type}">${content}</span>`);
+  
+  if (parsed.dueDate) {
+    chip('date', `📅 ${formatDueDate(parsed.dueDate, parsed.hasDueTime)}`);
+  }
+  if (parsed.recurrence) chip('recurrence', `🔁 ${describeRecurrence(parsed.recurrence)}`);
+  if (parsed.priority) chip('priority', `${CONFIG.PRIORITY_ICONS[parsed.priority]} ${capitalize(parsed.priority)}`);
+  if (parsed.category) chip('category', `📁 ${escapeHtml(parsed.category)}`);
+  parsed.tags.forEach(tag => chip('tag', `#${escapeHtml(tag)}`));
+  if (parsed.assignee) chip('assignee', `👤 ${escapeHtml(parsed.assignee)}`);
+  
+  return chips;
+}
+
+// Parsed fields win over the form controls; the controls fill in the rest
+function buildQuickAddTodo() {
+  const parsed = parseQuickAdd(elements.todoInput.value);
+  const category = state.categories.find(c => c.name === parsed.category);
+  const assignee = getListPeople(getList(state.currentList)).find(person => person.username === parsed.assignee);
+  
+  let due;
+  if (parsed.dueDate) {
+    // Date-only due dates are sent as the day, like the date input's value
+    due = {
+      dueDate: parsed.hasDueTime ? parsed.dueDate.toISOString() : parsed.dueDate.toISOString().slice(0, 10),
+      hasDueTime: parsed.hasDueTime
+    };
+  } else {
+    due = buildDueDate(elements.dueDateInput.value, elements.dueTimeInput.value);
+  }
+  
+  return {
+    title: parsed.title,
+    priority: parsed.priority || elements.prioritySelect.value,
+    category: category ? category._id : (elements.categorySelect.value || null),
+    tags: [...new Set([...parseTagsInput(elements.tagsInput.value), ...parsed.tags])],
+    ...due,
+    recurrence: parsed.recurrence || getSelectedRecurrence(due.hasDueTime),
+    assignee: assignee ? assignee._id : (elements.assigneeSelect.value || null)
+  };
+}
+
+// ============================================================================
+// DUE TIMES & REMINDERS
+// ============================================================================
+
+// Date-only due dates are sent as the date alone, as before times existed;
+// with a time they are the exact local moment
+function buildDueDate(date, time) {
+  if (!date) return { dueDate: null, hasDueTime: false };
+  if (!time) return { dueDate: date, hasDueTime: false };
+  return { dueDate: new Date(`${date}T${time}`).toISOString(), hasDueTime: true };
+}
+
+// The repeat control's rule. Tasks due at a time get it as an object with
+// the browser's time zone, so they repeat at the same local time.
+function getSelectedRecurrence(hasDueTime) {
+  const rrule = elements.recurrenceSelect.value;
+  if (!rrule || !hasDueTime) return rrule || null;
+  
+  const parts = Object.fromEntries(rrule.split(';').map(part => part.split('=')));
+  return {
+    freq: parts.FREQ,
+    interval: Number(parts.INTERVAL || 1),
+    byWeekday: parts.BYDAY ? parts.BYDAY.split(',') : [],
+    timeZone: getTimeZone()
+  };
+}
+
+// The inverse of buildDueDate(), for the date and time inputs
+function getDueDateInputs(todo) {
+  if (!todo.dueDate) return { date: '', time: '' };
+  if (!todo.hasDueTime) return { date: todo.dueDate.slice(0, 10), time: '' };
+  
+  const due = new Date(todo.dueDate);
+  const pad = (value) => String(value).padStart(2, '0');
+  return {
+    date: `${due.getFullYear()}-${pad(due.getMonth() + 1)}-${pad(due.getDate())}`,
+    time: `${pad(due.getHours())}:${pad(due.getMinutes())}`
+  };
+}
+
+// Offsets (minutes before due) of a todo's reminders, leaving out snoozes.
+// Todos saved offline still hold the plain numbers that were sent.
+function getReminderOffsets(todo) {
+  return (todo.reminders || [])
+    .map(reminder => (typeof reminder === 'number' ? reminder : reminder.minutesBefore))
+    .filter(minutes => minutes !== null && minutes !== undefined);
+}
+
+function describeReminders(offsets) {
+  if (offsets.length === 0) return 'Remind';
+  if (offsets.length > 1) return `${offsets.length} reminders`;
+  
+  const option = CONFIG.REMINDER_OFFSETS.find(({ minutes }) => minutes === offsets[0]);
+  return option ? option.label : `${offsets[0]} minutes before`;
+}
+
+function renderReminderOptions() {
+  elements.reminderSelect.innerHTML = '<option value="">No reminder</option>' +
+    CONFIG.REMINDER_OFFSETS.map(({ minutes, label }) => `<option value="${minutes}">${label}</option>`).join('');
+}
+
+// Asked the first time the user sets a reminder, while the click still
+// counts as a user gesture
+function requestNotificationPermission() {
+  if (!('Notification' in window) || Notification.permission !== 'default') return;
+  
+  Notification.requestPermission().catch(error => {
+    console.error('Notification permission request failed:', error);
+  });
+}
+
+function toggleSchedulePanel(todoId) {
+  state.scheduleTodoId = state.scheduleTodoId === todoId ? null : todoId;
+  renderTodos();
+}
+
+function createScheduleHTML(todo) {
+  const { date, time } = getDueDateInputs(todo);
+  const offsets = getReminderOffsets(todo);
+  const snooze = (todo.reminders || []).find(reminder => reminder.minutesBefore === null && !reminder.firedAt);
+  
+  const options = CONFIG.REMINDER_OFFSETS.map(({ minutes, label }) => `
+    <label class="schedule-reminder">
+      <input type="checkbox" value="${minutes}" ${offsets.includes(minutes) ? 'checked' : ''}>
+      ${label}
+    </label>
+  `).join('');
+  
+  return `
+    <form class="schedule-panel">
+      <div class="schedule-fields">
+        <label class="schedule-field">
+          Date
+          <input type="date" class="schedule-date input-select" value="${date}">
+        </label>
+        <label class="schedule-field">
+          Time
+          <input type="time" class="schedule-time input-select" value="${time}" aria-label="Due time (optional)">
+        </label>
+      </div>
+      <fieldset class="schedule-reminders">
+        <legend>Remind me</legend>
+        ${options}
+      </fieldset>
+      ${snooze ? `
+        <p class="schedule-snooze">😴 Snoozed until ${formatDueDate(snooze.remindAt, true)}</p>` : ''}
+      <button type="submit" class="btn-save">Save</button>
+    </form>
+  `;
+}
+
+function attachScheduleListeners(panel, todo) {
+  panel.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const schedule = buildDueDate(
+      panel.querySelector('.schedule-date').value,
+      panel.querySelector('.schedule-time').value
+    );
+    const reminders = [...panel.querySelectorAll('.schedule-reminder input:checked')]
+      .map(input => Number(input.value));
+    
+    if (reminders.length && !schedule.dueDate) {
+      showToast('Set a due date to get reminders', 'error');
+      return;
+    }
+    if (reminders.length) requestNotificationPermission();
+    
+    try {
+      state.scheduleTodoId = null;
+      await updateTodo(todo._id, { ...schedule, reminders });
+      showToast('Schedule saved 🔔', 'success');
+    } catch (error) {
+      console.error('Schedule update error:', error);
+    }
+  });
+}
+
+// Reminders come from the server's scheduler as `reminder` events. A visible
+// page shows them in-app; in the background they become system
+// notifications, with the same Snooze and Complete actions.
+function showReminder(todo, reminder) {
+  if (document.visibilityState === 'visible' || !('Notification' in window) || Notification.permission !== 'granted') {
+    showReminderToast(todo, reminder);
+  } else {
+    showReminderNotification(todo, reminder);
+  }
+}
+
+function showReminderToast(todo, reminder) {
+  const toast = document.createElement('div');
+  toast.className = 'toast reminder';
+  toast.setAttribute('role', 'alert');
+  
+  toast.innerHTML = `
+    <span class="toast-icon">🔔</span>
+    <span class="toast-message">
+      <strong>${escapeHtml(todo.title)}</strong>
+      <span class="toast-detail">Due ${formatDueDate(todo.dueDate, todo.hasDueTime)}</span>
+    </span>
+    <div class="toast-actions">
+      <button class="toast-action" data-action="snooze">Snooze ${CONFIG.SNOOZE_MINUTES} min</button>
+      <button class="toast-action" data-action="complete">Complete</button>
+      <button class="toast-close" aria-label="Dismiss reminder">×</button>
+    </div>
+  `;
+  
+  // Stays until dealt with, unlike ordinary toasts
+  const dismiss = () => {
+    toast.classList.add('removing');
+    setTimeout(() => toast.remove(), CONFIG.ANIMATION_DURATION);
+  };
+  
+  toast.querySelectorAll('.toast-action').forEach(btn => {
+    btn.addEventListener('click', () => {
+      dismiss();
+      handleReminderAction(btn.dataset.action, todo._id, reminder._id);
+    });
+  });
+  toast.querySelector('.toast-close').addEventListener('click', dismiss);
+  
+  elements.toastContainer.appendChild(toast);
+}
+
+// Notification actions need a service worker; without one the notification
+// only brings the app to the front. Tagging with the reminder ID keeps
+// several open tabs from stacking copies of the same reminder.
+async function showReminderNotification(todo, reminder) {
+  const title = `🔔 ${todo.title}`;
+  const options = {
+    body: `Due ${formatDueDate(todo.dueDate, todo.hasDueTime)}`,
+    tag: reminder._id,
+    requireInteraction: true,
+    data: { todoId: todo._id, reminderId: reminder._id }
+  };
+  
+  try {
+    const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+    if (registration) {
+      await registration.showNotification(title, {
+        ...options,
+        actions: [
+          { action: 'snooze', title: `Snooze ${CONFIG.SNOOZE_MINUTES} min` },
+          { action: 'complete', title: 'Complete' }
+        ]
+      });
+      return;
+    }
+    
+    const notification = new Notification(title, options);
+    notification.addEventListener('click', () => {
+      window.focus();
+      notification.close();
+    });
+  } catch (error) {
+    console.error('Reminder notification failed:', error);
+    showReminderToast(todo, reminder);
+  }
+}
+
+async function handleReminderAction(action, todoId, reminderId) {
+  if (action === 'complete') {
+    await handleToggleComplete(todoId, 'todo');
+    return;
+  }
+  if (action !== 'snooze') return;
+  
+  try {
+    const { data: todo } = await apiRequest(`/todos/${todoId}/reminders/${reminderId}/snooze`, {
+      method: 'POST',
+      body: JSON.stringify({ minutes: CONFIG.SNOOZE_MINUTES })
+    });
+    await applyUpdatedTodo(todo);
+    showToast(`Snoozed for ${CONFIG.SNOOZE_MINUTES} minutes 😴`, 'success');
+  } catch (error) {
+    showToast(escapeHtml(error.message), 'error');
+  }
+}
+
+// A notification action with no tab open opens the app at
+// /?reminderAction=<action>&todo=<id>&reminder=<id> (see sw.js)
+function handleReminderActionFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const action = params.get('reminderAction');
+  if (!action) return;
+  
+  const todoId = params.get('todo');
+  const reminderId = params.get('reminder');
+  ['reminderAction', 'todo', 'reminder'].forEach(name => params.delete(name));
+  const query = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  
+  if (todoId) handleReminderAction(action, todoId, reminderId);
+}
+
+// ============================================================================
+// LISTS
+// ============================================================================
+
+function getList(id) {
+  return state.lists.find(list => list._id === id) || null;
+}
+
+function isSharedList(list) {
+  return Boolean(list) && (list.role !== 'owner' || (list.members || []).length > 0);
+}
+
+function renderListNav() {
+  elements.listNav.innerHTML = state.lists.map(list => `
+    <li class="list-nav-item ${list._id === state.currentList ? 'active' : ''}" data-list-id="${list._id}">
+      <button class="list-nav-btn" style="--list-color: ${list.color}">
+        <span class="list-icon">${escapeHtml(list.icon)}</span>
+        <span class="list-name">${escapeHtml(list.name)}</span>
+        ${isSharedList(list) ? `
+          <span class="list-shared" title="${list.role === 'owner' ? 'Shared by you' : `Shared by ${escapeHtml(list.owner.username)}`}">👥</span>` : ''}
+        <span class="list-count">${list.todoCount || 0}</span>
+      </button>
+      <div class="list-actions">
+        <button class="list-action list-share" title="Sharing" aria-label="Sharing for ${escapeHtml(list.name)}">👥</button>
+        ${list.role === 'owner' ? `
+          <button class="list-action list-rename" title="Rename list" aria-label="Rename ${escapeHtml(list.name)}">✏️</button>
+          <button class="list-action list-delete" title="Delete list" aria-label="Delete ${escapeHtml(list.name)}">🗑️</button>` : ''}
+      </div>
+    </li>
+  `).join('');
+  
+  elements.listNav.querySelectorAll('.list-nav-item').forEach(item => {
+    const id = item.dataset.listId;
+    item.querySelector('.list-nav-btn').addEventListener('click', () => switchList(id));
+    item.querySelector('.list-share').addEventListener('click', () => showShareModal(id));
+    item.querySelector('.list-rename')?.addEventListener('click', () => showListRename(item, getList(id)));
+    item.querySelector('.list-delete')?.addEventListener('click', () => showListDeleteConfirm(item, getList(id)));
+  });
+  
+  applyListRole();
+}
+
+// Tasks can only be moved into lists the user can edit
+function renderListOptions() {
+  elements.bulkList.innerHTML = `
+    <option value="">Move to…</option>
+    ${state.lists.filter(list => list.role !== 'viewer').map(list =>
+      `<option value="${list._id}">${escapeHtml(list.icon)} ${escapeHtml(list.name)}</option>`
+    ).join('')}
+  `;
+}
+
+// Viewers get a read-only view of lists shared with them
+function applyListRole() {
+  const list = getList(state.currentList);
+  const readOnly = list?.role === 'viewer';
+  
+  elements.appMain.classList.toggle('read-only', readOnly);
+  elements.readOnlyNote.hidden = !readOnly;
+  if (readOnly) {
+    elements.readOnlyNote.textContent = `👀 ${list.owner.username} shared this list with you as a viewer.`;
+  }
+  renderAssigneeOptions();
+}
+
+async function switchList(id) {
+  if (id === state.currentList) return;
+  
+  state.currentList = id;
+  localStorage.setItem(CONFIG.LOCAL_STORAGE_KEYS.LIST, id);
+  state.selectedIds.clear();
+  state.historyTodoId = null;
+  state.scheduleTodoId = null;
+  renderListNav();
+  await fetchTodos();
+}
+
+async function handleCreateList(event) {
+  event.preventDefault();
+  
+  const name = elements.listNameInput.value.trim();
+  if (!name) {
+    showToast('Please enter a list name', 'error');
+    return;
+  }
+  
+  try {
+    const { data: list } = await apiRequest('/lists', {
+      method: 'POST',
+      body: JSON.stringify({ name })
+    });
+    
+    state.lists.push({ ...list, todoCount: 0 });
+    renderListOptions();
+    elements.listForm.reset();
+    await switchList(list._id);
+    showToast(`List "${escapeHtml(list.name)}" created! 📋`, 'success');
+  } catch (error) {
+    const unplaced = showFieldErrors(error, { name: elements.listNameInput });
+    if (unplaced.length) showToast(escapeHtml(unplaced.join(' ')), 'error');
+  }
+}
+
+// Swaps the list name for an input; Enter saves, Escape cancels
+function showListRename(item, list) {
+  if (item.querySelector('.list-rename-input')) return;
+  
+  const nameEl = item.querySelector('.list-name');
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'list-rename-input';
+  input.value = list.name;
+  input.maxLength = 60;
+  input.setAttribute('aria-label', 'List name');
+  nameEl.replaceWith(input);
+  input.focus();
+  input.select();
+  
+  let done = false;
+  const finish = (save) => {
+    if (done) return;
+    done = true;
+    const name = input.value.trim();
+    if (save && name && name !== list.name) {
+      handleRenameList(list._id, name);
+    } else {
+      renderListNav();
+    }
+  };
+  
+  input.addEventListener('click', (e) => e.stopPropagation());
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+async function handleRenameList(id, name) {
+  try {
+    const { data: updated } = await apiRequest(`/lists/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify({ name })
+    });
+    
+    const index = state.lists.findIndex(list => list._id === id);
+    state.lists[index] = { ...state.lists[index], ...updated };
+    renderListNav();
+    renderListOptions();
+    showToast('List renamed! ✏️', 'success');
+  } catch (error) {
+    renderListNav();
+    showToast(escapeHtml(error.message), 'error');
+  }
+}
+
+// Deleting a list with tasks asks whether to move or trash them first
+function showListDeleteConfirm(item, list) {
+  if (item.querySelector('.list-delete-confirm')) return;
+  
+  if (state.lists.filter(other => other.role === 'owner').length === 1) {
+    showToast("You can't delete your only list", 'error');
+    return;
+  }
+  if (!list.todoCount) {
+    handleDeleteList(list._id, {});
+    return;
+  }
+  
+  const targets = state.lists
+    .filter(other => other._id !== list._id && other.role !== 'viewer')
+    .map(other => `<option value="${other._id}">${escapeHtml(other.icon)} ${escapeHtml(other.name)}</option>`)
+    .join('');
+  
+  item.insertAdjacentHTML('beforeend', `
+    <div class="list-delete-confirm">
+      <span>${list.todoCount} task${list.todoCount === 1 ? '' : 's'} in this list</span>
+      <label>Move to
+        <select class="sort-select list-reassign">${targets}</select>
+      </label>
+      <div class="list-delete-buttons">
+        <button class="btn-save list-move-final">Move &amp; delete</button>
+        <button class="btn-delete list-trash-final">Trash tasks</button>
+      </div>
+    </div>
+  `);
+  
+  item.querySelector('.list-move-final').addEventListener('click', () => {
+    handleDeleteList(list._id, { moveTo: item.querySelector('.list-reassign').value });
+  });
+  item.querySelector('.list-trash-final').addEventListener('click', () => {
+    handleDeleteList(list._id, { deleteTasks: 'true' });
+  });
+}
+
+async function handleDeleteList(id, options) {
+  try {
+    const query = new URLSearchParams(options).toString();
+    await apiRequest(`/lists/${id}${query ? `?${query}` : ''}`, { method: 'DELETE' });
+    
+    if (state.currentList === id) {
+      state.currentList = options.moveTo || null;
+    }
+    await fetchLists();
+    await fetchTodos();
+    showToast('List deleted 🗑️', 'success');
+  } catch (error) {
+    showToast(escapeHtml(error.message), 'error');
+  }
+}
+
+// ============================================================================
+// SHARING & ASSIGNEES
+// ============================================================================
+
+// Everyone on a list, owner first, as { _id, username }
+function getListPeople(list) {
+  if (!list) return [];
+  return [list.owner, ...(list.members || []).map(member => member.user)]
+    .filter(person => person && person._id);
+}
+
+function getMemberName(userId) {
+  if (!userId) return '';
+  if (userId === state.currentUser?._id) return 'You';
+  
+  for (const list of state.lists) {
+    const person = getListPeople(list).find(p => p._id === userId);
+    if (person) return person.username;
+  }
+  return '';
+}
+
+function createAssigneeOptions(list, selected) {
+  return getListPeople(list).map(person => `
+    <option value="${person._id}" ${person._id === selected ? 'selected' : ''}>
+      👤 ${escapeHtml(person._id === state.currentUser?._id ? `${person.username} (you)` : person.username)}
+    </option>
+  `).join('');
+}
+
+// Tasks in shared lists get an assignee picker; viewers just see the name
+function createAssigneeHTML(todo) {
+  const list = getList(todo.list);
+  if (!isSharedList(list) && !todo.assignee) return '';
+  
+  if (list?.role === 'viewer') {
+    return todo.assignee ? `
+      <span class="assignee-badge">👤 ${escapeHtml(getMemberName(todo.assignee) || 'Someone')}</span>` : '';
+  }
+  
+  return `
+    <select class="assignee-select ${todo.assignee ? 'assigned' : ''}" aria-label="Assignee" title="Assignee">
+      <option value="">👤 Unassigned</option>
+      ${createAssigneeOptions(list, todo.assignee)}
+    </select>
+  `;
+}
+
+// The add form only offers assignees on shared lists
+function renderAssigneeOptions() {
+  const list = getList(state.currentList);
+  const selected = elements.assigneeSelect.value;
+  
+  elements.assigneeGroup.hidden = !isSharedList(list);
+  elements.assigneeSelect.innerHTML = `
+    <option value="">Unassigned</option>
+    ${createAssigneeOptions(list, selected)}
+  `;
+}
+
+async function handleAssign(id, assignee) {
+  try {
+    await updateTodo(id, { assignee });
+    const name = getMemberName(assignee);
+    showToast(assignee ? `Assigned to ${escapeHtml(name)} 👤` : 'Unassigned', 'success');
+  } catch (error) {
+    console.error('Assign error:', error);
+    renderTodos();
+  }
+}
+
+async function showShareModal(listId) {
+  const list = getList(listId);
+  if (!list) return;
+  
+  state.shareListId = listId;
+  elements.shareModalTitle.textContent = `${list.icon} ${list.name}`;
+  elements.inviteLinkRow.hidden = true;
+  elements.inviteLink.value = '';
+  renderShareModal();
+  elements.shareModal.classList.add('show');
+  
+  if (list.role === 'owner') await fetchInvites();
+}
+
+function hideShareModal() {
+  elements.shareModal.classList.remove('show');
+  state.shareListId = null;
+}
+
+function renderShareModal() {
+  const list = getList(state.shareListId);
+  if (!list) {
+    hideShareModal();
+    return;
+  }
+  
+  const isOwner = list.role === 'owner';
+  const roleLabels = { owner: 'Owner', editor: 'Can edit', viewer: 'Can view' };
+  const people = [
+    { user: list.owner, role: 'owner' },
+    ...(list.members || []).filter(member => member.user)
+  ];
+  
+  elements.shareMembers.innerHTML = people.map(({ user, role }) => `
+    <li class="share-member" data-user-id="${user._id}">
+      <span class="share-member-name">
+        👤 ${escapeHtml(user.username)}${user._id === state.currentUser?._id ? ' (you)' : ''}
+      </span>
+      ${isOwner && role !== 'owner' ? `
+        <select class="sort-select share-role" aria-label="Role of ${escapeHtml(user.username)}">
+          <option value="editor" ${role === 'editor' ? 'selected' : ''}>Can edit</option>
+          <option value="viewer" ${role === 'viewer' ? 'selected' : ''}>Can view</option>
+        </select>
+        <button class="btn-delete share-remove">Remove</button>` : `
+        <span class="share-role-label">${roleLabels[role]}</span>`}
+    </li>
+  `).join('');
+  
+  elements.shareMembers.querySelectorAll('.share-member').forEach(row => {
+    const userId = row.dataset.userId;
+    row.querySelector('.share-role')?.addEventListener('change', (e) => {
+      handleChangeMemberRole(userId, e.target.value);
+    });
+    row.querySelector('.share-remove')?.addEventListener('click', () => handleRemoveMember(userId));
+  });
+  
+  elements.shareInviteSection.hidden = !isOwner;
+  elements.leaveListBtn.hidden = isOwner;
+}
+
+async function fetchInvites() {
+  try {
+    const { data: invites } = await apiRequest(`/lists/${state.shareListId}/invites`);
+    renderInvites(invites);
+  } catch (error) {
+    showToast(escapeHtml(error.message), 'error');
+  }
+}
+
+function renderInvites(invites) {
+  elements.inviteList.innerHTML = invites.map(invite => `
+    <li class="share-invite" data-invite-id="${invite._id}">
+      <span>🔗 ${invite.role === 'editor' ? 'Can edit' : 'Can view'} · expires ${
+        new Date(invite.expiresAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+      }</span>
+      <button class="btn-delete share-revoke">Revoke</button>
+    </li>
+  `).join('');
+  
+  elements.inviteList.querySelectorAll('.share-invite').forEach(row => {
+    row.querySelector('.share-revoke').addEventListener('click', () => handleRevokeInvite(row.dataset.inviteId));
+  });
+}
+
+function inviteUrl(token) {
+  const url = new URL(window.location.href);
+  url.search = `?invite=${encodeURIComponent(token)}`;
+  url.hash = '';
+  return url.toString();
+}
+
+async function handleCreateInvite() {
+  try {
+    const { data: invite } = await apiRequest(`/lists/${state.shareListId}/invites`, {
+      method: 'POST',
+      body: JSON.stringify({ role: elements.inviteRole.value })
+    });
+    
+    elements.inviteLink.value = inviteUrl(invite.token);
+    elements.inviteLinkRow.hidden = false;
+    elements.inviteLink.select();
+    await fetchInvites();
+  } catch (error) {
+    showToast(escapeHtml(error.message), 'error');
+  }
+}
+
+async function copyInviteLink() {
+  try {
+    await navigator.clipboard.writeText(elements.inviteLink.value);
+    showToast('Invite link copied 🔗', 'success');
+  } catch (error) {
+    // Clipboard access can be refused; the link is selected for copying by hand
+    elements.inviteLink.select();
+  }
+}
+
+async function handleRevokeInvite(inviteId) {
+  try {
+    await apiRequest(`/lists/${state.shareListId}/invites/${inviteId}`, { method: 'DELETE' });
+    elements.inviteLinkRow.hidden = true;
+    await fetchInvites();
+    showToast('Invite revoked', 'success');
+  } catch (error) {
+    showToast(escapeHtml(error.message), 'error');
+  }
+}
+
+async function handleChangeMemberRole(userId, role) {
+  try {
+    const { data: updated } = await apiRequest(`/lists/${state.shareListId}/members/${userId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ role })
+    });
+    
+    const index = state.lists.findIndex(list => list._id === updated._id);
+    state.lists[index] = { ...state.lists[index], ...updated };
+    renderShareModal();
+    showToast('Role updated', 'success');
+  } catch (error) {
+    showToast(escapeHtml(error.message), 'error');
+  }
+}
+
+async function handleRemoveMember(userId) {
+  try {
+    await apiRequest(`/lists/${state.shareListId}/members/${userId}`, { method: 'DELETE' });
+    await fetchLists();
+    renderShareModal();
+    renderTodos();
+    showToast('Member removed', 'success');
+  } catch (error) {
+    showToast(escapeHtml(error.message), 'error');
+  }
+}
+
+function handleLeaveList() {
+  const list = getList(state.shareListId);
+  if (!list || !state.currentUser) return;
+  
+  showConfirmModal(
+    'Leave List',
+    `Leave "${list.name}"? You'll need a new invite to get back in.`,
+    async () => {
+      try {
+        await apiRequest(`/lists/${list._id}/members/${state.currentUser._id}`, { method: 'DELETE' });
+        hideShareModal();
+        if (state.currentList === list._id) state.currentList = null;
+        await fetchLists();
+        await fetchTodos();
+        showToast(`Left "${escapeHtml(list.name)}"`, 'success');
+      } catch (error) {
+        showToast(escapeHtml(error.message), 'error');
+      }
+    }
+  );
+}
+
+// Invite links look like /?invite=<token>. The token waits in
+// sessionStorage so it survives signing in first.
+function rememberInviteFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const token = params.get('invite');
+  if (!token) return;
+  
+  sessionStorage.setItem(CONFIG.LOCAL_STORAGE_KEYS.PENDING_INVITE, token);
+  params.delete('invite');
+  const query = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+}
+
+async function handlePendingInvite() {
+  const token = sessionStorage.getItem(CONFIG.LOCAL_STORAGE_KEYS.PENDING_INVITE);
+  if (!token) return;
+  sessionStorage.removeItem(CONFIG.LOCAL_STORAGE_KEYS.PENDING_INVITE);
+  
+  try {
+    const { data: invite } = await apiRequest(`/invites/${encodeURIComponent(token)}`);
+    
+    if (invite.currentRole === 'owner' || invite.currentRole === invite.role || invite.currentRole === 'editor') {
+      await switchList(invite.list._id);
+      showToast(`You're already on "${escapeHtml(invite.list.name)}"`, 'success');
+      return;
+    }
+    
+    showConfirmModal(
+      'Join Shared List',
+      `${invite.owner} invited you to "${invite.list.name}" ${invite.role === 'editor' ? 'to view and edit tasks' : 'to view tasks'}.`,
+      async () => {
+        try {
+          const { data: list } = await apiRequest(`/invites/${encodeURIComponent(token)}/accept`, { method: 'POST' });
+          await fetchLists();
+          await switchList(list._id);
+          showToast(`Joined "${escapeHtml(list.name)}" 👥`, 'success');
+        } catch (error) {
+          showToast(escapeHtml(error.message), 'error');
+        }
+      }
+    );
+  } catch (error) {
+    showToast(escapeHtml(error.message), 'error');
+  }
+}
+
+// ============================================================================
+// CATEGORIES & TAGS
+// ============================================================================
+
+function getCategory(id) {
+  return state.categories.find(category => category._id === id) || null;
+}
+
+function renderCategoryOptions() {
+  const options = state.categories.map(category =>
+    `<option value="${category._id}">${escapeHtml(category.icon)} ${escapeHtml(category.name)}</option>`
+  ).join('');
+  
+  const selected = elements.categorySelect.value;
+  elements.categorySelect.innerHTML = `<option value="">No category</option>${options}`;
+  elements.categorySelect.value = getCategory(selected) ? selected : getDefaultCategoryId();
+  
+  elements.bulkCategory.innerHTML = `
+    <option value="">Category…</option>
+    <option value="none">No category</option>
+    ${options}
+  `;
+  
+  elements.categoryFilter.innerHTML = `
+    <option value="">All categories</option>
+    <option value="none">Uncategorized</option>
+    ${options}
+  `;
+  
+  // The filtered category may have just been deleted
+  if (state.currentCategory && state.currentCategory !== 'none' && !getCategory(state.currentCategory)) {
+    state.currentCategory = '';
+  }
+  elements.categoryFilter.value = state.currentCategory;
+}
+
+function renderTagOptions() {
+  const names = state.tags.map(tag => tag.name);
+  if (state.currentTag && !names.includes(state.currentTag)) {
+    names.unshift(state.currentTag);
+  }
+  
+  elements.tagFilter.innerHTML = `
+    <option value="">All tags</option>
+    ${names.map(name => `<option value="${escapeHtml(name)}">#${escapeHtml(name)}</option>`).join('')}
+  `;
+  elements.tagFilter.value = state.currentTag;
+}
+
+function getDefaultCategoryId() {
+  return state.categories.length ? state.categories[0]._id : '';
+}
+
+function parseTagsInput(value) {
+  return value
+    .split(/[,\s]+/)
+    .map(tag => tag.replace(/^#+/, '').trim())
+    .filter(Boolean);
+}
+
+async function showCategoryModal() {
+  await fetchCategories();
+  renderCategoryManager();
+  elements.categoryModal.classList.add('show');
+  elements.categoryNameInput.focus();
+}
+
+function hideCategoryModal() {
+  elements.categoryModal.classList.remove('show');
+}
+
+function renderCategoryManager() {
+  if (state.categories.length === 0) {
+    elements.categoryList.innerHTML = '<li class="category-count">No categories yet</li>';
+    return;
+  }
+  
+  elements.categoryList.innerHTML = state.categories.map(category => `
+    <li class="category-row" data-category-id="${category._id}">
+      <input type="text" class="input-select category-icon-input" value="${escapeHtml(category.icon)}" maxlength="8" aria-label="Category icon">
+      <input type="text" class="input-select category-name-input" value="${escapeHtml(category.name)}" maxlength="40" aria-label="Category name">
+      <input type="color" class="category-color-input" value="${category.color}" aria-label="Category color">
+      <span class="category-count">${category.todoCount || 0} tasks</span>
+      <button class="btn-save category-save">Save</button>
+      <button class="btn-delete category-delete">Delete</button>
+    </li>
+  `).join('');
+  
+  elements.categoryList.querySelectorAll('.category-row').forEach(row => {
+    const id = row.dataset.categoryId;
+    
+    row.querySelector('.category-save').addEventListener('click', () => {
+      handleUpdateCategory(id, {
+        icon: row.querySelector('.category-icon-input').value.trim(),
+        name: row.querySelector('.category-name-input').value.trim(),
+        color: row.querySelector('.category-color-input').value
+      });
+    });
+    
+    row.querySelector('.category-delete').addEventListener('click', () => {
+      showCategoryDeleteConfirm(row, getCategory(id));
+    });
+  });
+}
+
+// Deleting asks where the category's tasks should go before calling the API
+function showCategoryDeleteConfirm(row, category) {
+  if (row.querySelector('.category-delete-confirm')) return;
+  
+  const targets = state.categories
+    .filter(other => other._id !== category._id)
+    .map(other => `<option value="${other._id}">${escapeHtml(other.icon)} ${escapeHtml(other.name)}</option>`)
+    .join('');
+  
+  row.insertAdjacentHTML('beforeend', `
+    <div class="category-delete-confirm">
+      <label>Move its tasks to
+        <select class="sort-select category-reassign">
+          <option value="">No category</option>
+          ${targets}
+        </select>
+      </label>
+      <button class="btn-delete category-delete-final">Confirm</button>
+    </div>
+  `);
+  
+  row.querySelector('.category-delete-final').addEventListener('click', () => {
+    handleDeleteCategory(category._id, row.querySelector('.category-reassign').value);
+  });
+}
+
+async function handleCreateCategory(event) {
+  event.preventDefault();
+  
+  const name = elements.categoryNameInput.value.trim();
+  if (!name) {
+    showToast('Please enter a category name', 'error');
+    return;
+  }
+  
+  try {
+    const { data: category } = await apiRequest('/categories', {
+      method: 'POST',
+      body: JSON.stringify({
+        name,
+        icon: elements.categoryIconInput.value.trim() || '📋',
+        color: elements.categoryColorInput.value
+      })
+    });
+    
+    state.categories.push({ ...category, todoCount: 0 });
+    renderCategoryOptions();
+    renderCategoryManager();
+    elements.categoryForm.reset();
+    clearFieldErrors([elements.categoryNameInput, elements.categoryIconInput, elements.categoryColorInput]);
+    showToast(`Category "${escapeHtml(category.name)}" added! 🏷️`, 'success');
+  } catch (error) {
+    const unplaced = showFieldErrors(error, {
+      name: elements.categoryNameInput,
+      icon: elements.categoryIconInput,
+      color: elements.categoryColorInput
+    });
+    if (unplaced.length) showToast(escapeHtml(unplaced.join(' ')), 'error');
+  }
+}
+
+async function handleUpdateCategory(id, updates) {
+  try {
+    const { data: updated } = await apiRequest(`/categories/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates)
+    });
+    
+    const index = state.categories.findIndex(category => category._id === id);
+    state.categories[index] = { ...state.categories[index], ...updated };
+    renderCategoryOptions();
+    renderCategoryManager();
+    renderTodos();
+    showToast('Category updated! ✏️', 'success');
+  } catch (error) {
+    showToast(escapeHtml(error.message), 'error');
+  }
 }
 
-function hideModal() {
-  elements.confirmModal.classList.remove('show');
+async function handleDeleteCategory(id, reassignTo) {
+  try {
+    const query = reassignTo ? `?reassignTo=${encodeURIComponent(reassignTo)}` : '';
+    await apiRequest(`/categories/${id}${query}`, { method: 'DELETE' });
+    
+    await fetchCategories();
+    renderCategoryManager();
+    await fetchTodos();
+    showToast('Category deleted 🗑️', 'success');
+  } catch (error) {
+    showToast(escapeHtml(error.message), 'error');
+  }
 }
 
 // ============================================================================
-// FILTERING & SORTING
+// HISTORY & ACTIVITY
 // ============================================================================
 
-function handleFilterChange(filter) {
-  state.currentFilter = filter;
-  
-  elements.filterTabs.forEach(tab => {
-    tab.classList.toggle('active', tab.dataset.filter === filter);
-    tab.setAttribute('aria-selected', tab.dataset.filter === filter);
-  });
-  
-  renderTodos();
-}
+const HISTORY_ACTIONS = {
+  created: '✨ Created',
+  updated: '✏️ Updated',
+  deleted: '🗑️ Moved to trash',
+  restored: '♻️ Restored',
+  reverted: '⏪ Reverted'
+};
 
-function handleSearch(e) {
-  state.searchQuery = e.target.value.toLowerCase();
+const HISTORY_FIELD_LABELS = {
+  title: 'Title',
+  list: 'List',
+  assignee: 'Assignee',
+  status: 'Status',
+  priority: 'Priority',
+  category: 'Category',
+  tags: 'Tags',
+  dueDate: 'Due date',
+  recurrence: 'Repeats',
+  subtasks: 'Steps',
+  autoCompleteWithSubtasks: 'Auto-complete'
+};
+
+async function toggleHistoryPanel(todoId) {
+  if (state.historyTodoId === todoId) {
+    state.historyTodoId = null;
+    state.history = [];
+    renderTodos();
+    return;
+  }
+  
+  state.historyTodoId = todoId;
+  state.history = null;
   renderTodos();
+  await fetchHistory(todoId);
 }
 
-function handleSort() {
-  state.currentSort = elements.sortSelect.value;
+async function fetchHistory(todoId) {
+  try {
+    const { data: changes } = await apiRequest(`/todos/${todoId}/history`);
+    if (state.historyTodoId !== todoId) return;
+    state.history = changes;
+  } catch (error) {
+    if (state.historyTodoId !== todoId) return;
+    state.history = [];
+    showToast('Failed to load history', 'error');
+  }
   renderTodos();
 }
 
-function getFilteredTodos() {
-  let filtered = [...state.todos];
-  
-  // Apply status filter
-  if (state.currentFilter !== 'all') {
-    filtered = filtered.filter(todo => todo.status === state.currentFilter);
-  }
-  
-  // Apply search
-  if (state.searchQuery) {
-    filtered = filtered.filter(todo =>
-      todo.title.toLowerCase().includes(state.searchQuery) ||
-      todo.category.toLowerCase().includes(state.searchQuery)
-    );
+async function handleRevertTodo(todoId, changeId) {
+  try {
+    const { data: todo } = await apiRequest(`/todos/${todoId}/history/${changeId}/revert`, { method: 'POST' });
+    await applyUpdatedTodo(todo);
+    showToast('Task reverted ⏪', 'success');
+  } catch (error) {
+    showToast(escapeHtml(error.message || 'Failed to revert task'), 'error');
   }
-  
-  // Apply sorting
-  filtered.sort((a, b) => {
-    switch (state.currentSort) {
-      case 'newest':
-        return new Date(b.createdAt) - new Date(a.createdAt);
-      case 'oldest':
-        return new Date(a.createdAt) - new Date(b.createdAt);
-      case 'priority':
-        const priorityOrder = { high: 3, medium: 2, low: 1 };
-        return priorityOrder[b.priority] - priorityOrder[a.priority];
-      case 'dueDate':
-        if (!a.dueDate) return 1;
-        if (!b.dueDate) return -1;
-        return new Date(a.dueDate) - new Date(b.dueDate);
-      default:
-        return 0;
-    }
-  });
-  
-  return filtered;
 }
 
-// ============================================================================
-// RENDERING
-// ============================================================================
-
-function renderTodos() {
-  const filtered = getFilteredTodos();
-  
-  if (filtered.length === 0) {
-    const message = state.searchQuery
-      ? 'No tasks found matching your search'
-      : state.currentFilter === 'all'
-        ? 'No tasks yet. Add one to get started!'
-        : `No ${state.currentFilter} tasks`;
-    
-    elements.todoList.innerHTML = `<li class="empty-state">${message}</li>`;
-    return;
-  }
+function formatHistoryValue(field, value) {
+  if (value === null || value === undefined || value === '') return '—';
   
-  elements.todoList.innerHTML = filtered.map(todo => createTodoHTML(todo)).join('');
-  
-  // Attach event listeners
-  filtered.forEach(todo => {
-    const item = document.querySelector(`[data-id="${todo._id}"]`);
-    if (!item) return;
-    
-    const checkbox = item.querySelector('.todo-checkbox');
-    if (checkbox) {
-      checkbox.addEventListener('change', () => {
-        handleToggleComplete(todo._id, todo.status);
-      });
-    }
-    
-    const editBtn = item.querySelector('.btn-edit');
-    if (editBtn) {
-      editBtn.addEventListener('click', () => {
-        handleEditTodo(todo._id, todo.title);
-      });
-    }
-    
-    const deleteBtn = item.querySelector('.btn-delete');
-    if (deleteBtn) {
-      deleteBtn.addEventListener('click', () => {
-        handleDeleteTodo(todo._id);
-      });
+  switch (field) {
+    case 'status':
+      return getStatusLabel(value);
+    case 'priority':
+      return capitalize(value);
+    case 'category': {
+      const category = getCategory(value);
+      return category ? `${category.icon} ${category.name}` : 'Deleted category';
     }
-    
-    const statusBadge = item.querySelector('.status-badge');
-    if (statusBadge) {
-      statusBadge.addEventListener('click', () => {
-        cycleStatus(todo._id, todo.status);
-      });
+    case 'list': {
+      const list = getList(value);
+      return list ? `${list.icon} ${list.name}` : 'Another list';
     }
-  });
+    case 'assignee':
+      return getMemberName(value) || 'Former member';
+    case 'tags':
+      return value.length ? value.map(tag => `#${tag}`).join(' ') : '—';
+    case 'dueDate':
+      return new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    case 'recurrence':
+      return describeRecurrence(value);
+    case 'subtasks':
+      return `${value.filter(subtask => subtask.done).length} of ${value.length} done`;
+    case 'autoCompleteWithSubtasks':
+      return value ? 'On' : 'Off';
+    default:
+      return String(value);
+  }
 }
 
-function createTodoHTML(todo) {
-  const isCompleted = todo.status === 'completed';
-  const dueDateInfo = getDueDateInfo(todo.dueDate);
-  const priorityClass = `priority-${todo.priority}`;
-  const statusClass = `status-${todo.status}`;
-  
-  const categoryIcons = {
-    general: '📋',
-    work: '💼',
-    personal: '👤',
-    shopping: '🛒',
-    health: '💪',
-    study: '📚'
-  };
+// One history entry; `withTitle` adds the task name for the activity feed
+function createHistoryEntryHTML(change, { withTitle = false, revertable = false } = {}) {
+  const when = new Date(change.createdAt).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+  const who = change.actor && change.actor.username ? ` by ${escapeHtml(change.actor.username)}` : '';
+  const fields = change.action === 'updated' || change.action === 'reverted'
+    ? change.changes.filter(fieldChange => HISTORY_FIELD_LABELS[fieldChange.field])
+    : [];
   
   return `
-    <li class="todo-item ${statusClass} ${priorityClass}" data-id="${todo._id}">
-      <div class="todo-content">
-        <input 
-          type="checkbox" 
-          class="todo-checkbox" 
-          ${isCompleted ? 'checked' : ''}
-          aria-label="Mark as complete"
-        >
-        <div class="todo-main">
-          <div class="todo-title">${escapeHtml(todo.title)}</div>
-          <div class="todo-meta">
-            <span class="status-badge ${todo.status}" title="Click to change status">
-              ${getStatusLabel(todo.status)}
-            </span>
-            <span class="category-badge" title="${todo.category}">
-              ${categoryIcons[todo.category]} ${capitalize(todo.category)}
-            </span>
-            ${dueDateInfo.html}
-          </div>
-        </div>
-        <div class="todo-actions">
-          <button class="btn-edit" aria-label="Edit task">Edit</button>
-          <button class="btn-delete" aria-label="Delete task">Delete</button>
-        </div>
+    <li class="history-entry">
+      <div class="history-heading">
+        <span class="history-action">${HISTORY_ACTIONS[change.action] || escapeHtml(change.action)}</span>
+        ${withTitle ? `<span class="history-title">${escapeHtml(change.title)}</span>` : ''}
+        <span class="history-when">${when}${who}</span>
       </div>
+      ${fields.length ? `
+        <ul class="history-fields">
+          ${fields.map(({ field, before, after }) => `
+            <li>
+              <strong>${HISTORY_FIELD_LABELS[field]}:</strong>
+              <span class="history-before">${escapeHtml(formatHistoryValue(field, before))}</span>
+              →
+              <span class="history-after">${escapeHtml(formatHistoryValue(field, after))}</span>
+            </li>`).join('')}
+        </ul>` : ''}
+      ${revertable ? `
+        <button class="history-revert" data-change-id="${change._id}">Restore this version</button>` : ''}
     </li>
   `;
 }
 
-function cycleStatus(id, currentStatus) {
-  const statusCycle = {
-    'todo': 'progress',
-    'progress': 'completed',
-    'completed': 'todo'
-  };
+function createHistoryHTML(todo) {
+  if (state.history === null) {
+    return '<div class="history-panel"><p class="history-empty">Loading history…</p></div>';
+  }
+  if (state.history.length === 0) {
+    return '<div class="history-panel"><p class="history-empty">No recorded changes yet</p></div>';
+  }
   
-  const newStatus = statusCycle[currentStatus];
-  handleStatusChange(id, newStatus);
+  // The newest entry is the current version, so there's nothing to restore
+  return `
+    <div class="history-panel" role="region" aria-label="History of ${escapeHtml(todo.title)}">
+      <ul class="history-list">
+        ${state.history.map((change, index) => createHistoryEntryHTML(change, {
+          revertable: index > 0 && change.action !== 'deleted'
+        })).join('')}
+      </ul>
+    </div>
+  `;
 }
 
-function getStatusLabel(status) {
-  const labels = {
-    todo: '📝 To Do',
-    progress: '⚙️ In Progress',
-    completed: '✅ Completed'
-  };
-  return labels[status] || status;
+async function showActivityModal() {
+  elements.activityModal.classList.add('show');
+  elements.activityList.innerHTML = '<li class="history-empty">Loading…</li>';
+  await fetchActivity();
 }
 
-function getDueDateInfo(dueDate) {
-  if (!dueDate) return { html: '', class: '' };
+function hideActivityModal() {
+  elements.activityModal.classList.remove('show');
+}
+
+async function fetchActivity({ append = false } = {}) {
+  try {
+    const params = new URLSearchParams();
+    if (append && state.activityCursor) params.set('before', state.activityCursor);
+    
+    const { data: changes, meta: { nextCursor } } = await apiRequest(`/activity?${params}`);
+    state.activity = append ? [...state.activity, ...changes] : changes;
+    state.activityCursor = nextCursor;
+    renderActivity();
+  } catch (error) {
+    showToast('Failed to load activity', 'error');
+  }
+}
+
+function renderActivity() {
+  elements.activityList.innerHTML = state.activity.length
+    ? state.activity.map(change => createHistoryEntryHTML(change, { withTitle: true })).join('')
+    : '<li class="history-empty">No activity yet</li>';
+  elements.activityMoreBtn.hidden = !state.activityCursor;
+}
+
+// ============================================================================
+// TRASH
+// ============================================================================
+
+async function showTrashModal() {
+  elements.trashModal.classList.add('show');
+  elements.trashList.innerHTML = '<li class="category-count">Loading…</li>';
   
-  const due = new Date(dueDate);
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  due.setHours(0, 0, 0, 0);
+  try {
+    const { data: todos, meta: { retentionDays } } = await apiRequest('/trash');
+    state.trash = todos;
+    state.trashRetentionDays = retentionDays;
+    renderTrash();
+  } catch (error) {
+    elements.trashList.innerHTML = '<li class="category-count">Failed to load the trash</li>';
+  }
+}
+
+function hideTrashModal() {
+  elements.trashModal.classList.remove('show');
+}
+
+function renderTrash() {
+  elements.trashRetention.textContent = state.trashRetentionDays
+    ? `Tasks are deleted for good ${state.trashRetentionDays} days after they're moved here.`
+    : 'Tasks stay here until you delete them.';
+  elements.emptyTrashBtn.disabled = state.trash.length === 0;
   
-  const diffDays = Math.ceil((due - today) / (1000 * 60 * 60 * 24));
+  if (state.trash.length === 0) {
+    elements.trashList.innerHTML = '<li class="category-count">The trash is empty</li>';
+    return;
+  }
   
-  let className = 'due-date';
-  let prefix = '📅';
+  const formatDate = date => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
   
-  if (diffDays < 0) {
-    className += ' overdue';
-    prefix = '⚠️';
-  } else if (diffDays === 0) {
-    className += ' today';
-    prefix = '⏰';
-  }
+  elements.trashList.innerHTML = state.trash.map(todo => `
+    <li class="trash-row" data-id="${todo._id}">
+      <div class="trash-info">
+        <span class="trash-title">${escapeHtml(todo.title)}</span>
+        <span class="category-count">
+          Deleted ${formatDate(todo.deletedAt)}${todo.purgeAt ? ` · gone after ${formatDate(todo.purgeAt)}` : ''}
+        </span>
+      </div>
+      <button class="btn-save trash-restore">Restore</button>
+      ${todo.owner === state.currentUser?._id ? `
+        <button class="btn-delete trash-delete">Delete forever</button>` : ''}
+    </li>
+  `).join('');
   
-  const formatted = new Date(dueDate).toLocaleDateString('en-US', {
-    month: 'short',
-    day: 'numeric',
-    year: 'numeric'
+  // Only a list's owner can delete its tasks for good
+  elements.trashList.querySelectorAll('.trash-row').forEach(row => {
+    const id = row.dataset.id;
+    row.querySelector('.trash-restore').addEventListener('click', () => handleRestoreTodo(id));
+    row.querySelector('.trash-delete')?.addEventListener('click', () => handleDeleteForever(id));
   });
+}
+
+async function handleRestoreTodo(id) {
+  try {
+    await apiRequest(`/trash/${id}/restore`, { method: 'POST' });
+    state.trash = state.trash.filter(todo => todo._id !== id);
+    renderTrash();
+    await fetchTodos();
+    showToast('Task restored! ↩️', 'success');
+  } catch (error) {
+    showToast('Failed to restore task', 'error');
+  }
+}
+
+async function handleDeleteForever(id) {
+  try {
+    await apiRequest(`/trash/${id}`, { method: 'DELETE' });
+    state.trash = state.trash.filter(todo => todo._id !== id);
+    renderTrash();
+  } catch (error) {
+    showToast('Failed to delete task', 'error');
+  }
+}
+
+function handleEmptyTrash() {
+  const count = state.trash.length;
+  if (count === 0) return;
   
-  return {
-    html: `<span class="${className}">${prefix} ${formatted}</span>`,
-    class: className
-  };
+  hideTrashModal();
+  showConfirmModal(
+    'Empty Trash',
+    `Permanently delete ${count} task${count === 1 ? '' : 's'}? This action cannot be undone.`,
+    async () => {
+      try {
+        await apiRequest('/trash', { method: 'DELETE' });
+        state.trash = [];
+        showToast('Trash emptied 🗑️', 'success');
+      } catch (error) {
+        showToast('Failed to empty trash', 'error');
+      }
+    }
+  );
 }
 
 // ============================================================================
 // STATISTICS & PROGRESS
 // ============================================================================
 
+// Keeps the server-provided status counts in step with local changes
+function adjustCounts(fromStatus, toStatus) {
+  if (fromStatus === toStatus) return;
+  
+  if (fromStatus) {
+    state.counts[fromStatus]--;
+    state.counts.all--;
+  }
+  if (toStatus) {
+    state.counts[toStatus]++;
+    state.counts.all++;
+  }
+}
+
 function updateStats() {
-  const total = state.todos.length;
-  const todoCount = state.todos.filter(t => t.status === 'todo').length;
-  const progressCount = state.todos.filter(t => t.status === 'progress').length;
-  const completedCount = state.todos.filter(t => t.status === 'completed').length;
+  const {
+    all: total,
+    todo: todoCount,
+    progress: progressCount,
+    completed: completedCount
+  } = state.counts;
   
   animateValue(elements.totalCount, parseInt(elements.totalCount.textContent) || 0, total);
   animateValue(elements.todoCount, parseInt(elements.todoCount.textContent) || 0, todoCount);
@@ -771,6 +4695,15 @@ function updateStats() {
   elements.progressBar.style.width = `${percentage}%`;
   elements.progressBar.setAttribute('aria-valuenow', percentage);
   elements.progressText.textContent = `${percentage}% Complete`;
+  
+  // Keep the active list's sidebar count in step too (the counts only
+  // cover the whole list when not narrowed to the user's tasks)
+  const list = getList(state.currentList);
+  if (list && !state.assignedToMe) {
+    list.todoCount = total;
+    const count = elements.listNav.querySelector('.list-nav-item.active .list-count');
+    if (count) count.textContent = total;
+  }
 }
 
 function animateValue(element, start, end) {
@@ -796,6 +4729,141 @@ function easeOutQuad(t) {
   return t * (2 - t);
 }
 
+async function showStatsModal() {
+  elements.statsModal.classList.add('show');
+  await fetchStats();
+}
+
+function hideStatsModal() {
+  elements.statsModal.classList.remove('show');
+}
+
+// Days are counted in the browser's time zone, over the current list
+async function fetchStats() {
+  elements.statsContent.innerHTML = '<p class="history-empty">Loading…</p>';
+  
+  try {
+    const params = new URLSearchParams({
+      days: elements.statsDays.value,
+      timeZone: getTimeZone() || 'UTC'
+    });
+    if (state.currentList) params.set('list', state.currentList);
+    
+    state.stats = (await apiRequest(`/stats?${params}`)).data;
+    renderStats();
+  } catch (error) {
+    elements.statsContent.innerHTML = '<p class="history-empty">Statistics are unavailable</p>';
+    showToast('Failed to load statistics', 'error');
+  }
+}
+
+function renderStats() {
+  const { stats } = state;
+  // Longer periods are easier to read by the week
+  const byWeek = stats.completedPerDay.length > 31;
+  const points = byWeek
+    ? stats.completedPerWeek.map(({ week, count }) => ({ date: week, count, label: `Week of ${formatStatsDay(week)}` }))
+    : stats.completedPerDay.map(({ date, count }) => ({ date, count, label: formatStatsDay(date) }));
+  
+  const cards = [
+    { label: 'Completed', value: stats.completedInRange },
+    { label: 'Overdue', value: stats.totals.overdue, warn: stats.totals.overdue > 0 },
+    { label: 'Avg. lead time', value: formatStatsHours(stats.averageLeadTimeHours), hint: 'From creation to completion' },
+    { label: 'Avg. cycle time', value: formatStatsHours(stats.averageCycleTimeHours), hint: 'From start to completion' },
+    { label: 'Current streak', value: formatStatsDays(stats.streaks.current), hint: 'Days in a row with a completed task' },
+    { label: 'Longest streak', value: formatStatsDays(stats.streaks.longest) }
+  ];
+  
+  elements.statsContent.innerHTML = `
+    <div class="stats-cards">
+      ${cards.map(card => `
+        <div class="stats-card ${card.warn ? 'stats-card-warn' : ''}" ${card.hint ? `title="${escapeHtml(card.hint)}"` : ''}>
+          <span class="stats-card-value">${escapeHtml(String(card.value))}</span>
+          <span class="stats-card-label">${card.label}</span>
+        </div>`).join('')}
+    </div>
+    <h4 class="stats-heading">Completed per ${byWeek ? 'week' : 'day'}</h4>
+    ${createStatsColumnsHTML(points)}
+    <h4 class="stats-heading">By priority</h4>
+    ${createStatsBreakdownHTML(stats.byPriority.map(group => ({
+      ...group,
+      label: `${CONFIG.PRIORITY_ICONS[group.priority]} ${group.priority[0].toUpperCase()}${group.priority.slice(1)}`
+    })))}
+    <h4 class="stats-heading">By category</h4>
+    ${createStatsBreakdownHTML(stats.byCategory.map(group => ({ ...group, label: getStatsCategoryLabel(group.category) })))}
+  `;
+}
+
+// Column chart as an inline SVG stretched to the modal's width; dates go
+// underneath, outside the SVG, so the text isn't stretched with it
+function createStatsColumnsHTML(points) {
+  const most = Math.max(...points.map(point => point.count));
+  const max = Math.max(1, most);
+  const columns = points.map((point, index) => {
+    const height = (point.count / max) * 96;
+    return `
+      <rect class="stats-column" x="${index * 10 + 1}" y="${100 - height}" width="8" height="${height}">
+        <title>${escapeHtml(point.label)}: ${point.count} completed</title>
+      </rect>`;
+  }).join('');
+  
+  return `
+    <figure class="stats-chart">
+      <svg viewBox="0 0 ${points.length * 10} 100" preserveAspectRatio="none" role="img"
+        aria-label="Tasks completed, ${escapeHtml(points[0].label)} to ${escapeHtml(points[points.length - 1].label)}">
+        <line class="stats-axis" x1="0" y1="100" x2="${points.length * 10}" y2="100"></line>
+        ${columns}
+      </svg>
+      <figcaption class="stats-chart-range">
+        <span>${escapeHtml(points[0].label)}</span>
+        <span>Most: ${most}</span>
+        <span>${escapeHtml(points[points.length - 1].label)}</span>
+      </figcaption>
+    </figure>
+  `;
+}
+
+// One bar per group: all its tasks, with the completed share filled in
+function createStatsBreakdownHTML(groups) {
+  if (!groups.length) return '<p class="history-empty">No tasks yet</p>';
+  const max = Math.max(1, ...groups.map(group => group.total));
+  
+  return `
+    <ul class="stats-breakdown">
+      ${groups.map(group => `
+        <li class="stats-breakdown-row">
+          <span class="stats-breakdown-label">${escapeHtml(group.label)}</span>
+          <svg class="stats-breakdown-bar" viewBox="0 0 100 10" preserveAspectRatio="none" aria-hidden="true">
+            <rect class="stats-bar-total" x="0" y="0" width="${(group.total / max) * 100}" height="10"></rect>
+            <rect class="stats-bar-completed" x="0" y="0" width="${(group.completed / max) * 100}" height="10"></rect>
+          </svg>
+          <span class="stats-breakdown-count">${group.completed} / ${group.total}</span>
+        </li>`).join('')}
+    </ul>
+  `;
+}
+
+function getStatsCategoryLabel(id) {
+  if (!id) return 'Uncategorized';
+  const category = getCategory(id);
+  // Categories of other members of a shared list aren't loaded
+  return category ? `${category.icon} ${category.name}` : 'Other';
+}
+
+// "2026-10-18" as "Oct 18", whatever the browser's time zone
+function formatStatsDay(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+function formatStatsHours(hours) {
+  if (hours === null) return '—';
+  return hours < 48 ? `${hours} h` : `${Math.round((hours / 24) * 10) / 10} d`;
+}
+
+function formatStatsDays(days) {
+  return `${days} ${days === 1 ? 'day' : 'days'}`;
+}
+
 // ============================================================================
 // THEME SYSTEM
 // ============================================================================
@@ -872,7 +4940,8 @@ function hideUndoSnackbar() {
     state.undoTimeout = null;
   }
   setTimeout(() => {
-    state.deletedTodo = null;
+    state.deletedTodos = [];
+    state.clearedAt = null;
   }, CONFIG.ANIMATION_DURATION);
 }
 
@@ -942,21 +5011,34 @@ function triggerConfetti() {
 function resetForm() {
   elements.todoInput.value = '';
   elements.prioritySelect.value = 'medium';
-  elements.categorySelect.value = 'general';
+  elements.categorySelect.value = getDefaultCategoryId();
+  elements.tagsInput.value = '';
   elements.dueDateInput.value = '';
+  elements.dueTimeInput.value = '';
+  elements.reminderSelect.value = '';
+  elements.recurrenceSelect.value = '';
+  elements.assigneeSelect.value = '';
+  clearFieldErrors(Object.values(getTaskFormFields()));
+  renderQuickAdd();
   elements.todoInput.focus();
 }
 
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  // Quotes too, so the result is also safe inside attribute values
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 function capitalize(str) {
   return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
+// The browser's IANA time zone, e.g. "Europe/Berlin" (undefined if unknown)
+function getTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
 // ============================================================================
 // ERROR HANDLING
 // ============================================================================
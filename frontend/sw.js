@@ -0,0 +1,93 @@
+/* ============================================================================
+   TODO MANAGER PRO - SERVICE WORKER
+   Keeps the app shell available offline; task data lives in IndexedDB
+   ============================================================================ */
+
+'use strict';
+
+const CACHE_NAME = 'todo-manager-pro-v2';
+const APP_SHELL = ['/', '/index.html', '/style.css', '/app.js', '/shared/quickAdd.js'];
+const OUTBOX_SYNC_TAG = 'todo-outbox';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first so deploys show up straight away; the cache is the fallback.
+// API calls are left alone: the page handles those (and queues them) itself.
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  event.respondWith(
+    fetch(request)
+      .then(response => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(async () => {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        if (request.mode === 'navigate') return caches.match('/');
+        return Response.error();
+      })
+  );
+});
+
+// Background Sync: the outbox is in the page's IndexedDB and requests need
+// the page's auth token, so ask an open tab to replay it
+self.addEventListener('sync', (event) => {
+  if (event.tag !== OUTBOX_SYNC_TAG) return;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then(clients => {
+      clients.forEach(client => client.postMessage({ type: 'sync-outbox' }));
+    })
+  );
+});
+
+// Reminder notifications (shown by the page) carry Snooze / Complete
+// actions. An open tab carries them out with its own auth token; with no
+// tab open the app is opened with the action in the URL instead.
+self.addEventListener('notificationclick', (event) => {
+  const { notification, action } = event;
+  const { todoId, reminderId } = notification.data || {};
+  notification.close();
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+      const client = clients[0];
+
+      if (!client) {
+        const params = action ? new URLSearchParams({ reminderAction: action, todo: todoId, reminder: reminderId }) : '';
+        return self.clients.openWindow(params ? `/?${params}` : '/');
+      }
+
+      if (action) {
+        client.postMessage({ type: 'reminder-action', action, todoId, reminderId });
+      }
+      return client.focus();
+    })
+  );
+});
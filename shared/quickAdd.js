@@ -0,0 +1,344 @@
+/* ============================================================================
+   TODO MANAGER PRO - QUICK ADD PARSER
+   Reads inline fields out of a typed task ("Call mum tomorrow 5pm !high").
+   Shared by the page (window.QuickAdd) and the backend (require()).
+   ============================================================================ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.QuickAdd = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const MINUTE_MS = 60 * 1000;
+  const DAY_MS = 24 * 60 * MINUTE_MS;
+
+  // Index is the JavaScript day number; codes match RRULE BYDAY
+  const WEEKDAYS = [
+    { code: 'SU', name: 'sunday', short: ['sun'] },
+    { code: 'MO', name: 'monday', short: ['mon'] },
+    { code: 'TU', name: 'tuesday', short: ['tues', 'tue'] },
+    { code: 'WE', name: 'wednesday', short: ['wed'] },
+    { code: 'TH', name: 'thursday', short: ['thurs', 'thur', 'thu'] },
+    { code: 'FR', name: 'friday', short: ['fri'] },
+    { code: 'SA', name: 'saturday', short: ['sat'] }
+  ];
+
+  const MONTHS = [
+    ['january', 'jan'], ['february', 'feb'], ['march', 'mar'], ['april', 'apr'],
+    ['may'], ['june', 'jun'], ['july', 'jul'], ['august', 'aug'],
+    ['september', 'sept', 'sep'], ['october', 'oct'], ['november', 'nov'], ['december', 'dec']
+  ];
+
+  const PRIORITIES = {
+    high: 'high', h: 'high', 1: 'high',
+    medium: 'medium', med: 'medium', m: 'medium', 2: 'medium',
+    low: 'low', l: 'low', 3: 'low'
+  };
+
+  const FREQUENCIES = { day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY', year: 'YEARLY' };
+  const REPEAT_WORDS = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY', yearly: 'YEARLY', annually: 'YEARLY' };
+
+  // "tonight" without a time means this evening
+  const TONIGHT_MINUTES = 20 * 60;
+
+  // Fields that take a single value; later mentions stay in the title
+  const SINGLE_TYPES = ['date', 'time', 'recurrence', 'priority', 'category', 'assignee'];
+
+  const alternation = words => words.slice().sort((a, b) => b.length - a.length).join('|');
+
+  const WEEKDAY_FULL = alternation(WEEKDAYS.map(day => day.name));
+  const WEEKDAY_ANY = alternation(WEEKDAYS.flatMap(day => [day.name, ...day.short]));
+  const MONTH = alternation(MONTHS.flat());
+
+  // Whole words only; # @ ! are left to their own rules
+  const START = '(?<![\\p{L}\\p{N}_#@!/:.-])';
+  const END = '(?![\\p{L}\\p{N}_])';
+  const DUE = '(?:(?:due|on|by)\\s+)?';
+
+  function weekdayIndex(word) {
+    const lower = word.toLowerCase();
+    return WEEKDAYS.findIndex(day => day.name === lower || day.short.includes(lower));
+  }
+
+  function monthIndex(word) {
+    const lower = word.toLowerCase().replace(/\.$/, '');
+    return MONTHS.findIndex(names => names.includes(lower));
+  }
+
+  function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  }
+
+  // Days are handled as UTC midnights of the user's calendar date
+  function makeDay(year, month, day) {
+    if (month < 0 || month > 11 || day < 1 || day > daysInMonth(year, month)) return null;
+    return Date.UTC(year, month, day);
+  }
+
+  function addMonths(dayMs, months) {
+    const date = new Date(dayMs);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + months;
+    const lastDay = daysInMonth(year + Math.floor(month / 12), ((month % 12) + 12) % 12);
+    return Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay));
+  }
+
+  // A day without a year is the next one on or after today
+  function upcomingDay(ctx, month, day, year) {
+    if (year !== undefined) return makeDay(Number(year.length === 2 ? `20${year}` : year), month, day);
+
+    const thisYear = makeDay(ctx.year, month, day);
+    if (thisYear !== null && thisYear >= ctx.today) return thisYear;
+    return makeDay(ctx.year + 1, month, day);
+  }
+
+  // "friday" is the coming one, a week ahead if today is friday; "this
+  // friday" may be today; "next friday" is the one in next week (weeks
+  // start on Monday)
+  function weekdayDay(ctx, weekday, modifier) {
+    const ahead = (weekday - ctx.weekday + 7) % 7;
+    if (modifier === 'this') return ctx.today + ahead * DAY_MS;
+    if (modifier === 'next') {
+      const toNextMonday = ((8 - ctx.weekday) % 7) || 7;
+      return ctx.today + (toNextMonday + (weekday + 6) % 7) * DAY_MS;
+    }
+    return ctx.today + (ahead || 7) * DAY_MS;
+  }
+
+  function inDays(ctx, amount, unit) {
+    const count = /^(a|an|one)$/i.test(amount) ? 1 : Number(amount);
+    if (unit === 'day') return ctx.today + count * DAY_MS;
+    if (unit === 'week') return ctx.today + count * 7 * DAY_MS;
+    return addMonths(ctx.today, unit === 'month' ? count : count * 12);
+  }
+
+  function readHour(hour, minute, meridiem) {
+    let hours = Number(hour);
+    const minutes = Number(minute || 0);
+    if (meridiem) {
+      if (hours < 1 || hours > 12) return null;
+      const pm = meridiem.toLowerCase().startsWith('p');
+      hours = (hours % 12) + (pm ? 12 : 0);
+    } else if (hours > 23) {
+      return null;
+    }
+    return { minutes: hours * 60 + minutes };
+  }
+
+  function rule(type, source, read) {
+    return { type, pattern: new RegExp(`${START}${source}${END}`, 'giu'), read };
+  }
+
+  // Each rule reads a match into a value, or null to leave the words alone.
+  // Overlapping matches go to whichever starts first (then the longest), so
+  // "every monday" beats "monday" and "next friday" beats "friday".
+  const RULES = [
+    rule('recurrence', `every\\s+(?:(other)\\s+|(\\d+)\\s+)?(day|week|month|year)s?`, (match) => {
+      const interval = match[1] ? 2 : Number(match[2] || 1);
+      if (interval < 1) return null;
+      return { freq: FREQUENCIES[match[3].toLowerCase()], interval, byWeekday: [] };
+    }),
+    rule('recurrence', `every\\s+(weekday|weekend)s?`, (match) => ({
+      freq: 'WEEKLY',
+      interval: 1,
+      byWeekday: match[1].toLowerCase() === 'weekday' ? ['MO', 'TU', 'WE', 'TH', 'FR'] : ['SA', 'SU']
+    })),
+    rule('recurrence', `every\\s+(?:${WEEKDAY_ANY})(?:(?:\\s*,\\s*|\\s+and\\s+|\\s*&\\s*)(?:${WEEKDAY_ANY}))*`, (match) => {
+      const days = match[0].toLowerCase().match(new RegExp(WEEKDAY_ANY, 'g')).map(weekdayIndex);
+      // Week order, Monday first, as the rest of the app lists them
+      const codes = [...new Set(days)].sort((a, b) => (a + 6) % 7 - (b + 6) % 7).map(day => WEEKDAYS[day].code);
+      return { freq: 'WEEKLY', interval: 1, byWeekday: codes };
+    }),
+    rule('recurrence', `(daily|weekly|monthly|yearly|annually)`, (match) => ({
+      freq: REPEAT_WORDS[match[1].toLowerCase()],
+      interval: 1,
+      byWeekday: []
+    })),
+
+    rule('date', `${DUE}(today|tonight|tomorrow|tmrw|tmr)`, (match, ctx) => {
+      const word = match[1].toLowerCase();
+      if (word === 'today') return { day: ctx.today };
+      if (word === 'tonight') return { day: ctx.today, defaultMinutes: TONIGHT_MINUTES };
+      return { day: ctx.today + DAY_MS };
+    }),
+    rule('date', `${DUE}(?:(this|next)\\s+)?(${WEEKDAY_FULL})`, (match, ctx) => ({
+      day: weekdayDay(ctx, weekdayIndex(match[2]), match[1] && match[1].toLowerCase())
+    })),
+    // Short day names ("fri") only with a lead-in, since "sat" or "sun"
+    // alone are more likely just words
+    rule('date', `(?:due|on|by|this|next)\\s+(${WEEKDAY_ANY})`, (match, ctx) => {
+      const modifier = /^(this|next)/i.exec(match[0]);
+      return { day: weekdayDay(ctx, weekdayIndex(match[1]), modifier && modifier[1].toLowerCase()) };
+    }),
+    rule('date', `next\\s+(week|month|year)`, (match, ctx) => {
+      const unit = match[1].toLowerCase();
+      if (unit === 'week') return { day: weekdayDay(ctx, 1, 'next') };
+      if (unit === 'month') return { day: Date.UTC(ctx.year, ctx.month + 1, 1) };
+      return { day: Date.UTC(ctx.year + 1, 0, 1) };
+    }),
+    rule('date', `${DUE}in\\s+(\\d+|an?|one)\\s+(day|week|month|year)s?`, (match, ctx) => ({
+      day: inDays(ctx, match[1], match[2].toLowerCase())
+    })),
+    rule('date', `${DUE}(\\d{4})-(\\d{2})-(\\d{2})`, (match) => {
+      const day = makeDay(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+      return day === null ? null : { day };
+    }),
+    rule('date', `${DUE}(${MONTH})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`, (match, ctx) => {
+      const day = upcomingDay(ctx, monthIndex(match[1]), Number(match[2]), match[3]);
+      return day === null ? null : { day };
+    }),
+    rule('date', `${DUE}(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH})\\.?(?:,?\\s+(\\d{4}))?`, (match, ctx) => {
+      const day = upcomingDay(ctx, monthIndex(match[2]), Number(match[1]), match[3]);
+      return day === null ? null : { day };
+    }),
+    // Month first, as in the US
+    rule('date', `${DUE}(\\d{1,2})\\/(\\d{1,2})(?:\\/(\\d{4}|\\d{2}))?`, (match, ctx) => {
+      const day = upcomingDay(ctx, Number(match[1]) - 1, Number(match[2]), match[3]);
+      return day === null ? null : { day };
+    }),
+
+    rule('time', `(?:at\\s+)?(\\d{1,2})(?::([0-5]\\d))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)`, match => readHour(match[1], match[2], match[3])),
+    rule('time', `(?:at\\s+)?(\\d{1,2}):([0-5]\\d)`, match => readHour(match[1], match[2])),
+    rule('time', `(?:at\\s+)?(noon|midnight)`, match => ({ minutes: match[1].toLowerCase() === 'noon' ? 12 * 60 : 0 })),
+
+    rule('priority', `!(high|medium|med|low|h|m|l|1|2|3)`, match => PRIORITIES[match[1].toLowerCase()]),
+
+    // A #word naming one of the user's categories sets it (the first one
+    // only); any other #word is a tag
+    rule('hashtag', `#([\\p{L}\\p{N}_][\\p{L}\\p{N}_/-]*)`, (match, ctx) => {
+      const name = match[1];
+      const category = ctx.categories.find(c => c.toLowerCase() === name.toLowerCase());
+      return category && !ctx.has('category')
+        ? { type: 'category', value: category }
+        : { type: 'tag', value: name.toLowerCase() };
+    }),
+    // Anyone when no `people` were given; otherwise only those names
+    rule('assignee', `@([\\p{L}\\p{N}_][\\p{L}\\p{N}_.-]*[\\p{L}\\p{N}_]|[\\p{L}\\p{N}_])`, (match, ctx) => {
+      if (!ctx.people) return match[1];
+      return ctx.people.find(person => person.toLowerCase() === match[1].toLowerCase()) || null;
+    })
+  ];
+
+  function collectMatches(text, ctx) {
+    const matches = [];
+    RULES.forEach((item, order) => {
+      item.pattern.lastIndex = 0;
+      let match;
+      while ((match = item.pattern.exec(text))) {
+        matches.push({ rule: item, match, order, start: match.index, end: match.index + match[0].length });
+      }
+    });
+    return matches.sort((a, b) => a.start - b.start || b.end - a.end || a.order - b.order);
+  }
+
+  // Whether `day` (at `minutes`, if given) is still ahead
+  function notPassed(day, minutes, ctx) {
+    return minutes === undefined || day + minutes * MINUTE_MS > ctx.now;
+  }
+
+  // The first day from today that fits: for a repeat without a date, the
+  // next of its weekdays (any day when it has none); for a bare time,
+  // today or tomorrow
+  function firstDay(ctx, minutes, weekdays = []) {
+    for (let ahead = 0; ahead <= 7; ahead++) {
+      const day = ctx.today + ahead * DAY_MS;
+      const weekday = WEEKDAYS[(ctx.weekday + ahead) % 7].code;
+      if ((!weekdays.length || weekdays.includes(weekday)) && notPassed(day, minutes, ctx)) return day;
+    }
+    return ctx.today;
+  }
+
+  /**
+   * Parses `text` into { title, tokens, dueDate, hasDueTime, priority,
+   * category, tags, assignee, recurrence }. Fields that weren't typed are
+   * null (tags: []). `tokens` lists the recognised parts as { type, start,
+   * end, text } in order, for highlighting; they are cut from the title.
+   *
+   * Options:
+   *   now         - the reference time (default: the current time)
+   *   utcOffset   - the user's offset in minutes, as Date#getTimezoneOffset()
+   *                 returns it (default: this runtime's)
+   *   timeZone    - the user's IANA time zone, if known
+   *   categories  - category names a #word may set
+   *   people      - names an @mention may assign; any name when omitted
+   *
+   * Date-only due dates come back as UTC midnight of that day, the way the
+   * app stores them; with a time they are the exact moment, and a
+   * recurrence carries the time zone (or else the offset) it repeats in.
+   */
+  function parse(text, options = {}) {
+    const source = String(text || '');
+    const now = options.now ? new Date(options.now) : new Date();
+    const utcOffset = options.utcOffset !== undefined ? Number(options.utcOffset) : now.getTimezoneOffset();
+    const wallNow = new Date(now.getTime() - utcOffset * MINUTE_MS);
+
+    const accepted = [];
+    const ctx = {
+      year: wallNow.getUTCFullYear(),
+      month: wallNow.getUTCMonth(),
+      weekday: wallNow.getUTCDay(),
+      today: Date.UTC(wallNow.getUTCFullYear(), wallNow.getUTCMonth(), wallNow.getUTCDate()),
+      now: wallNow.getTime(),
+      categories: options.categories || [],
+      people: options.people || null,
+      has: type => accepted.some(token => token.type === type)
+    };
+
+    for (const { rule: item, match, start, end } of collectMatches(source, ctx)) {
+      if (accepted.some(token => start < token.end && end > token.start)) continue;
+
+      let result = item.read(match, ctx);
+      if (result === null || result === undefined) continue;
+      if (item.type !== 'hashtag') result = { type: item.type, value: result };
+      if (SINGLE_TYPES.includes(result.type) && ctx.has(result.type)) continue;
+
+      accepted.push({ type: result.type, value: result.value, start, end, text: match[0] });
+    }
+    accepted.sort((a, b) => a.start - b.start);
+
+    const find = type => accepted.find(token => token.type === type);
+    const date = find('date');
+    const time = find('time');
+    const recurrence = find('recurrence');
+
+    let day = date ? date.value.day : null;
+    let minutes = time ? time.value.minutes : (date && date.value.defaultMinutes);
+    if (day === null && recurrence) day = firstDay(ctx, minutes, recurrence.value.byWeekday);
+    if (day === null && time) day = firstDay(ctx, minutes);
+
+    const hasDueTime = day !== null && minutes !== undefined;
+    const wallClock = options.timeZone ? { timeZone: options.timeZone } : { utcOffset };
+    let dueDate = null;
+    if (day !== null) {
+      dueDate = hasDueTime
+        ? new Date(day + (minutes + utcOffset) * MINUTE_MS)
+        : new Date(day);
+    }
+
+    let title = '';
+    let cursor = 0;
+    accepted.forEach(token => {
+      title += `${source.slice(cursor, token.start)} `;
+      cursor = token.end;
+    });
+    title = (title + source.slice(cursor)).replace(/\s+/g, ' ').trim();
+
+    return {
+      title,
+      tokens: accepted.map(({ type, start, end, text: tokenText }) => ({ type, start, end, text: tokenText })),
+      dueDate,
+      hasDueTime,
+      priority: find('priority') ? find('priority').value : null,
+      category: find('category') ? find('category').value : null,
+      tags: [...new Set(accepted.filter(token => token.type === 'tag').map(token => token.value))],
+      assignee: find('assignee') ? find('assignee').value : null,
+      recurrence: recurrence ? { ...recurrence.value, ...(hasDueTime && wallClock) } : null
+    };
+  }
+
+  return { parse };
+});